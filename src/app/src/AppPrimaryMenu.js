@@ -4,6 +4,7 @@ import settingStore from 'stores/settingStore'
 import Release from 'shared/Release'
 import pkg from 'package.json'
 import MenuTool from 'shared/Electron/MenuTool'
+import DndSchedules from 'shared/Models/Settings/DndSchedules'
 import electronLocalshortcut from 'electron-localshortcut'
 import {
   GITHUB_URL,
@@ -53,6 +54,21 @@ class AppPrimaryMenu {
       addAccount: () => {
         windowManager.mailboxesWindow.show().focus().addAccount()
       },
+      snoozeNotificationsOneHour: () => {
+        windowManager.mailboxesWindow.snoozeNotifications(DndSchedules.SNOOZE_MODES.ONE_HOUR)
+      },
+      snoozeNotificationsUntilTomorrow: () => {
+        windowManager.mailboxesWindow.snoozeNotifications(DndSchedules.SNOOZE_MODES.UNTIL_TOMORROW)
+      },
+      resumeNotifications: () => {
+        windowManager.mailboxesWindow.snoozeNotifications(null)
+      },
+      notificationHistory: () => {
+        windowManager.mailboxesWindow.show().focus().launchNotificationHistory()
+      },
+      downloads: () => {
+        windowManager.mailboxesWindow.show().focus().launchDownloads()
+      },
       composeMail: () => {
         windowManager.mailboxesWindow.show().focus().openMailtoLink('mailto://')
       },
@@ -208,6 +224,23 @@ class AppPrimaryMenu {
             click: this._selectors.preferences,
             accelerator: accelerators.preferences
           },
+          {
+            label: 'Snooze Notifications',
+            submenu: [
+              { label: 'For 1 Hour', click: this._selectors.snoozeNotificationsOneHour },
+              { label: 'Until Tomorrow', click: this._selectors.snoozeNotificationsUntilTomorrow },
+              { type: 'separator' },
+              { label: 'Resume Notifications', click: this._selectors.resumeNotifications }
+            ]
+          },
+          {
+            label: 'Notification History',
+            click: this._selectors.notificationHistory
+          },
+          {
+            label: 'Downloads',
+            click: this._selectors.downloads
+          },
           { type: 'separator' },
           {
             label: 'Compose Mail',
@@ -0,0 +1,382 @@
+import { ipcMain, shell, webContents } from 'electron'
+import fs from 'fs-extra'
+import uuid from 'uuid'
+import appWindowManager from 'R/appWindowManager'
+import persistence from 'storage/downloadStorage'
+import {
+  DOWNLOAD_HISTORY_MAX_ENTRIES,
+  DOWNLOAD_PROGRESS_THROTTLE,
+  DOWNLOAD_STATES
+} from 'shared/constants'
+import {
+  WB_DOWNLOAD_UPDATED,
+  WB_DOWNLOAD_REMOVED,
+  WB_DOWNLOAD_PAUSE,
+  WB_DOWNLOAD_RESUME,
+  WB_DOWNLOAD_CANCEL,
+  WB_DOWNLOAD_RETRY,
+  WB_DOWNLOAD_OPEN,
+  WB_DOWNLOAD_SHOW_IN_FOLDER,
+  WB_DOWNLOAD_REMOVE,
+  WB_DOWNLOAD_CLEAR_HISTORY
+} from 'shared/ipcEvents'
+
+const RETRY_CLAIM_TIMEOUT = 1000 * 30
+
+class DownloadManager {
+  /* ****************************************************************************/
+  // Lifecycle
+  /* ****************************************************************************/
+
+  constructor () {
+    this.entries = new Map()
+    this.items = new Map()
+    this.pendingRetries = new Map()
+    this.lastProgressSent = new Map()
+
+    this._loadEntries()
+
+    ipcMain.on(WB_DOWNLOAD_PAUSE, this.handlePause)
+    ipcMain.on(WB_DOWNLOAD_RESUME, this.handleResume)
+    ipcMain.on(WB_DOWNLOAD_CANCEL, this.handleCancel)
+    ipcMain.on(WB_DOWNLOAD_RETRY, this.handleRetry)
+    ipcMain.on(WB_DOWNLOAD_OPEN, this.handleOpen)
+    ipcMain.on(WB_DOWNLOAD_SHOW_IN_FOLDER, this.handleShowInFolder)
+    ipcMain.on(WB_DOWNLOAD_REMOVE, this.handleRemove)
+    ipcMain.on(WB_DOWNLOAD_CLEAR_HISTORY, this.handleClearHistory)
+  }
+
+  /**
+  * Loads the entries from disk. Anything that was in progress when the app
+  * closed can't be continued so is marked as interrupted
+  */
+  _loadEntries () {
+    const allEntries = persistence.allJSONItems()
+    Object.keys(allEntries).forEach((id) => {
+      const entry = allEntries[id]
+      if (entry.state === DOWNLOAD_STATES.PROGRESSING) {
+        entry.state = DOWNLOAD_STATES.INTERRUPTED
+        entry.paused = false
+        entry.endTime = entry.endTime || new Date().getTime()
+        persistence.setJSONItem(id, entry)
+      }
+      this.entries.set(id, entry)
+    })
+  }
+
+  /* ****************************************************************************/
+  // Getters
+  /* ****************************************************************************/
+
+  /**
+  * @param id: the id of the download
+  * @return the history entry or undefined
+  */
+  getEntry (id) { return this.entries.get(id) }
+
+  /* ****************************************************************************/
+  // Tracking
+  /* ****************************************************************************/
+
+  /**
+  * Claims a retry that was requested for a url so the download can be tracked
+  * under its original entry. Retries are claimed in the order they were requested
+  * @param partition: the partition the download started in
+  * @param url: the url of the download that started
+  * @return the entry that is being retried or undefined
+  */
+  claimRetry (partition, url) {
+    const now = new Date().getTime()
+    for (let [key, retry] of this.pendingRetries) {
+      if (now - retry.requestTime > RETRY_CLAIM_TIMEOUT) {
+        this.pendingRetries.delete(key)
+      } else if (retry.partition === partition && retry.url === url) {
+        this.pendingRetries.delete(key)
+        return this.entries.get(retry.id)
+      }
+    }
+    return undefined
+  }
+
+  /**
+  * Starts tracking a download
+  * @param item: the electron download item
+  * @param mailboxId: the id of the mailbox the download is for
+  * @param partition: the partition the download is in
+  * @param savePath: the final path the file will be saved to
+  * @param id=autogenerate: the id of the entry to use, for example when retrying
+  * @return the id of the download
+  */
+  trackDownload (item, mailboxId, partition, savePath, id = uuid.v4()) {
+    const entry = {
+      id: id,
+      mailboxId: mailboxId,
+      partition: partition,
+      url: item.getURL(),
+      filename: item.getFilename(),
+      savePath: savePath,
+      mimeType: item.getMimeType(),
+      totalBytes: item.getTotalBytes(),
+      receivedBytes: item.getReceivedBytes(),
+      state: DOWNLOAD_STATES.PROGRESSING,
+      paused: false,
+      startTime: new Date().getTime(),
+      endTime: null
+    }
+    this.items.set(id, item)
+    this._saveEntry(entry)
+
+    item.on('updated', (evt, state) => {
+      const prev = this.entries.get(id)
+      if (!prev) { return }
+      const next = Object.assign({}, prev, {
+        state: state === 'interrupted' ? DOWNLOAD_STATES.INTERRUPTED : DOWNLOAD_STATES.PROGRESSING,
+        totalBytes: item.getTotalBytes(),
+        receivedBytes: item.getReceivedBytes(),
+        paused: item.isPaused()
+      })
+
+      if (prev.paused !== next.paused || prev.state !== next.state) {
+        this._saveEntry(next)
+      } else {
+        this.entries.set(id, next)
+        this._sendProgress(next)
+      }
+    })
+
+    this._pruneEntries()
+    return id
+  }
+
+  /**
+  * Indicates a download has finished and the file is in its final location
+  * @param id: the id of the download
+  * @param state: the final state of the download
+  */
+  finishDownload (id, state) {
+    const item = this.items.get(id)
+    const prev = this.entries.get(id)
+    this.items.delete(id)
+    this.lastProgressSent.delete(id)
+    if (!prev) { return }
+
+    this._saveEntry(Object.assign({}, prev, {
+      state: state,
+      paused: false,
+      receivedBytes: item ? item.getReceivedBytes() : prev.receivedBytes,
+      endTime: new Date().getTime()
+    }))
+  }
+
+  /* ****************************************************************************/
+  // Persistence & Broadcast
+  /* ****************************************************************************/
+
+  /**
+  * Saves an entry to disk and tells the ui
+  * @param entry: the entry to save
+  */
+  _saveEntry (entry) {
+    this.entries.set(entry.id, entry)
+    persistence.setJSONItem(entry.id, entry)
+    this._sendToUI(WB_DOWNLOAD_UPDATED, entry)
+  }
+
+  /**
+  * Removes an entry from disk and tells the ui
+  * @param id: the id of the entry
+  */
+  _removeEntry (id) {
+    this.entries.delete(id)
+    persistence.removeItem(id)
+    this._sendToUI(WB_DOWNLOAD_REMOVED, id)
+  }
+
+  /**
+  * Sends a progress update to the ui, throttled for each download
+  * @param entry: the entry that updated
+  */
+  _sendProgress (entry) {
+    const now = new Date().getTime()
+    if (now - (this.lastProgressSent.get(entry.id) || 0) < DOWNLOAD_PROGRESS_THROTTLE) { return }
+    this.lastProgressSent.set(entry.id, now)
+    this._sendToUI(WB_DOWNLOAD_UPDATED, entry)
+  }
+
+  /**
+  * Sends a message to the mailboxes window
+  * @param channel: the channel to send on
+  * @param payload: the payload to send
+  */
+  _sendToUI (channel, payload) {
+    const mailboxesWindow = appWindowManager.mailboxesWindow
+    if (!mailboxesWindow || !mailboxesWindow.window || mailboxesWindow.window.isDestroyed()) { return }
+    mailboxesWindow.window.webContents.send(channel, payload)
+  }
+
+  /**
+  * Drops the oldest finished entries that are over the history limit
+  */
+  _pruneEntries () {
+    Array.from(this.entries.values())
+      .sort((a, b) => b.startTime - a.startTime)
+      .slice(DOWNLOAD_HISTORY_MAX_ENTRIES)
+      .filter((entry) => !this.items.has(entry.id))
+      .forEach((entry) => this._removeEntry(entry.id))
+  }
+
+  /* ****************************************************************************/
+  // Retry
+  /* ****************************************************************************/
+
+  /**
+  * Finds a webcontents that can be used to start a download in a partition
+  * @param entry: the entry to download for
+  * @return { contents, temporary } where temporary indicates it should be destroyed after use
+  */
+  _getDownloaderForEntry (entry) {
+    const mailboxesWindow = appWindowManager.mailboxesWindow
+    if (mailboxesWindow) {
+      const webContentsId = Array.from(mailboxesWindow.attachedMailboxes.keys()).find((webContentsId) => {
+        return mailboxesWindow.attachedMailboxes.get(webContentsId).mailboxId === entry.mailboxId
+      })
+      const contents = webContentsId !== undefined ? webContents.fromId(webContentsId) : undefined
+      if (contents && !contents.isDestroyed()) {
+        return { contents: contents, temporary: false }
+      }
+    }
+
+    return {
+      contents: webContents.create({
+        partition: entry.partition,
+        isBackgroundPage: true,
+        commandLineSwitches: '--background-page'
+      }),
+      temporary: true
+    }
+  }
+
+  /**
+  * Retries a download. If electron can resume the download it will continue from
+  * where it left off, otherwise the download starts again in the same account
+  * @param id: the id of the download
+  */
+  retryDownload (id) {
+    const entry = this.entries.get(id)
+    if (!entry) { return }
+
+    const item = this.items.get(id)
+    if (item) {
+      if (item.getState() === 'interrupted' && item.canResume()) {
+        item.resume()
+      }
+      return
+    }
+
+    this.pendingRetries.set(`${entry.partition}:${id}`, {
+      id: id,
+      partition: entry.partition,
+      url: entry.url,
+      requestTime: new Date().getTime()
+    })
+    const { contents, temporary } = this._getDownloaderForEntry(entry)
+    if (temporary) {
+      const downloaderSession = contents.session
+      const handler = (evt, item) => {
+        if (item.getURL() !== entry.url) { return }
+        downloaderSession.removeListener('will-download', handler)
+        item.once('done', () => { contents.destroy() })
+      }
+      downloaderSession.on('will-download', handler)
+    }
+    contents.downloadURL(entry.url)
+  }
+
+  /* ****************************************************************************/
+  // IPC Handlers
+  /* ****************************************************************************/
+
+  /**
+  * Pauses a download
+  * @param evt: the event that fired
+  * @param id: the id of the download
+  */
+  handlePause = (evt, id) => {
+    const item = this.items.get(id)
+    if (item) { item.pause() }
+  }
+
+  /**
+  * Resumes a download
+  * @param evt: the event that fired
+  * @param id: the id of the download
+  */
+  handleResume = (evt, id) => {
+    const item = this.items.get(id)
+    if (item && item.canResume()) { item.resume() }
+  }
+
+  /**
+  * Cancels a download
+  * @param evt: the event that fired
+  * @param id: the id of the download
+  */
+  handleCancel = (evt, id) => {
+    const item = this.items.get(id)
+    if (item) { item.cancel() }
+  }
+
+  /**
+  * Retries a download
+  * @param evt: the event that fired
+  * @param id: the id of the download
+  */
+  handleRetry = (evt, id) => {
+    this.retryDownload(id)
+  }
+
+  /**
+  * Opens a downloaded file
+  * @param evt: the event that fired
+  * @param id: the id of the download
+  */
+  handleOpen = (evt, id) => {
+    const entry = this.entries.get(id)
+    if (!entry || entry.state !== DOWNLOAD_STATES.COMPLETED) { return }
+    if (!fs.existsSync(entry.savePath)) { return }
+    shell.openItem(entry.savePath)
+  }
+
+  /**
+  * Shows a downloaded file in the system file manager
+  * @param evt: the event that fired
+  * @param id: the id of the download
+  */
+  handleShowInFolder = (evt, id) => {
+    const entry = this.entries.get(id)
+    if (!entry) { return }
+    shell.showItemInFolder(entry.savePath)
+  }
+
+  /**
+  * Removes a finished download from the history. The file is left on disk
+  * @param evt: the event that fired
+  * @param id: the id of the download
+  */
+  handleRemove = (evt, id) => {
+    if (this.items.has(id)) { return }
+    this._removeEntry(id)
+  }
+
+  /**
+  * Removes all the finished downloads from the history
+  * @param evt: the event that fired
+  */
+  handleClearHistory = (evt) => {
+    Array.from(this.entries.keys())
+      .filter((id) => !this.items.has(id))
+      .forEach((id) => this._removeEntry(id))
+  }
+}
+
+export default new DownloadManager()
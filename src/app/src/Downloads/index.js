@@ -0,0 +1,2 @@
+import DownloadManager from './DownloadManager'
+export default DownloadManager
@@ -0,0 +1,256 @@
+import fs from 'fs-extra'
+import path from 'path'
+import pkg from 'package.json'
+import AppDirectory from 'appdirectory'
+import mkdirp from 'mkdirp'
+import CRDispatchManager from '../CRDispatchManager'
+import CRExtensionWebContents from '../CRExtensionWebContents'
+import {
+  CRX_ALARMS_CREATE_,
+  CRX_ALARMS_GET_,
+  CRX_ALARMS_GET_ALL_,
+  CRX_ALARMS_CLEAR_,
+  CRX_ALARMS_CLEAR_ALL_,
+  CRX_ALARMS_FIRED_
+} from 'shared/crExtensionIpcEvents'
+
+const appDirectory = new AppDirectory({
+  appName: pkg.name,
+  useRoaming: true
+})
+
+const DATA_PATH = path.join(appDirectory.userData(), 'crextensiondata')
+const MAX_TIMEOUT = 2147483647 // setTimeout overflows beyond this
+const MISSED_ALARM_DELAY = 10000 // Give the background page time to load before firing missed alarms
+const MIN_ALARM_MINUTES = 1 // The same minimum chrome enforces
+
+class CRExtensionAlarms {
+  /* ****************************************************************************/
+  // Lifecycle
+  /* ****************************************************************************/
+
+  constructor (extension) {
+    this.extension = extension
+    this.dataPath = path.join(DATA_PATH, `${this.extension.id}-alarms.json`)
+    this.alarms = new Map()
+    this.timers = new Map()
+
+    this._loadAlarms()
+
+    CRDispatchManager.registerHandler(`${CRX_ALARMS_CREATE_}${this.extension.id}`, this._handleCreate)
+    CRDispatchManager.registerHandler(`${CRX_ALARMS_GET_}${this.extension.id}`, this._handleGet)
+    CRDispatchManager.registerHandler(`${CRX_ALARMS_GET_ALL_}${this.extension.id}`, this._handleGetAll)
+    CRDispatchManager.registerHandler(`${CRX_ALARMS_CLEAR_}${this.extension.id}`, this._handleClear)
+    CRDispatchManager.registerHandler(`${CRX_ALARMS_CLEAR_ALL_}${this.extension.id}`, this._handleClearAll)
+  }
+
+  destroy () {
+    this.timers.forEach((timer) => clearTimeout(timer))
+    this.timers.clear()
+
+    CRDispatchManager.unregisterHandler(`${CRX_ALARMS_CREATE_}${this.extension.id}`, this._handleCreate)
+    CRDispatchManager.unregisterHandler(`${CRX_ALARMS_GET_}${this.extension.id}`, this._handleGet)
+    CRDispatchManager.unregisterHandler(`${CRX_ALARMS_GET_ALL_}${this.extension.id}`, this._handleGetAll)
+    CRDispatchManager.unregisterHandler(`${CRX_ALARMS_CLEAR_}${this.extension.id}`, this._handleClear)
+    CRDispatchManager.unregisterHandler(`${CRX_ALARMS_CLEAR_ALL_}${this.extension.id}`, this._handleClearAll)
+  }
+
+  /* ****************************************************************************/
+  // Persistence
+  /* ****************************************************************************/
+
+  /**
+  * Loads the alarms from disk and schedules them. Alarms that were missed whilst
+  * wavebox wasn't running are fired shortly after launch
+  */
+  _loadAlarms () {
+    let saved
+    try {
+      saved = fs.readJsonSync(this.dataPath)
+    } catch (ex) {
+      saved = []
+    }
+
+    const now = new Date().getTime()
+    saved.forEach((alarm) => {
+      const scheduledTime = Math.max(alarm.scheduledTime, now + MISSED_ALARM_DELAY)
+      this._scheduleAlarm(Object.assign({}, alarm, { scheduledTime: scheduledTime }))
+    })
+  }
+
+  /**
+  * Writes the alarms to disk
+  * @return promise
+  */
+  _saveAlarms () {
+    const data = Array.from(this.alarms.values())
+    return Promise.resolve()
+      .then(() => {
+        return new Promise((resolve, reject) => {
+          mkdirp(DATA_PATH, (err) => {
+            if (err) {
+              reject(err)
+            } else {
+              resolve()
+            }
+          })
+        })
+      })
+      .then(() => fs.writeJson(this.dataPath, data))
+      .catch((err) => {
+        console.warn(`Failed to save alarms for extension ${this.extension.id}`, err)
+      })
+  }
+
+  /* ****************************************************************************/
+  // Scheduling
+  /* ****************************************************************************/
+
+  /**
+  * Schedules an alarm, replacing any existing alarm with the same name
+  * @param alarm: the alarm to schedule in the format { name, scheduledTime, periodInMinutes }
+  */
+  _scheduleAlarm (alarm) {
+    this._unscheduleAlarm(alarm.name)
+    this.alarms.set(alarm.name, alarm)
+
+    const delay = Math.max(0, alarm.scheduledTime - new Date().getTime())
+    if (delay > MAX_TIMEOUT) {
+      // Check back later, the timer can't wait this long in one go
+      this.timers.set(alarm.name, setTimeout(() => {
+        this._scheduleAlarm(alarm)
+      }, MAX_TIMEOUT))
+    } else {
+      this.timers.set(alarm.name, setTimeout(() => {
+        this._fireAlarm(alarm.name)
+      }, delay))
+    }
+  }
+
+  /**
+  * Removes an alarm and stops its timer
+  * @param name: the name of the alarm
+  * @return true if there was an alarm to remove
+  */
+  _unscheduleAlarm (name) {
+    clearTimeout(this.timers.get(name))
+    this.timers.delete(name)
+    return this.alarms.delete(name)
+  }
+
+  /**
+  * Fires an alarm and reschedules it if it repeats
+  * @param name: the name of the alarm to fire
+  */
+  _fireAlarm (name) {
+    const alarm = this.alarms.get(name)
+    if (!alarm) { return }
+
+    CRExtensionWebContents.sendToExtensionPages(this.extension.id, `${CRX_ALARMS_FIRED_}${this.extension.id}`, alarm)
+
+    if (alarm.periodInMinutes) {
+      const periodMs = Math.max(alarm.periodInMinutes, MIN_ALARM_MINUTES) * 60000
+      const now = new Date().getTime()
+      let scheduledTime = alarm.scheduledTime + periodMs
+      if (scheduledTime <= now) {
+        scheduledTime = now + periodMs
+      }
+      this._scheduleAlarm(Object.assign({}, alarm, { scheduledTime: scheduledTime }))
+    } else {
+      this._unscheduleAlarm(name)
+    }
+    this._saveAlarms()
+  }
+
+  /* ****************************************************************************/
+  // Handlers
+  /* ****************************************************************************/
+
+  /**
+  * Creates an alarm
+  * https://developer.chrome.com/apps/alarms#method-create
+  * @param evt: the event that fired
+  * @param [name, alarmInfo]: the name of the alarm and the info to create it with
+  * @param responseCallback: executed on completion
+  */
+  _handleCreate = (evt, [name, alarmInfo], responseCallback) => {
+    const { when, delayInMinutes, periodInMinutes } = alarmInfo
+    const invalidField = [
+      ['when', when],
+      ['delayInMinutes', delayInMinutes],
+      ['periodInMinutes', periodInMinutes]
+    ].find(([field, value]) => value !== undefined && (typeof (value) !== 'number' || !isFinite(value) || value <= 0))
+    if (invalidField) {
+      responseCallback(new Error(`Alarm ${invalidField[0]} must be a positive number`))
+      return
+    }
+
+    const now = new Date().getTime()
+    let scheduledTime
+    if (when !== undefined) {
+      scheduledTime = when
+    } else if (delayInMinutes !== undefined) {
+      scheduledTime = now + (Math.max(delayInMinutes, MIN_ALARM_MINUTES) * 60000)
+    } else if (periodInMinutes !== undefined) {
+      scheduledTime = now + (Math.max(periodInMinutes, MIN_ALARM_MINUTES) * 60000)
+    } else {
+      responseCallback(new Error('Alarms must specify when, delayInMinutes or periodInMinutes'))
+      return
+    }
+
+    this._scheduleAlarm({
+      name: name,
+      scheduledTime: scheduledTime,
+      periodInMinutes: periodInMinutes !== undefined ? Math.max(periodInMinutes, MIN_ALARM_MINUTES) : undefined
+    })
+    this._saveAlarms()
+    responseCallback(null, undefined)
+  }
+
+  /**
+  * Gets an alarm
+  * @param evt: the event that fired
+  * @param [name]: the name of the alarm
+  * @param responseCallback: executed on completion
+  */
+  _handleGet = (evt, [name], responseCallback) => {
+    responseCallback(null, this.alarms.get(name))
+  }
+
+  /**
+  * Gets all the alarms
+  * @param evt: the event that fired
+  * @param args: the args, unused
+  * @param responseCallback: executed on completion
+  */
+  _handleGetAll = (evt, args, responseCallback) => {
+    responseCallback(null, Array.from(this.alarms.values()))
+  }
+
+  /**
+  * Clears an alarm
+  * @param evt: the event that fired
+  * @param [name]: the name of the alarm
+  * @param responseCallback: executed on completion
+  */
+  _handleClear = (evt, [name], responseCallback) => {
+    const wasCleared = this._unscheduleAlarm(name)
+    if (wasCleared) { this._saveAlarms() }
+    responseCallback(null, wasCleared)
+  }
+
+  /**
+  * Clears all the alarms
+  * @param evt: the event that fired
+  * @param args: the args, unused
+  * @param responseCallback: executed on completion
+  */
+  _handleClearAll = (evt, args, responseCallback) => {
+    const wasCleared = this.alarms.size !== 0
+    Array.from(this.alarms.keys()).forEach((name) => this._unscheduleAlarm(name))
+    this._saveAlarms()
+    responseCallback(null, wasCleared)
+  }
+}
+
+export default CRExtensionAlarms
@@ -0,0 +1,284 @@
+import CRDispatchManager from '../CRDispatchManager'
+import CRExtensionSessionManager from '../CRExtensionSessionManager'
+import CRExtensionWebContents from '../CRExtensionWebContents'
+import mailboxStore from 'stores/mailboxStore'
+import settingStore from 'stores/settingStore'
+import {
+  CRX_COOKIES_GET_,
+  CRX_COOKIES_GET_ALL_,
+  CRX_COOKIES_SET_,
+  CRX_COOKIES_REMOVE_,
+  CRX_COOKIES_GET_ALL_STORES_,
+  CRX_COOKIES_CHANGED_
+} from 'shared/crExtensionIpcEvents'
+
+const COOKIE_FILTER_KEYS = ['url', 'name', 'domain', 'path', 'secure', 'session']
+const COOKIE_SET_KEYS = ['url', 'name', 'value', 'domain', 'path', 'secure', 'httpOnly', 'expirationDate']
+
+class CRExtensionCookies {
+  /* ****************************************************************************/
+  // Lifecycle
+  /* ****************************************************************************/
+
+  constructor (extension) {
+    this.extension = extension
+
+    CRDispatchManager.registerHandler(`${CRX_COOKIES_GET_}${this.extension.id}`, this.handleGet)
+    CRDispatchManager.registerHandler(`${CRX_COOKIES_GET_ALL_}${this.extension.id}`, this.handleGetAll)
+    CRDispatchManager.registerHandler(`${CRX_COOKIES_SET_}${this.extension.id}`, this.handleSet)
+    CRDispatchManager.registerHandler(`${CRX_COOKIES_REMOVE_}${this.extension.id}`, this.handleRemove)
+    CRDispatchManager.registerHandler(`${CRX_COOKIES_GET_ALL_STORES_}${this.extension.id}`, this.handleGetAllStores)
+    CRExtensionSessionManager.on('cookieChanged', this.handleCookieChanged)
+  }
+
+  destroy () {
+    CRDispatchManager.unregisterHandler(`${CRX_COOKIES_GET_}${this.extension.id}`, this.handleGet)
+    CRDispatchManager.unregisterHandler(`${CRX_COOKIES_GET_ALL_}${this.extension.id}`, this.handleGetAll)
+    CRDispatchManager.unregisterHandler(`${CRX_COOKIES_SET_}${this.extension.id}`, this.handleSet)
+    CRDispatchManager.unregisterHandler(`${CRX_COOKIES_REMOVE_}${this.extension.id}`, this.handleRemove)
+    CRDispatchManager.unregisterHandler(`${CRX_COOKIES_GET_ALL_STORES_}${this.extension.id}`, this.handleGetAllStores)
+    CRExtensionSessionManager.removeListener('cookieChanged', this.handleCookieChanged)
+  }
+
+  /* ****************************************************************************/
+  // Properties
+  /* ****************************************************************************/
+
+  get hasCookiesPermission () { return this.extension.manifest.permissions.has('cookies') }
+
+  /* ****************************************************************************/
+  // Stores
+  /* ****************************************************************************/
+
+  /**
+  * Checks to see if the extension can access a partition
+  * @param partition: the partition to check
+  * @return true if the extension is allowed to access the partition
+  */
+  isPartitionAllowed (partition) {
+    const mailboxId = CRExtensionSessionManager.getMailboxIdForPartition(partition)
+    if (!mailboxId) { return false }
+    return settingStore.extension.isAccountAllowedForExtension(this.extension.id, mailboxId)
+  }
+
+  /**
+  * Gets the partition for a cookie store id. Store ids are the ids of the mailboxes
+  * and when no store id is provided the active mailbox is used
+  * @param storeId: the id of the store or undefined
+  * @return the partition or undefined if it's not accessible
+  */
+  getPartitionForStoreId (storeId) {
+    const mailboxId = storeId || mailboxStore.getActiveMailboxId()
+    const partition = CRExtensionSessionManager.getPartitionForMailboxId(mailboxId)
+    return partition && this.isPartitionAllowed(partition) ? partition : undefined
+  }
+
+  /**
+  * Converts an electron cookie to a chrome cookie
+  * @param cookie: the electron cookie
+  * @param partition: the partition the cookie is from
+  * @return the chrome cookie
+  */
+  convertCookie (cookie, partition) {
+    return {
+      name: cookie.name,
+      value: cookie.value,
+      domain: cookie.domain,
+      hostOnly: !!cookie.hostOnly,
+      path: cookie.path,
+      secure: !!cookie.secure,
+      httpOnly: !!cookie.httpOnly,
+      session: !!cookie.session,
+      expirationDate: cookie.expirationDate,
+      storeId: CRExtensionSessionManager.getMailboxIdForPartition(partition)
+    }
+  }
+
+  /**
+  * Checks to see if the extension has host permission for the cookie
+  * @param cookie: the cookie to check
+  * @return true if the extension can see the cookie
+  */
+  hasHostPermissionForCookie (cookie) {
+    const domain = (cookie.domain || '').replace(/^\./, '')
+    const path = cookie.path || '/'
+    return this.extension.manifest.hasHostPermission(`${cookie.secure ? 'https' : 'http'}://${domain}${path}`)
+  }
+
+  /**
+  * Picks the allowed keys from an object
+  * @param obj: the object to pick from
+  * @param keys: the keys to pick
+  * @return a new object with only the given keys
+  */
+  pickKeys (obj, keys) {
+    return keys.reduce((acc, k) => {
+      if (obj[k] !== undefined) { acc[k] = obj[k] }
+      return acc
+    }, {})
+  }
+
+  /**
+  * Validates a request that targets a url
+  * @param details: the details provided by the extension
+  * @return { partition, error } with one of them being defined
+  */
+  validateUrlRequest (details) {
+    if (!this.hasCookiesPermission) {
+      return { error: new Error('Extension does not have the cookies permission') }
+    }
+    if (!this.extension.manifest.hasHostPermission(details.url)) {
+      return { error: new Error(`No host permissions for cookies at url: "${details.url}"`) }
+    }
+    const partition = this.getPartitionForStoreId(details.storeId)
+    if (!partition) {
+      return { error: new Error(`No cookie store with id: ${details.storeId}`) }
+    }
+    return { partition: partition }
+  }
+
+  /* ****************************************************************************/
+  // Handlers
+  /* ****************************************************************************/
+
+  /**
+  * Gets a cookie
+  * https://developer.chrome.com/extensions/cookies#method-get
+  * @param evt: the event that fired
+  * @param [details]: the details of the cookie to get
+  * @param responseCallback: executed on completion
+  */
+  handleGet = (evt, [details], responseCallback) => {
+    const { partition, error } = this.validateUrlRequest(details)
+    if (error) { responseCallback(error); return }
+
+    const ses = CRExtensionSessionManager.getSession(partition)
+    ses.cookies.get({ url: details.url, name: details.name }, (err, cookies) => {
+      if (err) {
+        responseCallback(err)
+      } else {
+        // Chrome returns the cookie with the longest path
+        const cookie = cookies.sort((a, b) => (b.path || '').length - (a.path || '').length)[0]
+        responseCallback(null, cookie ? this.convertCookie(cookie, partition) : null)
+      }
+    })
+  }
+
+  /**
+  * Gets all the cookies matching the filter
+  * https://developer.chrome.com/extensions/cookies#method-getAll
+  * @param evt: the event that fired
+  * @param [details]: the filter to apply
+  * @param responseCallback: executed on completion
+  */
+  handleGetAll = (evt, [details], responseCallback) => {
+    if (!this.hasCookiesPermission) {
+      responseCallback(new Error('Extension does not have the cookies permission'))
+      return
+    }
+    const partition = this.getPartitionForStoreId(details.storeId)
+    if (!partition) {
+      responseCallback(new Error(`No cookie store with id: ${details.storeId}`))
+      return
+    }
+
+    const ses = CRExtensionSessionManager.getSession(partition)
+    ses.cookies.get(this.pickKeys(details, COOKIE_FILTER_KEYS), (err, cookies) => {
+      if (err) {
+        responseCallback(err)
+      } else {
+        responseCallback(null, cookies
+          .filter((cookie) => this.hasHostPermissionForCookie(cookie))
+          .map((cookie) => this.convertCookie(cookie, partition)))
+      }
+    })
+  }
+
+  /**
+  * Sets a cookie
+  * https://developer.chrome.com/extensions/cookies#method-set
+  * @param evt: the event that fired
+  * @param [details]: the cookie to set
+  * @param responseCallback: executed on completion
+  */
+  handleSet = (evt, [details], responseCallback) => {
+    const { partition, error } = this.validateUrlRequest(details)
+    if (error) { responseCallback(error); return }
+
+    const ses = CRExtensionSessionManager.getSession(partition)
+    ses.cookies.set(this.pickKeys(details, COOKIE_SET_KEYS), (err) => {
+      if (err) {
+        responseCallback(err)
+      } else {
+        ses.cookies.get({ url: details.url, name: details.name }, (err, cookies) => {
+          responseCallback(null, !err && cookies[0] ? this.convertCookie(cookies[0], partition) : null)
+        })
+      }
+    })
+  }
+
+  /**
+  * Removes a cookie
+  * https://developer.chrome.com/extensions/cookies#method-remove
+  * @param evt: the event that fired
+  * @param [details]: the details of the cookie to remove
+  * @param responseCallback: executed on completion
+  */
+  handleRemove = (evt, [details], responseCallback) => {
+    const { partition, error } = this.validateUrlRequest(details)
+    if (error) { responseCallback(error); return }
+
+    const ses = CRExtensionSessionManager.getSession(partition)
+    ses.cookies.remove(details.url, details.name, () => {
+      responseCallback(null, {
+        url: details.url,
+        name: details.name,
+        storeId: CRExtensionSessionManager.getMailboxIdForPartition(partition)
+      })
+    })
+  }
+
+  /**
+  * Gets all the cookie stores, which are the accounts the extension can access
+  * https://developer.chrome.com/extensions/cookies#method-getAllCookieStores
+  * @param evt: the event that fired
+  * @param args: the args, unused
+  * @param responseCallback: executed on completion
+  */
+  handleGetAllStores = (evt, args, responseCallback) => {
+    const stores = CRExtensionSessionManager.getManagedPartitions()
+      .filter((partition) => this.isPartitionAllowed(partition))
+      .map((partition) => {
+        return {
+          id: CRExtensionSessionManager.getMailboxIdForPartition(partition),
+          tabIds: []
+        }
+      })
+    responseCallback(null, stores)
+  }
+
+  /* ****************************************************************************/
+  // Session events
+  /* ****************************************************************************/
+
+  /**
+  * Passes a cookie change to the extension
+  * @param partition: the partition the cookie changed in
+  * @param cookie: the cookie that changed
+  * @param cause: the cause of the change
+  * @param removed: true if the cookie was removed
+  */
+  handleCookieChanged = (partition, cookie, cause, removed) => {
+    if (!this.hasCookiesPermission) { return }
+    if (!this.isPartitionAllowed(partition)) { return }
+    if (!this.hasHostPermissionForCookie(cookie)) { return }
+
+    CRExtensionWebContents.sendToExtensionPages(this.extension.id, `${CRX_COOKIES_CHANGED_}${this.extension.id}`, {
+      removed: removed,
+      cookie: this.convertCookie(cookie, partition),
+      cause: cause
+    })
+  }
+}
+
+export default CRExtensionCookies
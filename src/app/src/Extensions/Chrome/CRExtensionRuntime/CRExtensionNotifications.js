@@ -0,0 +1,164 @@
+import { ipcMain } from 'electron'
+import path from 'path'
+import url from 'url'
+import uuid from 'uuid'
+import CRDispatchManager from '../CRDispatchManager'
+import CRExtensionUISubscriber from '../CRExtensionUISubscriber'
+import CRExtensionWebContents from '../CRExtensionWebContents'
+import {
+  CR_EXTENSION_PROTOCOL
+} from 'shared/extensionApis'
+import {
+  CRX_NOTIFICATIONS_CREATE_,
+  CRX_NOTIFICATIONS_UPDATE_,
+  CRX_NOTIFICATIONS_CLEAR_,
+  CRX_NOTIFICATIONS_GET_ALL_,
+  CRX_NOTIFICATIONS_CLICKED_,
+  CRX_NOTIFICATIONS_CLOSED_
+} from 'shared/crExtensionIpcEvents'
+import {
+  WBECRX_NOTIFICATION_PRESENT,
+  WBECRX_NOTIFICATION_CLICKED_
+} from 'shared/ipcEvents'
+
+class CRExtensionNotifications {
+  /* ****************************************************************************/
+  // Lifecycle
+  /* ****************************************************************************/
+
+  constructor (extension) {
+    this.extension = extension
+    this.notifications = new Map()
+
+    CRDispatchManager.registerHandler(`${CRX_NOTIFICATIONS_CREATE_}${this.extension.id}`, this._handleCreate)
+    CRDispatchManager.registerHandler(`${CRX_NOTIFICATIONS_UPDATE_}${this.extension.id}`, this._handleUpdate)
+    CRDispatchManager.registerHandler(`${CRX_NOTIFICATIONS_CLEAR_}${this.extension.id}`, this._handleClear)
+    CRDispatchManager.registerHandler(`${CRX_NOTIFICATIONS_GET_ALL_}${this.extension.id}`, this._handleGetAll)
+    ipcMain.on(`${WBECRX_NOTIFICATION_CLICKED_}${this.extension.id}`, this._handleClick)
+  }
+
+  destroy () {
+    CRDispatchManager.unregisterHandler(`${CRX_NOTIFICATIONS_CREATE_}${this.extension.id}`, this._handleCreate)
+    CRDispatchManager.unregisterHandler(`${CRX_NOTIFICATIONS_UPDATE_}${this.extension.id}`, this._handleUpdate)
+    CRDispatchManager.unregisterHandler(`${CRX_NOTIFICATIONS_CLEAR_}${this.extension.id}`, this._handleClear)
+    CRDispatchManager.unregisterHandler(`${CRX_NOTIFICATIONS_GET_ALL_}${this.extension.id}`, this._handleGetAll)
+    ipcMain.removeListener(`${WBECRX_NOTIFICATION_CLICKED_}${this.extension.id}`, this._handleClick)
+  }
+
+  /* ****************************************************************************/
+  // Presentation
+  /* ****************************************************************************/
+
+  /**
+  * Resolves the icon url so it can be loaded outside of the extension
+  * @param iconUrl: the icon url provided by the extension
+  * @return a url that can be used by the ui or undefined
+  */
+  _resolveIconUrl (iconUrl) {
+    if (!iconUrl) { return undefined }
+
+    const resolvedUrl = url.resolve(`${CR_EXTENSION_PROTOCOL}://${this.extension.id}/`, iconUrl)
+    if (CRExtensionWebContents.isExtensionUrl(this.extension.id, resolvedUrl)) {
+      const safePath = decodeURIComponent(url.parse(resolvedUrl).pathname).replace(/(\.\.\/)/g, '')
+      return url.format({
+        protocol: 'file',
+        slashes: true,
+        pathname: path.join(this.extension.srcPath, safePath)
+      })
+    } else {
+      return resolvedUrl
+    }
+  }
+
+  /**
+  * Sends a notification to the ui to be presented
+  * @param notificationId: the id of the notification
+  * @param options: the notification options
+  */
+  _presentNotification (notificationId, options) {
+    CRExtensionUISubscriber.send(WBECRX_NOTIFICATION_PRESENT, this.extension.id, notificationId, {
+      title: options.title || '',
+      body: [options.message, options.contextMessage].filter((l) => !!l).join('\n'),
+      icon: this._resolveIconUrl(options.iconUrl),
+      silent: !!options.silent
+    })
+  }
+
+  /* ****************************************************************************/
+  // Handlers
+  /* ****************************************************************************/
+
+  /**
+  * Creates a notification
+  * https://developer.chrome.com/apps/notifications#method-create
+  * @param evt: the event that fired
+  * @param [notificationId, options]: the id of the notification and the options
+  * @param responseCallback: executed on completion
+  */
+  _handleCreate = (evt, [notificationId, options], responseCallback) => {
+    const id = notificationId || uuid.v4()
+    if (options.buttons && options.buttons.length) {
+      console.warn('chrome.notifications buttons are not supported by Wavebox at this time')
+    }
+
+    this.notifications.set(id, options)
+    this._presentNotification(id, options)
+    responseCallback(null, id)
+  }
+
+  /**
+  * Updates a notification. Presented notifications can't be changed so this only
+  * updates the stored options
+  * @param evt: the event that fired
+  * @param [notificationId, options]: the id of the notification and the options
+  * @param responseCallback: executed on completion
+  */
+  _handleUpdate = (evt, [notificationId, options], responseCallback) => {
+    if (!this.notifications.has(notificationId)) {
+      responseCallback(null, false)
+      return
+    }
+
+    this.notifications.set(notificationId, Object.assign({}, this.notifications.get(notificationId), options))
+    responseCallback(null, true)
+  }
+
+  /**
+  * Clears a notification
+  * @param evt: the event that fired
+  * @param [notificationId]: the id of the notification
+  * @param responseCallback: executed on completion
+  */
+  _handleClear = (evt, [notificationId], responseCallback) => {
+    const wasCleared = this.notifications.delete(notificationId)
+    responseCallback(null, wasCleared)
+    if (wasCleared) {
+      CRExtensionWebContents.sendToExtensionPages(this.extension.id, `${CRX_NOTIFICATIONS_CLOSED_}${this.extension.id}`, notificationId, false)
+    }
+  }
+
+  /**
+  * Gets all the notifications
+  * @param evt: the event that fired
+  * @param args: the args, unused
+  * @param responseCallback: executed on completion
+  */
+  _handleGetAll = (evt, args, responseCallback) => {
+    const response = Array.from(this.notifications.keys()).reduce((acc, id) => {
+      acc[id] = true
+      return acc
+    }, {})
+    responseCallback(null, response)
+  }
+
+  /**
+  * Handles the user clicking on a notification in the ui
+  * @param evt: the event that fired
+  * @param notificationId: the id of the notification that was clicked
+  */
+  _handleClick = (evt, notificationId) => {
+    CRExtensionWebContents.sendToExtensionPages(this.extension.id, `${CRX_NOTIFICATIONS_CLICKED_}${this.extension.id}`, notificationId)
+  }
+}
+
+export default CRExtensionNotifications
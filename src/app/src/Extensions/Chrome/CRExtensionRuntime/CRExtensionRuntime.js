@@ -10,6 +10,11 @@ import CRExtensionContentScript from './CRExtensionContentScript'
 import CRExtensionOptionsPage from './CRExtensionOptionsPage'
 import CRExtensionStorage from './CRExtensionStorage'
 import CRExtensionContextMenus from './CRExtensionContextMenus'
+import CRExtensionTabs from './CRExtensionTabs'
+import CRExtensionAlarms from './CRExtensionAlarms'
+import CRExtensionNotifications from './CRExtensionNotifications'
+import CRExtensionCookies from './CRExtensionCookies'
+import CRExtensionWebRequest from './CRExtensionWebRequest'
 import { CRExtensionI18n } from 'shared/Models/CRExtension'
 
 class CRExtensionRuntime {
@@ -26,6 +31,11 @@ class CRExtensionRuntime {
     this.browserAction = new CRExtensionBrowserAction(extension)
     this.contextMenus = new CRExtensionContextMenus(extension)
     this.storage = new CRExtensionStorage(extension)
+    this.tabs = new CRExtensionTabs(extension)
+    this.alarms = new CRExtensionAlarms(extension)
+    this.notifications = new CRExtensionNotifications(extension)
+    this.cookies = new CRExtensionCookies(extension)
+    this.webRequest = new CRExtensionWebRequest(extension)
 
     // Pages second
     this.backgroundPage = new CRExtensionBackgroundPage(extension)
@@ -47,6 +57,11 @@ class CRExtensionRuntime {
     this.browserAction.destroy()
     this.contextMenus.destroy()
     this.storage.destroy()
+    this.tabs.destroy()
+    this.alarms.destroy()
+    this.notifications.destroy()
+    this.cookies.destroy()
+    this.webRequest.destroy()
 
     // Runtime API
     ipcMain.removeListener(`${CRX_RUNTIME_CONTENTSCRIPT_CONNECT_}${this.extension.id}`, this.handleContentScriptRuntimeConnect)
@@ -4,6 +4,7 @@ import path from 'path'
 import pkg from 'package.json'
 import AppDirectory from 'appdirectory'
 import CRDispatchManager from '../CRDispatchManager'
+import CRExtensionSyncTarget from '../CRExtensionSync'
 import mkdirp from 'mkdirp'
 import {
   CRX_STORAGE_GET_,
@@ -22,6 +23,8 @@ const appDirectory = new AppDirectory({
 })
 
 const DATA_PATH = path.join(appDirectory.userData(), 'crextensiondata')
+const SYNC_PUSH_DELAY = 2000
+const SYNC_DOC_VERSION = 1
 
 class CRExtensionStorage {
   /* ****************************************************************************/
@@ -33,18 +36,29 @@ class CRExtensionStorage {
     this.buckets = {
       [CR_STORAGE_TYPES.SYNC]: {
         path: path.join(DATA_PATH, `${this.extension.id}-sync.json`),
-        cache: undefined
+        cache: undefined,
+        queue: Promise.resolve()
       },
       [CR_STORAGE_TYPES.LOCAL]: {
         path: path.join(DATA_PATH, `${this.extension.id}-local.json`),
-        cache: undefined
+        cache: undefined,
+        queue: Promise.resolve()
       }
     }
+    this.syncMeta = {
+      path: path.join(DATA_PATH, `${this.extension.id}-sync-meta.json`),
+      cache: undefined
+    }
+    this.syncPushTO = null
 
     CRDispatchManager.registerHandler(`${CRX_STORAGE_GET_}${this.extension.id}`, this._handleGet)
     CRDispatchManager.registerHandler(`${CRX_STORAGE_SET_}${this.extension.id}`, this._handleSet)
     CRDispatchManager.registerHandler(`${CRX_STORAGE_REMOVE_}${this.extension.id}`, this._handleRemove)
     CRDispatchManager.registerHandler(`${CRX_STORAGE_CLEAR_}${this.extension.id}`, this._handleClear)
+    CRExtensionSyncTarget.on('changed', this._handleSyncTargetChanged)
+    CRExtensionSyncTarget.on('poll', this._handleSyncTargetPoll)
+
+    this._syncWithTarget()
   }
 
   destroy () {
@@ -52,6 +66,9 @@ class CRExtensionStorage {
     CRDispatchManager.unregisterHandler(`${CRX_STORAGE_SET_}${this.extension.id}`, this._handleSet)
     CRDispatchManager.unregisterHandler(`${CRX_STORAGE_REMOVE_}${this.extension.id}`, this._handleRemove)
     CRDispatchManager.unregisterHandler(`${CRX_STORAGE_CLEAR_}${this.extension.id}`, this._handleClear)
+    CRExtensionSyncTarget.removeListener('changed', this._handleSyncTargetChanged)
+    CRExtensionSyncTarget.removeListener('poll', this._handleSyncTargetPoll)
+    clearTimeout(this.syncPushTO)
   }
 
   /* ****************************************************************************/
@@ -100,6 +117,172 @@ class CRExtensionStorage {
       .then(() => fs.writeJson(this.buckets[storageType].path, data))
   }
 
+  /**
+  * Queues an operation on a bucket so reads and writes from the extension and
+  * the sync target never interleave
+  * @param storageType: the type of storage to use
+  * @param fn: the function to run which should return a promise
+  * @return promise
+  */
+  _enqueue (storageType, fn) {
+    const bucket = this.buckets[storageType]
+    const operation = bucket.queue.then(fn)
+    bucket.queue = operation.catch(() => { })
+    return operation
+  }
+
+  /* ****************************************************************************/
+  // Sync metadata
+  /* ****************************************************************************/
+
+  /**
+  * Loads the sync metadata which tracks when each key was last modified
+  * @return promise with the metadata in the format { key: { modified, deleted } }
+  */
+  _loadSyncMeta () {
+    if (this.syncMeta.cache !== undefined) {
+      return Promise.resolve(this.syncMeta.cache)
+    } else {
+      return Promise.resolve()
+        .then(() => fs.readJson(this.syncMeta.path))
+        .catch(() => Promise.resolve({}))
+        .then((meta) => {
+          this.syncMeta.cache = meta
+          return meta
+        })
+    }
+  }
+
+  /**
+  * Writes the sync metadata
+  * @param meta: the metadata to write
+  * @return promise
+  */
+  _writeSyncMeta (meta) {
+    this.syncMeta.cache = meta
+    return Promise.resolve()
+      .then(() => fs.ensureDir(DATA_PATH))
+      .then(() => fs.writeJson(this.syncMeta.path, meta))
+  }
+
+  /**
+  * Records that keys in the sync bucket were changed locally and schedules a push
+  * @param storageType: the type of storage that changed
+  * @param keys: the keys that changed
+  * @param deleted: true if the keys were removed
+  * @return promise
+  */
+  _touchSyncKeys (storageType, keys, deleted) {
+    if (storageType !== CR_STORAGE_TYPES.SYNC) { return Promise.resolve() }
+
+    const now = new Date().getTime()
+    return Promise.resolve()
+      .then(() => this._loadSyncMeta())
+      .then((meta) => {
+        const nextMeta = keys.reduce((acc, key) => {
+          acc[key] = { modified: now, deleted: deleted }
+          return acc
+        }, Object.assign({}, meta))
+        return this._writeSyncMeta(nextMeta)
+      })
+      .then(() => this._scheduleSyncPush())
+  }
+
+  /* ****************************************************************************/
+  // Sync
+  /* ****************************************************************************/
+
+  /**
+  * Schedules a sync after a short delay, so bursts of writes are pushed together
+  */
+  _scheduleSyncPush () {
+    if (!CRExtensionSyncTarget.isConfigured) { return }
+    clearTimeout(this.syncPushTO)
+    this.syncPushTO = setTimeout(() => {
+      this._syncWithTarget()
+    }, SYNC_PUSH_DELAY)
+  }
+
+  /**
+  * Merges the sync bucket with the sync target. Each key is resolved independently
+  * with the most recent write winning
+  * @return promise
+  */
+  _syncWithTarget () {
+    if (!CRExtensionSyncTarget.isConfigured) { return Promise.resolve() }
+
+    return this._enqueue(CR_STORAGE_TYPES.SYNC, () => {
+      return Promise.all([
+        this._loadData(CR_STORAGE_TYPES.SYNC),
+        this._loadSyncMeta(),
+        CRExtensionSyncTarget.read(this.extension.id)
+      ])
+        .then(([data, meta, remoteDoc]) => {
+          const remoteItems = (remoteDoc || {}).items || {}
+          const keys = new Set([].concat(Object.keys(data), Object.keys(meta), Object.keys(remoteItems)))
+
+          const nextData = {}
+          const nextMeta = {}
+          const nextRemoteItems = {}
+          const changeset = {}
+          let remoteChanged = !remoteDoc
+          keys.forEach((key) => {
+            const local = {
+              value: data[key],
+              modified: (meta[key] || {}).modified || 0,
+              deleted: meta[key] ? meta[key].deleted : data[key] === undefined
+            }
+            const remote = remoteItems[key]
+            const winner = remote && remote.modified > local.modified ? remote : local
+
+            if (!winner.deleted) { nextData[key] = winner.value }
+            nextMeta[key] = { modified: winner.modified, deleted: !!winner.deleted }
+            nextRemoteItems[key] = { value: winner.deleted ? undefined : winner.value, modified: winner.modified, deleted: !!winner.deleted }
+
+            if (winner === remote && JSON.stringify(remote.value) !== JSON.stringify(local.value)) {
+              changeset[key] = { oldValue: local.value, newValue: winner.deleted ? undefined : remote.value }
+            }
+            if (!remote || remote.modified !== winner.modified || !!remote.deleted !== !!winner.deleted) {
+              remoteChanged = true
+            }
+          })
+
+          const localChanged = Object.keys(changeset).length !== 0
+          return Promise.resolve()
+            .then(() => localChanged ? this._writeData(CR_STORAGE_TYPES.SYNC, nextData) : undefined)
+            .then(() => this._writeSyncMeta(nextMeta))
+            .then(() => {
+              if (remoteChanged) {
+                return CRExtensionSyncTarget.write(this.extension.id, { version: SYNC_DOC_VERSION, items: nextRemoteItems })
+              }
+            })
+            .then(() => changeset)
+        })
+    })
+      .then((changeset) => {
+        if (Object.keys(changeset).length) {
+          this._handleSendChangeset(changeset, CR_STORAGE_TYPES.SYNC)
+        }
+      })
+      .catch((err) => {
+        console.warn(`Failed to sync storage for extension ${this.extension.id}`, err)
+      })
+  }
+
+  /**
+  * Handles the sync target being reconfigured
+  */
+  _handleSyncTargetChanged = () => {
+    this._syncWithTarget()
+  }
+
+  /**
+  * Handles the sync target asking for changes to be pulled
+  */
+  _handleSyncTargetPoll = () => {
+    this._syncWithTarget()
+  }
+
   /* ****************************************************************************/
   // Handlers
   /* ****************************************************************************/
@@ -138,13 +321,16 @@ class CRExtensionStorage {
   * @param responseCallback: callback to execute on success
   */
   _handleSet = (evt, [storageType, items], responseCallback) => {
-    Promise.resolve()
-      .then(() => this._loadData(storageType))
-      .then((data) => {
-        return Promise.resolve()
-          .then(() => this._writeData(storageType, Object.assign({}, data, items)))
-          .then(() => { return { originalData: data, items: items } })
-      })
+    this._enqueue(storageType, () => {
+      return Promise.resolve()
+        .then(() => this._loadData(storageType))
+        .then((data) => {
+          return Promise.resolve()
+            .then(() => this._writeData(storageType, Object.assign({}, data, items)))
+            .then(() => this._touchSyncKeys(storageType, Object.keys(items), false))
+            .then(() => { return { originalData: data, items: items } })
+        })
+    })
       .then(({originalData, items}) => {
         responseCallback(null)
 
@@ -168,17 +354,20 @@ class CRExtensionStorage {
   * @param responseCallback: callback to execute on success
   */
   _handleRemove = (evt, [storageType, keys], responseCallback) => {
-    Promise.resolve()
-      .then(() => this._loadData(storageType))
-      .then((data) => {
-        const nextData = keys.reduce((acc, key) => {
-          delete acc[key]
-          return acc
-        }, Object.assign({}, data))
-        return Promise.resolve()
-          .then(() => this._writeData(storageType, nextData))
-          .then(() => { return { originalData: data, keys: keys } })
-      })
+    this._enqueue(storageType, () => {
+      return Promise.resolve()
+        .then(() => this._loadData(storageType))
+        .then((data) => {
+          const nextData = keys.reduce((acc, key) => {
+            delete acc[key]
+            return acc
+          }, Object.assign({}, data))
+          return Promise.resolve()
+            .then(() => this._writeData(storageType, nextData))
+            .then(() => this._touchSyncKeys(storageType, keys, true))
+            .then(() => { return { originalData: data, keys: keys } })
+        })
+    })
       .then(({ originalData, keys }) => {
         responseCallback(null)
 
@@ -201,13 +390,16 @@ class CRExtensionStorage {
   * @param responseCallback: callback to execute on success
   */
   _handleClear = (evt, [storageType], responseCallback) => {
-    Promise.resolve()
-      .then(() => this._loadData(storageType))
-      .then((data) => {
-        return Promise.resolve()
-          .then(() => this._writeData(storageType, {}))
-          .then(() => { return { originalData: data } })
-      })
+    this._enqueue(storageType, () => {
+      return Promise.resolve()
+        .then(() => this._loadData(storageType))
+        .then((data) => {
+          return Promise.resolve()
+            .then(() => this._writeData(storageType, {}))
+            .then(() => this._touchSyncKeys(storageType, Object.keys(data), true))
+            .then(() => { return { originalData: data } })
+        })
+    })
       .then(({ originalData }) => {
         responseCallback(null)
 
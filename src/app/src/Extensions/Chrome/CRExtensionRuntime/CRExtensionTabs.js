@@ -0,0 +1,313 @@
+import url from 'url'
+import CRDispatchManager from '../CRDispatchManager'
+import CRExtensionTabManager from '../CRExtensionTabManager'
+import CRExtensionWebContents from '../CRExtensionWebContents'
+import ExtensionOptionsWindow from 'windows/ExtensionOptionsWindow'
+import appWindowManager from 'R/appWindowManager'
+import mailboxStore from 'stores/mailboxStore'
+import Resolver from 'Runtime/Resolver'
+import {
+  CR_EXTENSION_PROTOCOL,
+  CR_EXTENSION_BG_PARTITION_PREFIX
+} from 'shared/extensionApis'
+import {
+  CRX_TABS_GET_,
+  CRX_TABS_QUERY_,
+  CRX_TABS_CREATE_,
+  CRX_TABS_UPDATE_,
+  CRX_TABS_REMOVE_,
+  CRX_TABS_UPDATED_,
+  CRX_TABS_ACTIVATED_,
+  CRX_TABS_REMOVED_
+} from 'shared/crExtensionIpcEvents'
+
+const PRIVILEGED_TAB_KEYS = ['url', 'title', 'favIconUrl']
+
+class CRExtensionTabs {
+  /* ****************************************************************************/
+  // Lifecycle
+  /* ****************************************************************************/
+
+  constructor (extension) {
+    this.extension = extension
+
+    CRDispatchManager.registerHandler(`${CRX_TABS_GET_}${this.extension.id}`, this.handleGetTab)
+    CRDispatchManager.registerHandler(`${CRX_TABS_QUERY_}${this.extension.id}`, this.handleQueryTabs)
+    CRDispatchManager.registerHandler(`${CRX_TABS_CREATE_}${this.extension.id}`, this.handleCreateTab)
+    CRDispatchManager.registerHandler(`${CRX_TABS_UPDATE_}${this.extension.id}`, this.handleUpdateTab)
+    CRDispatchManager.registerHandler(`${CRX_TABS_REMOVE_}${this.extension.id}`, this.handleRemoveTabs)
+    CRExtensionTabManager.on('updated', this.handleTabUpdated)
+    CRExtensionTabManager.on('activated', this.handleTabActivated)
+    CRExtensionTabManager.on('removed', this.handleTabRemoved)
+  }
+
+  destroy () {
+    CRDispatchManager.unregisterHandler(`${CRX_TABS_GET_}${this.extension.id}`, this.handleGetTab)
+    CRDispatchManager.unregisterHandler(`${CRX_TABS_QUERY_}${this.extension.id}`, this.handleQueryTabs)
+    CRDispatchManager.unregisterHandler(`${CRX_TABS_CREATE_}${this.extension.id}`, this.handleCreateTab)
+    CRDispatchManager.unregisterHandler(`${CRX_TABS_UPDATE_}${this.extension.id}`, this.handleUpdateTab)
+    CRDispatchManager.unregisterHandler(`${CRX_TABS_REMOVE_}${this.extension.id}`, this.handleRemoveTabs)
+    CRExtensionTabManager.removeListener('updated', this.handleTabUpdated)
+    CRExtensionTabManager.removeListener('activated', this.handleTabActivated)
+    CRExtensionTabManager.removeListener('removed', this.handleTabRemoved)
+  }
+
+  /* ****************************************************************************/
+  // Properties
+  /* ****************************************************************************/
+
+  get hasTabsPermission () { return this.extension.manifest.permissions.has('tabs') }
+
+  /* ****************************************************************************/
+  // Utils
+  /* ****************************************************************************/
+
+  /**
+  * Removes the fields the extension isn't allowed to see from a tab
+  * @param tab: the tab to sanitize
+  * @return the sanitized tab
+  */
+  sanitizeTab (tab) {
+    if (!tab || this.hasTabsPermission) { return tab }
+    return Object.keys(tab).reduce((acc, k) => {
+      if (PRIVILEGED_TAB_KEYS.indexOf(k) === -1) {
+        acc[k] = tab[k]
+      }
+      return acc
+    }, {})
+  }
+
+  /**
+  * Resolves a url relative to the extension
+  * @param targetUrl: the url to resolve
+  * @return the fully qualified url
+  */
+  resolveUrl (targetUrl) {
+    return url.resolve(`${CR_EXTENSION_PROTOCOL}://${this.extension.id}/`, targetUrl)
+  }
+
+  /**
+  * Gets the tab that an action should apply to when the extension doesn't provide one
+  * @param sender: the webcontents that made the call
+  * @return the id of the tab or undefined
+  */
+  getDefaultTabId (sender) {
+    if (CRExtensionTabManager.getTab(sender.id)) { return sender.id }
+    return CRExtensionTabManager.getActiveMailboxTabId()
+  }
+
+  /* ****************************************************************************/
+  // Handlers: Getters
+  /* ****************************************************************************/
+
+  /**
+  * Gets a tab
+  * @param evt: the event that fired
+  * @param [tabId]: the id of the tab or null for the senders tab
+  * @param responseCallback: executed on completion
+  */
+  handleGetTab = (evt, [tabId], responseCallback) => {
+    // A null id is the sender asking for its own tab
+    const targetTabId = tabId === null ? evt.sender.id : tabId
+    const tab = CRExtensionTabManager.getTab(targetTabId)
+    if (tab) {
+      responseCallback(null, this.sanitizeTab(tab))
+    } else {
+      responseCallback(new Error(`No tab with id: ${targetTabId}`))
+    }
+  }
+
+  /**
+  * Queries the tabs
+  * @param evt: the event that fired
+  * @param [queryInfo]: the query to run
+  * @param responseCallback: executed on completion
+  */
+  handleQueryTabs = (evt, [queryInfo], responseCallback) => {
+    const safeQueryInfo = Object.assign({}, queryInfo)
+    if (!this.hasTabsPermission) {
+      delete safeQueryInfo.url
+      delete safeQueryInfo.title
+    }
+
+    const currentWindowId = CRExtensionTabManager.getWindowIdForWebContents(evt.sender)
+    const tabs = CRExtensionTabManager.queryTabs(safeQueryInfo, currentWindowId)
+    responseCallback(null, tabs.map((tab) => this.sanitizeTab(tab)))
+  }
+
+  /* ****************************************************************************/
+  // Handlers: Modifiers
+  /* ****************************************************************************/
+
+  /**
+  * Opens one of the extensions pages in its own window
+  * @param targetUrl: the url to open
+  * @return the id of the new tab
+  */
+  _openExtensionPage (targetUrl) {
+    const extensionWindow = new ExtensionOptionsWindow()
+    appWindowManager.addContentWindow(extensionWindow)
+    extensionWindow.create(targetUrl, {
+      useContentSize: true,
+      title: this.extension.manifest.name,
+      webPreferences: {
+        nodeIntegration: false,
+        preload: Resolver.guestPreload('crextensionOptionsTooling.js'),
+        partition: `${CR_EXTENSION_BG_PARTITION_PREFIX}${this.extension.id}`
+      }
+    })
+    return extensionWindow.window.webContents.id
+  }
+
+  /**
+  * Creates a new tab
+  * @param evt: the event that fired
+  * @param [createProperties]: the properties to create the tab with
+  * @param responseCallback: executed on completion
+  */
+  handleCreateTab = (evt, [createProperties], responseCallback) => {
+    if (!createProperties.url) {
+      responseCallback(new Error('Wavebox does not support opening blank tabs'))
+      return
+    }
+
+    const targetUrl = this.resolveUrl(createProperties.url)
+    if (CRExtensionWebContents.isExtensionUrl(this.extension.id, targetUrl)) {
+      const tabId = this._openExtensionPage(targetUrl)
+      responseCallback(null, this.sanitizeTab(CRExtensionTabManager.getTab(tabId)))
+      return
+    }
+
+    if (!this.isPermittedTabUrl(targetUrl)) {
+      responseCallback(new Error(`Cannot open a tab with url: "${targetUrl}"`))
+      return
+    }
+
+    // Open in the same account as the opener, or the active account if there isn't one
+    const openerTabId = createProperties.openerTabId !== undefined
+      ? createProperties.openerTabId
+      : (CRExtensionTabManager.getTab(evt.sender.id) ? evt.sender.id : undefined)
+    let partition = openerTabId !== undefined ? CRExtensionTabManager.getPartitionForTab(openerTabId) : undefined
+    if (!partition) {
+      const activeMailbox = mailboxStore.getActiveMailbox()
+      partition = activeMailbox ? 'persist:' + activeMailbox.partition : undefined
+    }
+
+    CRExtensionTabManager.createTab(targetUrl, partition, openerTabId)
+      .then((tabId) => {
+        responseCallback(null, this.sanitizeTab(CRExtensionTabManager.getTab(tabId)))
+      })
+      .catch((err) => {
+        responseCallback(err)
+      })
+  }
+
+  /**
+  * Checks if a url can be loaded in a tab. Only http(s) urls and the pages of
+  * this extension are allowed
+  * @param targetUrl: the resolved url to check
+  * @return true if the url can be loaded
+  */
+  isPermittedTabUrl (targetUrl) {
+    if (CRExtensionWebContents.isExtensionUrl(this.extension.id, targetUrl)) { return true }
+    const protocol = url.parse(targetUrl).protocol
+    return protocol === 'http:' || protocol === 'https:'
+  }
+
+  /**
+  * Checks that the extension is allowed to navigate a tab. Tabs can only be sent to
+  * http(s) urls or the pages of this extension, and the extension needs host
+  * permissions for both the current and target urls
+  * @param tabId: the id of the tab
+  * @param targetUrl: the resolved url to navigate to
+  * @return an error if the navigation isn't allowed, undefined otherwise
+  */
+  validateTabNavigation (tabId, targetUrl) {
+    const tab = CRExtensionTabManager.getTab(tabId)
+    if (!tab) { return new Error(`No tab with id: ${tabId}`) }
+
+    const isOwnUrl = (testUrl) => CRExtensionWebContents.isExtensionUrl(this.extension.id, testUrl)
+    if (!this.isPermittedTabUrl(targetUrl)) {
+      return new Error(`Cannot navigate a tab to url: "${targetUrl}"`)
+    }
+    if (!isOwnUrl(tab.url) && !this.extension.manifest.hasHostPermission(tab.url)) {
+      return new Error(`No host permissions for tab url: "${tab.url}"`)
+    }
+    if (!isOwnUrl(targetUrl) && !this.extension.manifest.hasHostPermission(targetUrl)) {
+      return new Error(`No host permissions for url: "${targetUrl}"`)
+    }
+    return undefined
+  }
+
+  /**
+  * Updates a tab
+  * @param evt: the event that fired
+  * @param [tabId, updateProperties]: the id of the tab and the properties to update
+  * @param responseCallback: executed on completion
+  */
+  handleUpdateTab = (evt, [tabId, updateProperties], responseCallback) => {
+    const targetTabId = tabId !== undefined && tabId !== null ? tabId : this.getDefaultTabId(evt.sender)
+    const properties = Object.assign({}, updateProperties)
+    if (typeof (properties.url) === 'string') {
+      properties.url = this.resolveUrl(properties.url)
+      const navigationError = this.validateTabNavigation(targetTabId, properties.url)
+      if (navigationError) {
+        responseCallback(navigationError)
+        return
+      }
+    }
+
+    if (CRExtensionTabManager.updateTab(targetTabId, properties)) {
+      responseCallback(null, this.sanitizeTab(CRExtensionTabManager.getTab(targetTabId)))
+    } else {
+      responseCallback(new Error(`No tab with id: ${targetTabId}`))
+    }
+  }
+
+  /**
+  * Removes one or more tabs
+  * @param evt: the event that fired
+  * @param [tabIds]: the ids of the tabs to remove
+  * @param responseCallback: executed on completion
+  */
+  handleRemoveTabs = (evt, [tabIds], responseCallback) => {
+    Promise.all(tabIds.map((tabId) => CRExtensionTabManager.removeTab(tabId)))
+      .then(() => responseCallback(null, undefined))
+      .catch((err) => responseCallback(err))
+  }
+
+  /* ****************************************************************************/
+  // Handlers: Tab events
+  /* ****************************************************************************/
+
+  /**
+  * Passes a tab update to the extension
+  * @param tabId: the id of the tab
+  * @param changeInfo: the changes that happened
+  * @param tab: the updated tab
+  */
+  handleTabUpdated = (tabId, changeInfo, tab) => {
+    const safeChangeInfo = this.sanitizeTab(changeInfo)
+    if (Object.keys(safeChangeInfo).length === 0) { return }
+    CRExtensionWebContents.sendToExtensionPages(this.extension.id, `${CRX_TABS_UPDATED_}${this.extension.id}`, tabId, safeChangeInfo, this.sanitizeTab(tab))
+  }
+
+  /**
+  * Passes a tab activation to the extension
+  * @param activeInfo: the info about the activation
+  */
+  handleTabActivated = (activeInfo) => {
+    CRExtensionWebContents.sendToExtensionPages(this.extension.id, `${CRX_TABS_ACTIVATED_}${this.extension.id}`, activeInfo)
+  }
+
+  /**
+  * Passes a tab removal to the extension
+  * @param tabId: the id of the tab
+  * @param removeInfo: the info about the removal
+  */
+  handleTabRemoved = (tabId, removeInfo) => {
+    CRExtensionWebContents.sendToExtensionPages(this.extension.id, `${CRX_TABS_REMOVED_}${this.extension.id}`, tabId, removeInfo)
+  }
+}
+
+export default CRExtensionTabs
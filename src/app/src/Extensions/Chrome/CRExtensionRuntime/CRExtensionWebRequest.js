@@ -0,0 +1,382 @@
+import url from 'url'
+import CRDispatchManager from '../CRDispatchManager'
+import CRExtensionSessionManager from '../CRExtensionSessionManager'
+import settingStore from 'stores/settingStore'
+import { CRExtensionMatchPatterns } from 'shared/Models/CRExtension'
+import {
+  CRX_WEB_REQUEST_ADD_LISTENER_,
+  CRX_WEB_REQUEST_REMOVE_LISTENER_,
+  CRX_WEB_REQUEST_EVENT_,
+  CRX_WEB_REQUEST_BLOCKING_EVENT_
+} from 'shared/crExtensionIpcEvents'
+
+const BLOCKING_RESPONSE_TIMEOUT = 5000
+const RESOURCE_TYPES = {
+  mainFrame: 'main_frame',
+  subFrame: 'sub_frame',
+  stylesheet: 'stylesheet',
+  script: 'script',
+  image: 'image',
+  object: 'object',
+  xhr: 'xmlhttprequest',
+  other: 'other'
+}
+
+class CRExtensionWebRequest {
+  /* ****************************************************************************/
+  // Lifecycle
+  /* ****************************************************************************/
+
+  constructor (extension) {
+    this.extension = extension
+    this.listeners = new Map()
+
+    // Electron hooks are shared between extensions, so bind a handler for each event
+    this.blockingHandlers = CRExtensionSessionManager.BLOCKING_EVENTS.reduce((acc, eventName) => {
+      acc[eventName] = (details, partition, callback) => this.dispatchBlockingEvent(eventName, details, partition, callback)
+      return acc
+    }, {})
+    this.observerHandlers = CRExtensionSessionManager.OBSERVER_EVENTS.reduce((acc, eventName) => {
+      acc[eventName] = (details, partition) => this.dispatchObserverEvent(eventName, details, partition)
+      return acc
+    }, {})
+
+    CRDispatchManager.registerHandler(`${CRX_WEB_REQUEST_ADD_LISTENER_}${this.extension.id}`, this.handleAddListener)
+    CRDispatchManager.registerHandler(`${CRX_WEB_REQUEST_REMOVE_LISTENER_}${this.extension.id}`, this.handleRemoveListener)
+    CRExtensionSessionManager.BLOCKING_EVENTS.forEach((eventName) => {
+      CRExtensionSessionManager.addBlockingHandler(eventName, this.blockingHandlers[eventName])
+    })
+    CRExtensionSessionManager.OBSERVER_EVENTS.forEach((eventName) => {
+      CRExtensionSessionManager.on(eventName, this.observerHandlers[eventName])
+    })
+  }
+
+  destroy () {
+    CRDispatchManager.unregisterHandler(`${CRX_WEB_REQUEST_ADD_LISTENER_}${this.extension.id}`, this.handleAddListener)
+    CRDispatchManager.unregisterHandler(`${CRX_WEB_REQUEST_REMOVE_LISTENER_}${this.extension.id}`, this.handleRemoveListener)
+    CRExtensionSessionManager.BLOCKING_EVENTS.forEach((eventName) => {
+      CRExtensionSessionManager.removeBlockingHandler(eventName, this.blockingHandlers[eventName])
+    })
+    CRExtensionSessionManager.OBSERVER_EVENTS.forEach((eventName) => {
+      CRExtensionSessionManager.removeListener(eventName, this.observerHandlers[eventName])
+    })
+    this.listeners.clear()
+  }
+
+  /* ****************************************************************************/
+  // Properties
+  /* ****************************************************************************/
+
+  get hasWebRequestPermission () { return this.extension.manifest.permissions.has('webRequest') }
+  get hasWebRequestBlockingPermission () { return this.extension.manifest.permissions.has('webRequestBlocking') }
+
+  /* ****************************************************************************/
+  // Conversion
+  /* ****************************************************************************/
+
+  /**
+  * Converts electron headers to chrome headers
+  * @param headers: the electron headers object
+  * @return an array of chrome headers
+  */
+  convertHeadersToChrome (headers) {
+    return Object.keys(headers).reduce((acc, name) => {
+      const values = Array.isArray(headers[name]) ? headers[name] : [headers[name]]
+      return acc.concat(values.map((value) => ({ name: name, value: value })))
+    }, [])
+  }
+
+  /**
+  * Converts chrome request headers to electron request headers
+  * @param headers: the chrome headers array
+  * @return the electron headers object
+  */
+  convertRequestHeadersToElectron (headers) {
+    return headers.reduce((acc, header) => {
+      acc[header.name] = header.value
+      return acc
+    }, {})
+  }
+
+  /**
+  * Converts chrome response headers to electron response headers
+  * @param headers: the chrome headers array
+  * @return the electron headers object
+  */
+  convertResponseHeadersToElectron (headers) {
+    return headers.reduce((acc, header) => {
+      acc[header.name] = (acc[header.name] || []).concat(header.value)
+      return acc
+    }, {})
+  }
+
+  /**
+  * Converts the electron details to chrome details
+  * @param details: the electron request details
+  * @param extraInfoSpec: the extra info the listener asked for
+  * @return the chrome details
+  */
+  convertDetails (details, extraInfoSpec) {
+    const type = RESOURCE_TYPES[details.resourceType] || RESOURCE_TYPES.other
+    const chromeDetails = {
+      requestId: `${details.id}`,
+      url: details.url,
+      method: details.method,
+      frameId: 0,
+      parentFrameId: type === RESOURCE_TYPES.mainFrame ? -1 : 0,
+      tabId: details.webContentsId !== undefined ? details.webContentsId : -1,
+      type: type,
+      timeStamp: details.timestamp,
+      statusCode: details.statusCode,
+      statusLine: details.statusLine,
+      ip: details.ip,
+      fromCache: details.fromCache,
+      redirectUrl: details.redirectURL,
+      error: details.error
+    }
+    if (details.requestHeaders && extraInfoSpec.indexOf('requestHeaders') !== -1) {
+      chromeDetails.requestHeaders = this.convertHeadersToChrome(details.requestHeaders)
+    }
+    if (details.responseHeaders && extraInfoSpec.indexOf('responseHeaders') !== -1) {
+      chromeDetails.responseHeaders = this.convertHeadersToChrome(details.responseHeaders)
+    }
+
+    return Object.keys(chromeDetails).reduce((acc, k) => {
+      if (chromeDetails[k] !== undefined) { acc[k] = chromeDetails[k] }
+      return acc
+    }, {})
+  }
+
+  /**
+  * Converts a chrome blocking response to an electron response
+  * @param response: the chrome blocking response
+  * @return the electron response
+  */
+  convertBlockingResponse (response) {
+    if (!response) { return undefined }
+    const electronResponse = {}
+    if (response.cancel) { electronResponse.cancel = true }
+    if (response.redirectUrl) { electronResponse.redirectURL = response.redirectUrl }
+    if (Array.isArray(response.requestHeaders)) {
+      electronResponse.requestHeaders = this.convertRequestHeadersToElectron(response.requestHeaders)
+    }
+    if (Array.isArray(response.responseHeaders)) {
+      electronResponse.responseHeaders = this.convertResponseHeadersToElectron(response.responseHeaders)
+    }
+    return electronResponse
+  }
+
+  /* ****************************************************************************/
+  // Matching
+  /* ****************************************************************************/
+
+  /**
+  * Checks to see if the extension is allowed to see a request
+  * @param details: the electron request details
+  * @param partition: the partition the request is in
+  * @return true if the extension can see the request
+  */
+  canAccessRequest (details, partition) {
+    if (!this.hasWebRequestPermission) { return false }
+    if (!this.extension.manifest.hasHostPermission(details.url)) { return false }
+
+    const mailboxId = CRExtensionSessionManager.getMailboxIdForPartition(partition)
+    if (!mailboxId) { return false }
+    return settingStore.extension.isAccountAllowedForExtension(this.extension.id, mailboxId)
+  }
+
+  /**
+  * Checks to see if a listener filter matches a request
+  * @param filter: the filter provided with the listener
+  * @param details: the electron request details
+  * @return true if the filter matches
+  */
+  filterMatchesRequest (filter, details) {
+    if (Array.isArray(filter.types) && filter.types.length) {
+      const type = RESOURCE_TYPES[details.resourceType] || RESOURCE_TYPES.other
+      if (filter.types.indexOf(type) === -1) { return false }
+    }
+    if (Array.isArray(filter.urls) && filter.urls.length) {
+      const purl = url.parse(details.url)
+      const matched = filter.urls.find((pattern) => CRExtensionMatchPatterns.match(purl.protocol, purl.hostname, purl.pathname, pattern))
+      if (!matched) { return false }
+    }
+    return true
+  }
+
+  /**
+  * Gets the listeners that should be notified about a request
+  * @param eventName: the name of the event
+  * @param details: the electron request details
+  * @param partition: the partition the request is in
+  * @return a list of listeners
+  */
+  getMatchingListeners (eventName, details, partition) {
+    if (this.listeners.size === 0) { return [] }
+    if (!this.canAccessRequest(details, partition)) { return [] }
+
+    return Array.from(this.listeners.values()).filter((listener) => {
+      if (listener.eventName !== eventName) { return false }
+      if (listener.webContents.isDestroyed()) {
+        this.listeners.delete(listener.listenerId)
+        return false
+      }
+      return this.filterMatchesRequest(listener.filter, details)
+    })
+  }
+
+  /* ****************************************************************************/
+  // Dispatching
+  /* ****************************************************************************/
+
+  /**
+  * Sends an event to a listener in the extension
+  * @param listener: the listener to send to
+  * @param details: the electron request details
+  * @param callback=undefined: executed with the blocking response
+  */
+  sendToListener (listener, details, callback = undefined) {
+    const chromeDetails = this.convertDetails(details, listener.extraInfoSpec)
+    if (!callback) {
+      listener.webContents.send(`${CRX_WEB_REQUEST_EVENT_}${this.extension.id}`, listener.listenerId, chromeDetails)
+      return
+    }
+
+    // Don't let a hung extension hold up the request forever
+    let completed = false
+    const timeout = setTimeout(() => {
+      if (completed) { return }
+      completed = true
+      callback(undefined)
+    }, BLOCKING_RESPONSE_TIMEOUT)
+
+    CRDispatchManager.requestOnTarget(
+      listener.webContents,
+      `${CRX_WEB_REQUEST_BLOCKING_EVENT_}${this.extension.id}`,
+      [listener.listenerId, chromeDetails],
+      (evt, err, response) => {
+        if (completed) { return }
+        completed = true
+        clearTimeout(timeout)
+        callback(err ? undefined : this.convertBlockingResponse(response))
+      }
+    )
+  }
+
+  /**
+  * Dispatches a blocking event to the listeners. Listeners that didn't ask to
+  * block are sent the event without waiting
+  * @param eventName: the name of the event
+  * @param details: the electron request details
+  * @param partition: the partition the request is in
+  * @param callback: executed with the combined blocking response
+  */
+  dispatchBlockingEvent (eventName, details, partition, callback) {
+    const listeners = this.getMatchingListeners(eventName, details, partition)
+    const blockingListeners = listeners.filter((listener) => {
+      if (listener.extraInfoSpec.indexOf('blocking') === -1) {
+        this.sendToListener(listener, details)
+        return false
+      }
+      return true
+    })
+    if (blockingListeners.length === 0) {
+      callback(undefined)
+      return
+    }
+
+    const response = {}
+    const currentDetails = Object.assign({}, details)
+    const next = (index) => {
+      if (index >= blockingListeners.length) {
+        callback(response)
+        return
+      }
+
+      this.sendToListener(blockingListeners[index], currentDetails, (listenerResponse) => {
+        if (listenerResponse) {
+          if (listenerResponse.cancel || listenerResponse.redirectURL) {
+            callback(listenerResponse)
+            return
+          }
+          if (listenerResponse.requestHeaders) {
+            response.requestHeaders = listenerResponse.requestHeaders
+            currentDetails.requestHeaders = listenerResponse.requestHeaders
+          }
+          if (listenerResponse.responseHeaders) {
+            response.responseHeaders = listenerResponse.responseHeaders
+            currentDetails.responseHeaders = listenerResponse.responseHeaders
+          }
+        }
+        next(index + 1)
+      })
+    }
+    next(0)
+  }
+
+  /**
+  * Dispatches an observer event to the listeners
+  * @param eventName: the name of the event
+  * @param details: the electron request details
+  * @param partition: the partition the request is in
+  */
+  dispatchObserverEvent (eventName, details, partition) {
+    this.getMatchingListeners(eventName, details, partition).forEach((listener) => {
+      this.sendToListener(listener, details)
+    })
+  }
+
+  /* ****************************************************************************/
+  // Handlers
+  /* ****************************************************************************/
+
+  /**
+  * Adds a listener for an event
+  * @param evt: the event that fired
+  * @param [eventName, listenerId, filter, extraInfoSpec]: the listener info
+  * @param responseCallback: executed on completion
+  */
+  handleAddListener = (evt, [eventName, listenerId, filter, extraInfoSpec], responseCallback) => {
+    if (!this.hasWebRequestPermission) {
+      responseCallback(new Error('Extension does not have the webRequest permission'))
+      return
+    }
+    const isKnownEvent = CRExtensionSessionManager.BLOCKING_EVENTS.indexOf(eventName) !== -1 ||
+      CRExtensionSessionManager.OBSERVER_EVENTS.indexOf(eventName) !== -1
+    if (!isKnownEvent) {
+      responseCallback(new Error(`Unsupported webRequest event: ${eventName}`))
+      return
+    }
+
+    const safeExtraInfoSpec = (extraInfoSpec || []).filter((spec) => {
+      if (spec !== 'blocking') { return true }
+      if (!this.hasWebRequestBlockingPermission) {
+        console.warn(`Extension ${this.extension.id} requested blocking webRequest without the webRequestBlocking permission`)
+        return false
+      }
+      return CRExtensionSessionManager.BLOCKING_EVENTS.indexOf(eventName) !== -1
+    })
+
+    this.listeners.set(listenerId, {
+      listenerId: listenerId,
+      eventName: eventName,
+      filter: filter || {},
+      extraInfoSpec: safeExtraInfoSpec,
+      webContents: evt.sender
+    })
+    responseCallback(null, undefined)
+  }
+
+  /**
+  * Removes a listener
+  * @param evt: the event that fired
+  * @param [listenerId]: the id of the listener
+  * @param responseCallback: executed on completion
+  */
+  handleRemoveListener = (evt, [listenerId], responseCallback) => {
+    this.listeners.delete(listenerId)
+    responseCallback(null, undefined)
+  }
+}
+
+export default CRExtensionWebRequest
@@ -0,0 +1,173 @@
+import { EventEmitter } from 'events'
+import mailboxStore from 'stores/mailboxStore'
+
+const BLOCKING_EVENTS = Object.freeze([
+  'onBeforeRequest',
+  'onBeforeSendHeaders',
+  'onHeadersReceived'
+])
+const OBSERVER_EVENTS = Object.freeze([
+  'onSendHeaders',
+  'onResponseStarted',
+  'onBeforeRedirect',
+  'onCompleted',
+  'onErrorOccurred'
+])
+
+class CRExtensionSessionManager extends EventEmitter {
+  /* ****************************************************************************/
+  // Lifecycle
+  /* ****************************************************************************/
+
+  constructor () {
+    super()
+    this.setMaxListeners(100)
+    this.sessions = new Map()
+    this.blockingHandlers = BLOCKING_EVENTS.reduce((acc, eventName) => {
+      acc.set(eventName, new Set())
+      return acc
+    }, new Map())
+  }
+
+  /* ****************************************************************************/
+  // Properties
+  /* ****************************************************************************/
+
+  get BLOCKING_EVENTS () { return BLOCKING_EVENTS }
+  get OBSERVER_EVENTS () { return OBSERVER_EVENTS }
+
+  /* ****************************************************************************/
+  // Session management
+  /* ****************************************************************************/
+
+  /**
+  * Starts managing an account session. Electron only allows one listener for each
+  * webRequest event, so all the listeners are multiplexed from here
+  * @param ses: the session to manage
+  * @param partition: the partition the session is for
+  */
+  startManagingSession (ses, partition) {
+    if (this.sessions.has(partition)) { return }
+    this.sessions.set(partition, ses)
+
+    BLOCKING_EVENTS.forEach((eventName) => {
+      ses.webRequest[eventName]((details, responder) => {
+        this._runBlockingHandlers(eventName, details, partition, responder)
+      })
+    })
+    OBSERVER_EVENTS.forEach((eventName) => {
+      ses.webRequest[eventName]((details) => {
+        this.emit(eventName, details, partition)
+      })
+    })
+    ses.cookies.on('changed', (evt, cookie, cause, removed) => {
+      this.emit('cookieChanged', partition, cookie, cause, removed)
+    })
+  }
+
+  /**
+  * @return a list of all the managed partitions
+  */
+  getManagedPartitions () {
+    return Array.from(this.sessions.keys())
+  }
+
+  /**
+  * @param partition: the partition to get the session for
+  * @return the session or undefined if it's not managed
+  */
+  getSession (partition) {
+    return this.sessions.get(partition)
+  }
+
+  /**
+  * @param partition: the partition to get the mailbox id for
+  * @return the id of the mailbox that owns the partition or undefined
+  */
+  getMailboxIdForPartition (partition) {
+    const mailbox = mailboxStore.getMailbox((partition || '').replace('persist:', ''))
+    return mailbox ? mailbox.id : undefined
+  }
+
+  /**
+  * @param mailboxId: the id of the mailbox
+  * @return the managed partition for the mailbox or undefined
+  */
+  getPartitionForMailboxId (mailboxId) {
+    return this.getManagedPartitions().find((partition) => {
+      return this.getMailboxIdForPartition(partition) === mailboxId
+    })
+  }
+
+  /* ****************************************************************************/
+  // Blocking handlers
+  /* ****************************************************************************/
+
+  /**
+  * Adds a handler for a blocking event. Handlers are called in series and each
+  * one sees the changes made by the previous ones
+  * @param eventName: the name of the event
+  * @param handler: the handler to call with (details, partition, callback)
+  */
+  addBlockingHandler (eventName, handler) {
+    this.blockingHandlers.get(eventName).add(handler)
+  }
+
+  /**
+  * Removes a handler for a blocking event
+  * @param eventName: the name of the event
+  * @param handler: the handler to remove
+  */
+  removeBlockingHandler (eventName, handler) {
+    this.blockingHandlers.get(eventName).delete(handler)
+  }
+
+  /**
+  * Runs the blocking handlers for an event
+  * @param eventName: the name of the event
+  * @param details: the request details
+  * @param partition: the partition the request is in
+  * @param responder: the electron callback to execute with the result
+  */
+  _runBlockingHandlers (eventName, details, partition, responder) {
+    const handlers = Array.from(this.blockingHandlers.get(eventName))
+    if (handlers.length === 0) {
+      responder({})
+      return
+    }
+
+    const response = {}
+    const currentDetails = Object.assign({}, details)
+    const next = (index) => {
+      if (index >= handlers.length) {
+        responder(response)
+        return
+      }
+
+      handlers[index](currentDetails, partition, (handlerResponse) => {
+        if (handlerResponse) {
+          if (handlerResponse.cancel) {
+            responder({ cancel: true })
+            return
+          }
+          if (handlerResponse.redirectURL) {
+            responder({ redirectURL: handlerResponse.redirectURL })
+            return
+          }
+          if (handlerResponse.requestHeaders) {
+            response.requestHeaders = handlerResponse.requestHeaders
+            currentDetails.requestHeaders = handlerResponse.requestHeaders
+          }
+          if (handlerResponse.responseHeaders) {
+            response.responseHeaders = handlerResponse.responseHeaders
+            currentDetails.responseHeaders = handlerResponse.responseHeaders
+          }
+        }
+        next(index + 1)
+      })
+    }
+    next(0)
+  }
+}
+
+export default new CRExtensionSessionManager()
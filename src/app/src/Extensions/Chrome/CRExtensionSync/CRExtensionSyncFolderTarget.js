@@ -0,0 +1,61 @@
+import fs from 'fs-extra'
+import path from 'path'
+
+class CRExtensionSyncFolderTarget {
+  /* ****************************************************************************/
+  // Lifecycle
+  /* ****************************************************************************/
+
+  /**
+  * @param folderPath: the folder to sync into
+  */
+  constructor (folderPath) {
+    this.folderPath = folderPath
+  }
+
+  /* ****************************************************************************/
+  // Utils
+  /* ****************************************************************************/
+
+  /**
+  * @param extensionId: the id of the extension
+  * @return the path to the sync file for the extension
+  */
+  _getFilePath (extensionId) {
+    return path.join(this.folderPath, `${extensionId.replace(/[./\\]/g, '')}.json`)
+  }
+
+  /* ****************************************************************************/
+  // Read & Write
+  /* ****************************************************************************/
+
+  /**
+  * Reads the sync document for an extension
+  * @param extensionId: the id of the extension
+  * @return promise with the document or undefined if there isn't one yet
+  */
+  read (extensionId) {
+    const filePath = this._getFilePath(extensionId)
+    return Promise.resolve()
+      .then(() => fs.pathExists(filePath))
+      .then((exists) => exists ? fs.readJson(filePath) : undefined)
+  }
+
+  /**
+  * Writes the sync document for an extension. The document is written to a temporary
+  * file first so other machines never see a partial write
+  * @param extensionId: the id of the extension
+  * @param doc: the document to write
+  * @return promise
+  */
+  write (extensionId, doc) {
+    const filePath = this._getFilePath(extensionId)
+    const tmpPath = `${filePath}.${process.pid}.tmp`
+    return Promise.resolve()
+      .then(() => fs.ensureDir(this.folderPath))
+      .then(() => fs.writeJson(tmpPath, doc))
+      .then(() => fs.move(tmpPath, filePath, { overwrite: true }))
+  }
+}
+
+export default CRExtensionSyncFolderTarget
@@ -0,0 +1,111 @@
+import { EventEmitter } from 'events'
+import settingStore from 'stores/settingStore'
+import credentialStorage from 'storage/credentialStorage'
+import { CREDENTIAL_KEYS } from 'shared/constants'
+import { ExtensionSettings } from 'shared/Models/Settings'
+import CRExtensionSyncFolderTarget from './CRExtensionSyncFolderTarget'
+import CRExtensionSyncWebDAVTarget from './CRExtensionSyncWebDAVTarget'
+
+const POLL_INTERVAL = 1000 * 60 * 5
+
+class CRExtensionSyncTarget extends EventEmitter {
+  /* ****************************************************************************/
+  // Lifecycle
+  /* ****************************************************************************/
+
+  constructor () {
+    super()
+    this.setMaxListeners(100)
+    this._target = undefined
+    this._configSignature = undefined
+    this._pollInterval = undefined
+
+    this._updateTarget(settingStore.extension)
+    settingStore.on('changed:extension', ({ next }) => {
+      if (this._updateTarget(next)) {
+        this.emit('changed')
+      }
+    })
+    credentialStorage.on('changed:' + CREDENTIAL_KEYS.EXTENSION_SYNC_WEBDAV_PASSWORD, () => {
+      if (this._updateTarget(settingStore.extension)) {
+        this.emit('changed')
+      }
+    })
+  }
+
+  /* ****************************************************************************/
+  // Properties
+  /* ****************************************************************************/
+
+  get isConfigured () { return !!this._target }
+
+  /* ****************************************************************************/
+  // Configuration
+  /* ****************************************************************************/
+
+  /**
+  * Rebuilds the target from the settings
+  * @param extensionSettings: the current extension settings
+  * @return true if the target changed
+  */
+  _updateTarget (extensionSettings) {
+    const webDAVPassword = credentialStorage.getItem(CREDENTIAL_KEYS.EXTENSION_SYNC_WEBDAV_PASSWORD, '')
+    const signature = JSON.stringify([
+      extensionSettings.hasSyncTarget,
+      extensionSettings.syncTargetType,
+      extensionSettings.syncFolderPath,
+      extensionSettings.syncWebDAVUrl,
+      extensionSettings.syncWebDAVUsername,
+      webDAVPassword
+    ])
+    if (signature === this._configSignature) { return false }
+    this._configSignature = signature
+
+    if (!extensionSettings.hasSyncTarget) {
+      this._target = undefined
+    } else if (extensionSettings.syncTargetType === ExtensionSettings.SYNC_TARGET_TYPES.FOLDER) {
+      this._target = new CRExtensionSyncFolderTarget(extensionSettings.syncFolderPath)
+    } else if (extensionSettings.syncTargetType === ExtensionSettings.SYNC_TARGET_TYPES.WEBDAV) {
+      this._target = new CRExtensionSyncWebDAVTarget(
+        extensionSettings.syncWebDAVUrl,
+        extensionSettings.syncWebDAVUsername,
+        webDAVPassword
+      )
+    } else {
+      this._target = undefined
+    }
+
+    // Poll for changes made on other machines
+    clearInterval(this._pollInterval)
+    this._pollInterval = this._target ? setInterval(() => this.emit('poll'), POLL_INTERVAL) : undefined
+
+    return true
+  }
+
+  /* ****************************************************************************/
+  // Read & Write
+  /* ****************************************************************************/
+
+  /**
+  * Reads the sync document for an extension
+  * @param extensionId: the id of the extension
+  * @return promise with the document or undefined if there isn't one
+  */
+  read (extensionId) {
+    if (!this._target) { return Promise.reject(new Error('No sync target configured')) }
+    return this._target.read(extensionId)
+  }
+
+  /**
+  * Writes the sync document for an extension
+  * @param extensionId: the id of the extension
+  * @param doc: the document to write
+  * @return promise
+  */
+  write (extensionId, doc) {
+    if (!this._target) { return Promise.reject(new Error('No sync target configured')) }
+    return this._target.write(extensionId, doc)
+  }
+}
+
+export default new CRExtensionSyncTarget()
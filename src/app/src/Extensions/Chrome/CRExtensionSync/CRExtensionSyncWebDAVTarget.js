@@ -0,0 +1,106 @@
+import { net } from 'electron'
+import url from 'url'
+
+class CRExtensionSyncWebDAVTarget {
+  /* ****************************************************************************/
+  // Lifecycle
+  /* ****************************************************************************/
+
+  /**
+  * @param baseUrl: the url of the webdav collection to sync into
+  * @param username: the username to authenticate with
+  * @param password: the password to authenticate with
+  */
+  constructor (baseUrl, username, password) {
+    this.baseUrl = baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`
+    this.username = username
+    this.password = password
+  }
+
+  /* ****************************************************************************/
+  // Utils
+  /* ****************************************************************************/
+
+  /**
+  * @param extensionId: the id of the extension
+  * @return the url of the sync file for the extension
+  */
+  _getFileUrl (extensionId) {
+    return url.resolve(this.baseUrl, `${encodeURIComponent(extensionId)}.json`)
+  }
+
+  /**
+  * Makes a request to the server
+  * @param method: the http method
+  * @param targetUrl: the url to request
+  * @param body=undefined: the body to send
+  * @return promise with { statusCode, body }
+  */
+  _request (method, targetUrl, body = undefined) {
+    return new Promise((resolve, reject) => {
+      const request = net.request({ method: method, url: targetUrl })
+      if (this.username) {
+        const auth = Buffer.from(`${this.username}:${this.password || ''}`).toString('base64')
+        request.setHeader('Authorization', `Basic ${auth}`)
+      }
+      if (body !== undefined) {
+        request.setHeader('Content-Type', 'application/json')
+      }
+
+      request.on('response', (response) => {
+        const chunks = []
+        response.on('data', (chunk) => chunks.push(chunk))
+        response.on('end', () => {
+          resolve({
+            statusCode: response.statusCode,
+            body: Buffer.concat(chunks).toString('utf8')
+          })
+        })
+      })
+      request.on('error', reject)
+      if (body !== undefined) {
+        request.write(body)
+      }
+      request.end()
+    })
+  }
+
+  /* ****************************************************************************/
+  // Read & Write
+  /* ****************************************************************************/
+
+  /**
+  * Reads the sync document for an extension
+  * @param extensionId: the id of the extension
+  * @return promise with the document or undefined if there isn't one yet
+  */
+  read (extensionId) {
+    return Promise.resolve()
+      .then(() => this._request('GET', this._getFileUrl(extensionId)))
+      .then(({ statusCode, body }) => {
+        if (statusCode === 404) { return undefined }
+        if (statusCode < 200 || statusCode >= 300) {
+          return Promise.reject(new Error(`WebDAV read failed with status ${statusCode}`))
+        }
+        return JSON.parse(body)
+      })
+  }
+
+  /**
+  * Writes the sync document for an extension
+  * @param extensionId: the id of the extension
+  * @param doc: the document to write
+  * @return promise
+  */
+  write (extensionId, doc) {
+    return Promise.resolve()
+      .then(() => this._request('PUT', this._getFileUrl(extensionId), JSON.stringify(doc)))
+      .then(({ statusCode }) => {
+        if (statusCode < 200 || statusCode >= 300) {
+          return Promise.reject(new Error(`WebDAV write failed with status ${statusCode}`))
+        }
+      })
+  }
+}
+
+export default CRExtensionSyncWebDAVTarget
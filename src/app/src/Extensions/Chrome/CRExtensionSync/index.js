@@ -0,0 +1,2 @@
+import CRExtensionSyncTarget from './CRExtensionSyncTarget'
+export default CRExtensionSyncTarget
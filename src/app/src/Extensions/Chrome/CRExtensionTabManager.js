@@ -0,0 +1,465 @@
+import { app, webContents } from 'electron'
+import { EventEmitter } from 'events'
+import url from 'url'
+import appWindowManager from 'R/appWindowManager'
+import mailboxStore from 'stores/mailboxStore'
+import ContentWindow from 'windows/ContentWindow'
+import CoreService from 'shared/Models/Accounts/CoreService'
+import { CRExtensionMatchPatterns } from 'shared/Models/CRExtension'
+
+const TAB_STATUS = Object.freeze({
+  LOADING: 'loading',
+  COMPLETE: 'complete'
+})
+
+/**
+* Maps the mailbox webviews and content windows onto the chrome tab model. Tab
+* ids are the ids of the underlying webcontents so they're stable for the lifetime
+* of the page and can be passed straight to webContents.fromId
+*/
+class CRExtensionTabManager extends EventEmitter {
+  /* ****************************************************************************/
+  // Lifecycle
+  /* ****************************************************************************/
+
+  constructor () {
+    super()
+    this.favicons = new Map()
+    this.knownTabWindowIds = new Map()
+    this.activeMailboxTabId = undefined
+    this.lastFocusedWindowId = undefined
+
+    app.on('web-contents-created', this._handleWebContentsCreated)
+    app.on('browser-window-focus', this._handleBrowserWindowFocused)
+    mailboxStore.on('changed', this._handleMailboxesChanged)
+  }
+
+  /* ****************************************************************************/
+  // Windows
+  /* ****************************************************************************/
+
+  /**
+  * Lists all the windows that contain tabs along with the webcontents that make up the tabs
+  * @return a list of { waveboxWindow, tabContents }
+  */
+  _listWindowTabContents () {
+    const windows = []
+
+    const mailboxesWindow = appWindowManager.mailboxesWindow
+    if (mailboxesWindow && mailboxesWindow.window && !mailboxesWindow.window.isDestroyed()) {
+      windows.push({
+        waveboxWindow: mailboxesWindow,
+        tabContents: Array.from(mailboxesWindow.attachedMailboxes.keys())
+          .map((webContentsId) => webContents.fromId(webContentsId))
+          .filter((wc) => wc && !wc.isDestroyed())
+      })
+    }
+
+    appWindowManager.contentWindows.forEach((contentWindow) => {
+      if (!contentWindow.window || contentWindow.window.isDestroyed()) { return }
+
+      if (contentWindow instanceof ContentWindow) {
+        // Content windows host the page in a webview
+        const hostContents = contentWindow.window.webContents
+        windows.push({
+          waveboxWindow: contentWindow,
+          tabContents: webContents.getAllWebContents().filter((wc) => {
+            return !wc.isDestroyed() && wc.getType() === 'webview' && wc.hostWebContents === hostContents
+          })
+        })
+      } else {
+        windows.push({
+          waveboxWindow: contentWindow,
+          tabContents: [contentWindow.window.webContents]
+        })
+      }
+    })
+
+    return windows
+  }
+
+  /**
+  * Finds the window that contains a tab
+  * @param tabId: the id of the tab
+  * @return { waveboxWindow, tabContents, index } or undefined if the tab isn't known
+  */
+  _findTabWindow (tabId) {
+    for (const windowInfo of this._listWindowTabContents()) {
+      const index = windowInfo.tabContents.findIndex((wc) => wc.id === tabId)
+      if (index !== -1) {
+        return Object.assign({ index: index }, windowInfo)
+      }
+    }
+    return undefined
+  }
+
+  /**
+  * @return the id of the window that last had focus
+  */
+  getLastFocusedWindowId () {
+    const focused = appWindowManager.mailboxesWindow ? appWindowManager.focused() : undefined
+    if (focused && focused.window && !focused.window.isDestroyed()) {
+      return focused.window.id
+    }
+    return this.lastFocusedWindowId
+  }
+
+  /* ****************************************************************************/
+  // Mailbox tabs
+  /* ****************************************************************************/
+
+  /**
+  * @param tabId: the id of the tab
+  * @return the attached mailbox info { mailboxId, serviceType } if the tab is a mailbox tab
+  */
+  getMailboxInfoForTab (tabId) {
+    const mailboxesWindow = appWindowManager.mailboxesWindow
+    if (!mailboxesWindow) { return undefined }
+    return mailboxesWindow.attachedMailboxes.get(tabId)
+  }
+
+  /**
+  * @return the id of the tab that's showing the active mailbox or undefined
+  */
+  getActiveMailboxTabId () {
+    const mailboxesWindow = appWindowManager.mailboxesWindow
+    if (!mailboxesWindow) { return undefined }
+
+    const activeMailboxId = mailboxStore.getActiveMailboxId()
+    const activeServiceType = mailboxStore.getActiveServiceType() || CoreService.SERVICE_TYPES.DEFAULT
+
+    // Webviews can be re-attached, so take the latest live one
+    let activeTabId
+    mailboxesWindow.attachedMailboxes.forEach(({ mailboxId, serviceType }, webContentsId) => {
+      if (mailboxId === activeMailboxId && serviceType === activeServiceType) {
+        const wc = webContents.fromId(webContentsId)
+        if (wc && !wc.isDestroyed()) {
+          activeTabId = webContentsId
+        }
+      }
+    })
+    return activeTabId
+  }
+
+  /**
+  * Gets the partition a tab is running in
+  * @param tabId: the id of the tab
+  * @return the partition or undefined
+  */
+  getPartitionForTab (tabId) {
+    const mailboxInfo = this.getMailboxInfoForTab(tabId)
+    if (mailboxInfo) {
+      const mailbox = mailboxStore.getMailbox(mailboxInfo.mailboxId)
+      return mailbox ? 'persist:' + mailbox.partition : undefined
+    }
+
+    const tabWindow = this._findTabWindow(tabId)
+    if (tabWindow && tabWindow.waveboxWindow.launchInfo) {
+      return tabWindow.waveboxWindow.launchInfo.partition
+    }
+    return undefined
+  }
+
+  /**
+  * Gets the owner id that windows opened from a tab should use
+  * @param tabId: the id of the tab
+  * @return the owner id in the format mailboxId:serviceType or undefined
+  */
+  getOwnerIdForTab (tabId) {
+    const mailboxInfo = this.getMailboxInfoForTab(tabId)
+    if (mailboxInfo) {
+      return `${mailboxInfo.mailboxId}:${mailboxInfo.serviceType}`
+    }
+
+    const tabWindow = this._findTabWindow(tabId)
+    if (tabWindow && tabWindow.waveboxWindow.ownerId) {
+      return tabWindow.waveboxWindow.ownerId
+    }
+    return undefined
+  }
+
+  /* ****************************************************************************/
+  // Tabs
+  /* ****************************************************************************/
+
+  /**
+  * Converts a webcontents into a chrome tab
+  * @param wc: the webcontents
+  * @param windowInfo: the window info the tab belongs to
+  * @param index: the index of the tab in the window
+  * @return a plain tab object
+  */
+  _serializeTab (wc, windowInfo, index) {
+    const windowId = windowInfo.waveboxWindow.window.id
+    const active = windowInfo.waveboxWindow === appWindowManager.mailboxesWindow
+      ? wc.id === this.getActiveMailboxTabId()
+      : true
+    const [width, height] = windowInfo.waveboxWindow.window.getContentSize()
+    this.knownTabWindowIds.set(wc.id, windowId)
+
+    return {
+      id: wc.id,
+      index: index,
+      windowId: windowId,
+      highlighted: active,
+      active: active,
+      pinned: windowInfo.waveboxWindow === appWindowManager.mailboxesWindow,
+      audible: false,
+      discarded: false,
+      autoDiscardable: false,
+      mutedInfo: { muted: wc.isAudioMuted() },
+      url: wc.getURL(),
+      title: wc.getTitle(),
+      favIconUrl: this.favicons.get(wc.id),
+      status: wc.isLoading() ? TAB_STATUS.LOADING : TAB_STATUS.COMPLETE,
+      incognito: false,
+      width: width,
+      height: height
+    }
+  }
+
+  /**
+  * @param tabId: the id of the tab
+  * @return the plain tab object or undefined if the tab doesn't exist
+  */
+  getTab (tabId) {
+    const tabWindow = this._findTabWindow(tabId)
+    if (!tabWindow) { return undefined }
+    return this._serializeTab(tabWindow.tabContents[tabWindow.index], tabWindow, tabWindow.index)
+  }
+
+  /**
+  * @return a list of all the tabs as plain objects
+  */
+  getAllTabs () {
+    return this._listWindowTabContents().reduce((acc, windowInfo) => {
+      return acc.concat(windowInfo.tabContents.map((wc, index) => this._serializeTab(wc, windowInfo, index)))
+    }, [])
+  }
+
+  /**
+  * Queries the tabs
+  * https://developer.chrome.com/extensions/tabs#method-query
+  * @param queryInfo: the query info
+  * @param currentWindowId=undefined: the id of the window the caller is in
+  * @return a list of tabs that match
+  */
+  queryTabs (queryInfo, currentWindowId = undefined) {
+    const lastFocusedWindowId = this.getLastFocusedWindowId()
+    const urlPatterns = typeof (queryInfo.url) === 'string' ? [queryInfo.url] : queryInfo.url
+    const titleRegExp = typeof (queryInfo.title) === 'string'
+      ? new RegExp('^' + queryInfo.title.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*') + '$')
+      : undefined
+
+    return this.getAllTabs().filter((tab) => {
+      if (typeof (queryInfo.active) === 'boolean' && tab.active !== queryInfo.active) { return false }
+      if (typeof (queryInfo.highlighted) === 'boolean' && tab.highlighted !== queryInfo.highlighted) { return false }
+      if (typeof (queryInfo.pinned) === 'boolean' && tab.pinned !== queryInfo.pinned) { return false }
+      if (typeof (queryInfo.audible) === 'boolean' && tab.audible !== queryInfo.audible) { return false }
+      if (typeof (queryInfo.muted) === 'boolean' && tab.mutedInfo.muted !== queryInfo.muted) { return false }
+      if (typeof (queryInfo.status) === 'string' && tab.status !== queryInfo.status) { return false }
+      if (typeof (queryInfo.index) === 'number' && tab.index !== queryInfo.index) { return false }
+      if (typeof (queryInfo.windowId) === 'number' && queryInfo.windowId >= 0 && tab.windowId !== queryInfo.windowId) { return false }
+      if (typeof (queryInfo.lastFocusedWindow) === 'boolean' && (tab.windowId === lastFocusedWindowId) !== queryInfo.lastFocusedWindow) { return false }
+      if (typeof (queryInfo.currentWindow) === 'boolean') {
+        const windowId = currentWindowId !== undefined ? currentWindowId : lastFocusedWindowId
+        if ((tab.windowId === windowId) !== queryInfo.currentWindow) { return false }
+      }
+      if (titleRegExp && !titleRegExp.test(tab.title)) { return false }
+      if (urlPatterns) {
+        const purl = url.parse(tab.url)
+        const matched = urlPatterns.find((pattern) => CRExtensionMatchPatterns.match(purl.protocol, purl.host, purl.pathname, pattern))
+        if (!matched) { return false }
+      }
+      return true
+    })
+  }
+
+  /**
+  * Gets the id of the window that holds a webcontents. This can be a tab or the host of a tab
+  * @param wc: the webcontents
+  * @return the window id or undefined
+  */
+  getWindowIdForWebContents (wc) {
+    const tabWindow = this._findTabWindow(wc.id)
+    if (tabWindow) { return tabWindow.waveboxWindow.window.id }
+
+    const hostWindow = this._listWindowTabContents().find(({ waveboxWindow }) => {
+      return waveboxWindow.window.webContents === wc
+    })
+    return hostWindow ? hostWindow.waveboxWindow.window.id : undefined
+  }
+
+  /* ****************************************************************************/
+  // Tab actions
+  /* ****************************************************************************/
+
+  /**
+  * Waits for a content window to attach its webview
+  * @param contentWindow: the content window that was opened
+  * @param timeout=10000: the max time to wait for
+  * @return promise with the tab id
+  */
+  _waitForContentWindowTab (contentWindow, timeout = 10000) {
+    return new Promise((resolve, reject) => {
+      const hostContents = contentWindow.window.webContents
+      const handler = (evt, wc) => {
+        if (wc.getType() === 'webview' && wc.hostWebContents === hostContents) {
+          clearTimeout(timer)
+          app.removeListener('web-contents-created', handler)
+          resolve(wc.id)
+        }
+      }
+      const timer = setTimeout(() => {
+        app.removeListener('web-contents-created', handler)
+        reject(new Error('Timed out waiting for the tab to open'))
+      }, timeout)
+      app.on('web-contents-created', handler)
+    })
+  }
+
+  /**
+  * Opens a new tab. Wavebox doesn't have browser tabs so this opens a new window
+  * @param targetUrl: the url to open
+  * @param partition: the partition to open in
+  * @param openerTabId=undefined: the id of the tab that's opening the new one
+  * @return promise with the new tab id
+  */
+  createTab (targetUrl, partition, openerTabId = undefined) {
+    const mailboxesWindow = appWindowManager.mailboxesWindow
+    if (!mailboxesWindow) {
+      return Promise.reject(new Error('Wavebox is not ready to open tabs'))
+    }
+
+    const ownerId = openerTabId !== undefined ? this.getOwnerIdForTab(openerTabId) : undefined
+    const contentWindow = mailboxesWindow.openWindowWaveboxContent(ownerId, targetUrl, {
+      webPreferences: { partition: partition }
+    })
+    return this._waitForContentWindowTab(contentWindow)
+  }
+
+  /**
+  * Updates a tab
+  * @param tabId: the id of the tab
+  * @param properties: the properties to update. Supports url, active, highlighted and muted
+  * @return true if the tab was updated, false if it couldn't be found
+  */
+  updateTab (tabId, properties) {
+    const tabWindow = this._findTabWindow(tabId)
+    if (!tabWindow) { return false }
+    const wc = tabWindow.tabContents[tabWindow.index]
+
+    if (typeof (properties.url) === 'string') {
+      wc.loadURL(properties.url)
+    }
+    if (typeof (properties.muted) === 'boolean') {
+      wc.setAudioMuted(properties.muted)
+    }
+    if (properties.active === true || properties.highlighted === true) {
+      const mailboxInfo = this.getMailboxInfoForTab(tabId)
+      if (mailboxInfo) {
+        tabWindow.waveboxWindow.switchMailbox(mailboxInfo.mailboxId, mailboxInfo.serviceType)
+      } else {
+        tabWindow.waveboxWindow.focus()
+      }
+    }
+    return true
+  }
+
+  /**
+  * Removes a tab by closing its window. Account tabs can't be removed
+  * @param tabId: the id of the tab
+  * @return promise on completion
+  */
+  removeTab (tabId) {
+    const tabWindow = this._findTabWindow(tabId)
+    if (!tabWindow) {
+      return Promise.reject(new Error(`No tab with id: ${tabId}`))
+    }
+    if (tabWindow.waveboxWindow === appWindowManager.mailboxesWindow) {
+      return Promise.reject(new Error('Account tabs cannot be removed'))
+    }
+    tabWindow.waveboxWindow.close()
+    return Promise.resolve()
+  }
+
+  /* ****************************************************************************/
+  // Event handlers
+  /* ****************************************************************************/
+
+  /**
+  * Emits a tab update if the webcontents is a tab
+  * @param wc: the webcontents that updated
+  * @param changeInfo: the changes that happened
+  */
+  _emitTabUpdated (wc, changeInfo) {
+    if (wc.isDestroyed()) { return }
+    const tab = this.getTab(wc.id)
+    if (tab) {
+      this.emit('updated', wc.id, changeInfo, tab)
+    }
+  }
+
+  /**
+  * Binds the tab events to new webcontents
+  * @param evt: the event that fired
+  * @param wc: the webcontents that were created
+  */
+  _handleWebContentsCreated = (evt, wc) => {
+    const tabId = wc.id
+    wc.on('did-start-loading', () => {
+      this._emitTabUpdated(wc, { status: TAB_STATUS.LOADING })
+    })
+    wc.on('did-stop-loading', () => {
+      this._emitTabUpdated(wc, { status: TAB_STATUS.COMPLETE })
+    })
+    wc.on('did-navigate', (evt, targetUrl) => {
+      this._emitTabUpdated(wc, { url: targetUrl })
+    })
+    wc.on('did-navigate-in-page', (evt, targetUrl, isMainFrame) => {
+      if (isMainFrame === false) { return }
+      this._emitTabUpdated(wc, { url: targetUrl })
+    })
+    wc.on('page-title-updated', (evt, title) => {
+      this._emitTabUpdated(wc, { title: title })
+    })
+    wc.on('page-favicon-updated', (evt, favicons) => {
+      this.favicons.set(tabId, favicons[0])
+      this._emitTabUpdated(wc, { favIconUrl: favicons[0] })
+    })
+    wc.on('destroyed', () => {
+      this.favicons.delete(tabId)
+      if (this.knownTabWindowIds.has(tabId)) {
+        const windowId = this.knownTabWindowIds.get(tabId)
+        this.knownTabWindowIds.delete(tabId)
+        const isWindowClosing = !this._listWindowTabContents().find(({ waveboxWindow }) => waveboxWindow.window.id === windowId)
+        this.emit('removed', tabId, { windowId: windowId, isWindowClosing: isWindowClosing })
+      }
+    })
+  }
+
+  /**
+  * Tracks the last focused window
+  * @param evt: the event that fired
+  * @param browserWindow: the window that was focused
+  */
+  _handleBrowserWindowFocused = (evt, browserWindow) => {
+    this.lastFocusedWindowId = browserWindow.id
+  }
+
+  /**
+  * Emits activation changes when the active mailbox changes
+  */
+  _handleMailboxesChanged = () => {
+    const activeTabId = this.getActiveMailboxTabId()
+    if (activeTabId === undefined || activeTabId === this.activeMailboxTabId) { return }
+
+    this.activeMailboxTabId = activeTabId
+    this.emit('activated', {
+      tabId: activeTabId,
+      windowId: appWindowManager.mailboxesWindow.window.id
+    })
+  }
+}
+
+export default new CRExtensionTabManager()
@@ -0,0 +1,51 @@
+import { webContents } from 'electron'
+import url from 'url'
+import {
+  CR_EXTENSION_PROTOCOL
+} from 'shared/extensionApis'
+
+class CRExtensionWebContents {
+  /* ****************************************************************************/
+  // Querying
+  /* ****************************************************************************/
+
+  /**
+  * @param extensionId: the id of the extension
+  * @param targetUrl: the url to check
+  * @return true if the url points at one of the extensions pages
+  */
+  static isExtensionUrl (extensionId, targetUrl) {
+    const purl = url.parse(targetUrl || '')
+    return purl.protocol === `${CR_EXTENSION_PROTOCOL}:` && purl.hostname === extensionId
+  }
+
+  /**
+  * Gets all the webcontents that are running pages for the extension. This includes
+  * the background page, popups and options pages but not content scripts
+  * @param extensionId: the id of the extension
+  * @return a list of webcontents
+  */
+  static getExtensionPages (extensionId) {
+    return webContents.getAllWebContents().filter((wc) => {
+      return !wc.isDestroyed() && this.isExtensionUrl(extensionId, wc.getURL())
+    })
+  }
+
+  /* ****************************************************************************/
+  // Messaging
+  /* ****************************************************************************/
+
+  /**
+  * Sends an event to all the pages running for the extension
+  * @param extensionId: the id of the extension
+  * @param channel: the channel to send on
+  * @param ...args: the arguments to send
+  */
+  static sendToExtensionPages (extensionId, channel, ...args) {
+    this.getExtensionPages(extensionId).forEach((wc) => {
+      wc.sendToAll(channel, ...args)
+    })
+  }
+}
+
+export default CRExtensionWebContents
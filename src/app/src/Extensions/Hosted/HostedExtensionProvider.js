@@ -39,6 +39,7 @@ class HostedExtensionProvider {
   handleFileProtocolRequest (partition, request, responder) {
     const extension = this._getExtensionFromPartition(partition)
     if (!extension) { responder(403); return }
+    if (!extension.enabled) { responder(403); return }
     if (!extension.manifest.hasHostedComponent) { responder(403); return }
 
     const uri = path.basename(request.url.replace(WAVEBOX_HOSTED_EXTENSION_PROTOCOL, ''))
@@ -0,0 +1,96 @@
+import fs from 'fs-extra'
+import path from 'path'
+import uuid from 'uuid'
+import decompress from 'decompress'
+import RuntimePaths from 'Runtime/RuntimePaths'
+
+class HostedExtensionUnpacker {
+  /* ****************************************************************************/
+  // Unpacking
+  /* ****************************************************************************/
+
+  /**
+  * Unpacks a zipped extension into a temporary folder. If the zip contains a single
+  * folder holding the extension that folder is used
+  * @param zipPath: the path to the zip
+  * @return promise with the path to the unpacked extension and the temporary folder
+  * in the format { extensionPath, unpackPath }. The caller should remove the
+  * temporary folder once it's done with it
+  */
+  unpackZip (zipPath) {
+    const unpackPath = path.join(RuntimePaths.USER_EXTENSION_UNPACK_PATH, uuid.v4())
+    const unsafeEntries = []
+    return Promise.resolve()
+      .then(() => fs.ensureDir(unpackPath))
+      .then(() => decompress(zipPath, unpackPath, {
+        filter: (file) => {
+          if (this.isSafeEntry(unpackPath, file)) { return true }
+          unsafeEntries.push(file.path)
+          return false
+        }
+      }))
+      .then(() => {
+        if (unsafeEntries.length) {
+          return Promise.reject(new Error(`The zip contains files that would be placed outside of the extension: ${unsafeEntries.join(', ')}`))
+        }
+      })
+      .then(() => fs.pathExists(path.join(unpackPath, 'manifest.json')))
+      .then((hasManifest) => {
+        if (hasManifest) { return Promise.resolve(unpackPath) }
+
+        return Promise.resolve()
+          .then(() => fs.readdir(unpackPath))
+          .then((names) => {
+            if (names.length === 1) {
+              return Promise.resolve(path.join(unpackPath, names[0]))
+            } else {
+              return Promise.reject(new Error('Unable to find manifest.json in the zip'))
+            }
+          })
+      })
+      .then((extensionPath) => {
+        return Promise.resolve({ extensionPath: extensionPath, unpackPath: unpackPath })
+      })
+      .catch((err) => {
+        return Promise.resolve()
+          .then(() => fs.remove(unpackPath))
+          .catch(() => { /* no-op */ })
+          .then(() => Promise.reject(err))
+      })
+  }
+
+  /**
+  * Checks if a zip entry can be written safely. Links are never allowed and
+  * everything else must resolve inside the unpack folder
+  * @param unpackPath: the folder the zip is being unpacked into
+  * @param file: the zip entry from decompress
+  * @return true if the entry is safe to write
+  */
+  isSafeEntry (unpackPath, file) {
+    if (file.type === 'link' || file.type === 'symlink') { return false }
+    const target = path.resolve(unpackPath, file.path)
+    return target === unpackPath || target.indexOf(unpackPath + path.sep) === 0
+  }
+
+  /* ****************************************************************************/
+  // IPC
+  /* ****************************************************************************/
+
+  /**
+  * Handles the ui asking for a zip to be unpacked
+  * @param evt: the event that fired
+  * @param body: the request in the format { zipPath, response }
+  */
+  handleUnpackZip (evt, body) {
+    Promise.resolve()
+      .then(() => this.unpackZip(body.zipPath))
+      .then(({ extensionPath, unpackPath }) => {
+        evt.sender.send(body.response, { extensionPath: extensionPath, unpackPath: unpackPath })
+      })
+      .catch((err) => {
+        evt.sender.send(body.response, { error: err.message })
+      })
+  }
+}
+
+export default new HostedExtensionUnpacker()
@@ -1,7 +1,9 @@
 import HostedExtensionSessionManager from './HostedExtensionSessionManager'
 import HostedExtensionProvider from './HostedExtensionProvider'
+import HostedExtensionUnpacker from './HostedExtensionUnpacker'
 
 export {
   HostedExtensionSessionManager,
-  HostedExtensionProvider
+  HostedExtensionProvider,
+  HostedExtensionUnpacker
 }
@@ -48,7 +48,7 @@
   const ipcEvents = require('shared/ipcEvents')
   const BasicHTTPAuthHandler = require('./BasicHTTPAuthHandler').default
   const ContentExtensionProvider = require('Extensions/Content').default
-  const { HostedExtensionProvider, HostedExtensionSessionManager } = require('Extensions/Hosted')
+  const { HostedExtensionProvider, HostedExtensionSessionManager, HostedExtensionUnpacker } = require('Extensions/Hosted')
   const { BrowserWindow, protocol } = require('electron')
   const { CRExtensionManager } = require('Extensions/Chrome')
 
@@ -104,6 +104,12 @@
   ipcMain.on(ipcEvents.WB_PONG_RESOURCE_USAGE, (evt, body) => {
     appWindowManager.submitProcessResourceUsage(body)
   })
+  ipcMain.on(ipcEvents.WB_FETCH_ACCOUNT_RESOURCE_HISTORY, (evt, body) => {
+    const mailboxesWindow = appWindowManager.mailboxesWindow
+    evt.sender.send(ipcEvents.WB_SUBMIT_ACCOUNT_RESOURCE_HISTORY, {
+      history: mailboxesWindow ? mailboxesWindow.resourceMonitor.getAccountHistory() : []
+    })
+  })
 
   ipcMain.on(ipcEvents.WB_FOCUS_APP, (evt, body) => {
     appWindowManager.focusMailboxesWindow()
@@ -142,8 +148,22 @@
     HostedExtensionSessionManager.startManagingSession(data.partition)
     evt.returnValue = true
   })
+  ipcMain.on(ipcEvents.WB_UNPACK_EXTENSION_ZIP, (evt, data) => {
+    HostedExtensionUnpacker.handleUnpackZip(evt, data)
+  })
 
+  let storageRecoveryNotified = false
   ipcMain.on(ipcEvents.WB_MAILBOXES_WINDOW_JS_LOADED, (evt, data) => {
+    if (!storageRecoveryNotified) {
+      storageRecoveryNotified = true
+      const recoveries = Object.keys(storage)
+        .map((k) => storage[k].getRecovery())
+        .filter((recovery) => !!recovery)
+      if (recoveries.length) {
+        appWindowManager.mailboxesWindow.storageRecovered(recoveries)
+      }
+    }
+
     if (argv.mailto) {
       appWindowManager.mailboxesWindow.openMailtoLink(argv.mailto)
       delete argv.mailto
@@ -7,7 +7,8 @@ import uuid from 'uuid'
 import {
   DB_WRITE_DELAY_MS,
   DB_BACKUP_INTERVAL,
-  DB_MAX_BACKUPS
+  DB_MAX_BACKUPS,
+  PERSISTENCE_INDEX_KEY
 } from 'shared/constants'
 import RuntimePaths from 'Runtime/RuntimePaths'
 
@@ -19,13 +20,20 @@ class StorageBucket extends EventEmitter {
   // Lifecycle
   /* ****************************************************************************/
 
-  constructor (bucketName) {
+  /**
+  * @param bucketName: the name of the bucket
+  * @param options={}: the options for the bucket. Supports backups=true
+  */
+  constructor (bucketName, options = {}) {
     super()
+    this.__bucketName__ = bucketName
+    this.__backups__ = options.backups !== false
     this.__path__ = path.join(RuntimePaths.DB_DIR_PATH, bucketName + '_db.json')
     this.__writeHold__ = null
     this.__writeLock__ = false
     this.__data__ = undefined
     this.__lastBackup__ = 0
+    this.__recovery__ = null
     this.__ipcReplyChannel__ = `storageBucket:${bucketName}:reply`
 
     this._loadFromDiskSync()
@@ -37,6 +45,9 @@ class StorageBucket extends EventEmitter {
     ipcMain.on(`storageBucket:${bucketName}:allItems`, this._handleIPCAllItems.bind(this))
     ipcMain.on(`storageBucket:${bucketName}:getStats`, this._handleIPCGetStats.bind(this))
     ipcMain.on(`storageBucket:${bucketName}:measurePerformance`, this._handleIPCMeasurePerformance.bind(this))
+    ipcMain.on(`storageBucket:${bucketName}:listBackups`, this._handleIPCListBackups.bind(this))
+    ipcMain.on(`storageBucket:${bucketName}:previewBackup`, this._handleIPCPreviewBackup.bind(this))
+    ipcMain.on(`storageBucket:${bucketName}:restoreBackup`, this._handleIPCRestoreBackup.bind(this))
   }
 
   checkAwake () { return true }
@@ -46,7 +57,8 @@ class StorageBucket extends EventEmitter {
   /* ****************************************************************************/
 
   /**
-  * Loads the database from disk. Also checks for import files
+  * Loads the database from disk. Also checks for import and merge files. If the
+  * database can't be read it's quarantined and the newest readable backup is used
   */
   _loadFromDiskSync () {
     // Look for import data
@@ -56,18 +68,122 @@ class StorageBucket extends EventEmitter {
     } catch (ex) { }
 
     // Load the data
-    let data = '{}'
+    let data
     try {
       data = fs.readFileSync(this.__path__, 'utf8')
+    } catch (ex) {
+      if (ex.code !== 'ENOENT') {
+        console.error(`[STORAGE] Unable to read ${this.__bucketName__}`, ex)
+      }
+    }
+
+    if (data === undefined) {
+      this.__data__ = {}
+    } else {
+      try {
+        const parsed = JSON.parse(data)
+        if (!parsed || typeof (parsed) !== 'object' || Array.isArray(parsed)) {
+          throw new Error('Database is not an object')
+        }
+        this.__data__ = parsed
+      } catch (ex) {
+        console.error(`[STORAGE] ${this.__bucketName__} is corrupt, attempting recovery`, ex)
+        this._recoverFromBackupSync()
+      }
+    }
+
+    // Look for merge data
+    const mergePath = `${this.__path__}.merge`
+    let mergeData
+    try {
+      mergeData = JSON.parse(fs.readFileSync(mergePath, 'utf8'))
     } catch (ex) { }
+    if (mergeData) {
+      this._mergeDataSync(mergeData)
+      this._writeFileAtomicSync(this.__path__, JSON.stringify(this.__data__))
+      try {
+        fs.removeSync(mergePath)
+      } catch (ex) { }
+    }
+  }
 
+  /**
+  * Moves the corrupt database out of the way and replaces it with the newest
+  * readable backup. Records what happened in this.__recovery__
+  */
+  _recoverFromBackupSync () {
+    const now = new Date().getTime()
+    const quarantinePath = `${this.__path__}.${now}.corrupt`
     try {
-      this.__data__ = JSON.parse(data)
+      fs.moveSync(this.__path__, quarantinePath, { overwrite: true })
     } catch (ex) {
-      this.__data__ = {}
+      console.error(`[STORAGE] Unable to quarantine ${this.__bucketName__}`, ex)
+    }
+
+    const backupTimestamp = this.getBackupTimestamps().find((ts) => this._loadBackupSync(ts) !== undefined)
+    this.__data__ = backupTimestamp !== undefined ? this._loadBackupSync(backupTimestamp) : {}
+    try {
+      this._writeFileAtomicSync(this.__path__, JSON.stringify(this.__data__))
+    } catch (ex) {
+      console.error(`[STORAGE] Unable to write recovered ${this.__bucketName__}`, ex)
+    }
+
+    this.__recovery__ = {
+      bucketName: this.__bucketName__,
+      quarantinePath: quarantinePath,
+      backupTimestamp: backupTimestamp !== undefined ? backupTimestamp : null,
+      keyCount: Object.keys(this.__data__).length
+    }
+  }
+
+  /**
+  * Writes a file so that it's either fully written or not written at all
+  * @param filePath: the path to write to
+  * @param data: the string data to write
+  */
+  _writeFileAtomicSync (filePath, data) {
+    const flushPath = `${filePath}.${uuid.v4().replace(/-/g, '')}`
+    try {
+      const ref = fs.openSync(flushPath, 'w')
+      try {
+        fs.writeSync(ref, data)
+        fs.fsyncSync(ref)
+      } finally {
+        fs.closeSync(ref)
+      }
+      fs.renameSync(flushPath, filePath)
+    } catch (ex) {
+      try {
+        fs.removeSync(flushPath)
+      } catch (ex) { }
+      throw ex
     }
   }
 
+  /**
+  * Merges a set of items into the current data. The persistence index is
+  * unioned rather than overwritten
+  * @param mergeData: the items to merge in
+  */
+  _mergeDataSync (mergeData) {
+    Object.keys(mergeData).forEach((key) => {
+      if (key === PERSISTENCE_INDEX_KEY && this.__data__[key] !== undefined) {
+        let existing
+        let incoming
+        try {
+          existing = JSON.parse(this.__data__[key])
+          incoming = JSON.parse(mergeData[key])
+        } catch (ex) {
+          return
+        }
+        const merged = Array.from(new Set([].concat(existing, incoming)))
+        this.__data__[key] = JSON.stringify(merged)
+      } else {
+        this.__data__[key] = mergeData[key]
+      }
+    })
+  }
+
   /**
   * Writes the current data to disk
   */
@@ -86,14 +202,16 @@ class StorageBucket extends EventEmitter {
         Promise.resolve()
           .then(() => {
             const now = new Date().getTime()
-            if (now - this.__lastBackup__ < DB_BACKUP_INTERVAL) {
+            if (!this.__backups__ || now - this.__lastBackup__ < DB_BACKUP_INTERVAL) {
               return Promise.resolve()
             }
 
             // Run a backup first
             const backupPath = `${this.__path__}.${now}.backup`
+            const backupFlushPath = `${backupPath}.${uuid.v4().replace(/-/g, '')}`
             return Promise.resolve()
-              .then(() => fs.copy(this.__path__, backupPath))
+              .then(() => fs.copy(this.__path__, backupFlushPath))
+              .then(() => fs.rename(backupFlushPath, backupPath))
               .then(() => fs.readdir(RuntimePaths.DB_DIR_PATH))
               .then((files) => {
                 const redundantBackups = files
@@ -124,6 +242,7 @@ class StorageBucket extends EventEmitter {
             this.__writeLock__ = false
           }, (e) => {
             this.__writeLock__ = false
+            fs.remove(flushPath).catch(() => { /* no-op */ })
           })
       }
     }, DB_WRITE_DELAY_MS)
@@ -157,6 +276,13 @@ class StorageBucket extends EventEmitter {
     }
   }
 
+  /**
+  * @return info about the recovery that ran when loading or null if none ran
+  */
+  getRecovery () {
+    return this.__recovery__
+  }
+
   /**
   * @return a list of all keys
   */
@@ -264,6 +390,97 @@ class StorageBucket extends EventEmitter {
     }
   }
 
+  /* ****************************************************************************/
+  // Backups
+  /* ****************************************************************************/
+
+  /**
+  * @return a list of backup timestamps, newest first
+  */
+  getBackupTimestamps () {
+    const basename = path.basename(this.__path__)
+    let files
+    try {
+      files = fs.readdirSync(RuntimePaths.DB_DIR_PATH)
+    } catch (ex) {
+      files = []
+    }
+
+    return files
+      .filter((f) => f.startsWith(basename) && f.endsWith('.backup'))
+      .map((f) => parseInt(f.replace(`${basename}.`, '').replace('.backup', '')))
+      .filter((ts) => !isNaN(ts))
+      .sort((a, b) => b - a)
+  }
+
+  /**
+  * Loads a backup from disk
+  * @param timestamp: the timestamp of the backup
+  * @return the parsed backup data or undefined if it can't be read
+  */
+  _loadBackupSync (timestamp) {
+    try {
+      const data = JSON.parse(fs.readFileSync(`${this.__path__}.${timestamp}.backup`, 'utf8'))
+      return data && typeof (data) === 'object' ? data : undefined
+    } catch (ex) {
+      return undefined
+    }
+  }
+
+  /**
+  * @return a list of backups with some basic info about each, newest first
+  */
+  listBackups () {
+    return this.getBackupTimestamps().map((timestamp) => {
+      const data = this._loadBackupSync(timestamp)
+      return {
+        timestamp: timestamp,
+        readable: data !== undefined,
+        keyCount: data ? Object.keys(data).length : 0
+      }
+    })
+  }
+
+  /**
+  * Compares a backup with the live data
+  * @param timestamp: the timestamp of the backup
+  * @return the keys that restoring would add, remove and change or null if the backup can't be read
+  */
+  previewBackup (timestamp) {
+    const data = this._loadBackupSync(timestamp)
+    if (!data) { return null }
+
+    const backupKeys = Object.keys(data)
+    const liveKeys = this.allKeys()
+    return {
+      timestamp: timestamp,
+      added: backupKeys.filter((k) => this.__data__[k] === undefined),
+      removed: liveKeys.filter((k) => data[k] === undefined),
+      changed: backupKeys.filter((k) => this.__data__[k] !== undefined && this.__data__[k] !== data[k])
+    }
+  }
+
+  /**
+  * Queues a backup to be restored on the next launch. The live data is backed
+  * up first so the restore can itself be undone
+  * @param timestamp: the timestamp of the backup
+  * @return true if the restore was queued, false otherwise
+  */
+  restoreBackup (timestamp) {
+    const data = this._loadBackupSync(timestamp)
+    if (!data) { return false }
+
+    try {
+      const now = new Date().getTime()
+      this._writeFileAtomicSync(`${this.__path__}.${now}.backup`, JSON.stringify(this.__data__))
+      this.__lastBackup__ = now
+      this._writeFileAtomicSync(`${this.__path__}.import`, JSON.stringify(data))
+      return true
+    } catch (ex) {
+      return false
+    }
+  }
+
   /* ****************************************************************************/
   // Modifiers
   /* ****************************************************************************/
@@ -384,6 +601,39 @@ class StorageBucket extends EventEmitter {
       response: this.measurePerformance(body.runs)
     }, body.sync)
   }
+
+  /**
+  * Lists the backups over IPC
+  * @param body: request body
+  */
+  _handleIPCListBackups (evt, body) {
+    this._sendIPCResponse(evt, {
+      id: body.id,
+      response: this.listBackups()
+    }, body.sync)
+  }
+
+  /**
+  * Previews a backup over IPC
+  * @param body: request body
+  */
+  _handleIPCPreviewBackup (evt, body) {
+    this._sendIPCResponse(evt, {
+      id: body.id,
+      response: this.previewBackup(body.timestamp)
+    }, body.sync)
+  }
+
+  /**
+  * Restores a backup over IPC
+  * @param body: request body
+  */
+  _handleIPCRestoreBackup (evt, body) {
+    this._sendIPCResponse(evt, {
+      id: body.id,
+      response: this.restoreBackup(body.timestamp)
+    }, body.sync)
+  }
 }
 
 export default StorageBucket
@@ -0,0 +1,4 @@
+import StorageBucket from './StorageBucket'
+
+// Secrets live here rather than in settings so they stay out of backups and exports
+export default new StorageBucket('credential', { backups: false })
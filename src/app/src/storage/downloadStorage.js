@@ -0,0 +1,2 @@
+import StorageBucketAppMutable from './StorageBucketAppMutable'
+export default new StorageBucketAppMutable('download')
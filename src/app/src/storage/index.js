@@ -1,15 +1,23 @@
 import appStorage from './appStorage'
 import avatarStorage from './avatarStorage'
+import credentialStorage from './credentialStorage'
+import downloadStorage from './downloadStorage'
 import mailboxStorage from './mailboxStorage'
 import extensionStorage from './extensionStorage'
+import notificationHistoryStorage from './notificationHistoryStorage'
+import resourceAlertStorage from './resourceAlertStorage'
 import settingStorage from './settingStorage'
 import userStorage from './userStorage'
 
 export {
   appStorage,
   avatarStorage,
+  credentialStorage,
+  downloadStorage,
   mailboxStorage,
   extensionStorage,
+  notificationHistoryStorage,
+  resourceAlertStorage,
   settingStorage,
   userStorage
 }
@@ -0,0 +1,2 @@
+import StorageBucket from './StorageBucket'
+export default new StorageBucket('notificationHistory')
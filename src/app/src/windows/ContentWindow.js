@@ -2,12 +2,16 @@ import WaveboxWindow from './WaveboxWindow'
 import { shell, ipcMain } from 'electron'
 import querystring from 'querystring'
 import appWindowManager from 'R/appWindowManager'
+import settingStore from 'stores/settingStore'
+import mailboxStore from 'stores/mailboxStore'
+import ExternalBrowserLauncher from 'shared/Electron/ExternalBrowserLauncher'
 import {
   WB_WINDOW_RELOAD_WEBVIEW,
   WB_WINDOW_OPEN_DEV_TOOLS_WEBVIEW,
   WB_WINDOW_NAVIGATE_WEBVIEW_BACK,
   WB_WINDOW_NAVIGATE_WEBVIEW_FORWARD,
-  WB_NEW_WINDOW
+  WB_NEW_WINDOW,
+  WB_NEW_WINDOW_EXTERNAL
 } from 'shared/ipcEvents'
 import Resolver from 'Runtime/Resolver'
 
@@ -133,9 +137,10 @@ class ContentWindow extends WaveboxWindow {
 
     // New window handling
     ipcMain.on(WB_NEW_WINDOW, this.handleOpenNewWindow)
+    ipcMain.on(WB_NEW_WINDOW_EXTERNAL, this.handleOpenNewWindowExternal)
     this.window.webContents.on('new-window', (evt, url) => {
       evt.preventDefault()
-      shell.openExternal(url)
+      this.openWindowExternal(url)
     })
 
     // Patch through options into webview
@@ -157,6 +162,7 @@ class ContentWindow extends WaveboxWindow {
   */
   destroy (evt) {
     ipcMain.removeListener(WB_NEW_WINDOW, this.handleOpenNewWindow)
+    ipcMain.removeListener(WB_NEW_WINDOW_EXTERNAL, this.handleOpenNewWindowExternal)
     super.destroy(evt)
   }
 
@@ -178,10 +184,33 @@ class ContentWindow extends WaveboxWindow {
     }
   }
 
+  /**
+  * Opens a link from the window in the browser of the owning mailbox
+  * @param evt: the event that fired
+  * @param body: the arguments from the body
+  */
+  handleOpenNewWindowExternal = (evt, body) => {
+    if (evt.sender === this.window.webContents) {
+      this.openWindowExternal(body.url)
+    }
+  }
+
   /* ****************************************************************************/
   // Actions
   /* ****************************************************************************/
 
+  /**
+  * Opens a link in an external window using the browser of the owning mailbox
+  * @param targetUrl: the url to open
+  */
+  openWindowExternal (targetUrl) {
+    const mailboxId = String(this.ownerId || '').split(':')[0]
+    const mailbox = mailboxId ? mailboxStore.getMailbox(mailboxId) : undefined
+    ExternalBrowserLauncher.openExternal(shell, targetUrl, settingStore.os.getExternalBrowserForMailbox(mailbox), {
+      activate: !settingStore.os.openLinksInBackground
+    })
+  }
+
   /**
   * Reloads the webview content
   * @return this
@@ -0,0 +1,173 @@
+import { app, webContents } from 'electron'
+import mailboxStore from 'stores/mailboxStore'
+import { SERVICE_METRICS_INTERVAL, MONITOR_HISTORY_MAX_SAMPLES } from 'shared/constants'
+
+class MailboxesResourceMonitor {
+  /* ****************************************************************************/
+  // Lifecycle
+  /* ****************************************************************************/
+
+  /**
+  * @param mailboxWindow: the mailbox window instance we're working for
+  */
+  constructor (mailboxWindow) {
+    this.mailboxWindow = mailboxWindow
+    this.checkInterval = null
+    this.overThreshold = new Map()
+    this.accountHistory = new Map()
+  }
+
+  /**
+  * Starts sampling the resource usage of the services
+  * @return this
+  */
+  start () {
+    clearInterval(this.checkInterval)
+    this.checkInterval = setInterval(this.sampleResourceUsage, SERVICE_METRICS_INTERVAL)
+    return this
+  }
+
+  /**
+  * Stops sampling the resource usage of the services
+  * @return this
+  */
+  stop () {
+    clearInterval(this.checkInterval)
+    this.checkInterval = null
+    this.overThreshold.clear()
+    return this
+  }
+
+  /* ****************************************************************************/
+  // Sampling
+  /* ****************************************************************************/
+
+  /**
+  * Takes a single sample of the app metrics and shares it between the resource
+  * alerts and the sleep policy
+  */
+  sampleResourceUsage = () => {
+    const metrics = app.getAppMetrics().reduce((acc, metric) => {
+      acc.set(metric.pid, metric)
+      return acc
+    }, new Map())
+
+    this.checkResourceUsage(metrics)
+    this.recordAccountHistory(metrics)
+    this.mailboxWindow.sendServiceMemoryUsage(metrics)
+  }
+
+  /* ****************************************************************************/
+  // History
+  /* ****************************************************************************/
+
+  /**
+  * Records the resource usage of each account so the monitor can show how it
+  * changes over time
+  * @param metrics: the app metrics keyed by pid
+  */
+  recordAccountHistory (metrics) {
+    const timestamp = new Date().getTime()
+
+    // Group the processes by the account that owns them
+    const usage = new Map()
+    this.mailboxWindow.attachedMailboxes.forEach(({ mailboxId }, webContentsId) => {
+      const contents = webContents.fromId(webContentsId)
+      if (!contents || contents.isDestroyed()) { return }
+      const metric = metrics.get(contents.getOSProcessId())
+      if (!metric) { return }
+
+      const current = usage.get(mailboxId) || { memory: 0, cpu: 0 }
+      usage.set(mailboxId, {
+        memory: current.memory + (metric.memory.workingSetSize / 1024), // MB
+        cpu: current.cpu + metric.cpu.percentCPUUsage
+      })
+    })
+
+    // Accounts without any processes (e.g. sleeping) are recorded as using nothing
+    const mailboxIds = new Set(Array.from(this.accountHistory.keys()).concat(Array.from(usage.keys())))
+    this.accountHistory = Array.from(mailboxIds).reduce((acc, mailboxId) => {
+      const mailbox = mailboxStore.getMailbox(mailboxId)
+      if (!mailbox) { return acc } // Removed accounts are forgotten
+
+      const prev = this.accountHistory.get(mailboxId)
+      const current = usage.get(mailboxId)
+      const samples = (prev ? prev.samples : []).concat({
+        timestamp: timestamp,
+        memory: current ? Math.round(current.memory) : 0,
+        cpu: current ? Math.round(current.cpu * 100) / 100 : 0
+      })
+
+      acc.set(mailboxId, {
+        mailboxId: mailboxId,
+        accountName: mailbox.displayName,
+        samples: samples.slice(-MONITOR_HISTORY_MAX_SAMPLES)
+      })
+      return acc
+    }, new Map())
+  }
+
+  /**
+  * @return the history for each account as an array in the format { mailboxId, accountName, samples }
+  */
+  getAccountHistory () {
+    return Array.from(this.accountHistory.values())
+  }
+
+  /* ****************************************************************************/
+  // Checking
+  /* ****************************************************************************/
+
+  /**
+  * Checks the resource usage of each attached service against the thresholds of
+  * its mailbox, raising an alert when one has been crossed for long enough
+  * @param metrics: the app metrics keyed by pid
+  */
+  checkResourceUsage (metrics) {
+    const now = new Date().getTime()
+
+    const checked = new Set()
+    this.mailboxWindow.attachedMailboxes.forEach(({ mailboxId, serviceType }, webContentsId) => {
+      const contents = webContents.fromId(webContentsId)
+      if (!contents || contents.isDestroyed()) { return }
+      const mailbox = mailboxStore.getMailbox(mailboxId)
+      if (!mailbox || !mailbox.hasResourceAlerts) { return }
+      const metric = metrics.get(contents.getOSProcessId())
+      if (!metric) { return }
+
+      const key = `${mailboxId}:${serviceType}`
+      const memory = Math.round(metric.memory.workingSetSize / 1024) // KB
+      const cpu = Math.round(metric.cpu.percentCPUUsage * 100) / 100
+      const overMemory = mailbox.resourceAlertMemoryThreshold > 0 && memory > mailbox.resourceAlertMemoryThreshold
+      const overCPU = mailbox.resourceAlertCPUThreshold > 0 && cpu > mailbox.resourceAlertCPUThreshold
+      checked.add(key)
+
+      if (!overMemory && !overCPU) {
+        this.overThreshold.delete(key)
+        return
+      }
+
+      const state = this.overThreshold.get(key) || { since: now, alerted: false }
+      this.overThreshold.set(key, state)
+      if (!state.alerted && now - state.since >= mailbox.resourceAlertDuration) {
+        state.alerted = true // Only alert once until it drops back under the threshold
+        this.mailboxWindow.resourceAlert({
+          mailboxId: mailboxId,
+          serviceType: serviceType,
+          memory: memory,
+          cpu: cpu,
+          overMemory: overMemory,
+          overCPU: overCPU,
+          action: mailbox.resourceAlertAction
+        })
+      }
+    })
+
+    // Forget about anything that's gone away
+    Array.from(this.overThreshold.keys()).forEach((key) => {
+      if (!checked.has(key)) { this.overThreshold.delete(key) }
+    })
+  }
+}
+
+export default MailboxesResourceMonitor
@@ -1,4 +1,4 @@
-import {session, dialog, app} from 'electron'
+import {session, dialog, app, ipcMain} from 'electron'
 import uuid from 'uuid'
 import fs from 'fs-extra'
 import path from 'path'
@@ -8,11 +8,26 @@ import unusedFilename from 'unused-filename'
 import pkg from 'package.json'
 import {
   ARTIFICIAL_COOKIE_PERSIST_WAIT,
-  ARTIFICIAL_COOKIE_PERSIST_PERIOD
+  ARTIFICIAL_COOKIE_PERSIST_PERIOD,
+  DOWNLOAD_STATES
 } from 'shared/constants'
 import MailboxFactory from 'shared/Models/Accounts/MailboxFactory'
 import CoreMailbox from 'shared/Models/Accounts/CoreMailbox'
+import WebPermissions from 'shared/Models/Accounts/WebPermissions'
+import { WB_MAILBOXES_WINDOW_RESPOND_WEB_PERMISSION } from 'shared/ipcEvents'
 import ContentExtensions from 'Extensions/Content'
+import CRExtensionSessionManager from 'Extensions/Chrome/CRExtensionSessionManager'
+import DownloadManager from 'Downloads/DownloadManager'
+
+const DOWNLOAD_FILE_TYPE_FOLDERS = {
+  Images: { mimeTypes: ['image'], extensions: [] },
+  Videos: { mimeTypes: ['video'], extensions: [] },
+  Audio: { mimeTypes: ['audio'], extensions: [] },
+  Documents: { mimeTypes: [], extensions: ['pdf', 'doc', 'docx', 'xls', 'xlsx', 'ppt', 'pptx', 'odt', 'ods', 'odp', 'rtf', 'txt', 'csv', 'pages', 'numbers', 'key'] },
+  Archives: { mimeTypes: [], extensions: ['zip', 'rar', '7z', 'tar', 'gz', 'bz2', 'xz', 'tgz'] },
+  Applications: { mimeTypes: [], extensions: ['exe', 'msi', 'dmg', 'pkg', 'deb', 'rpm', 'appimage'] }
+}
+const WEB_PERMISSION_TIMEOUT = 1000 * 60
 
 class MailboxesSessionManager {
   /* ****************************************************************************/
@@ -27,8 +42,12 @@ class MailboxesSessionManager {
     this.mailboxWindow = mailboxWindow
     this.downloadsInProgress = { }
     this.persistCookieThrottle = { }
+    this.pendingWebPermissions = new Map()
 
     this.__managed__ = new Set()
+
+    CRExtensionSessionManager.on('onCompleted', this.handleRequestCompleted.bind(this))
+    ipcMain.on(WB_MAILBOXES_WINDOW_RESPOND_WEB_PERMISSION, this.handleWebPermissionResponse.bind(this))
   }
 
   /* ****************************************************************************/
@@ -57,9 +76,11 @@ class MailboxesSessionManager {
 
     const ses = session.fromPartition(partition)
     ses.setDownloadPath(app.getPath('downloads'))
-    ses.on('will-download', this.handleDownload.bind(this))
-    ses.setPermissionRequestHandler(this.handlePermissionRequest)
-    ses.webRequest.onCompleted((evt) => this.handleRequestCompleted(evt, ses, partition))
+    ses.on('will-download', (evt, item) => this.handleDownload(evt, item, partition))
+    ses.setPermissionRequestHandler((webContents, permission, fn) => {
+      this.handlePermissionRequest(webContents, permission, fn, partition)
+    })
+    CRExtensionSessionManager.startManagingSession(ses, partition)
     this.setupUserAgent(ses, partition, mailboxType)
     ContentExtensions.supportedProtocols.forEach((protocol) => {
       ses.protocol.registerStringProtocol(protocol, ContentExtensions.handleStringProtocolRequest.bind(ContentExtensions))
@@ -112,54 +133,164 @@ class MailboxesSessionManager {
   /* ****************************************************************************/
 
   /**
-  * Handles a request for a permission from the client
+  * Handles a request for a permission from the client. Notifications are always
+  * denied as they are provided by wavebox
   * @param webContents: the webcontents the request came from
   * @param permission: the permission name
   * @param fn: execute with response
+  * @param partition: the partition the request came from
   */
-  handlePermissionRequest (webContents, permission, fn) {
+  handlePermissionRequest (webContents, permission, fn, partition) {
     if (permission === 'notifications') {
       fn(false)
-    } else {
-      fn(true)
+      return
+    }
+
+    const mailbox = this.getMailboxFromPartition(partition)
+    if (!mailbox) {
+      fn(false)
+      return
+    }
+
+    switch (mailbox.getWebPermissionState(permission)) {
+      case WebPermissions.PERMISSION_STATES.ALLOW: fn(true); break
+      case WebPermissions.PERMISSION_STATES.DENY: fn(false); break
+      default: this.askWebPermission(webContents, mailbox.id, permission, fn); break
+    }
+  }
+
+  /**
+  * Asks the user if a permission should be granted. If the same account is already
+  * asking for the permission the response is shared. The request is denied if the
+  * user doesn't respond in time or the webcontents goes away
+  * @param webContents: the webcontents the request came from
+  * @param mailboxId: the id of the mailbox
+  * @param permission: the permission name
+  * @param fn: execute with response
+  */
+  askWebPermission (webContents, mailboxId, permission, fn) {
+    const existing = Array.from(this.pendingWebPermissions.values()).find((pending) => {
+      return pending.mailboxId === mailboxId && pending.permission === permission
+    })
+    if (existing) {
+      existing.callbacks.push(fn)
+      return
     }
+
+    const requestId = uuid.v4()
+    const handleDestroyed = () => { this.expireWebPermission(requestId) }
+    webContents.once('destroyed', handleDestroyed)
+    this.pendingWebPermissions.set(requestId, {
+      mailboxId: mailboxId,
+      permission: permission,
+      callbacks: [fn],
+      timeout: setTimeout(() => {
+        this.expireWebPermission(requestId)
+      }, WEB_PERMISSION_TIMEOUT),
+      cleanup: () => {
+        if (!webContents.isDestroyed()) {
+          webContents.removeListener('destroyed', handleDestroyed)
+        }
+      }
+    })
+    this.mailboxWindow.requestWebPermission(requestId, mailboxId, permission, webContents.getURL())
+  }
+
+  /**
+  * Resolves a pending permission request and tidies it up
+  * @param requestId: the id of the request
+  * @param granted: true if the permission was granted
+  */
+  resolveWebPermission (requestId, granted) {
+    const pending = this.pendingWebPermissions.get(requestId)
+    if (!pending) { return }
+    this.pendingWebPermissions.delete(requestId)
+    clearTimeout(pending.timeout)
+    pending.cleanup()
+    pending.callbacks.forEach((fn) => fn(granted))
+  }
+
+  /**
+  * Denies a pending permission request without the user responding and removes
+  * it from the ui
+  * @param requestId: the id of the request
+  */
+  expireWebPermission (requestId) {
+    if (!this.pendingWebPermissions.has(requestId)) { return }
+    this.mailboxWindow.cancelWebPermission(requestId)
+    this.resolveWebPermission(requestId, false)
+  }
+
+  /**
+  * Denies all the pending permission requests. Used when the ui that's asking
+  * the user goes away
+  */
+  denyAllWebPermissions () {
+    Array.from(this.pendingWebPermissions.keys()).forEach((requestId) => {
+      this.resolveWebPermission(requestId, false)
+    })
+  }
+
+  /**
+  * Handles the user responding to a permission request
+  * @param evt: the event that fired
+  * @param body: the response in the format { requestId, granted }
+  */
+  handleWebPermissionResponse (evt, body) {
+    this.resolveWebPermission(body.requestId, !!body.granted)
   }
 
   /* ****************************************************************************/
   // Downloads
   /* ****************************************************************************/
 
-  handleDownload (evt, item) {
+  /**
+  * Handles a download starting in a session
+  * @param evt: the event that fired
+  * @param item: the download item
+  * @param partition: the partition the download is in
+  */
+  handleDownload (evt, item, partition) {
     // Find out where to save the file
+    const mailbox = this.getMailboxFromPartition(partition)
+    const retry = DownloadManager.claimRetry(partition, item.getURL())
     let savePath
-    if (!settingStore.os.alwaysAskDownloadLocation && settingStore.os.defaultDownloadLocation) {
-      const folderLocation = settingStore.os.defaultDownloadLocation
-
-      // Check the containing folder exists
-      fs.ensureDirSync(folderLocation)
-      savePath = unusedFilename.sync(path.join(folderLocation, item.getFilename()))
+    let overwrite = false
+    if (retry) {
+      fs.ensureDirSync(path.dirname(retry.savePath))
+      savePath = unusedFilename.sync(retry.savePath)
     } else {
-      let pickedSavePath = dialog.showSaveDialog(this.mailboxWindow.window, {
-        title: 'Download',
-        defaultPath: this.lastUsedDownloadPath ? path.join(this.lastUsedDownloadPath, item.getFilename()) : path.join(app.getPath('downloads'), item.getFilename())
-      })
+      let folderLocation
+      if (mailbox && mailbox.hasDownloadLocation) {
+        folderLocation = mailbox.downloadLocation
+      } else if (!settingStore.os.alwaysAskDownloadLocation && settingStore.os.defaultDownloadLocation) {
+        folderLocation = settingStore.os.defaultDownloadLocation
+      }
 
-      // There's a bit of a pickle here. Whilst asking the user where to save
-      // they may have omitted the file extension. At the same time they may chosen
-      // a filename that is already taken. We don't have any in-built ui to handle
-      // this so the least destructive way is to find a filename that is not
-      // in use and just save to there. In any case if the user picks a path and
-      // that file does already exist we should remove it
-      if (pickedSavePath) {
-        // Remove existing file - save dialog prompts before allowing user to choose pre-existing name
-        try { fs.removeSync(pickedSavePath) } catch (ex) { /* no-op */ }
-
-        // User didn't add file extension
-        if (path.extname(pickedSavePath) !== path.extname(item.getFilename())) {
-          pickedSavePath += path.extname(item.getFilename())
-          pickedSavePath = unusedFilename.sync(pickedSavePath)
+      if (folderLocation) {
+        const targetFolder = path.join(folderLocation, this.getDownloadSubfolder(mailbox, item))
+        const targetPath = path.join(targetFolder, item.getFilename())
+
+        // Check the containing folder exists
+        fs.ensureDirSync(targetFolder)
+        if (!fs.existsSync(targetPath)) {
+          savePath = targetPath
+        } else {
+          switch (mailbox ? mailbox.downloadConflictPolicy : CoreMailbox.DOWNLOAD_CONFLICT_POLICIES.RENAME) {
+            case CoreMailbox.DOWNLOAD_CONFLICT_POLICIES.OVERWRITE:
+              savePath = targetPath
+              overwrite = true
+              break
+            case CoreMailbox.DOWNLOAD_CONFLICT_POLICIES.ASK:
+              savePath = this.askDownloadSavePath(item, targetFolder)
+              break
+            default:
+              savePath = unusedFilename.sync(targetPath)
+              break
+          }
         }
-        savePath = pickedSavePath
+      } else {
+        savePath = this.askDownloadSavePath(item, this.lastUsedDownloadPath || app.getPath('downloads'))
       }
     }
 
@@ -176,7 +307,7 @@ class MailboxesSessionManager {
 
     // Report the progress to the window to display it
     const totalBytes = item.getTotalBytes()
-    const id = uuid.v4()
+    const id = DownloadManager.trackDownload(item, mailbox ? mailbox.id : undefined, partition, savePath, retry ? retry.id : undefined)
     item.on('updated', () => {
       this.updateDownloadProgress(id, item.getReceivedBytes(), totalBytes)
     })
@@ -185,8 +316,9 @@ class MailboxesSessionManager {
       // you need any info from it grab it before calling fs.move
       if (state === 'completed') {
         setTimeout(() => { // Introduce a short wait incase the buffer is still flushing out
-          fs.move(downloadPath, savePath, (err) => {
+          fs.move(downloadPath, savePath, { overwrite: overwrite }, (err) => {
             this.downloadFinished(id)
+            DownloadManager.finishDownload(id, err ? DOWNLOAD_STATES.INTERRUPTED : DOWNLOAD_STATES.COMPLETED)
             if (!err) { // This should never happen
               const saveName = path.basename(savePath)
               this.mailboxWindow.downloadCompleted(savePath, saveName)
@@ -198,11 +330,72 @@ class MailboxesSessionManager {
           // Tidy-up on failure
           try { fs.removeSync(downloadPath) } catch (ex) { /* no-op */ }
           this.downloadFinished(id)
+          DownloadManager.finishDownload(id, state === 'cancelled' ? DOWNLOAD_STATES.CANCELLED : DOWNLOAD_STATES.INTERRUPTED)
         }, 500)
       }
     })
   }
 
+  /**
+  * Asks the user where to save a download
+  * @param item: the download item
+  * @param defaultFolder: the folder to start the dialog in
+  * @return the path to save to or undefined if the user cancelled
+  */
+  askDownloadSavePath (item, defaultFolder) {
+    let pickedSavePath = dialog.showSaveDialog(this.mailboxWindow.window, {
+      title: 'Download',
+      defaultPath: path.join(defaultFolder, item.getFilename())
+    })
+
+    // There's a bit of a pickle here. Whilst asking the user where to save
+    // they may have omitted the file extension. At the same time they may chosen
+    // a filename that is already taken. We don't have any in-built ui to handle
+    // this so the least destructive way is to find a filename that is not
+    // in use and just save to there. In any case if the user picks a path and
+    // that file does already exist we should remove it
+    if (pickedSavePath) {
+      // Remove existing file - save dialog prompts before allowing user to choose pre-existing name
+      try { fs.removeSync(pickedSavePath) } catch (ex) { /* no-op */ }
+
+      // User didn't add file extension
+      if (path.extname(pickedSavePath) !== path.extname(item.getFilename())) {
+        pickedSavePath += path.extname(item.getFilename())
+        pickedSavePath = unusedFilename.sync(pickedSavePath)
+      }
+    }
+    return pickedSavePath
+  }
+
+  /**
+  * Gets the subfolder a download should be saved in
+  * @param mailbox: the mailbox the download is for, may be undefined
+  * @param item: the download item
+  * @return the relative subfolder path, which may be empty
+  */
+  getDownloadSubfolder (mailbox, item) {
+    if (!mailbox) { return '' }
+
+    if (mailbox.downloadSubfolderMode === CoreMailbox.DOWNLOAD_SUBFOLDER_MODES.DATE) {
+      const now = new Date()
+      return [
+        now.getFullYear(),
+        ('0' + (now.getMonth() + 1)).slice(-2),
+        ('0' + now.getDate()).slice(-2)
+      ].join('-')
+    } else if (mailbox.downloadSubfolderMode === CoreMailbox.DOWNLOAD_SUBFOLDER_MODES.FILE_TYPE) {
+      const mimeType = (item.getMimeType() || '').split('/')[0]
+      const ext = path.extname(item.getFilename()).toLowerCase().replace('.', '')
+      const folder = Object.keys(DOWNLOAD_FILE_TYPE_FOLDERS).find((name) => {
+        const match = DOWNLOAD_FILE_TYPE_FOLDERS[name]
+        return match.mimeTypes.indexOf(mimeType) !== -1 || match.extensions.indexOf(ext) !== -1
+      })
+      return folder || 'Other'
+    } else {
+      return ''
+    }
+  }
+
   /* ****************************************************************************/
   // Download Progress
   /* ****************************************************************************/
@@ -253,11 +446,11 @@ class MailboxesSessionManager {
   /**
   * Handles a request completing
   * @param evt: the event that fired
-  * @param session: the session this request was for
   * @param partition: the partition string for this session
   */
-  handleRequestCompleted (evt, session, partition) {
-    this.artificiallyPersistCookies(session, partition)
+  handleRequestCompleted (evt, partition) {
+    if (!this.__managed__.has(partition)) { return }
+    this.artificiallyPersistCookies(session.fromPartition(partition), partition)
   }
 
   /* ****************************************************************************/
@@ -5,11 +5,14 @@ import ContentWindow from '../ContentWindow'
 import ContentPopupWindow from '../ContentPopupWindow'
 import url from 'url'
 import MailboxesSessionManager from './MailboxesSessionManager'
+import MailboxesResourceMonitor from './MailboxesResourceMonitor'
 import settingStore from 'stores/settingStore'
 import userStore from 'stores/userStore'
 import mailboxStore from 'stores/mailboxStore'
 import CoreService from 'shared/Models/Accounts/CoreService'
 import CoreMailbox from 'shared/Models/Accounts/CoreMailbox'
+import LinkRoutingRules from 'shared/Models/Accounts/LinkRoutingRules'
+import ExternalBrowserLauncher from 'shared/Electron/ExternalBrowserLauncher'
 import CRExtensionUISubscriber from 'Extensions/Chrome/CRExtensionUISubscriber'
 import CRExtensionManager from 'Extensions/Chrome/CRExtensionManager'
 import {
@@ -26,14 +29,22 @@ import {
   WB_MAILBOXES_WINDOW_TOGGLE_SIDEBAR,
   WB_MAILBOXES_WINDOW_TOGGLE_APP_MENU,
   WB_MAILBOXES_WINDOW_DOWNLOAD_COMPLETE,
+  WB_MAILBOXES_WINDOW_STORAGE_RECOVERED,
   WB_MAILBOXES_WINDOW_OPEN_MAILTO_LINK,
   WB_MAILBOXES_WINDOW_SWITCH_MAILBOX,
   WB_MAILBOXES_WINDOW_SWITCH_SERVICE,
   WB_WINDOW_NAVIGATE_WEBVIEW_BACK,
   WB_WINDOW_NAVIGATE_WEBVIEW_FORWARD,
   WB_MAILBOXES_WINDOW_SHOW_SETTINGS,
+  WB_MAILBOXES_WINDOW_SNOOZE_NOTIFICATIONS,
   WB_MAILBOXES_WINDOW_SHOW_SUPPORT_CENTER,
   WB_MAILBOXES_WINDOW_SHOW_NEWS,
+  WB_MAILBOXES_WINDOW_SHOW_NOTIFICATION_HISTORY,
+  WB_MAILBOXES_WINDOW_SHOW_DOWNLOADS,
+  WB_MAILBOXES_WINDOW_REQUEST_WEB_PERMISSION,
+  WB_MAILBOXES_WINDOW_CANCEL_WEB_PERMISSION,
+  WB_MAILBOXES_WINDOW_SERVICE_MEMORY_USAGE,
+  WB_MAILBOXES_WINDOW_RESOURCE_ALERT,
   WB_MAILBOXES_WINDOW_ADD_ACCOUNT,
   WB_MAILBOXES_WINDOW_MAILBOX_WEBVIEW_ATTACHED,
   WB_MAILBOXES_WINDOW_EXTENSION_WEBVIEW_ATTACHED,
@@ -62,7 +73,7 @@ import {
 } from 'shared/Models/Settings'
 import Resolver from 'Runtime/Resolver'
 
-const { app, ipcMain, shell } = electron
+const { app, ipcMain, shell, webContents } = electron
 
 const ALLOWED_URLS = [
   'file://' + Resolver.mailboxesScene('mailboxes.html'),
@@ -84,6 +95,7 @@ class MailboxesWindow extends WaveboxWindow {
     this.authMicrosoft = new AuthMicrosoft()
     this.authWavebox = new AuthWavebox()
     this.sessionManager = new MailboxesSessionManager(this)
+    this.resourceMonitor = new MailboxesResourceMonitor(this)
     this.attachedMailboxes = new Map()
     this.attachedExtensions = new Map()
     this.provisionalTargetUrls = new Map()
@@ -154,6 +166,9 @@ class MailboxesWindow extends WaveboxWindow {
     ipcMain.on(WB_MAILBOXES_WINDOW_FETCH_OPEN_WINDOW_COUNT, this.handleFetchOpenWindowCount)
     ipcMain.on(WB_MAILBOXES_WINDOW_ACCEPT_GRACEFUL_RELOAD, this.handleAcceptGracefulReload)
 
+    // Sample resource usage for the resource alerts and the sleep policy
+    this.resourceMonitor.start()
+
     // We're locking on to our window. This stops file drags redirecting the page
     this.window.webContents.on('will-navigate', (evt, url) => {
       const match = ALLOWED_URLS.findIndex((allowed) => allowed.indexOf(url) === 0)
@@ -166,6 +181,9 @@ class MailboxesWindow extends WaveboxWindow {
     this.window.webContents.removeAllListeners('devtools-reload-page')
     this.window.webContents.on('devtools-reload-page', () => this.reload())
 
+    // Any permission prompts are lost when the ui reloads, so deny the requests
+    this.window.webContents.on('did-navigate', () => this.sessionManager.denyAllWebPermissions())
+
     CRExtensionUISubscriber.subscribe(this.window.webContents)
 
     return this
@@ -176,6 +194,8 @@ class MailboxesWindow extends WaveboxWindow {
   */
   destroy (evt) {
     clearTimeout(this.gracefulReloadTimeout)
+    this.resourceMonitor.stop()
+    this.sessionManager.denyAllWebPermissions()
     app.removeListener('web-contents-created', this.handleAppWebContentsCreated)
     ipcMain.removeListener(WB_MAILBOXES_WINDOW_MAILBOX_WEBVIEW_ATTACHED, this.handleMailboxesWebViewAttached)
     ipcMain.removeListener(WB_MAILBOXES_WINDOW_EXTENSION_WEBVIEW_ATTACHED, this.handleExtensionWebViewAttached)
@@ -275,6 +295,42 @@ class MailboxesWindow extends WaveboxWindow {
     }
   }
 
+  /* ****************************************************************************/
+  // Memory usage
+  /* ****************************************************************************/
+
+  /**
+  * Sends the memory usage of the app and each attached service to the ui so the
+  * sleep policy can decide what to put to sleep
+  * @param metrics: the app metrics keyed by pid
+  */
+  sendServiceMemoryUsage (metrics) {
+    if (!settingStore.app.sleepPolicyEnabled) { return }
+    if (!this.window || this.window.isDestroyed()) { return }
+
+    // Memory is reported in KB
+    const totalMemory = Array.from(metrics.values()).reduce((acc, metric) => acc + metric.memory.workingSetSize, 0)
+
+    const services = Array.from(this.attachedMailboxes.keys()).reduce((acc, webContentsId) => {
+      const contents = webContents.fromId(webContentsId)
+      if (!contents || contents.isDestroyed()) { return acc }
+
+      const { mailboxId, serviceType } = this.attachedMailboxes.get(webContentsId)
+      const metric = metrics.get(contents.getOSProcessId())
+      acc.push({
+        mailboxId: mailboxId,
+        serviceType: serviceType,
+        memory: Math.round((metric ? metric.memory.workingSetSize : 0) / 1024)
+      })
+      return acc
+    }, [])
+
+    this.window.webContents.send(WB_MAILBOXES_WINDOW_SERVICE_MEMORY_USAGE, {
+      totalMemory: Math.round(totalMemory / 1024),
+      services: services
+    })
+  }
+
   /* ****************************************************************************/
   // WebView Events
   /* ****************************************************************************/
@@ -311,6 +367,13 @@ class MailboxesWindow extends WaveboxWindow {
       service = mailboxStore.getService(mailboxId, serviceType)
     }
 
+    // Check the user defined rules before the built-in behaviour
+    const linkRoutingRule = mailbox ? mailbox.getLinkRoutingRuleForUrl(targetUrl) : undefined
+    if (linkRoutingRule) {
+      this.openWindowWithLinkRoutingRule(linkRoutingRule, ownerId, mailbox, targetUrl, options)
+      return
+    }
+
     if (service) {
       provisionalTargetUrl = this.provisionalTargetUrls.get(ownerId)
       openMode = service.getWindowOpenModeForUrl(
@@ -369,6 +432,25 @@ class MailboxesWindow extends WaveboxWindow {
       let navigateMode = CoreService.NAVIGATE_MODES.DEFAULT
       const mailbox = mailboxStore.getMailbox(mailboxId)
       const service = mailboxStore.getService(mailboxId, serviceType)
+
+      // Check the user defined rules, but only for links that leave the current site
+      if (mailbox && mailbox.hasLinkRoutingRules) {
+        const contents = webContents.fromId(webContentsId)
+        const currentHostname = contents ? url.parse(contents.getURL()).hostname : undefined
+        if (currentHostname !== url.parse(targetUrl).hostname) {
+          const linkRoutingRule = mailbox.getLinkRoutingRuleForUrl(targetUrl)
+          if (linkRoutingRule) {
+            evt.preventDefault()
+            this.openWindowWithLinkRoutingRule(linkRoutingRule, `${mailboxId}:${serviceType}`, mailbox, targetUrl, {
+              webPreferences: {
+                partition: 'persist:' + mailbox.partition
+              }
+            })
+            return
+          }
+        }
+      }
+
       if (service) {
         navigateMode = service.getNavigateModeForUrl(targetUrl, url.parse(targetUrl, true))
       }
@@ -380,7 +462,7 @@ class MailboxesWindow extends WaveboxWindow {
         this.openWindowExternal(targetUrl, mailbox)
       } else if (navigateMode === CoreService.NAVIGATE_MODES.OPEN_CONTENT) {
         evt.preventDefault()
-        this.openWindowWaveboxContent(webContentsId, targetUrl, {
+        this.openWindowWaveboxContent(`${mailboxId}:${serviceType}`, targetUrl, {
           webPreferences: {
             partition: 'persist:' + mailboxId
           }
@@ -426,6 +508,34 @@ class MailboxesWindow extends WaveboxWindow {
     }
   }
 
+  /**
+  * Opens a window as instructed by a user defined link routing rule
+  * @param rule: the rule that matched the url
+  * @param ownerId: the id of the owning window
+  * @param mailbox: the mailbox that's attempting to open
+  * @param targetUrl: the url to open
+  * @param options: the config options for the window
+  */
+  openWindowWithLinkRoutingRule (rule, ownerId, mailbox, targetUrl, options) {
+    if (rule.action === LinkRoutingRules.ACTIONS.WAVEBOX) {
+      this.openWindowWaveboxContent(ownerId, targetUrl, options)
+    } else if (rule.action === LinkRoutingRules.ACTIONS.BROWSER) {
+      this.openWindowExternal(targetUrl, mailbox)
+    } else if (rule.action === LinkRoutingRules.ACTIONS.ACCOUNT) {
+      const targetMailbox = mailboxStore.getMailbox(rule.targetMailboxId)
+      if (targetMailbox) {
+        this.openWindowWaveboxContent(ownerId, targetUrl, {
+          webPreferences: {
+            partition: 'persist:' + targetMailbox.partition
+          }
+        })
+      } else {
+        this.openWindowExternal(targetUrl, mailbox)
+      }
+    }
+    // SUPPRESS: do nothing
+  }
+
   /**
   * Opens a wavebox popup content window
   * @param ownerId: the id of the owning window
@@ -462,7 +572,7 @@ class MailboxesWindow extends WaveboxWindow {
   * @param mailbox=undefined: the mailbox to take the settings from if available
   */
   openWindowExternal (targetUrl, mailbox = undefined) {
-    shell.openExternal(targetUrl, {
+    ExternalBrowserLauncher.openExternal(shell, targetUrl, settingStore.os.getExternalBrowserForMailbox(mailbox), {
       activate: !settingStore.os.openLinksInBackground
     })
   }
@@ -501,6 +611,16 @@ class MailboxesWindow extends WaveboxWindow {
     return this
   }
 
+  /**
+  * Snoozes notifications
+  * @param mode: the snooze mode, one of DndSchedules.SNOOZE_MODES or null to resume notifications
+  * @return this
+  */
+  snoozeNotifications (mode) {
+    this.window.webContents.send(WB_MAILBOXES_WINDOW_SNOOZE_NOTIFICATIONS, { mode: mode })
+    return this
+  }
+
   /**
   * Launches the support center
   * @return this
@@ -519,6 +639,24 @@ class MailboxesWindow extends WaveboxWindow {
     return this
   }
 
+  /**
+  * Launches the notification history
+  * @return this
+  */
+  launchNotificationHistory () {
+    this.window.webContents.send(WB_MAILBOXES_WINDOW_SHOW_NOTIFICATION_HISTORY, {})
+    return this
+  }
+
+  /**
+  * Launches the download manager
+  * @return this
+  */
+  launchDownloads () {
+    this.window.webContents.send(WB_MAILBOXES_WINDOW_SHOW_DOWNLOADS, {})
+    return this
+  }
+
   /**
   * Starts the account process
   * @return this
@@ -560,6 +698,58 @@ class MailboxesWindow extends WaveboxWindow {
     return this
   }
 
+  /**
+  * Asks the user if an account can use a web permission
+  * @param requestId: the id of the request to respond with
+  * @param mailboxId: the id of the mailbox asking
+  * @param permission: the type of permission being asked for
+  * @param url: the url of the page asking
+  * @return this
+  */
+  requestWebPermission (requestId, mailboxId, permission, url) {
+    this.window.webContents.send(WB_MAILBOXES_WINDOW_REQUEST_WEB_PERMISSION, {
+      requestId: requestId,
+      mailboxId: mailboxId,
+      permission: permission,
+      url: url
+    })
+    return this
+  }
+
+  /**
+  * Removes a permission request that's no longer waiting on the user
+  * @param requestId: the id of the request
+  * @return this
+  */
+  cancelWebPermission (requestId) {
+    if (this.window && !this.window.isDestroyed()) {
+      this.window.webContents.send(WB_MAILBOXES_WINDOW_CANCEL_WEB_PERMISSION, { requestId: requestId })
+    }
+    return this
+  }
+
+  /**
+  * Tells the frame that a service has been using too many resources
+  * @param alert: the alert in the format { mailboxId, serviceType, memory, cpu, overMemory, overCPU, action }
+  * @return this
+  */
+  resourceAlert (alert) {
+    this.window.webContents.send(WB_MAILBOXES_WINDOW_RESOURCE_ALERT, alert)
+    return this
+  }
+
+  /**
+  * Tells the frame that some databases were recovered on load
+  * @param recoveries: the list of recoveries from the storage buckets
+  * @return this
+  */
+  storageRecovered (recoveries) {
+    this.window.webContents.send(WB_MAILBOXES_WINDOW_STORAGE_RECOVERED, {
+      recoveries: recoveries
+    })
+    return this
+  }
+
   /**
   * Opens a mailto link
   * @param mailtoLink: the link to open
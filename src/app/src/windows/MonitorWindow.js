@@ -10,8 +10,8 @@ class MonitorWindow extends WaveboxWindow {
   create (url, browserWindowPreferences = {}) {
     super.create(`file://${Resolver.monitorScene('monitor.html')}`, {
       title: 'Wavebox Monitor',
-      width: 660,
-      height: 500,
+      width: 760,
+      height: 600,
       show: false
     })
     this.window.once('ready-to-show', () => { this.show() })
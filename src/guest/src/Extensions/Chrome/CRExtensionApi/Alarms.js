@@ -0,0 +1,113 @@
+const { ipcRenderer } = require('electron')
+const req = require('../../../req')
+const {
+  CRX_ALARMS_CREATE_,
+  CRX_ALARMS_GET_,
+  CRX_ALARMS_GET_ALL_,
+  CRX_ALARMS_CLEAR_,
+  CRX_ALARMS_CLEAR_ALL_,
+  CRX_ALARMS_FIRED_
+} = req.shared('crExtensionIpcEvents.js')
+const ArgParser = require('./Core/ArgParser')
+const DispatchManager = require('./Core/DispatchManager')
+const Event = require('./Core/Event')
+const ProtectedRuntimeSymbols = require('./Runtime/ProtectedRuntimeSymbols')
+
+const privExtensionId = Symbol('privExtensionId')
+const privRuntime = Symbol('privRuntime')
+
+class Alarms {
+  /* **************************************************************************/
+  // Lifecycle
+  /* **************************************************************************/
+
+  /**
+  * https://developer.chrome.com/apps/alarms
+  * @param extensionId: the id of the extension
+  * @param runtime: the current runtime
+  */
+  constructor (extensionId, runtime) {
+    this[privExtensionId] = extensionId
+    this[privRuntime] = runtime
+
+    this.onAlarm = new Event()
+
+    ipcRenderer.on(`${CRX_ALARMS_FIRED_}${extensionId}`, (evt, alarm) => {
+      this.onAlarm.emit(Object.assign({}, alarm))
+    })
+
+    Object.freeze(this)
+  }
+
+  /* **************************************************************************/
+  // Utils
+  /* **************************************************************************/
+
+  /**
+  * Makes a request to the main thread, handling errors the chrome way
+  * @param name: the name of the call, without the extension id
+  * @param args: the args to send
+  * @param callback: the callback to execute on completion
+  */
+  _request (name, args, callback) {
+    DispatchManager.request(
+      `${name}${this[privExtensionId]}`,
+      args,
+      (evt, err, response) => {
+        if (err) {
+          this[privRuntime][ProtectedRuntimeSymbols.protectedHandleError](err)
+          if (callback) { callback() }
+        } else {
+          if (callback) { callback(response) }
+        }
+      })
+  }
+
+  /* **************************************************************************/
+  // Creation
+  /* **************************************************************************/
+
+  create (...args) {
+    const [name, alarmInfo] = ArgParser.match(args, [
+      { pattern: ['string', 'object'], out: [ArgParser.MATCH_ARG_0, ArgParser.MATCH_ARG_1] },
+      { pattern: ['object'], out: ['', ArgParser.MATCH_ARG_0] }
+    ])
+    this._request(CRX_ALARMS_CREATE_, [name, alarmInfo], undefined)
+  }
+
+  /* **************************************************************************/
+  // Getters
+  /* **************************************************************************/
+
+  get (...fullArgs) {
+    const { callback, args } = ArgParser.callback(fullArgs)
+    const [name] = ArgParser.match(args, [
+      { pattern: ['string'], out: [ArgParser.MATCH_ARG_0] },
+      { pattern: [], out: [''] }
+    ])
+    this._request(CRX_ALARMS_GET_, [name], callback)
+  }
+
+  getAll (callback) {
+    this._request(CRX_ALARMS_GET_ALL_, [], callback)
+  }
+
+  /* **************************************************************************/
+  // Removal
+  /* **************************************************************************/
+
+  clear (...fullArgs) {
+    const { callback, args } = ArgParser.callback(fullArgs)
+    const [name] = ArgParser.match(args, [
+      { pattern: ['string'], out: [ArgParser.MATCH_ARG_0] },
+      { pattern: [], out: [''] }
+    ])
+    this._request(CRX_ALARMS_CLEAR_, [name], callback)
+  }
+
+  clearAll (callback) {
+    this._request(CRX_ALARMS_CLEAR_ALL_, [], callback)
+  }
+}
+
+module.exports = Alarms
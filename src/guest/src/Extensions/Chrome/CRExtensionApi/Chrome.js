@@ -36,11 +36,31 @@ class Chrome {
         this.contextMenus = new ContextMenus(extensionId, this.runtime)
       }
 
+      if (permissions.has('alarms')) {
+        const Alarms = require('./Alarms')
+        this.alarms = new Alarms(extensionId, this.runtime)
+      }
+
+      if (permissions.has('notifications')) {
+        const Notifications = require('./Notifications')
+        this.notifications = new Notifications(extensionId, this.runtime)
+      }
+
+      if (permissions.has('cookies')) {
+        const Cookies = require('./Cookies')
+        this.cookies = new Cookies(extensionId, this.runtime)
+      }
+
+      if (permissions.has('webRequest')) {
+        const WebRequest = require('./WebRequest')
+        this.webRequest = new WebRequest(extensionId, this.runtime)
+      }
+
       const BrowserAction = require('./BrowserAction')
       this.browserAction = new BrowserAction(extensionId)
 
       const Tabs = require('./Tabs/Tabs')
-      this.tabs = new Tabs(extensionId, runtimeEnvironment, permissions.has('tabs'))
+      this.tabs = new Tabs(extensionId, runtimeEnvironment, this.runtime, permissions.has('tabs'))
 
       const App = require('./App')
       this.app = new App(extensionId, extensionDatasource)
@@ -0,0 +1,94 @@
+const { ipcRenderer } = require('electron')
+const req = require('../../../req')
+const {
+  CRX_COOKIES_GET_,
+  CRX_COOKIES_GET_ALL_,
+  CRX_COOKIES_SET_,
+  CRX_COOKIES_REMOVE_,
+  CRX_COOKIES_GET_ALL_STORES_,
+  CRX_COOKIES_CHANGED_
+} = req.shared('crExtensionIpcEvents.js')
+const DispatchManager = require('./Core/DispatchManager')
+const Event = require('./Core/Event')
+const ProtectedRuntimeSymbols = require('./Runtime/ProtectedRuntimeSymbols')
+
+const privExtensionId = Symbol('privExtensionId')
+const privRuntime = Symbol('privRuntime')
+
+class Cookies {
+  /* **************************************************************************/
+  // Lifecycle
+  /* **************************************************************************/
+
+  /**
+  * https://developer.chrome.com/extensions/cookies
+  * @param extensionId: the id of the extension
+  * @param runtime: the current runtime
+  */
+  constructor (extensionId, runtime) {
+    this[privExtensionId] = extensionId
+    this[privRuntime] = runtime
+
+    this.onChanged = new Event()
+
+    ipcRenderer.on(`${CRX_COOKIES_CHANGED_}${extensionId}`, (evt, changeInfo) => {
+      this.onChanged.emit(changeInfo)
+    })
+
+    Object.freeze(this)
+  }
+
+  /* **************************************************************************/
+  // Utils
+  /* **************************************************************************/
+
+  /**
+  * Makes a request to the main thread, handling errors the chrome way
+  * @param name: the name of the call, without the extension id
+  * @param args: the args to send
+  * @param callback: the callback to execute on completion
+  */
+  _request (name, args, callback) {
+    DispatchManager.request(
+      `${name}${this[privExtensionId]}`,
+      args,
+      (evt, err, response) => {
+        if (err) {
+          this[privRuntime][ProtectedRuntimeSymbols.protectedHandleError](err)
+          if (callback) { callback() }
+        } else {
+          if (callback) { callback(response) }
+        }
+      })
+  }
+
+  /* **************************************************************************/
+  // Getters
+  /* **************************************************************************/
+
+  get (details, callback) {
+    this._request(CRX_COOKIES_GET_, [details], callback)
+  }
+
+  getAll (details, callback) {
+    this._request(CRX_COOKIES_GET_ALL_, [details || {}], callback)
+  }
+
+  getAllCookieStores (callback) {
+    this._request(CRX_COOKIES_GET_ALL_STORES_, [], callback)
+  }
+
+  /* **************************************************************************/
+  // Modifiers
+  /* **************************************************************************/
+
+  set (details, callback) {
+    this._request(CRX_COOKIES_SET_, [details], callback)
+  }
+
+  remove (details, callback) {
+    this._request(CRX_COOKIES_REMOVE_, [details], callback)
+  }
+}
+
+module.exports = Cookies
@@ -0,0 +1,113 @@
+const { ipcRenderer } = require('electron')
+const req = require('../../../req')
+const {
+  CRX_NOTIFICATIONS_CREATE_,
+  CRX_NOTIFICATIONS_UPDATE_,
+  CRX_NOTIFICATIONS_CLEAR_,
+  CRX_NOTIFICATIONS_GET_ALL_,
+  CRX_NOTIFICATIONS_CLICKED_,
+  CRX_NOTIFICATIONS_CLOSED_
+} = req.shared('crExtensionIpcEvents.js')
+const ArgParser = require('./Core/ArgParser')
+const DispatchManager = require('./Core/DispatchManager')
+const Event = require('./Core/Event')
+const EventUnsupported = require('./Core/EventUnsupported')
+const ProtectedRuntimeSymbols = require('./Runtime/ProtectedRuntimeSymbols')
+
+const privExtensionId = Symbol('privExtensionId')
+const privRuntime = Symbol('privRuntime')
+
+class Notifications {
+  /* **************************************************************************/
+  // Lifecycle
+  /* **************************************************************************/
+
+  /**
+  * https://developer.chrome.com/apps/notifications
+  * @param extensionId: the id of the extension
+  * @param runtime: the current runtime
+  */
+  constructor (extensionId, runtime) {
+    this[privExtensionId] = extensionId
+    this[privRuntime] = runtime
+
+    this.onClicked = new Event()
+    this.onClosed = new Event()
+    this.onButtonClicked = new EventUnsupported('chrome.notifications.onButtonClicked')
+
+    ipcRenderer.on(`${CRX_NOTIFICATIONS_CLICKED_}${extensionId}`, (evt, notificationId) => {
+      this.onClicked.emit(notificationId)
+    })
+    ipcRenderer.on(`${CRX_NOTIFICATIONS_CLOSED_}${extensionId}`, (evt, notificationId, byUser) => {
+      this.onClosed.emit(notificationId, byUser)
+    })
+
+    Object.freeze(this)
+  }
+
+  /* **************************************************************************/
+  // Utils
+  /* **************************************************************************/
+
+  /**
+  * Makes a request to the main thread, handling errors the chrome way
+  * @param name: the name of the call, without the extension id
+  * @param args: the args to send
+  * @param callback: the callback to execute on completion
+  */
+  _request (name, args, callback) {
+    DispatchManager.request(
+      `${name}${this[privExtensionId]}`,
+      args,
+      (evt, err, response) => {
+        if (err) {
+          this[privRuntime][ProtectedRuntimeSymbols.protectedHandleError](err)
+          if (callback) { callback() }
+        } else {
+          if (callback) { callback(response) }
+        }
+      })
+  }
+
+  /* **************************************************************************/
+  // Creation
+  /* **************************************************************************/
+
+  create (...fullArgs) {
+    const { callback, args } = ArgParser.callback(fullArgs)
+    const [notificationId, options] = ArgParser.match(args, [
+      { pattern: ['string', 'object'], out: [ArgParser.MATCH_ARG_0, ArgParser.MATCH_ARG_1] },
+      { pattern: ['object'], out: [undefined, ArgParser.MATCH_ARG_0] }
+    ])
+    this._request(CRX_NOTIFICATIONS_CREATE_, [notificationId, options], callback)
+  }
+
+  /* **************************************************************************/
+  // Modifiers
+  /* **************************************************************************/
+
+  update (notificationId, options, callback) {
+    this._request(CRX_NOTIFICATIONS_UPDATE_, [notificationId, options], callback)
+  }
+
+  clear (notificationId, callback) {
+    this._request(CRX_NOTIFICATIONS_CLEAR_, [notificationId], callback)
+  }
+
+  /* **************************************************************************/
+  // Getters
+  /* **************************************************************************/
+
+  getAll (callback) {
+    this._request(CRX_NOTIFICATIONS_GET_ALL_, [], callback)
+  }
+
+  getPermissionLevel (callback) {
+    if (callback) {
+      const permissionLevel = 'granted'
+      setTimeout(() => callback(permissionLevel))
+    }
+  }
+}
+
+module.exports = Notifications
@@ -6,8 +6,10 @@ class Tab {
   /**
   * https://developer.chrome.com/extensions/tabs#type-Tab
   * @param tabId: the id of the tab
+  * @param raw=undefined: the raw tab data provided by the main thread
   */
-  constructor (tabId) {
+  constructor (tabId, raw = undefined) {
+    Object.assign(this, raw)
     this.id = tabId
     Object.freeze(this)
   }
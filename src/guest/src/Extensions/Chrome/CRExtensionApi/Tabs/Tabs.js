@@ -1,6 +1,15 @@
+const { ipcRenderer } = require('electron')
 const req = require('../../../../req')
 const {
-  CRX_TABS_SENDMESSAGE
+  CRX_TABS_SENDMESSAGE,
+  CRX_TABS_GET_,
+  CRX_TABS_QUERY_,
+  CRX_TABS_CREATE_,
+  CRX_TABS_UPDATE_,
+  CRX_TABS_REMOVE_,
+  CRX_TABS_UPDATED_,
+  CRX_TABS_ACTIVATED_,
+  CRX_TABS_REMOVED_
 } = req.shared('crExtensionIpcEvents.js')
 const {
   CR_RUNTIME_ENVIRONMENTS
@@ -8,9 +17,13 @@ const {
 
 const ArgParser = require('../Core/ArgParser')
 const DispatchManager = require('../Core/DispatchManager')
+const Event = require('../Core/Event')
+const Tab = require('./Tab')
+const ProtectedRuntimeSymbols = require('../Runtime/ProtectedRuntimeSymbols')
 
 const privExtensionId = Symbol('privExtensionId')
 const privRuntimeEnvironment = Symbol('privRuntimeEnvironment')
+const privRuntime = Symbol('privRuntime')
 const privHasPermission = Symbol('privHasPermission')
 
 class Tabs {
@@ -22,22 +35,123 @@ class Tabs {
   * https://developer.chrome.com/apps/tabs
   * @param extensionId: the id of the extension
   * @param runtimeEnvironment: the current runtime environment
+  * @param runtime: the current runtime
   * @param hasPermission: true if the extension has the tabs permission
   */
-  constructor (extensionId, runtimeEnvironment, hasPermission) {
+  constructor (extensionId, runtimeEnvironment, runtime, hasPermission) {
     this[privExtensionId] = extensionId
     this[privRuntimeEnvironment] = runtimeEnvironment
+    this[privRuntime] = runtime
     this[privHasPermission] = hasPermission
 
+    this.onUpdated = new Event()
+    this.onActivated = new Event()
+    this.onRemoved = new Event()
+
+    ipcRenderer.on(`${CRX_TABS_UPDATED_}${extensionId}`, (evt, tabId, changeInfo, rawTab) => {
+      this.onUpdated.emit(tabId, changeInfo, new Tab(tabId, rawTab))
+    })
+    ipcRenderer.on(`${CRX_TABS_ACTIVATED_}${extensionId}`, (evt, activeInfo) => {
+      this.onActivated.emit(activeInfo)
+    })
+    ipcRenderer.on(`${CRX_TABS_REMOVED_}${extensionId}`, (evt, tabId, removeInfo) => {
+      this.onRemoved.emit(tabId, removeInfo)
+    })
+
     Object.freeze(this)
   }
 
+  /* **************************************************************************/
+  // Properties
+  /* **************************************************************************/
+
+  get TAB_ID_NONE () { return -1 }
+
+  /* **************************************************************************/
+  // Utils
+  /* **************************************************************************/
+
+  /**
+  * Makes a request to the main thread, handling errors the chrome way
+  * @param name: the name of the call, without the extension id
+  * @param args: the args to send
+  * @param transform: a function to transform the response before passing it to the callback
+  * @param callback: the callback to execute on completion
+  */
+  _request (name, args, transform, callback) {
+    DispatchManager.request(
+      `${name}${this[privExtensionId]}`,
+      args,
+      (evt, err, response) => {
+        if (err) {
+          this[privRuntime][ProtectedRuntimeSymbols.protectedHandleError](err)
+          if (callback) {
+            callback()
+          }
+        } else {
+          if (callback) {
+            callback(transform(response))
+          }
+        }
+      })
+  }
+
+  /* **************************************************************************/
+  // Getters
+  /* **************************************************************************/
+
+  get (tabId, callback) {
+    this._request(CRX_TABS_GET_, [tabId], (rawTab) => new Tab(rawTab.id, rawTab), callback)
+  }
+
+  getCurrent (callback) {
+    if (this[privRuntimeEnvironment] === CR_RUNTIME_ENVIRONMENTS.BACKGROUND) {
+      if (callback) { callback() }
+      return
+    }
+
+    // A null id asks for the tab we're running in
+    DispatchManager.request(`${CRX_TABS_GET_}${this[privExtensionId]}`, [null], (evt, err, rawTab) => {
+      if (callback) {
+        callback(!err && rawTab ? new Tab(rawTab.id, rawTab) : undefined)
+      }
+    })
+  }
+
+  query (queryInfo, callback) {
+    this._request(CRX_TABS_QUERY_, [queryInfo || {}], (rawTabs) => {
+      return rawTabs.map((rawTab) => new Tab(rawTab.id, rawTab))
+    }, callback)
+  }
+
   /* **************************************************************************/
   // Creation
   /* **************************************************************************/
 
-  create () {
-    console.warn('chrome.tabs.create is not yet implemented', Array.from(arguments))
+  create (createProperties, callback) {
+    this._request(CRX_TABS_CREATE_, [createProperties || {}], (rawTab) => {
+      return rawTab ? new Tab(rawTab.id, rawTab) : undefined
+    }, callback)
+  }
+
+  /* **************************************************************************/
+  // Modifiers
+  /* **************************************************************************/
+
+  update (...fullArgs) {
+    const { callback, args } = ArgParser.callback(fullArgs)
+    const [tabId, updateProperties] = ArgParser.match(args, [
+      { pattern: ['number', 'object'], out: [ArgParser.MATCH_ARG_0, ArgParser.MATCH_ARG_1] },
+      { pattern: ['object'], out: [null, ArgParser.MATCH_ARG_0] }
+    ])
+
+    this._request(CRX_TABS_UPDATE_, [tabId, updateProperties], (rawTab) => {
+      return rawTab ? new Tab(rawTab.id, rawTab) : undefined
+    }, callback)
+  }
+
+  remove (tabIds, callback) {
+    this._request(CRX_TABS_REMOVE_, [Array.isArray(tabIds) ? tabIds : [tabIds]], () => undefined, callback)
   }
 
   /* **************************************************************************/
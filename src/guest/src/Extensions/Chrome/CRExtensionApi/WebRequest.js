@@ -0,0 +1,163 @@
+const { ipcRenderer } = require('electron')
+const uuid = require('uuid')
+const req = require('../../../req')
+const {
+  CRX_WEB_REQUEST_ADD_LISTENER_,
+  CRX_WEB_REQUEST_REMOVE_LISTENER_,
+  CRX_WEB_REQUEST_EVENT_,
+  CRX_WEB_REQUEST_BLOCKING_EVENT_
+} = req.shared('crExtensionIpcEvents.js')
+const DispatchManager = require('./Core/DispatchManager')
+const ProtectedRuntimeSymbols = require('./Runtime/ProtectedRuntimeSymbols')
+
+const privExtensionId = Symbol('privExtensionId')
+const privRuntime = Symbol('privRuntime')
+const privEventName = Symbol('privEventName')
+const privListeners = Symbol('privListeners')
+
+class WebRequestEvent {
+  /* **************************************************************************/
+  // Lifecycle
+  /* **************************************************************************/
+
+  /**
+  * https://developer.chrome.com/extensions/webRequest#event-onBeforeRequest
+  * @param extensionId: the id of the extension
+  * @param runtime: the current runtime
+  * @param eventName: the name of the event
+  * @param listeners: the shared map of listener ids to callbacks
+  */
+  constructor (extensionId, runtime, eventName, listeners) {
+    this[privExtensionId] = extensionId
+    this[privRuntime] = runtime
+    this[privEventName] = eventName
+    this[privListeners] = listeners
+    Object.freeze(this)
+  }
+
+  /* **************************************************************************/
+  // Add & Remove
+  /* **************************************************************************/
+
+  addListener (callback, filter, extraInfoSpec) {
+    const listenerId = uuid.v4()
+    this[privListeners].set(listenerId, { callback: callback, eventName: this[privEventName] })
+
+    DispatchManager.request(
+      `${CRX_WEB_REQUEST_ADD_LISTENER_}${this[privExtensionId]}`,
+      [this[privEventName], listenerId, filter, extraInfoSpec],
+      (evt, err, response) => {
+        if (err) {
+          this[privListeners].delete(listenerId)
+          this[privRuntime][ProtectedRuntimeSymbols.protectedHandleError](err)
+        }
+      })
+  }
+
+  removeListener (callback) {
+    Array.from(this[privListeners].keys()).forEach((listenerId) => {
+      const listener = this[privListeners].get(listenerId)
+      if (listener.eventName !== this[privEventName] || listener.callback !== callback) { return }
+
+      this[privListeners].delete(listenerId)
+      DispatchManager.request(
+        `${CRX_WEB_REQUEST_REMOVE_LISTENER_}${this[privExtensionId]}`,
+        [listenerId],
+        () => {})
+    })
+  }
+
+  /* **************************************************************************/
+  // Query
+  /* **************************************************************************/
+
+  hasListener (callback) {
+    return !!Array.from(this[privListeners].values()).find((listener) => {
+      return listener.eventName === this[privEventName] && listener.callback === callback
+    })
+  }
+
+  hasListeners () {
+    return !!Array.from(this[privListeners].values()).find((listener) => {
+      return listener.eventName === this[privEventName]
+    })
+  }
+}
+
+class WebRequest {
+  /* **************************************************************************/
+  // Lifecycle
+  /* **************************************************************************/
+
+  /**
+  * https://developer.chrome.com/extensions/webRequest
+  * @param extensionId: the id of the extension
+  * @param runtime: the current runtime
+  */
+  constructor (extensionId, runtime) {
+    this[privExtensionId] = extensionId
+    this[privRuntime] = runtime
+    this[privListeners] = new Map()
+
+    this.onBeforeRequest = new WebRequestEvent(extensionId, runtime, 'onBeforeRequest', this[privListeners])
+    this.onBeforeSendHeaders = new WebRequestEvent(extensionId, runtime, 'onBeforeSendHeaders', this[privListeners])
+    this.onSendHeaders = new WebRequestEvent(extensionId, runtime, 'onSendHeaders', this[privListeners])
+    this.onHeadersReceived = new WebRequestEvent(extensionId, runtime, 'onHeadersReceived', this[privListeners])
+    this.onResponseStarted = new WebRequestEvent(extensionId, runtime, 'onResponseStarted', this[privListeners])
+    this.onBeforeRedirect = new WebRequestEvent(extensionId, runtime, 'onBeforeRedirect', this[privListeners])
+    this.onCompleted = new WebRequestEvent(extensionId, runtime, 'onCompleted', this[privListeners])
+    this.onErrorOccurred = new WebRequestEvent(extensionId, runtime, 'onErrorOccurred', this[privListeners])
+
+    ipcRenderer.on(`${CRX_WEB_REQUEST_EVENT_}${extensionId}`, (evt, listenerId, details) => {
+      const listener = this[privListeners].get(listenerId)
+      if (listener) { listener.callback(details) }
+    })
+    DispatchManager.registerHandler(`${CRX_WEB_REQUEST_BLOCKING_EVENT_}${extensionId}`, this._handleBlockingEvent.bind(this))
+
+    Object.freeze(this)
+  }
+
+  /* **************************************************************************/
+  // Properties
+  /* **************************************************************************/
+
+  get MAX_HANDLER_BEHAVIOR_CHANGED_CALLS_PER_10_MINUTES () { return 20 }
+
+  /* **************************************************************************/
+  // Cache
+  /* **************************************************************************/
+
+  handlerBehaviorChanged (callback) {
+    if (callback) { setTimeout(callback) }
+  }
+
+  /* **************************************************************************/
+  // Event handlers
+  /* **************************************************************************/
+
+  /**
+  * Handles a blocking event by running the listener and passing its response back
+  * @param evt: the event that fired
+  * @param [listenerId, details]: the id of the listener and the request details
+  * @param responseCallback: executed with the blocking response
+  */
+  _handleBlockingEvent (evt, [listenerId, details], responseCallback) {
+    const listener = this[privListeners].get(listenerId)
+    if (!listener) {
+      responseCallback(null, undefined)
+      return
+    }
+
+    let response
+    try {
+      response = listener.callback(details)
+    } catch (ex) {
+      console.error(ex)
+      responseCallback(null, undefined)
+      return
+    }
+    responseCallback(null, response)
+  }
+}
+
+module.exports = WebRequest
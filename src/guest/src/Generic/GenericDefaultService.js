@@ -1,5 +1,12 @@
+const {ipcRenderer} = require('electron')
 const Browser = require('../Browser/Browser')
 const Wavebox = require('../Wavebox/Wavebox')
+const req = require('../req')
+const {
+  WB_BROWSER_GENERIC_CONFIGURE_UNREAD_COUNT,
+  WB_BROWSER_GENERIC_UNREAD_COUNT_CHANGED
+} = req.shared('ipcEvents')
+const UNREAD_COUNT_CHECK_INTERVAL = 1500
 
 class GenericDefaultService {
   /* **************************************************************************/
@@ -19,6 +26,77 @@ class GenericDefaultService {
       }
     })
     this.wavebox = new Wavebox()
+    this.state = {
+      unreadCountSelector: undefined,
+      count: undefined
+    }
+    this.unreadCountInterval = null
+
+    ipcRenderer.on(WB_BROWSER_GENERIC_CONFIGURE_UNREAD_COUNT, this.handleConfigureUnreadCount.bind(this))
+  }
+
+  /* **************************************************************************/
+  // Event handlers
+  /* **************************************************************************/
+
+  /**
+  * Configures how the unread count is read from the page
+  * @param evt: the event that fired
+  * @param data: the data sent with the event
+  */
+  handleConfigureUnreadCount (evt, data) {
+    clearInterval(this.unreadCountInterval)
+    this.unreadCountInterval = null
+    this.state.unreadCountSelector = data.selector || undefined
+    this.state.count = undefined
+
+    if (this.state.unreadCountSelector) {
+      this.unreadCountInterval = setInterval(this.checkUnreadCountChanged.bind(this), UNREAD_COUNT_CHECK_INTERVAL)
+      this.checkUnreadCountChanged()
+    }
+  }
+
+  /* **************************************************************************/
+  // Change listeners
+  /* **************************************************************************/
+
+  /**
+  * Checks to see if the unread count has changed
+  */
+  checkUnreadCountChanged () {
+    const count = this.getUnreadCount()
+    if (count !== this.state.count) {
+      ipcRenderer.sendToHost({
+        type: WB_BROWSER_GENERIC_UNREAD_COUNT_CHANGED,
+        data: {
+          prev: this.state.count,
+          next: count
+        }
+      })
+    }
+    this.state.count = count
+  }
+
+  /* **************************************************************************/
+  // DOM Api
+  /* **************************************************************************/
+
+  /**
+  * Gets the unread count using the configured selector. Elements that are present
+  * but don't contain a number (e.g. a dot badge) count as a single unread item
+  * @return the unread count
+  */
+  getUnreadCount () {
+    let element
+    try {
+      element = document.querySelector(this.state.unreadCountSelector)
+    } catch (ex) {
+      return 0
+    }
+    if (!element) { return 0 }
+
+    const count = parseInt((element.textContent || '').replace(/[^\d]/g, ''))
+    return isNaN(count) ? 1 : count
   }
 }
 
@@ -112,7 +112,13 @@ class GoogleMail extends GoogleService {
   * @param data: the data sent with the event
   */
   handleOpenMesage (evt, data) {
-    if (this.isGmail) {
+    if (data.viewQuery) {
+      if (this.isGmail) {
+        window.location.hash = 'search/' + encodeURIComponent(data.viewQuery)
+      } else if (this.isGinbox) {
+        GinboxApi.startSearch(data.viewQuery)
+      }
+    } else if (this.isGmail) {
       window.location.hash = 'inbox/' + data.messageId
     } else if (this.isGinbox) {
       if (data.search && data.search.length) {
@@ -17,12 +17,11 @@ import {
   WB_BROWSER_GUEST_WINDOW_CLOSE,
   WB_PONG_RESOURCE_USAGE,
   WB_NEW_WINDOW,
+  WB_NEW_WINDOW_EXTERNAL,
   WB_BROWSER_START_SPELLCHECK
 } from 'shared/ipcEvents'
 import { ipcRenderer, remote } from 'electron'
 
-const { shell } = remote
-
 const SEARCH_REF = 'search'
 const BROWSER_REF = 'browser'
 
@@ -227,7 +226,7 @@ export default class BrowserScene extends React.Component {
             pageTitleUpdated={(evt) => browserActions.setPageTitle(evt.title)}
             didStartLoading={(evt) => browserActions.startLoading()}
             didStopLoading={(evt) => browserActions.stopLoading()}
-            newWindow={(evt) => shell.openExternal(evt.url, { })}
+            newWindow={(evt) => ipcRenderer.send(WB_NEW_WINDOW_EXTERNAL, { url: evt.url })}
             ipcMessage={this.handleBrowserIPCMessage}
             domReady={this.handleBrowserDomReady}
             willNavigate={this.navigationStateDidChange}
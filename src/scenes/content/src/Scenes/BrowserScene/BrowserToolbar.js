@@ -7,8 +7,9 @@ import {
   Toolbar, ToolbarGroup, ToolbarTitle
 } from 'material-ui'
 import { CHROME_PDF_URL } from 'shared/constants'
+import { WB_NEW_WINDOW_EXTERNAL } from 'shared/ipcEvents'
 import URI from 'urijs'
-import { remote } from 'electron'
+import { remote, ipcRenderer } from 'electron'
 
 export default class BrowserToolbar extends React.Component {
   /* **************************************************************************/
@@ -85,10 +86,10 @@ export default class BrowserToolbar extends React.Component {
   /* **************************************************************************/
 
   /**
-  * Opens the current page in the default browser
+  * Opens the current page in the browser of the owning account
   */
   handleOpenInBrowser = (evt) => {
-    remote.shell.openExternal(this.externalUrl(this.state.currentUrl), { })
+    ipcRenderer.send(WB_NEW_WINDOW_EXTERNAL, { url: this.externalUrl(this.state.currentUrl) })
   }
 
   /**
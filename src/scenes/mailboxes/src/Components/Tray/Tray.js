@@ -2,6 +2,8 @@ import PropTypes from 'prop-types'
 import React from 'react'
 import { composeActions } from 'stores/compose'
 import { mailboxStore, mailboxActions, mailboxDispatch } from 'stores/mailbox'
+import { settingsActions } from 'stores/settings'
+import DndSchedules from 'shared/Models/Settings/DndSchedules'
 import { BLANK_PNG } from 'shared/b64Assets'
 import TrayRenderer from './TrayRenderer'
 import uuid from 'uuid'
@@ -31,6 +33,7 @@ export default class Tray extends React.Component {
 
   static propTypes = {
     unreadCount: PropTypes.number.isRequired,
+    notificationsSnoozeUntil: PropTypes.number.isRequired,
     traySettings: PropTypes.object.isRequired,
     launchTraySettings: PropTypes.object.isRequired
   }
@@ -108,7 +111,17 @@ export default class Tray extends React.Component {
     const mailboxMenuItems = mailboxState.allMailboxes().map((mailbox) => {
       const trayMessages = mailboxState.mailboxTrayMessagesForUser(mailbox.id)
       const messageItemsSignature = trayMessages.map((message) => message.id).join(':')
-      let messageItems = trayMessages.map((message) => {
+      const sections = []
+      const sectionMessages = trayMessages.reduce((acc, message) => {
+        const section = message.section || ''
+        if (!acc[section]) {
+          acc[section] = []
+          if (section) { sections.push(section) }
+        }
+        acc[section].push(message)
+        return acc
+      }, {})
+      const generateMessageItem = (message) => {
         return {
           id: message.id,
           label: message.text,
@@ -118,7 +131,14 @@ export default class Tray extends React.Component {
             mailboxDispatch.openItem(message.data.mailboxId, message.data.serviceType, message.data)
           }
         }
-      })
+      }
+      let messageItems = sections.reduce((acc, section) => {
+        return acc.concat(
+          acc.length ? [{ type: 'separator' }] : [],
+          { label: section, enabled: false },
+          sectionMessages[section].map(generateMessageItem)
+        )
+      }, (sectionMessages[''] || []).map(generateMessageItem))
 
       messageItems.unshift(
         {
@@ -192,6 +212,7 @@ export default class Tray extends React.Component {
   */
   shouldComponentUpdate (nextProps, nextState) {
     if (this.props.unreadCount !== nextProps.unreadCount) { return true }
+    if (this.props.notificationsSnoozeUntil !== nextProps.notificationsSnoozeUntil) { return true }
 
     const trayDiff = [
       'unreadColor',
@@ -217,6 +238,37 @@ export default class Tray extends React.Component {
     return this.props.unreadCount ? this.props.unreadCount + ' unread items' : 'No unread items'
   }
 
+  /**
+  * @return the menu items for snoozing notifications
+  */
+  renderSnoozeMenuItems () {
+    const { notificationsSnoozeUntil } = this.props
+    if (notificationsSnoozeUntil > new Date().getTime()) {
+      return [
+        { label: `Notifications snoozed until ${new Date(notificationsSnoozeUntil).toLocaleString()}`, enabled: false },
+        { label: 'Resume Notifications', click: (e) => { settingsActions.clearNotificationsSnooze() } },
+        { type: 'separator' }
+      ]
+    } else {
+      return [
+        {
+          label: 'Snooze Notifications',
+          submenu: [
+            {
+              label: 'For 1 Hour',
+              click: (e) => { settingsActions.snoozeNotifications(DndSchedules.SNOOZE_MODES.ONE_HOUR) }
+            },
+            {
+              label: 'Until Tomorrow',
+              click: (e) => { settingsActions.snoozeNotifications(DndSchedules.SNOOZE_MODES.UNTIL_TOMORROW) }
+            }
+          ]
+        },
+        { type: 'separator' }
+      ]
+    }
+  }
+
   /**
   * @return the context menu for the tray icon
   */
@@ -251,9 +303,17 @@ export default class Tray extends React.Component {
             ipcRenderer.send(WB_TOGGLE_MAILBOX_WINDOW_FROM_TRAY)
           }
         },
+        {
+          label: 'Notification History',
+          click: (e) => {
+            ipcRenderer.send(WB_FOCUS_APP)
+            window.location.hash = '/notification_history'
+          }
+        },
         { type: 'separator' }
       ],
       mailboxOverviewSection,
+      this.renderSnoozeMenuItems(),
       [
         {
           label: 'Quit',
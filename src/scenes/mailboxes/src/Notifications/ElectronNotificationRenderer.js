@@ -31,12 +31,12 @@ class ElectronNotificationRenderer {
   * @param settingsState: the current settings state
   */
   presentMailboxNotification (mailboxId, serviceType, notification, clickHandler, mailboxState, settingsState) {
-    const { mailbox, service, enabled } = NotificationRendererUtils.checkConfigAndFetchMailbox(mailboxId, serviceType, mailboxState, settingsState)
+    const { mailbox, service, enabled, rules } = NotificationRendererUtils.checkConfigAndFetchMailbox(mailboxId, serviceType, mailboxState, settingsState, notification)
     if (!enabled) { return }
 
     const windowNotification = new window.Notification(NotificationRendererUtils.formattedTitle(notification), {
       body: NotificationRendererUtils.formattedBody(notification),
-      silent: settingsState.os.notificationsSilent,
+      silent: settingsState.os.notificationsSilent || rules.silent,
       data: notification.data,
       icon: NotificationRendererUtils.preparedServiceIcon(mailbox, service, mailboxState)
     })
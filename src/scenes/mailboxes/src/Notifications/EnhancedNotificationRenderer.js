@@ -43,7 +43,7 @@ class EnhancedNotificationRenderer {
   * @param settingsState: the current settings state
   */
   presentMailboxNotificationDarwin (mailboxId, serviceType, notification, clickHandler, mailboxState, settingsState) {
-    const { mailbox, service, enabled } = NotificationRendererUtils.checkConfigAndFetchMailbox(mailboxId, serviceType, mailboxState, settingsState)
+    const { mailbox, service, enabled, rules } = NotificationRendererUtils.checkConfigAndFetchMailbox(mailboxId, serviceType, mailboxState, settingsState, notification)
     if (!enabled) { return }
 
     let subtitle, body
@@ -60,7 +60,7 @@ class EnhancedNotificationRenderer {
       subtitle: subtitle,
       body: body,
       icon: NotificationRendererUtils.preparedServiceIcon(mailbox, service, mailboxState),
-      soundName: NotificationRendererUtils.preparedServiceSound(mailbox, service, settingsState),
+      soundName: NotificationRendererUtils.preparedServiceSound(mailbox, service, settingsState, rules),
       bundleId: pkg.appConfig.osxAppBundleId
     })
     notif.addEventListener('click', () => {
@@ -125,12 +125,12 @@ class EnhancedNotificationRenderer {
   * @param settingsState: the current settings state
   */
   presentMailboxNotificationWin32 (mailboxId, serviceType, notification, clickHandler, mailboxState, settingsState) {
-    const { mailbox, service, enabled } = NotificationRendererUtils.checkConfigAndFetchMailbox(mailboxId, serviceType, mailboxState, settingsState)
+    const { mailbox, service, enabled, rules } = NotificationRendererUtils.checkConfigAndFetchMailbox(mailboxId, serviceType, mailboxState, settingsState, notification)
     if (!enabled) { return }
 
     NotificationRendererUtils.preparedServiceIconWin32(mailbox, service, mailboxState)
       .then((icon) => {
-        const sound = NotificationRendererUtils.preparedServiceSound(mailbox, service, settingsState)
+        const sound = NotificationRendererUtils.preparedServiceSound(mailbox, service, settingsState, rules)
         const notif = new Win32Notification.ToastNotification({
           appId: pkg.name,
           template: [
@@ -192,14 +192,14 @@ class EnhancedNotificationRenderer {
   * @param settingsState: the current settings state
   */
   presentMailboxNotificationLinux (mailboxId, serviceType, notification, clickHandler, mailboxState, settingsState) {
-    const { mailbox, service, enabled } = NotificationRendererUtils.checkConfigAndFetchMailbox(mailboxId, serviceType, mailboxState, settingsState)
+    const { mailbox, service, enabled, rules } = NotificationRendererUtils.checkConfigAndFetchMailbox(mailboxId, serviceType, mailboxState, settingsState, notification)
     if (!enabled) { return }
 
     EnhancedNotificationWindowLinux.showNotification({
       title: NotificationRendererUtils.formattedTitle(notification),
       body: NotificationRendererUtils.formattedBody(notification),
       icon: NotificationRendererUtils.preparedServiceIcon(mailbox, service, mailboxState),
-      sound: NotificationRendererUtils.preparedServiceSound(mailbox, service, settingsState)
+      sound: NotificationRendererUtils.preparedServiceSound(mailbox, service, settingsState, rules)
     }, clickHandler, notification.data)
   }
 }
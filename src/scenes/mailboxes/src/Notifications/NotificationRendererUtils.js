@@ -14,17 +14,18 @@ export default class NotificationRendererUtils {
   * @param serviceType: the type of service
   * @param mailboxState: the current mailbox state
   * @param settingsState: the current settings state
-  * @return { mailbox, service, enabled }
+  * @param notification=undefined: the notification to run through the service notification rules
+  * @return { mailbox, service, enabled, rules } where rules is the result of the service notification rules
   */
-  static checkConfigAndFetchMailbox (mailboxId, serviceType, mailboxState, settingsState) {
+  static checkConfigAndFetchMailbox (mailboxId, serviceType, mailboxState, settingsState, notification = undefined) {
     if (!settingsState.os.notificationsEnabled) {
-      return { mailbox: undefined, service: undefined, enabled: false }
+      return { mailbox: undefined, service: undefined, enabled: false, rules: undefined }
     }
 
     const mailbox = mailboxState.getMailbox(mailboxId)
     const service = mailbox ? mailbox.serviceForType(serviceType) : undefined
-    const showNotifications = service ? service.showNotifications : false
-    return { mailbox: mailbox, service: service, enabled: showNotifications }
+    const rules = service ? service.evaluateNotificationRules(notification) : undefined
+    return { mailbox: mailbox, service: service, enabled: rules ? rules.show : false, rules: rules }
   }
 
   /* **************************************************************************/
@@ -80,10 +81,15 @@ export default class NotificationRendererUtils {
   * @param mailbox: the mailbox to get the sound for
   * @param service: the service to get the sound for
   * @param settingsState: the current settings state
+  * @param rules=undefined: the result of the service notification rules
   * @return the mailbox sound, or undefined to indicate silence
   */
-  static preparedServiceSound (mailbox, service, settingsState) {
+  static preparedServiceSound (mailbox, service, settingsState, rules = undefined) {
     if (settingsState.os.notificationsSilent) { return undefined }
+    if (rules) {
+      if (rules.silent) { return undefined }
+      return rules.sound || this.preparedSound(settingsState)
+    }
 
     return service.notificationsSound || this.preparedSound(settingsState)
   }
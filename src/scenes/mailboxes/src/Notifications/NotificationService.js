@@ -1,10 +1,19 @@
 import { EventEmitter } from 'events'
-import { NOTIFICATION_MAX_AGE, NOTIFICATION_FIRST_RUN_GRACE_MS } from 'shared/constants'
+import {
+  NOTIFICATION_MAX_AGE,
+  NOTIFICATION_FIRST_RUN_GRACE_MS,
+  NOTIFICATION_DND_CHECK_INTERVAL,
+  NOTIFICATION_DIGEST_MAX_LINES,
+  NOTIFICATION_HISTORY_MAX_ENTRIES
+} from 'shared/constants'
 import { mailboxStore, mailboxActions, mailboxDispatch } from 'stores/mailbox'
-import { settingsStore } from 'stores/settings'
+import { settingsStore, settingsActions } from 'stores/settings'
+import { notificationHistoryStore, notificationHistoryActions } from 'stores/notificationHistory'
 import NotificationRenderer from './NotificationRenderer'
+import NotificationRendererUtils from './NotificationRendererUtils'
 import { WB_FOCUS_APP } from 'shared/ipcEvents'
 import { ipcRenderer } from 'electron'
+import uuid from 'uuid'
 
 class NotificationService extends EventEmitter {
   /* **************************************************************************/
@@ -15,7 +24,8 @@ class NotificationService extends EventEmitter {
     super()
     this.__state__ = this.getInitialState()
     this.__listeners__ = {
-      mailboxStore: this.mailboxChanged.bind(this)
+      mailboxStore: this.mailboxChanged.bind(this),
+      settingsStore: this.settingsChanged.bind(this)
     }
   }
 
@@ -39,6 +49,10 @@ class NotificationService extends EventEmitter {
     this.__state__ = this.getInitialState()
     this.__state__.isRunning = true
     mailboxStore.listen(this.__listeners__.mailboxStore)
+    settingsStore.listen(this.__listeners__.settingsStore)
+    this.__state__.dndInterval = setInterval(() => {
+      this.processDigest()
+    }, NOTIFICATION_DND_CHECK_INTERVAL)
 
     this.mailboxChanged()
     return this
@@ -52,6 +66,8 @@ class NotificationService extends EventEmitter {
     if (!this.isRunning) { return }
     this.__state__.isRunning = false
     mailboxStore.unlisten(this.__listeners__.mailboxStore)
+    settingsStore.unlisten(this.__listeners__.settingsStore)
+    clearInterval(this.__state__.dndInterval)
     return this
   }
 
@@ -63,12 +79,163 @@ class NotificationService extends EventEmitter {
     return {
       isRunning: false,
       startedTime: new Date().getTime(),
-      sent: new Map()
+      sent: new Map(),
+      digest: [],
+      dndInterval: null,
+      historyHandlers: new Map()
     }
   }
 
   mailboxChanged (mailboxState = mailboxStore.getState()) {
     this.processNewMailboxNotifications(mailboxState)
+    this.processDigest()
+  }
+
+  settingsChanged (settingsState = settingsStore.getState()) {
+    this.processDigest()
+  }
+
+  /* **************************************************************************/
+  // Do not disturb
+  /* **************************************************************************/
+
+  /**
+  * Holds a notification back if do not disturb is active for the mailbox
+  * @param mailbox: the mailbox the notification is for
+  * @param serviceType: the type of service the notification is for
+  * @param present: a function that presents the notification
+  * @return true if the notification was held back, false if it should be presented now
+  */
+  holdForDnd (mailbox, serviceType, present) {
+    if (!mailbox.isDndActive(settingsStore.getState().os)) { return false }
+
+    this.__state__.digest.push({
+      mailboxId: mailbox.id,
+      serviceType: serviceType,
+      present: present
+    })
+    return true
+  }
+
+  /**
+  * Presents any notifications that were held back by do not disturb and are now
+  * free to show. A single notification is shown as-is, multiple are rolled into a digest
+  */
+  processDigest () {
+    const now = new Date()
+    const settingsState = settingsStore.getState()
+    if (settingsState.os.notificationsSnoozeUntil !== 0 && !settingsState.os.isNotificationsSnoozed(now)) {
+      settingsActions.clearNotificationsSnooze.defer()
+    }
+    if (!this.__state__.digest.length) { return }
+
+    // Split out the ones that are now free
+    const mailboxState = mailboxStore.getState()
+    const ready = []
+    this.__state__.digest = this.__state__.digest.filter((entry) => {
+      const mailbox = mailboxState.getMailbox(entry.mailboxId)
+      if (!mailbox) { return false }
+      if (mailbox.isDndActive(settingsState.os, now)) { return true }
+      ready.push(entry)
+      return false
+    })
+    if (!ready.length) { return }
+    if (!settingsState.os.notificationsEnabled) { return }
+
+    // Present
+    if (ready.length === 1) {
+      ready[0].present()
+      return
+    }
+
+    const counts = ready.reduce((acc, { mailboxId }) => {
+      acc.set(mailboxId, (acc.get(mailboxId) || 0) + 1)
+      return acc
+    }, new Map())
+    const lines = Array.from(counts.keys()).map((mailboxId) => {
+      return `${mailboxState.getMailbox(mailboxId).displayName}: ${counts.get(mailboxId)}`
+    })
+    const body = lines.length > NOTIFICATION_DIGEST_MAX_LINES
+      ? lines.slice(0, NOTIFICATION_DIGEST_MAX_LINES).concat(`and ${lines.length - NOTIFICATION_DIGEST_MAX_LINES} more`)
+      : lines
+
+    NotificationRenderer.presentNotification(
+      `${ready.length} notifications while Do Not Disturb was on`,
+      { body: body.join('\n'), silent: false },
+      (data) => {
+        ipcRenderer.send(WB_FOCUS_APP, { })
+        mailboxActions.changeActive(data.mailboxId, data.serviceType)
+      },
+      { mailboxId: ready[0].mailboxId, serviceType: ready[0].serviceType }
+    )
+  }
+
+  /* **************************************************************************/
+  // History
+  /* **************************************************************************/
+
+  /**
+  * Records a notification in the history so it can be found again later
+  * @param mailboxId: the id of the mailbox the notification is for
+  * @param serviceType: the type of service the notification is for
+  * @param title: the title of the notification
+  * @param body: the body of the notification
+  * @param data=null: the persistable click data used to re-open the item
+  * @param clickHandler=undefined: a click handler that can only be used in this session
+  */
+  recordHistory (mailboxId, serviceType, title, body, data = null, clickHandler = undefined) {
+    if (!settingsStore.getState().os.notificationsEnabled) { return }
+
+    const id = uuid.v4()
+    notificationHistoryActions.record.defer({
+      id: id,
+      mailboxId: mailboxId,
+      serviceType: serviceType,
+      title: title || '',
+      body: body || '',
+      timestamp: new Date().getTime(),
+      data: data
+    })
+
+    if (clickHandler) {
+      const handlers = this.__state__.historyHandlers
+      handlers.set(id, clickHandler)
+      if (handlers.size > NOTIFICATION_HISTORY_MAX_ENTRIES) {
+        handlers.delete(handlers.keys().next().value)
+      }
+    }
+  }
+
+  /**
+  * Re-opens the item a history entry points to. Uses the original click handler
+  * if it's still available, otherwise falls back to the click data
+  * @param id: the id of the history entry
+  */
+  openHistoryEntry (id) {
+    const entry = notificationHistoryStore.getState().getEntry(id)
+    if (!entry) { return }
+
+    const clickHandler = this.__state__.historyHandlers.get(id)
+    if (clickHandler) {
+      clickHandler()
+    } else if (entry.data) {
+      this.openMailboxItem(entry.data)
+    } else {
+      ipcRenderer.send(WB_FOCUS_APP, { })
+      mailboxActions.changeActive(entry.mailboxId, entry.serviceType)
+    }
+  }
+
+  /**
+  * Switches to and opens the item a mailbox notification points to
+  * @param data: the notification click data
+  */
+  openMailboxItem (data) {
+    ipcRenderer.send(WB_FOCUS_APP, { })
+    if (data) {
+      mailboxActions.changeActive(data.mailboxId, data.serviceType)
+      mailboxDispatch.openItem(data.mailboxId, data.serviceType, data)
+    }
   }
 
   /* **************************************************************************/
@@ -90,20 +257,24 @@ class NotificationService extends EventEmitter {
     if (!mailbox) { return }
     const service = mailbox.serviceForType(serviceType)
     if (!service) { return }
-    if (!service.showNotifications) { return }
+    if (!service.evaluateNotificationRules(notification).show) { return }
 
-    NotificationRenderer.presentMailboxNotification(
+    this.recordHistory(
       mailboxId,
       serviceType,
-      notification,
-      (data) => {
-        ipcRenderer.send(WB_FOCUS_APP, { })
-        if (data) {
-          mailboxActions.changeActive(data.mailboxId, data.serviceType)
-          mailboxDispatch.openItem(data.mailboxId, data.serviceType, data)
-        }
-      }
+      NotificationRendererUtils.formattedTitle(notification),
+      NotificationRendererUtils.formattedBody(notification),
+      notification.data
     )
+    const present = () => {
+      NotificationRenderer.presentMailboxNotification(
+        mailboxId,
+        serviceType,
+        notification,
+        (data) => this.openMailboxItem(data)
+      )
+    }
+    if (!this.holdForDnd(mailbox, serviceType, present)) { present() }
   }
 
   /**
@@ -114,21 +285,39 @@ class NotificationService extends EventEmitter {
   * @param clickHandler: the click handler to call
   */
   processHandledMailboxNotification (mailboxId, serviceType, notification, clickHandler) {
-    NotificationRenderer.presentMailboxNotification(
-      mailboxId,
-      serviceType,
-      notification,
-      (data) => {
-        // Switch across to the mailbox if we were provided with enough info
-        ipcRenderer.send(WB_FOCUS_APP, { })
-        if (data && data.mailboxId && data.serviceType) {
-          mailboxActions.changeActive(data.mailboxId, data.serviceType)
-        }
+    const mailbox = mailboxStore.getState().getMailbox(mailboxId)
+    if (!mailbox) { return }
+    const service = mailbox.serviceForType(serviceType)
+    if (!service) { return }
+    if (!service.evaluateNotificationRules(notification).show) { return }
 
-        // Call the click handler back
-        clickHandler(data)
+    const handleClick = (data) => {
+      // Switch across to the mailbox if we were provided with enough info
+      ipcRenderer.send(WB_FOCUS_APP, { })
+      if (data && data.mailboxId && data.serviceType) {
+        mailboxActions.changeActive(data.mailboxId, data.serviceType)
       }
+
+      // Call the click handler back
+      clickHandler(data)
+    }
+    this.recordHistory(
+      mailboxId,
+      serviceType,
+      NotificationRendererUtils.formattedTitle(notification),
+      NotificationRendererUtils.formattedBody(notification),
+      null,
+      () => handleClick(notification.data)
     )
+    const present = () => {
+      NotificationRenderer.presentMailboxNotification(
+        mailboxId,
+        serviceType,
+        notification,
+        handleClick
+      )
+    }
+    if (!this.holdForDnd(mailbox, serviceType, present)) { present() }
   }
 
   /**
@@ -148,28 +337,45 @@ class NotificationService extends EventEmitter {
     if (!mailbox) { return }
     const service = mailbox.serviceForType(serviceType)
     if (!service) { return }
-    if (!service.showNotifications) { return }
+    const rules = service.evaluateNotificationRules({
+      title: notification.title,
+      body: (notification.options || {}).body
+    })
+    if (!rules.show) { return }
 
-    NotificationRenderer.presentNotification(
+    const handleClick = (data) => {
+      ipcRenderer.send(WB_FOCUS_APP, { })
+      mailboxActions.changeActive(mailboxId, serviceType)
+      if (data.clickHandler) {
+        data.clickHandler(notificationId)
+      }
+    }
+    const clickData = {
+      notificationId: notificationId,
+      mailboxId: mailboxId,
+      serviceType: serviceType,
+      clickHandler: clickHandler
+    }
+    this.recordHistory(
+      mailboxId,
+      serviceType,
       notification.title,
-      {
-        body: (notification.options || {}).body,
-        silent: (notification.options || {}).silent,
-        icon: (notification.options || {}).icon
-      },
-      (data) => {
-        ipcRenderer.send(WB_FOCUS_APP, { })
-        mailboxActions.changeActive(mailboxId, serviceType)
-        if (data.clickHandler) {
-          data.clickHandler(notificationId)
-        }
-      },
-      {
-        notificationId: notificationId,
-        mailboxId: mailboxId,
-        serviceType: serviceType,
-        clickHandler: clickHandler
-      })
+      (notification.options || {}).body,
+      null,
+      () => handleClick(clickData)
+    )
+    const present = () => {
+      NotificationRenderer.presentNotification(
+        notification.title,
+        {
+          body: (notification.options || {}).body,
+          silent: rules.silent ? true : (notification.options || {}).silent,
+          icon: (notification.options || {}).icon
+        },
+        handleClick,
+        clickData)
+    }
+    if (!this.holdForDnd(mailbox, serviceType, present)) { present() }
   }
 
   /**
@@ -211,6 +417,63 @@ class NotificationService extends EventEmitter {
       })
   }
 
+  /**
+  * Processes a notification that's been created by a chrome extension. These aren't tied
+  * to an account so they're dropped rather than held when do not disturb is active
+  * @param extensionId: the id of the extension
+  * @param notificationId: the id of the notification to pass back to the extension
+  * @param notification: the notification info to present in the format { title, body, icon, silent }
+  * @param clickHandler=undefined: the handler to call on click
+  */
+  processCRExtensionNotification (extensionId, notificationId, notification, clickHandler = undefined) {
+    const settingsState = settingsStore.getState()
+    if (!settingsState.os.notificationsEnabled) { return }
+    if (settingsState.os.isNotificationsSnoozed() || settingsState.os.isNotificationsDndScheduled()) { return }
+
+    NotificationRenderer.presentNotification(
+      notification.title,
+      {
+        body: notification.body,
+        silent: notification.silent,
+        icon: notification.icon
+      },
+      (data) => {
+        ipcRenderer.send(WB_FOCUS_APP, { })
+        if (data.clickHandler) {
+          data.clickHandler(data.extensionId, data.notificationId)
+        }
+      },
+      {
+        extensionId: extensionId,
+        notificationId: notificationId,
+        clickHandler: clickHandler
+      })
+  }
+
+  /**
+  * Processes a resource alert for an account. These are only useful when they
+  * happen so they're dropped rather than held when do not disturb is active
+  * @param mailbox: the mailbox the alert is for
+  * @param serviceType: the type of service the alert is for
+  * @param title: the title of the notification
+  * @param body: the body of the notification
+  */
+  processResourceAlertNotification (mailbox, serviceType, title, body) {
+    const settingsState = settingsStore.getState()
+    if (!settingsState.os.notificationsEnabled) { return }
+    if (mailbox.isDndActive(settingsState.os)) { return }
+
+    NotificationRenderer.presentNotification(
+      title,
+      { body: body },
+      (data) => {
+        ipcRenderer.send(WB_FOCUS_APP, { })
+        mailboxActions.changeActive(data.mailboxId, data.serviceType)
+      },
+      { mailboxId: mailbox.id, serviceType: serviceType }
+    )
+  }
+
   /**
   * Processes new notifications and prepares them for firing
   * @param mailboxState: the current mailbox state
@@ -226,19 +489,19 @@ class NotificationService extends EventEmitter {
     mailboxState.allMailboxes().forEach((mailbox) => {
       mailbox.enabledServices.forEach((service) => {
         if (!service.supportsSyncedDiffNotifications) { return }
-        if (!service.showNotifications) { return }
+        if (!service.showNotifications && !service.hasNotificationRules) { return }
 
         service.notifications.forEach((notification) => {
           const id = `${mailbox.id}:${service.type}:${notification.id}`
           if (this.__state__.sent.has(id)) { return }
           if (now - notification.timestamp > NOTIFICATION_MAX_AGE) { return }
-          if (this.suppressForGrace) {
+          if (this.suppressForGrace || !service.evaluateNotificationRules(notification).show) {
             this.__state__.sent.set(id, now)
             return
           }
 
           pendingNotifications.push({
-            mailboxId: mailbox.id,
+            mailbox: mailbox,
             serviceType: service.type,
             notification: notification
           })
@@ -257,21 +520,26 @@ class NotificationService extends EventEmitter {
 
     // Send the notifications we found
     if (pendingNotifications.length) {
-      pendingNotifications.forEach(({ mailboxId, serviceType, notification }) => {
-        NotificationRenderer.presentMailboxNotification(
-          mailboxId,
+      pendingNotifications.forEach(({ mailbox, serviceType, notification }) => {
+        this.recordHistory(
+          mailbox.id,
           serviceType,
-          notification,
-          (data) => {
-            ipcRenderer.send(WB_FOCUS_APP, { })
-            if (data) {
-              mailboxActions.changeActive(data.mailboxId, data.serviceType)
-              mailboxDispatch.openItem(data.mailboxId, data.serviceType, data)
-            }
-          },
-          mailboxState,
-          settingsState
+          NotificationRendererUtils.formattedTitle(notification),
+          NotificationRendererUtils.formattedBody(notification),
+          notification.data
         )
+        const present = (...stateArgs) => {
+          NotificationRenderer.presentMailboxNotification(
+            mailbox.id,
+            serviceType,
+            notification,
+            (data) => this.openMailboxItem(data),
+            ...stateArgs
+          )
+        }
+        if (!this.holdForDnd(mailbox, serviceType, present)) {
+          present(mailboxState, settingsState)
+        }
       })
     }
   }
@@ -7,7 +7,9 @@ import { mailboxStore, mailboxActions, GenericMailboxReducer, GenericDefaultServ
 import shallowCompare from 'react-addons-shallow-compare'
 import {
   WB_BROWSER_NOTIFICATION_PRESENT,
-  WB_MAILBOXES_WEBVIEW_NAVIGATE_HOME
+  WB_MAILBOXES_WEBVIEW_NAVIGATE_HOME,
+  WB_BROWSER_GENERIC_CONFIGURE_UNREAD_COUNT,
+  WB_BROWSER_GENERIC_UNREAD_COUNT_CHANGED
 } from 'shared/ipcEvents'
 import Resolver from 'Runtime/Resolver'
 
@@ -57,19 +59,44 @@ export default class GenericMailboxDefaultServiceWebView extends React.Component
     const service = mailbox ? mailbox.serviceForType(CoreService.SERVICE_TYPES.DEFAULT) : null
     return {
       defaultWindowOpenMode: mailbox ? mailbox.defaultWindowOpenMode : CoreMailbox.DEFAULT_WINDOW_OPEN_MODES.WAVEBOX,
-      url: service ? service.url : undefined
+      url: service ? service.url : undefined,
+      unreadCountSelector: service && service.hasUnreadCountSelector ? service.unreadCountSelector : undefined
     }
   }
 
   mailboxChanged = (mailboxState) => {
     const mailbox = mailboxState.getMailbox(this.props.mailboxId)
     const service = mailbox ? mailbox.serviceForType(CoreService.SERVICE_TYPES.DEFAULT) : null
+    const unreadCountSelector = service && service.hasUnreadCountSelector ? service.unreadCountSelector : undefined
+
+    // Siphon the unread config down to the webview
+    if (unreadCountSelector !== this.state.unreadCountSelector) {
+      this.sendUnreadCountConfig(unreadCountSelector)
+    }
+
     this.setState({
       defaultWindowOpenMode: mailbox ? mailbox.defaultWindowOpenMode : CoreMailbox.DEFAULT_WINDOW_OPEN_MODES.WAVEBOX,
-      url: service ? service.url : undefined
+      url: service ? service.url : undefined,
+      unreadCountSelector: unreadCountSelector
     })
   }
 
+  /* **************************************************************************/
+  // Webview communication
+  /* **************************************************************************/
+
+  /**
+  * Sends the unread count config to the webview
+  * @param selector: the selector to read the unread count with or undefined to stop
+  */
+  sendUnreadCountConfig (selector) {
+    try {
+      this.refs[REF].send(WB_BROWSER_GENERIC_CONFIGURE_UNREAD_COUNT, { selector: selector })
+    } catch (ex) {
+      console.warn(ex)
+    }
+  }
+
   /* **************************************************************************/
   // Browser Events
   /* **************************************************************************/
@@ -88,6 +115,12 @@ export default class GenericMailboxDefaultServiceWebView extends React.Component
   */
   handlePageTitleUpdated = (evt) => {
     mailboxActions.reduce(this.props.mailboxId, GenericMailboxReducer.setPageTitle, evt.title)
+    mailboxActions.reduceService(
+      this.props.mailboxId,
+      CoreService.SERVICE_TYPES.DEFAULT,
+      GenericDefaultServiceReducer.setUnreadCountFromTitle,
+      evt.title
+    )
   }
 
   /**
@@ -96,6 +129,19 @@ export default class GenericMailboxDefaultServiceWebView extends React.Component
   */
   handlePageFaviconUpdated = (evt) => {
     mailboxActions.reduce(this.props.mailboxId, GenericMailboxReducer.setPageFavicon, evt.favicons)
+    mailboxActions.reduceService(
+      this.props.mailboxId,
+      CoreService.SERVICE_TYPES.DEFAULT,
+      GenericDefaultServiceReducer.setUnreadCountFromFavicons,
+      evt.favicons
+    )
+  }
+
+  /**
+  * Handles the dom becoming ready
+  */
+  handleDomReady = () => {
+    this.sendUnreadCountConfig(this.state.unreadCountSelector)
   }
 
   /* **************************************************************************/
@@ -110,6 +156,7 @@ export default class GenericMailboxDefaultServiceWebView extends React.Component
     switch (evt.channel.type) {
       case WB_BROWSER_NOTIFICATION_PRESENT: this.handleBrowserNotificationPresented(); break
       case WB_MAILBOXES_WEBVIEW_NAVIGATE_HOME: this.refs[REF].loadURL(this.state.url); break
+      case WB_BROWSER_GENERIC_UNREAD_COUNT_CHANGED: this.handleUnreadCountChanged(evt.channel.data); break
       default: break
     }
   }
@@ -125,6 +172,19 @@ export default class GenericMailboxDefaultServiceWebView extends React.Component
     )
   }
 
+  /**
+  * Handles the unread count changing in the page
+  * @param data: the data sent from the webview
+  */
+  handleUnreadCountChanged = (data) => {
+    mailboxActions.reduceService(
+      this.props.mailboxId,
+      CoreService.SERVICE_TYPES.DEFAULT,
+      GenericDefaultServiceReducer.setUnreadCount,
+      data.next
+    )
+  }
+
   /* **************************************************************************/
   // Rendering
   /* **************************************************************************/
@@ -147,6 +207,7 @@ export default class GenericMailboxDefaultServiceWebView extends React.Component
         didChangeThemeColor={this.handleThemeColorChanged}
         pageTitleUpdated={this.handlePageTitleUpdated}
         pageFaviconUpdated={this.handlePageFaviconUpdated}
+        domReady={this.handleDomReady}
         ipcMessage={this.handleIPCMessage} />
     )
   }
@@ -126,7 +126,8 @@ export default class GoogleMailboxMailWebView extends React.Component {
       this.refs[REF].send(WB_BROWSER_OPEN_MESSAGE, {
         messageId: evt.data.messageId,
         threadId: evt.data.threadId,
-        search: evt.data.search
+        search: evt.data.search,
+        viewQuery: evt.data.viewQuery
       })
     }
   }
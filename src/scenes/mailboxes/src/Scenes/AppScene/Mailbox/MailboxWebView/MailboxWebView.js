@@ -379,7 +379,12 @@ export default class MailboxWebView extends React.Component {
         settingsActions.setSpellcheckerLanguage(evt.channel.data.lang)
         break
       case WB_PONG_RESOURCE_USAGE:
-        ipcRenderer.send(WB_PONG_RESOURCE_USAGE, evt.channel.data)
+        ipcRenderer.send(WB_PONG_RESOURCE_USAGE, {
+          ...evt.channel.data,
+          mailboxId: this.props.mailboxId,
+          serviceType: this.props.serviceType,
+          accountName: this.state.mailbox ? this.state.mailbox.displayName : undefined
+        })
         break
       case WB_NEW_WINDOW:
         MailboxLinker.openContentWindow(this.props.mailboxId, this.props.serviceType, evt.channel.data.url)
@@ -7,6 +7,7 @@ import CoreMailbox from 'shared/Models/Accounts/CoreMailbox'
 import MailboxServicePopover from '../../MailboxServicePopover'
 import SidelistItemMailboxAvatar from './SidelistItemMailboxAvatar'
 import SidelistItemMailboxServices from './SidelistItemMailboxServices'
+import SidelistItemMailboxUnreadViews from './SidelistItemMailboxUnreadViews'
 
 const styles = {
   /**
@@ -157,6 +158,7 @@ export default class SidelistItemMailbox extends React.Component {
           serviceType={CoreMailbox.SERVICE_TYPES.DEFAULT}
           onContextMenu={(evt) => this.handleOpenPopover(evt, CoreMailbox.SERVICE_TYPES.DEFAULT)}
           onClick={this.handleClick} />
+        <SidelistItemMailboxUnreadViews mailboxId={mailboxId} />
         {userHasServices && mailbox.serviceDisplayMode === CoreMailbox.SERVICE_DISPLAY_MODES.SIDEBAR ? (
           <SidelistItemMailboxServices
             mailboxId={mailboxId}
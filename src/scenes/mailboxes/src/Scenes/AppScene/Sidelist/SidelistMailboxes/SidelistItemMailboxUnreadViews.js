@@ -0,0 +1,128 @@
+import PropTypes from 'prop-types'
+import React from 'react'
+import shallowCompare from 'react-addons-shallow-compare'
+import { mailboxStore, mailboxActions, mailboxDispatch } from 'stores/mailbox'
+import CoreMailbox from 'shared/Models/Accounts/CoreMailbox'
+import * as Colors from 'material-ui/styles/colors'
+
+const styles = {
+  container: {
+    marginTop: 6
+  },
+  view: {
+    display: 'block',
+    margin: '2px auto',
+    width: 54,
+    height: 16,
+    lineHeight: '16px',
+    borderRadius: 8,
+    fontSize: '10px',
+    overflow: 'hidden',
+    whiteSpace: 'nowrap',
+    textOverflow: 'ellipsis',
+    paddingLeft: 4,
+    paddingRight: 4,
+    boxSizing: 'border-box',
+    cursor: 'pointer',
+    color: Colors.grey300,
+    backgroundColor: 'rgba(255, 255, 255, 0.1)',
+    WebkitAppRegion: 'no-drag'
+  },
+  viewUnread: {
+    color: Colors.red50,
+    backgroundColor: 'rgba(238, 54, 55, 0.95)'
+  }
+}
+
+export default class SidelistItemMailboxUnreadViews extends React.Component {
+  /* **************************************************************************/
+  // Class
+  /* **************************************************************************/
+
+  static propTypes = {
+    mailboxId: PropTypes.string.isRequired
+  }
+
+  /* **************************************************************************/
+  // Lifecycle
+  /* **************************************************************************/
+
+  componentDidMount () {
+    mailboxStore.listen(this.mailboxesChanged)
+  }
+
+  componentWillUnmount () {
+    mailboxStore.unlisten(this.mailboxesChanged)
+  }
+
+  componentWillReceiveProps (nextProps) {
+    if (this.props.mailboxId !== nextProps.mailboxId) {
+      this.setState(this.generateState(nextProps))
+    }
+  }
+
+  /* **************************************************************************/
+  // Component Lifecycle
+  /* **************************************************************************/
+
+  state = this.generateState()
+
+  generateState (props = this.props, mailboxState = mailboxStore.getState()) {
+    const mailbox = mailboxState.getMailbox(props.mailboxId)
+    return {
+      service: mailbox ? mailbox.defaultService : null
+    }
+  }
+
+  mailboxesChanged = (mailboxState) => {
+    this.setState(this.generateState(this.props, mailboxState))
+  }
+
+  /* **************************************************************************/
+  // UI Events
+  /* **************************************************************************/
+
+  /**
+  * Opens the view in the mailbox
+  * @param evt: the event that fired
+  * @param view: the view to open
+  */
+  handleOpenView = (evt, view) => {
+    evt.preventDefault()
+    evt.stopPropagation()
+    const { mailboxId } = this.props
+    mailboxActions.changeActive(mailboxId, CoreMailbox.SERVICE_TYPES.DEFAULT)
+    mailboxDispatch.openItem(mailboxId, CoreMailbox.SERVICE_TYPES.DEFAULT, { viewQuery: view.query })
+  }
+
+  /* **************************************************************************/
+  // Rendering
+  /* **************************************************************************/
+
+  shouldComponentUpdate (nextProps, nextState) {
+    return shallowCompare(this, nextProps, nextState)
+  }
+
+  render () {
+    const { mailboxId, ...passProps } = this.props
+    const { service } = this.state
+    if (!service || !service.hasUnreadViews) { return false }
+
+    return (
+      <div {...passProps} style={styles.container}>
+        {service.unreadViews.map((view) => {
+          const unreadCount = service.getUnreadViewInfo(view.id).unreadCount
+          return (
+            <div
+              key={view.id}
+              title={`${view.name} (${unreadCount})`}
+              style={unreadCount ? { ...styles.view, ...styles.viewUnread } : styles.view}
+              onClick={(evt) => this.handleOpenView(evt, view)}>
+              {unreadCount ? `${unreadCount} ${view.name}` : view.name}
+            </div>
+          )
+        })}
+      </div>
+    )
+  }
+}
@@ -1,6 +1,6 @@
 import React from 'react'
 import PropTypes from 'prop-types'
-import { extensionStore } from 'stores/extension'
+import { extensionStore, extensionDispatch } from 'stores/extension'
 import { settingsStore } from 'stores/settings'
 import CoreExtensionManifest from 'shared/Models/Extensions/CoreExtensionManifest'
 import WebView from 'sharedui/Components/WebView'
@@ -38,12 +38,14 @@ export default class ToolwindowExtension extends React.Component {
   componentDidMount () {
     extensionStore.listen(this.extensionUpdated)
     settingsStore.listen(this.settingsChanged)
+    extensionDispatch.on('devtools', this.handleOpenDevTools)
     ipcRenderer.on(WB_PING_RESOURCE_USAGE, this.handlePingResourceUsage)
   }
 
   componentWillUnmount () {
     extensionStore.unlisten(this.extensionUpdated)
     settingsStore.unlisten(this.settingsChanged)
+    extensionDispatch.removeListener('devtools', this.handleOpenDevTools)
     ipcRenderer.removeListener(WB_PING_RESOURCE_USAGE, this.handlePingResourceUsage)
   }
 
@@ -96,6 +98,20 @@ export default class ToolwindowExtension extends React.Component {
     })
   }
 
+  /* **************************************************************************/
+  // Dispatcher Events
+  /* **************************************************************************/
+
+  /**
+  * Handles devtools being requested
+  * @param evt: the event that fired
+  */
+  handleOpenDevTools = (evt) => {
+    if (evt.installId === this.props.installId) {
+      this.refs[BROWSER_REF].openDevTools()
+    }
+  }
+
   /* **************************************************************************/
   // IPC Events
   /* **************************************************************************/
@@ -0,0 +1,309 @@
+import React from 'react'
+import {
+  Dialog,
+  RaisedButton,
+  FlatButton,
+  SelectField,
+  MenuItem,
+  LinearProgress,
+  IconButton,
+  FontIcon
+} from 'material-ui'
+import * as Colors from 'material-ui/styles/colors'
+import { mailboxStore } from 'stores/mailbox'
+import { downloadStore, downloadActions } from 'stores/download'
+import { MailboxAvatar } from 'Components/Mailbox'
+import { DOWNLOAD_STATES } from 'shared/constants'
+import shallowCompare from 'react-addons-shallow-compare'
+
+const BYTE_UNITS = ['B', 'KB', 'MB', 'GB', 'TB']
+
+const styles = {
+  filters: {
+    display: 'flex',
+    justifyContent: 'flex-end'
+  },
+  empty: {
+    textAlign: 'center',
+    color: Colors.grey500,
+    marginTop: 32,
+    marginBottom: 32
+  },
+  entry: {
+    display: 'flex',
+    alignItems: 'center',
+    paddingTop: 8,
+    paddingBottom: 8,
+    borderBottom: `1px solid ${Colors.grey200}`
+  },
+  entryAvatar: {
+    width: 40,
+    marginRight: 16,
+    flexShrink: 0
+  },
+  entryDetails: {
+    flex: 1,
+    overflow: 'hidden'
+  },
+  entryFilename: {
+    fontSize: '14px',
+    color: Colors.grey900,
+    whiteSpace: 'nowrap',
+    overflow: 'hidden',
+    textOverflow: 'ellipsis'
+  },
+  entryFilenameFinished: {
+    color: Colors.grey500,
+    textDecoration: 'line-through'
+  },
+  entryProgress: {
+    marginTop: 4,
+    marginBottom: 4
+  },
+  entryMeta: {
+    fontSize: '12px',
+    color: Colors.grey500,
+    whiteSpace: 'nowrap',
+    overflow: 'hidden',
+    textOverflow: 'ellipsis'
+  },
+  entryActions: {
+    display: 'flex',
+    flexShrink: 0
+  }
+}
+
+export default class DownloadManagerScene extends React.Component {
+  /* **************************************************************************/
+  // Component Lifecycle
+  /* **************************************************************************/
+
+  componentDidMount () {
+    mailboxStore.listen(this.mailboxChanged)
+    downloadStore.listen(this.downloadChanged)
+  }
+
+  componentWillUnmount () {
+    mailboxStore.unlisten(this.mailboxChanged)
+    downloadStore.unlisten(this.downloadChanged)
+  }
+
+  /* **************************************************************************/
+  // Data lifecycle
+  /* **************************************************************************/
+
+  state = (() => {
+    return {
+      open: true,
+      mailboxId: null,
+      mailboxes: mailboxStore.getState().allMailboxes(),
+      entries: downloadStore.getState().allEntries()
+    }
+  })()
+
+  mailboxChanged = (mailboxState) => {
+    this.setState({ mailboxes: mailboxState.allMailboxes() })
+  }
+
+  downloadChanged = (downloadState) => {
+    this.setState({ entries: downloadState.allEntries() })
+  }
+
+  /* **************************************************************************/
+  // UI Events
+  /* **************************************************************************/
+
+  /**
+  * Closes the modal
+  */
+  handleClose = () => {
+    this.setState({ open: false })
+    setTimeout(() => {
+      window.location.hash = '/'
+    }, 250)
+  }
+
+  /* **************************************************************************/
+  // Rendering
+  /* **************************************************************************/
+
+  shouldComponentUpdate (nextProps, nextState) {
+    return shallowCompare(this, nextProps, nextState)
+  }
+
+  /**
+  * @param bytes: the number of bytes
+  * @return a human readable version of the bytes
+  */
+  humanizeBytes (bytes) {
+    let value = bytes || 0
+    let unit = 0
+    while (value >= 1024 && unit < BYTE_UNITS.length - 1) {
+      value = value / 1024
+      unit++
+    }
+    return `${unit === 0 ? value : value.toFixed(1)} ${BYTE_UNITS[unit]}`
+  }
+
+  /**
+  * @param entry: the in progress entry to describe
+  * @return a description of the progress of the entry
+  */
+  describeEntryProgress (entry) {
+    const progress = entry.totalBytes
+      ? `${this.humanizeBytes(entry.receivedBytes)} of ${this.humanizeBytes(entry.totalBytes)}`
+      : this.humanizeBytes(entry.receivedBytes)
+    return entry.paused ? `Paused - ${progress}` : progress
+  }
+
+  /**
+  * @param entry: the entry to describe
+  * @return a description of the state of the entry
+  */
+  describeEntryState (entry) {
+    switch (entry.state) {
+      case DOWNLOAD_STATES.PROGRESSING: return this.describeEntryProgress(entry)
+      case DOWNLOAD_STATES.COMPLETED: return this.humanizeBytes(entry.receivedBytes || entry.totalBytes)
+      case DOWNLOAD_STATES.CANCELLED: return 'Cancelled'
+      case DOWNLOAD_STATES.INTERRUPTED: return 'Failed'
+      default: return ''
+    }
+  }
+
+  /**
+  * Renders an action button
+  * @param key: the key for the button
+  * @param icon: the icon to show
+  * @param tooltip: the tooltip for the button
+  * @param onClick: executed on click
+  * @return jsx
+  */
+  renderAction (key, icon, tooltip, onClick) {
+    return (
+      <IconButton key={key} tooltip={tooltip} tooltipPosition='top-left' onClick={onClick}>
+        <FontIcon className='material-icons' color={Colors.grey600}>{icon}</FontIcon>
+      </IconButton>
+    )
+  }
+
+  /**
+  * Renders the actions for an entry
+  * @param entry: the entry to render the actions for
+  * @return jsx
+  */
+  renderEntryActions (entry) {
+    const { id } = entry
+    switch (entry.state) {
+      case DOWNLOAD_STATES.PROGRESSING:
+        return [
+          entry.paused
+            ? this.renderAction('resume', 'play_arrow', 'Resume', () => downloadActions.resume(id))
+            : this.renderAction('pause', 'pause', 'Pause', () => downloadActions.pause(id)),
+          this.renderAction('cancel', 'close', 'Cancel', () => downloadActions.cancel(id))
+        ]
+      case DOWNLOAD_STATES.COMPLETED:
+        return [
+          this.renderAction('open', 'open_in_new', 'Open', () => downloadActions.open(id)),
+          this.renderAction('folder', 'folder_open', 'Show in folder', () => downloadActions.showInFolder(id)),
+          this.renderAction('remove', 'delete', 'Remove from history', () => downloadActions.remove(id))
+        ]
+      default:
+        return [
+          this.renderAction('retry', 'refresh', 'Retry', () => downloadActions.retry(id)),
+          this.renderAction('remove', 'delete', 'Remove from history', () => downloadActions.remove(id))
+        ]
+    }
+  }
+
+  /**
+  * Renders an entry
+  * @param entry: the entry to render
+  * @param mailbox: the mailbox the entry is for, if it still exists
+  * @return jsx
+  */
+  renderEntry (entry, mailbox) {
+    const isProgressing = entry.state === DOWNLOAD_STATES.PROGRESSING
+    const isFailed = entry.state === DOWNLOAD_STATES.CANCELLED || entry.state === DOWNLOAD_STATES.INTERRUPTED
+    const source = mailbox ? mailbox.displayName : 'Removed account'
+
+    return (
+      <div key={entry.id} style={styles.entry}>
+        <div style={styles.entryAvatar}>
+          {mailbox ? (<MailboxAvatar mailbox={mailbox} size={40} />) : undefined}
+        </div>
+        <div style={styles.entryDetails}>
+          <div
+            style={Object.assign({}, styles.entryFilename, isFailed ? styles.entryFilenameFinished : undefined)}
+            title={entry.savePath}>
+            {entry.filename}
+          </div>
+          {isProgressing ? (
+            <LinearProgress
+              style={styles.entryProgress}
+              mode={entry.totalBytes ? 'determinate' : 'indeterminate'}
+              max={entry.totalBytes || 100}
+              value={entry.receivedBytes} />
+          ) : undefined}
+          <div style={styles.entryMeta}>
+            {`${this.describeEntryState(entry)} · ${source} · ${new Date(entry.startTime).toLocaleString()}`}
+          </div>
+        </div>
+        <div style={styles.entryActions}>
+          {this.renderEntryActions(entry)}
+        </div>
+      </div>
+    )
+  }
+
+  render () {
+    const { open, mailboxId, mailboxes } = this.state
+    const mailboxState = mailboxStore.getState()
+    const downloadState = downloadStore.getState()
+    const results = downloadState.entriesForMailbox(mailboxId || undefined)
+
+    const actions = [
+      (<FlatButton
+        key='clear'
+        label='Clear History'
+        style={{ marginRight: 8 }}
+        disabled={!downloadState.hasFinishedEntries()}
+        onClick={() => downloadActions.clearHistory()} />),
+      (<RaisedButton
+        key='close'
+        primary
+        label='Close'
+        onClick={this.handleClose} />)
+    ]
+
+    return (
+      <Dialog
+        modal={false}
+        title='Downloads'
+        actions={actions}
+        open={open}
+        autoScrollBodyContent
+        onRequestClose={this.handleClose}>
+        <div style={styles.filters}>
+          <SelectField
+            floatingLabelText='Account'
+            value={mailboxId}
+            onChange={(evt, index, value) => this.setState({ mailboxId: value })}>
+            <MenuItem value={null} primaryText='All accounts' />
+            {mailboxes.map((mailbox) => {
+              return (<MenuItem key={mailbox.id} value={mailbox.id} primaryText={mailbox.displayName} />)
+            })}
+          </SelectField>
+        </div>
+        {results.length ? (
+          <div>
+            {results.map((entry) => this.renderEntry(entry, mailboxState.getMailbox(entry.mailboxId)))}
+          </div>
+        ) : (
+          <div style={styles.empty}>
+            {mailboxId ? 'This account has no downloads' : 'Files you download will appear here'}
+          </div>
+        )}
+      </Dialog>
+    )
+  }
+}
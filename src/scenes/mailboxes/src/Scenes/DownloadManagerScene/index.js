@@ -0,0 +1,2 @@
+import DownloadManagerScene from './DownloadManagerScene'
+export default DownloadManagerScene
@@ -0,0 +1,203 @@
+import React from 'react'
+import {
+  Dialog,
+  RaisedButton,
+  FlatButton,
+  TextField,
+  SelectField,
+  MenuItem,
+  List,
+  ListItem,
+  IconButton,
+  FontIcon
+} from 'material-ui'
+import * as Colors from 'material-ui/styles/colors'
+import { mailboxStore } from 'stores/mailbox'
+import { notificationHistoryStore, notificationHistoryActions } from 'stores/notificationHistory'
+import { NotificationService } from 'Notifications'
+import { MailboxAvatar } from 'Components/Mailbox'
+import shallowCompare from 'react-addons-shallow-compare'
+
+const styles = {
+  filters: {
+    display: 'flex',
+    alignItems: 'flex-end'
+  },
+  search: {
+    flex: 1,
+    marginRight: 16
+  },
+  empty: {
+    textAlign: 'center',
+    color: Colors.grey500,
+    marginTop: 32,
+    marginBottom: 32
+  },
+  body: {
+    whiteSpace: 'pre-line'
+  },
+  meta: {
+    fontSize: '12px',
+    color: Colors.grey500
+  }
+}
+
+export default class NotificationHistoryScene extends React.Component {
+  /* **************************************************************************/
+  // Component Lifecycle
+  /* **************************************************************************/
+
+  componentDidMount () {
+    mailboxStore.listen(this.mailboxChanged)
+    notificationHistoryStore.listen(this.notificationHistoryChanged)
+  }
+
+  componentWillUnmount () {
+    mailboxStore.unlisten(this.mailboxChanged)
+    notificationHistoryStore.unlisten(this.notificationHistoryChanged)
+  }
+
+  /* **************************************************************************/
+  // Data lifecycle
+  /* **************************************************************************/
+
+  state = (() => {
+    const mailboxState = mailboxStore.getState()
+    return {
+      open: true,
+      query: '',
+      mailboxId: null,
+      mailboxes: mailboxState.allMailboxes(),
+      entries: notificationHistoryStore.getState().allEntries()
+    }
+  })()
+
+  mailboxChanged = (mailboxState) => {
+    this.setState({ mailboxes: mailboxState.allMailboxes() })
+  }
+
+  notificationHistoryChanged = (historyState) => {
+    this.setState({ entries: historyState.allEntries() })
+  }
+
+  /* **************************************************************************/
+  // UI Events
+  /* **************************************************************************/
+
+  /**
+  * Closes the modal
+  */
+  handleClose = () => {
+    this.setState({ open: false })
+    setTimeout(() => {
+      window.location.hash = '/'
+    }, 250)
+  }
+
+  /**
+  * Re-opens the item for an entry
+  * @param entry: the entry to open
+  */
+  handleOpenEntry = (entry) => {
+    this.handleClose()
+    NotificationService.openHistoryEntry(entry.id)
+  }
+
+  /* **************************************************************************/
+  // Rendering
+  /* **************************************************************************/
+
+  shouldComponentUpdate (nextProps, nextState) {
+    return shallowCompare(this, nextProps, nextState)
+  }
+
+  /**
+  * Renders an entry
+  * @param entry: the entry to render
+  * @param mailbox: the mailbox the entry is for, if it still exists
+  * @return jsx
+  */
+  renderEntry (entry, mailbox) {
+    const service = mailbox ? mailbox.serviceForType(entry.serviceType) : undefined
+    const source = mailbox
+      ? [mailbox.displayName, service ? service.humanizedType : undefined].filter((s) => !!s).join(' - ')
+      : 'Removed account'
+
+    return (
+      <ListItem
+        key={entry.id}
+        disabled={!mailbox}
+        leftAvatar={mailbox ? (<MailboxAvatar mailbox={mailbox} size={40} />) : undefined}
+        primaryText={entry.title}
+        secondaryText={(
+          <div>
+            {entry.body ? (<div style={styles.body}>{entry.body}</div>) : undefined}
+            <div style={styles.meta}>{`${source} · ${new Date(entry.timestamp).toLocaleString()}`}</div>
+          </div>
+        )}
+        secondaryTextLines={2}
+        onClick={mailbox ? () => this.handleOpenEntry(entry) : undefined}
+        rightIconButton={(
+          <IconButton onClick={() => notificationHistoryActions.removeEntry(entry.id)}>
+            <FontIcon className='material-icons' color={Colors.grey600}>delete</FontIcon>
+          </IconButton>
+        )} />
+    )
+  }
+
+  render () {
+    const { open, query, mailboxId, mailboxes, entries } = this.state
+    const mailboxState = mailboxStore.getState()
+    const results = notificationHistoryStore.getState().searchEntries(query, mailboxId || undefined)
+
+    const actions = [
+      (<FlatButton
+        key='clear'
+        label='Clear History'
+        style={{ marginRight: 8 }}
+        disabled={!entries.length}
+        onClick={() => notificationHistoryActions.clear()} />),
+      (<RaisedButton
+        key='close'
+        primary
+        label='Close'
+        onClick={this.handleClose} />)
+    ]
+
+    return (
+      <Dialog
+        modal={false}
+        title='Notification History'
+        actions={actions}
+        open={open}
+        autoScrollBodyContent
+        onRequestClose={this.handleClose}>
+        <div style={styles.filters}>
+          <TextField
+            style={styles.search}
+            hintText='Search notifications'
+            value={query}
+            onChange={(evt) => this.setState({ query: evt.target.value })} />
+          <SelectField
+            floatingLabelText='Account'
+            value={mailboxId}
+            onChange={(evt, index, value) => this.setState({ mailboxId: value })}>
+            <MenuItem value={null} primaryText='All accounts' />
+            {mailboxes.map((mailbox) => {
+              return (<MenuItem key={mailbox.id} value={mailbox.id} primaryText={mailbox.displayName} />)
+            })}
+          </SelectField>
+        </div>
+        {results.length ? (
+          <List>
+            {results.map((entry) => this.renderEntry(entry, mailboxState.getMailbox(entry.mailboxId)))}
+          </List>
+        ) : (
+          <div style={styles.empty}>
+            {entries.length ? 'No notifications match your search' : 'Notifications you receive will appear here'}
+          </div>
+        )}
+      </Dialog>
+    )
+  }
+}
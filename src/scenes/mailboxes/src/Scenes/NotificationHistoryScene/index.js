@@ -0,0 +1,2 @@
+import NotificationHistoryScene from './NotificationHistoryScene'
+export default NotificationHistoryScene
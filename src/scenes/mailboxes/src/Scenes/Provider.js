@@ -5,7 +5,7 @@ import shallowCompare from 'react-addons-shallow-compare'
 import Theme from 'sharedui/Components/Theme'
 import MuiThemeProvider from 'material-ui/styles/MuiThemeProvider'
 import { mailboxStore, mailboxDispatch, mailboxActions } from 'stores/mailbox'
-import { settingsStore } from 'stores/settings'
+import { settingsStore, settingsActions } from 'stores/settings'
 import { googleActions } from 'stores/google'
 import { trelloActions } from 'stores/trello'
 import { slackActions } from 'stores/slack'
@@ -20,9 +20,14 @@ import { AppBadge, WindowTitle } from 'Components'
 import {
   WB_MAILBOXES_WINDOW_DOWNLOAD_COMPLETE,
   WB_MAILBOXES_WINDOW_SHOW_SETTINGS,
+  WB_MAILBOXES_WINDOW_SNOOZE_NOTIFICATIONS,
   WB_MAILBOXES_WINDOW_SHOW_SUPPORT_CENTER,
   WB_MAILBOXES_WINDOW_SHOW_NEWS,
-  WB_MAILBOXES_WINDOW_ADD_ACCOUNT
+  WB_MAILBOXES_WINDOW_SHOW_NOTIFICATION_HISTORY,
+  WB_MAILBOXES_WINDOW_SHOW_DOWNLOADS,
+  WB_MAILBOXES_WINDOW_ADD_ACCOUNT,
+  WBECRX_NOTIFICATION_PRESENT,
+  WBECRX_NOTIFICATION_CLICKED_
 } from 'shared/ipcEvents'
 import { ipcRenderer, remote } from 'electron'
 
@@ -44,9 +49,13 @@ export default class Provider extends React.Component {
     updaterActions.load()
     ipcRenderer.on(WB_MAILBOXES_WINDOW_DOWNLOAD_COMPLETE, this.downloadCompleted)
     ipcRenderer.on(WB_MAILBOXES_WINDOW_SHOW_SETTINGS, this.ipcLaunchSettings)
+    ipcRenderer.on(WB_MAILBOXES_WINDOW_SNOOZE_NOTIFICATIONS, this.ipcSnoozeNotifications)
     ipcRenderer.on(WB_MAILBOXES_WINDOW_SHOW_SUPPORT_CENTER, this.ipcLaunchSupportCenter)
     ipcRenderer.on(WB_MAILBOXES_WINDOW_SHOW_NEWS, this.ipcLaunchNews)
+    ipcRenderer.on(WB_MAILBOXES_WINDOW_SHOW_NOTIFICATION_HISTORY, this.ipcLaunchNotificationHistory)
+    ipcRenderer.on(WB_MAILBOXES_WINDOW_SHOW_DOWNLOADS, this.ipcLaunchDownloads)
     ipcRenderer.on(WB_MAILBOXES_WINDOW_ADD_ACCOUNT, this.ipcAddAccount)
+    ipcRenderer.on(WBECRX_NOTIFICATION_PRESENT, this.ipcPresentExtensionNotification)
 
     // STEP 2. Mailbox connections
     mailboxActions.connectAllMailboxes()
@@ -72,9 +81,13 @@ export default class Provider extends React.Component {
     updaterActions.unload()
     ipcRenderer.removeListener(WB_MAILBOXES_WINDOW_DOWNLOAD_COMPLETE, this.downloadCompleted)
     ipcRenderer.removeListener(WB_MAILBOXES_WINDOW_SHOW_SETTINGS, this.ipcLaunchSettings)
+    ipcRenderer.removeListener(WB_MAILBOXES_WINDOW_SNOOZE_NOTIFICATIONS, this.ipcSnoozeNotifications)
     ipcRenderer.removeListener(WB_MAILBOXES_WINDOW_SHOW_SUPPORT_CENTER, this.ipcLaunchSupportCenter)
     ipcRenderer.removeListener(WB_MAILBOXES_WINDOW_SHOW_NEWS, this.ipcLaunchNews)
+    ipcRenderer.removeListener(WB_MAILBOXES_WINDOW_SHOW_NOTIFICATION_HISTORY, this.ipcLaunchNotificationHistory)
+    ipcRenderer.removeListener(WB_MAILBOXES_WINDOW_SHOW_DOWNLOADS, this.ipcLaunchDownloads)
     ipcRenderer.removeListener(WB_MAILBOXES_WINDOW_ADD_ACCOUNT, this.ipcAddAccount)
+    ipcRenderer.removeListener(WBECRX_NOTIFICATION_PRESENT, this.ipcPresentExtensionNotification)
 
     // STEP 2. Mailbox connections
     mailboxActions.disconnectAllMailboxes()
@@ -142,6 +155,19 @@ export default class Provider extends React.Component {
     }, req)
   }
 
+  /**
+  * Presents a notification from a chrome extension
+  * @param evt: the event that fired
+  * @param extensionId: the id of the extension
+  * @param notificationId: the id of the notification
+  * @param notification: the notification to present
+  */
+  ipcPresentExtensionNotification = (evt, extensionId, notificationId, notification) => {
+    NotificationService.processCRExtensionNotification(extensionId, notificationId, notification, (extensionId, notificationId) => {
+      ipcRenderer.send(`${WBECRX_NOTIFICATION_CLICKED_}${extensionId}`, notificationId)
+    })
+  }
+
   /**
   * Launches the settings over the IPC channel
   */
@@ -149,6 +175,19 @@ export default class Provider extends React.Component {
     window.location.hash = '/settings'
   }
 
+  /**
+  * Snoozes or resumes notifications over the ipc channel
+  * @param evt: the event that fired
+  * @param req: the request that came through
+  */
+  ipcSnoozeNotifications = (evt, req) => {
+    if (req.mode) {
+      settingsActions.snoozeNotifications(req.mode)
+    } else {
+      settingsActions.clearNotificationsSnooze()
+    }
+  }
+
   /**
   * Launches the support center over the ipc channcel
   */
@@ -163,6 +202,20 @@ export default class Provider extends React.Component {
     window.location.hash = '/news'
   }
 
+  /**
+  * Launches the notification history over the ipc channel
+  */
+  ipcLaunchNotificationHistory = () => {
+    window.location.hash = '/notification_history'
+  }
+
+  /**
+  * Launches the download manager over the ipc channel
+  */
+  ipcLaunchDownloads = () => {
+    window.location.hash = '/downloads'
+  }
+
   /**
   * Launches the add account modal over the IPC channel
   */
@@ -223,7 +276,8 @@ export default class Provider extends React.Component {
       launchTraySettings,
       uiSettings,
       messagesUnreadCount,
-      hasUnreadActivity
+      hasUnreadActivity,
+      osSettings
     } = this.state
 
     return (
@@ -236,6 +290,7 @@ export default class Provider extends React.Component {
         {!traySettings.show ? undefined : (
           <Tray
             unreadCount={messagesUnreadCount}
+            notificationsSnoozeUntil={osSettings.notificationsSnoozeUntil}
             launchTraySettings={launchTraySettings}
             traySettings={traySettings} />
         )}
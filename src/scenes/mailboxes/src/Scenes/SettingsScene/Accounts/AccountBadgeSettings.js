@@ -93,7 +93,7 @@ export default class AccountBadgeSettings extends React.Component {
     return (
       <Paper zDepth={1} style={commonStyles.paper} {...passProps}>
         <h1 style={commonStyles.subheading}>Badges</h1>
-        {userHasSleepable && service.sleepable && !service.supportsSyncWhenSleeping ? (
+        {userHasSleepable && service.sleepable && !service.supportsSyncWhenSleeping && !service.hasSleepWakeInterval ? (
           <p style={commonStyles.warningText}>
             <FontIcon className='material-icons' style={commonStyles.warningTextIcon}>warning</FontIcon>
             Badges will only sync for this service when the account is not sleeping. To
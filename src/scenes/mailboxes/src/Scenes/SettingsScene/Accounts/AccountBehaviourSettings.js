@@ -2,12 +2,20 @@ import PropTypes from 'prop-types'
 import React from 'react'
 import shallowCompare from 'react-addons-shallow-compare'
 import commonStyles from '../CommonSettingStyles'
-import { FlatButton, Paper } from 'material-ui'
+import { FlatButton, Paper, SelectField, MenuItem } from 'material-ui'
 import { mailboxActions, ServiceReducer } from 'stores/mailbox'
 import { userStore } from 'stores/user'
 import { SleepableField } from 'Components/Fields'
 import * as Colors from 'material-ui/styles/colors'
 
+const SLEEP_WAKE_INTERVALS = [
+  { value: 0, label: 'Never' },
+  { value: 1000 * 60 * 15, label: 'Every 15 minutes' },
+  { value: 1000 * 60 * 30, label: 'Every 30 minutes' },
+  { value: 1000 * 60 * 60, label: 'Every hour' },
+  { value: 1000 * 60 * 60 * 2, label: 'Every 2 hours' }
+]
+
 const styles = {
   sleepUnavailable: {
     border: `2px solid ${Colors.lightBlue500}`,
@@ -110,6 +118,19 @@ export default class AccountBehaviourSettings extends React.Component {
               onClick={() => { window.location.hash = '/pro' }} />
           </div>
         )}
+        {userHasSleepable && service.sleepable && !service.supportsSyncWhenSleeping ? (
+          <SelectField
+            floatingLabelText='Wake from sleep to check for new messages'
+            value={service.sleepWakeInterval}
+            fullWidth
+            onChange={(evt, index, value) => {
+              mailboxActions.reduceService(mailbox.id, service.type, ServiceReducer.setSleepWakeInterval, value)
+            }}>
+            {SLEEP_WAKE_INTERVALS.map(({ value, label }) => {
+              return (<MenuItem key={value} value={value} primaryText={label} />)
+            })}
+          </SelectField>
+        ) : undefined}
       </Paper>
     )
   }
@@ -0,0 +1,60 @@
+import PropTypes from 'prop-types'
+import React from 'react'
+import { Paper, SelectField, MenuItem } from 'material-ui'
+import { mailboxActions, MailboxReducer } from 'stores/mailbox'
+import CoreMailbox from 'shared/Models/Accounts/CoreMailbox'
+import DndScheduleEditor from '../DndScheduleEditor'
+import styles from '../CommonSettingStyles'
+import shallowCompare from 'react-addons-shallow-compare'
+
+const humanizedDndModes = {
+  [CoreMailbox.DND_MODES.DEFAULT]: 'Use the global Do Not Disturb schedule',
+  [CoreMailbox.DND_MODES.CUSTOM]: 'Use a custom schedule for this account',
+  [CoreMailbox.DND_MODES.NEVER]: 'Never hold back notifications for this account'
+}
+
+export default class AccountDndSettings extends React.Component {
+  /* **************************************************************************/
+  // Class
+  /* **************************************************************************/
+
+  static propTypes = {
+    mailbox: PropTypes.object.isRequired
+  }
+
+  /* **************************************************************************/
+  // Rendering
+  /* **************************************************************************/
+
+  shouldComponentUpdate (nextProps, nextState) {
+    return shallowCompare(this, nextProps, nextState)
+  }
+
+  render () {
+    const { mailbox, ...passProps } = this.props
+
+    return (
+      <Paper zDepth={1} style={styles.paper} {...passProps}>
+        <h1 style={styles.subheading}>Do Not Disturb</h1>
+        <SelectField
+          value={mailbox.dndMode}
+          fullWidth
+          onChange={(evt, index, value) => {
+            mailboxActions.reduce(mailbox.id, MailboxReducer.setDndMode, value)
+          }}>
+          {Object.keys(CoreMailbox.DND_MODES).map((mode) => {
+            return (<MenuItem key={mode} value={mode} primaryText={humanizedDndModes[mode]} />)
+          })}
+        </SelectField>
+        {mailbox.dndMode === CoreMailbox.DND_MODES.CUSTOM ? (
+          <DndScheduleEditor
+            schedules={mailbox.dndSchedules}
+            onChange={(schedules) => mailboxActions.reduce(mailbox.id, MailboxReducer.setDndSchedules, schedules)} />
+        ) : undefined}
+        {mailbox.dndMode !== CoreMailbox.DND_MODES.NEVER ? (
+          <div style={styles.extraInfo}>Snoozing notifications also applies to this account</div>
+        ) : undefined}
+      </Paper>
+    )
+  }
+}
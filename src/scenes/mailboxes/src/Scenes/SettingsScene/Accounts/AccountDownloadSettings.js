@@ -0,0 +1,107 @@
+import PropTypes from 'prop-types'
+import React from 'react'
+import ReactDOM from 'react-dom'
+import { Paper, SelectField, MenuItem, RaisedButton, FlatButton, FontIcon } from 'material-ui'
+import { mailboxActions, MailboxReducer } from 'stores/mailbox'
+import CoreMailbox from 'shared/Models/Accounts/CoreMailbox'
+import styles from '../CommonSettingStyles'
+import shallowCompare from 'react-addons-shallow-compare'
+
+const humanizedSubfolderModes = {
+  [CoreMailbox.DOWNLOAD_SUBFOLDER_MODES.NONE]: 'Don\'t use subfolders',
+  [CoreMailbox.DOWNLOAD_SUBFOLDER_MODES.DATE]: 'Put files in a folder for each day',
+  [CoreMailbox.DOWNLOAD_SUBFOLDER_MODES.FILE_TYPE]: 'Put files in a folder for their type'
+}
+const humanizedConflictPolicies = {
+  [CoreMailbox.DOWNLOAD_CONFLICT_POLICIES.RENAME]: 'Keep both files and rename the download',
+  [CoreMailbox.DOWNLOAD_CONFLICT_POLICIES.OVERWRITE]: 'Replace the existing file',
+  [CoreMailbox.DOWNLOAD_CONFLICT_POLICIES.ASK]: 'Ask where to save the download'
+}
+
+export default class AccountDownloadSettings extends React.Component {
+  /* **************************************************************************/
+  // Class
+  /* **************************************************************************/
+
+  static propTypes = {
+    mailbox: PropTypes.object.isRequired
+  }
+
+  /* **************************************************************************/
+  // Component Lifecycle
+  /* **************************************************************************/
+
+  componentDidMount () {
+    ReactDOM.findDOMNode(this.refs.downloadLocationInput).setAttribute('webkitdirectory', 'webkitdirectory')
+  }
+
+  componentDidUpdate () {
+    ReactDOM.findDOMNode(this.refs.downloadLocationInput).setAttribute('webkitdirectory', 'webkitdirectory')
+  }
+
+  /* **************************************************************************/
+  // Rendering
+  /* **************************************************************************/
+
+  shouldComponentUpdate (nextProps, nextState) {
+    return shallowCompare(this, nextProps, nextState)
+  }
+
+  render () {
+    const { mailbox, ...passProps } = this.props
+
+    return (
+      <Paper zDepth={1} style={styles.paper} {...passProps}>
+        <h1 style={styles.subheading}>Downloads</h1>
+        <div style={Object.assign({}, styles.button, { display: 'flex', alignItems: 'center' })}>
+          <RaisedButton
+            label='Select location'
+            icon={<FontIcon className='material-icons'>folder</FontIcon>}
+            containerElement='label'
+            style={styles.fileInputButton}>
+            <input
+              type='file'
+              style={styles.fileInput}
+              ref='downloadLocationInput'
+              onChange={(evt) => {
+                mailboxActions.reduce(mailbox.id, MailboxReducer.setDownloadLocation, evt.target.files[0].path)
+              }} />
+          </RaisedButton>
+          {mailbox.hasDownloadLocation ? (
+            <FlatButton
+              label='Use default'
+              onClick={() => mailboxActions.reduce(mailbox.id, MailboxReducer.setDownloadLocation, undefined)} />
+          ) : undefined}
+        </div>
+        <small>
+          {mailbox.hasDownloadLocation ? mailbox.downloadLocation : 'Downloads are saved using the location in the general settings'}
+        </small>
+        <SelectField
+          floatingLabelText='Subfolders'
+          value={mailbox.downloadSubfolderMode}
+          fullWidth
+          onChange={(evt, index, value) => {
+            mailboxActions.reduce(mailbox.id, MailboxReducer.setDownloadSubfolderMode, value)
+          }}>
+          {Object.keys(CoreMailbox.DOWNLOAD_SUBFOLDER_MODES).map((mode) => {
+            return (<MenuItem key={mode} value={mode} primaryText={humanizedSubfolderModes[mode]} />)
+          })}
+        </SelectField>
+        <SelectField
+          floatingLabelText='When a file with the same name exists'
+          value={mailbox.downloadConflictPolicy}
+          fullWidth
+          onChange={(evt, index, value) => {
+            mailboxActions.reduce(mailbox.id, MailboxReducer.setDownloadConflictPolicy, value)
+          }}>
+          {Object.keys(CoreMailbox.DOWNLOAD_CONFLICT_POLICIES).map((policy) => {
+            return (<MenuItem key={policy} value={policy} primaryText={humanizedConflictPolicies[policy]} />)
+          })}
+        </SelectField>
+        <div style={styles.extraInfo}>
+          Subfolders and the conflict rule are used whenever downloads aren't set to always ask for a location
+        </div>
+      </Paper>
+    )
+  }
+}
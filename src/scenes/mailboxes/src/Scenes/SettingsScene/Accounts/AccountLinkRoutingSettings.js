@@ -0,0 +1,261 @@
+import PropTypes from 'prop-types'
+import React from 'react'
+import { Paper, SelectField, MenuItem, TextField, FlatButton, IconButton, FontIcon } from 'material-ui'
+import * as Colors from 'material-ui/styles/colors'
+import { mailboxStore, mailboxActions, MailboxReducer } from 'stores/mailbox'
+import settingsStore from 'stores/settings/settingsStore'
+import LinkRoutingRules from 'shared/Models/Accounts/LinkRoutingRules'
+import ExternalBrowsers from 'shared/Models/Settings/ExternalBrowsers'
+import styles from '../CommonSettingStyles'
+import shallowCompare from 'react-addons-shallow-compare'
+
+const { MATCH_TYPES, ACTIONS } = LinkRoutingRules
+const MATCH_TYPE_NAMES = {
+  [MATCH_TYPES.GLOB]: 'Url matches',
+  [MATCH_TYPES.REGEX]: 'Url matches regex'
+}
+const MATCH_TYPE_HINTS = {
+  [MATCH_TYPES.GLOB]: 'https://*.zoom.us/*',
+  [MATCH_TYPES.REGEX]: '^https://docs\\.google\\.com/'
+}
+const ACTION_NAMES = {
+  [ACTIONS.WAVEBOX]: 'Open in a Wavebox window',
+  [ACTIONS.BROWSER]: 'Open in the external browser',
+  [ACTIONS.ACCOUNT]: 'Open with another account',
+  [ACTIONS.SUPPRESS]: 'Don\'t open'
+}
+
+const ruleStyles = {
+  rule: {
+    display: 'flex',
+    alignItems: 'flex-end'
+  },
+  field: {
+    flex: 1,
+    marginRight: 8
+  },
+  controls: {
+    whiteSpace: 'nowrap'
+  },
+  testResult: {
+    fontSize: '14px',
+    color: Colors.grey700
+  },
+  testResultMatch: {
+    fontSize: '14px',
+    color: Colors.green700
+  }
+}
+
+export default class AccountLinkRoutingSettings extends React.Component {
+  /* **************************************************************************/
+  // Class
+  /* **************************************************************************/
+
+  static propTypes = {
+    mailbox: PropTypes.object.isRequired
+  }
+
+  /* **************************************************************************/
+  // Data lifecycle
+  /* **************************************************************************/
+
+  state = {
+    testUrl: ''
+  }
+
+  /* **************************************************************************/
+  // UI Events
+  /* **************************************************************************/
+
+  /**
+  * Adds a new rule
+  */
+  handleAddRule = () => {
+    mailboxActions.reduce(this.props.mailbox.id, MailboxReducer.addLinkRoutingRule, LinkRoutingRules.createRule())
+  }
+
+  /**
+  * Updates a rule
+  * @param ruleId: the id of the rule
+  * @param changes: the changes to make
+  */
+  handleUpdateRule = (ruleId, changes) => {
+    mailboxActions.reduce(this.props.mailbox.id, MailboxReducer.updateLinkRoutingRule, ruleId, changes)
+  }
+
+  /**
+  * Sets the external browser for the account
+  * @param browserId: the id of the browser or undefined to use the global default
+  */
+  handleChangeExternalBrowser = (browserId) => {
+    mailboxActions.reduce(this.props.mailbox.id, MailboxReducer.setExternalBrowserId, browserId)
+  }
+
+  /* **************************************************************************/
+  // Rendering
+  /* **************************************************************************/
+
+  shouldComponentUpdate (nextProps, nextState) {
+    return shallowCompare(this, nextProps, nextState)
+  }
+
+  /**
+  * Renders a single rule
+  * @param mailbox: the mailbox
+  * @param otherMailboxes: the other mailboxes that links can be opened with
+  * @param rule: the rule to render
+  * @param index: the index of the rule
+  * @param count: the total number of rules
+  * @return jsx
+  */
+  renderRule (mailbox, otherMailboxes, rule, index, count) {
+    return (
+      <div key={rule.id} style={ruleStyles.rule}>
+        <SelectField
+          style={ruleStyles.field}
+          floatingLabelText='When'
+          value={rule.matchType}
+          onChange={(evt, i, value) => this.handleUpdateRule(rule.id, { matchType: value })}>
+          {Object.keys(MATCH_TYPES).map((matchType) => {
+            return (<MenuItem key={matchType} value={matchType} primaryText={MATCH_TYPE_NAMES[matchType]} />)
+          })}
+        </SelectField>
+        <TextField
+          key={`${rule.id}:${rule.pattern}`}
+          style={ruleStyles.field}
+          floatingLabelText='Pattern'
+          hintText={MATCH_TYPE_HINTS[rule.matchType]}
+          defaultValue={rule.pattern}
+          errorText={rule.pattern && !LinkRoutingRules.isValidPattern(rule) ? 'Invalid pattern' : undefined}
+          onBlur={(evt) => this.handleUpdateRule(rule.id, { pattern: evt.target.value })} />
+        <SelectField
+          style={ruleStyles.field}
+          floatingLabelText='Then'
+          value={rule.action}
+          onChange={(evt, i, value) => this.handleUpdateRule(rule.id, { action: value })}>
+          {Object.keys(ACTIONS).map((action) => {
+            return (<MenuItem key={action} value={action} primaryText={ACTION_NAMES[action]} />)
+          })}
+        </SelectField>
+        {rule.action === ACTIONS.ACCOUNT ? (
+          <SelectField
+            style={ruleStyles.field}
+            floatingLabelText='Account'
+            value={rule.targetMailboxId}
+            errorText={!rule.targetMailboxId ? 'Pick an account' : undefined}
+            onChange={(evt, i, value) => this.handleUpdateRule(rule.id, { targetMailboxId: value })}>
+            {otherMailboxes.map((m) => {
+              return (<MenuItem key={m.id} value={m.id} primaryText={m.displayName} />)
+            })}
+          </SelectField>
+        ) : undefined}
+        <div style={ruleStyles.controls}>
+          <IconButton
+            disabled={index === 0}
+            onClick={() => mailboxActions.reduce(mailbox.id, MailboxReducer.moveLinkRoutingRule, rule.id, -1)}>
+            <FontIcon className='material-icons'>arrow_upward</FontIcon>
+          </IconButton>
+          <IconButton
+            disabled={index === count - 1}
+            onClick={() => mailboxActions.reduce(mailbox.id, MailboxReducer.moveLinkRoutingRule, rule.id, 1)}>
+            <FontIcon className='material-icons'>arrow_downward</FontIcon>
+          </IconButton>
+          <IconButton
+            onClick={() => mailboxActions.reduce(mailbox.id, MailboxReducer.removeLinkRoutingRule, rule.id)}>
+            <FontIcon className='material-icons'>delete</FontIcon>
+          </IconButton>
+        </div>
+      </div>
+    )
+  }
+
+  /**
+  * Renders the result of testing the url
+  * @param mailbox: the mailbox
+  * @param testUrl: the url to test
+  * @return jsx
+  */
+  renderTestResult (mailbox, testUrl) {
+    if (!testUrl.trim()) { return undefined }
+
+    const rules = mailbox.linkRoutingRules
+    const rule = mailbox.getLinkRoutingRuleForUrl(testUrl.trim())
+    if (rule) {
+      const targetMailbox = rule.action === ACTIONS.ACCOUNT ? mailboxStore.getState().getMailbox(rule.targetMailboxId) : undefined
+      return (
+        <p style={ruleStyles.testResultMatch}>
+          {[
+            `Matches rule ${rules.findIndex((r) => r.id === rule.id) + 1} (${rule.pattern}):`,
+            ACTION_NAMES[rule.action].toLowerCase(),
+            targetMailbox ? `"${targetMailbox.displayName}"` : undefined
+          ].filter((s) => !!s).join(' ')}
+        </p>
+      )
+    } else {
+      return (
+        <p style={ruleStyles.testResult}>
+          No rules match. The link will be opened using the built-in behaviour
+        </p>
+      )
+    }
+  }
+
+  /**
+  * Renders the external browser picker
+  * @param mailbox: the mailbox
+  * @return jsx
+  */
+  renderExternalBrowser (mailbox) {
+    const browsers = settingsStore.getState().os.externalBrowsers
+    const browserId = mailbox.externalBrowserId
+    const value = browserId === ExternalBrowsers.SYSTEM_BROWSER_ID || browsers.find((b) => b.id === browserId) ? browserId : undefined
+
+    return (
+      <SelectField
+        fullWidth
+        floatingLabelText='Open external links in'
+        value={value}
+        onChange={(evt, i, value) => this.handleChangeExternalBrowser(value)}>
+        <MenuItem value={undefined} primaryText='The browser chosen in the general settings' />
+        <MenuItem value={ExternalBrowsers.SYSTEM_BROWSER_ID} primaryText='System default browser' />
+        {browsers.map((browser) => {
+          return (<MenuItem key={browser.id} value={browser.id} primaryText={browser.name || 'Untitled browser'} />)
+        })}
+      </SelectField>
+    )
+  }
+
+  render () {
+    const { mailbox, ...passProps } = this.props
+    const { testUrl } = this.state
+    const rules = mailbox.linkRoutingRules
+    const otherMailboxes = mailboxStore.getState().allMailboxes().filter((m) => m.id !== mailbox.id)
+
+    return (
+      <Paper zDepth={1} style={styles.paper} {...passProps}>
+        <h1 style={styles.subheading}>Link Routing</h1>
+        <p style={styles.subheadingInfo}>
+          Rules are checked from top to bottom before the built-in link handling and the first one that matches is used
+        </p>
+        {rules.map((rule, index) => this.renderRule(mailbox, otherMailboxes, rule, index, rules.length))}
+        <FlatButton
+          style={styles.button}
+          onClick={this.handleAddRule}
+          label='Add Rule'
+          icon={<FontIcon style={{ marginLeft: 0 }} className='material-icons'>add</FontIcon>} />
+        <TextField
+          fullWidth
+          floatingLabelText='Test a link'
+          hintText='https://example.com/page'
+          value={testUrl}
+          onChange={(evt) => this.setState({ testUrl: evt.target.value })} />
+        {this.renderTestResult(mailbox, testUrl)}
+        {this.renderExternalBrowser(mailbox)}
+        <p style={styles.extraInfo}>
+          Links that navigate the account itself are only checked against these rules when they leave the current website
+        </p>
+      </Paper>
+    )
+  }
+}
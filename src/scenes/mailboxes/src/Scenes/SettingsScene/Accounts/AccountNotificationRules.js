@@ -0,0 +1,178 @@
+import PropTypes from 'prop-types'
+import React from 'react'
+import { SelectField, MenuItem, TextField, FlatButton, IconButton, FontIcon } from 'material-ui'
+import { mailboxActions, ServiceReducer } from 'stores/mailbox'
+import NotificationRules from 'shared/Models/Accounts/NotificationRules'
+import { NOTIFICATION_SOUNDS } from 'shared/Notifications'
+import styles from '../CommonSettingStyles'
+import shallowCompare from 'react-addons-shallow-compare'
+
+const { FIELDS, ACTIONS } = NotificationRules
+const FIELD_NAMES = {
+  [FIELDS.SENDER]: 'Sender contains',
+  [FIELDS.SUBJECT]: 'Subject contains',
+  [FIELDS.KEYWORD]: 'Subject or message contains',
+  [FIELDS.CHANNEL]: 'Slack channel is',
+  [FIELDS.LABEL]: 'Gmail label is'
+}
+const FIELD_HINTS = {
+  [FIELDS.SENDER]: 'boss@example.com',
+  [FIELDS.SUBJECT]: 'Invoice',
+  [FIELDS.KEYWORD]: 'urgent',
+  [FIELDS.CHANNEL]: '#general',
+  [FIELDS.LABEL]: 'IMPORTANT'
+}
+const ACTION_NAMES = {
+  [ACTIONS.ALLOW]: 'Always show',
+  [ACTIONS.SUPPRESS]: 'Don\'t show',
+  [ACTIONS.SOUND]: 'Play a different sound',
+  [ACTIONS.SILENT]: 'Show silently'
+}
+
+const ruleStyles = {
+  rule: {
+    display: 'flex',
+    alignItems: 'flex-end'
+  },
+  field: {
+    flex: 1,
+    marginRight: 8
+  },
+  controls: {
+    whiteSpace: 'nowrap'
+  }
+}
+
+export default class AccountNotificationRules extends React.Component {
+  /* **************************************************************************/
+  // Lifecycle
+  /* **************************************************************************/
+
+  static propTypes = {
+    mailbox: PropTypes.object.isRequired,
+    service: PropTypes.object.isRequired,
+    showSounds: PropTypes.bool.isRequired
+  }
+
+  /* **************************************************************************/
+  // UI Events
+  /* **************************************************************************/
+
+  /**
+  * Adds a new rule
+  */
+  handleAddRule = () => {
+    const { mailbox, service } = this.props
+    const rule = NotificationRules.createRule(service.supportedNotificationRuleFields[0])
+    mailboxActions.reduceService(mailbox.id, service.type, ServiceReducer.addNotificationRule, rule)
+  }
+
+  /**
+  * Updates a rule
+  * @param ruleId: the id of the rule
+  * @param changes: the changes to make
+  */
+  handleUpdateRule = (ruleId, changes) => {
+    const { mailbox, service } = this.props
+    mailboxActions.reduceService(mailbox.id, service.type, ServiceReducer.updateNotificationRule, ruleId, changes)
+  }
+
+  /* **************************************************************************/
+  // Rendering
+  /* **************************************************************************/
+
+  shouldComponentUpdate (nextProps, nextState) {
+    return shallowCompare(this, nextProps, nextState)
+  }
+
+  /**
+  * Renders a single rule
+  * @param mailbox: the mailbox
+  * @param service: the service
+  * @param rule: the rule to render
+  * @param index: the index of the rule
+  * @param count: the total number of rules
+  * @param showSounds: true to allow sounds to be picked
+  * @return jsx
+  */
+  renderRule (mailbox, service, rule, index, count, showSounds) {
+    const actions = Object.keys(ACTIONS).filter((action) => showSounds || action !== ACTIONS.SOUND)
+
+    return (
+      <div key={rule.id} style={ruleStyles.rule}>
+        <SelectField
+          style={ruleStyles.field}
+          floatingLabelText='When'
+          value={rule.field}
+          onChange={(evt, i, value) => this.handleUpdateRule(rule.id, { field: value })}>
+          {service.supportedNotificationRuleFields.map((field) => {
+            return (<MenuItem key={field} value={field} primaryText={FIELD_NAMES[field]} />)
+          })}
+        </SelectField>
+        <TextField
+          key={`${rule.id}:${rule.match}`}
+          style={ruleStyles.field}
+          floatingLabelText='Text'
+          hintText={FIELD_HINTS[rule.field]}
+          defaultValue={rule.match}
+          onBlur={(evt) => this.handleUpdateRule(rule.id, { match: evt.target.value })} />
+        <SelectField
+          style={ruleStyles.field}
+          floatingLabelText='Then'
+          value={rule.action}
+          onChange={(evt, i, value) => this.handleUpdateRule(rule.id, { action: value })}>
+          {actions.map((action) => {
+            return (<MenuItem key={action} value={action} primaryText={ACTION_NAMES[action]} />)
+          })}
+        </SelectField>
+        {showSounds && rule.action === ACTIONS.SOUND ? (
+          <SelectField
+            style={ruleStyles.field}
+            floatingLabelText='Sound'
+            value={rule.sound}
+            onChange={(evt, i, value) => this.handleUpdateRule(rule.id, { sound: value })}>
+            {Object.keys(NOTIFICATION_SOUNDS).map((value) => {
+              return (<MenuItem key={value} value={value} primaryText={NOTIFICATION_SOUNDS[value]} />)
+            })}
+          </SelectField>
+        ) : undefined}
+        <div style={ruleStyles.controls}>
+          <IconButton
+            disabled={index === 0}
+            onClick={() => mailboxActions.reduceService(mailbox.id, service.type, ServiceReducer.moveNotificationRule, rule.id, -1)}>
+            <FontIcon className='material-icons'>arrow_upward</FontIcon>
+          </IconButton>
+          <IconButton
+            disabled={index === count - 1}
+            onClick={() => mailboxActions.reduceService(mailbox.id, service.type, ServiceReducer.moveNotificationRule, rule.id, 1)}>
+            <FontIcon className='material-icons'>arrow_downward</FontIcon>
+          </IconButton>
+          <IconButton
+            onClick={() => mailboxActions.reduceService(mailbox.id, service.type, ServiceReducer.removeNotificationRule, rule.id)}>
+            <FontIcon className='material-icons'>delete</FontIcon>
+          </IconButton>
+        </div>
+      </div>
+    )
+  }
+
+  render () {
+    const { mailbox, service, showSounds, ...passProps } = this.props
+    const rules = service.notificationRules
+
+    return (
+      <div {...passProps}>
+        <h1 style={styles.subsectionheading}>Notification Rules</h1>
+        <p style={styles.extraInfo}>
+          Rules are checked from top to bottom and the first one that matches is used
+        </p>
+        {rules.map((rule, index) => this.renderRule(mailbox, service, rule, index, rules.length, showSounds))}
+        <FlatButton
+          style={styles.button}
+          onClick={this.handleAddRule}
+          label='Add Rule'
+          icon={<FontIcon style={{ marginLeft: 0 }} className='material-icons'>add</FontIcon>} />
+      </div>
+    )
+  }
+}
@@ -11,6 +11,7 @@ import {
   NOTIFICATION_SOUNDS
 } from 'shared/Notifications'
 import { userStore } from 'stores/user'
+import AccountNotificationRules from './AccountNotificationRules'
 
 export default class AccountNotificationSettings extends React.Component {
   /* **************************************************************************/
@@ -184,6 +185,12 @@ export default class AccountNotificationSettings extends React.Component {
             </div>
           </div>
         ) : undefined}
+        <hr style={styles.subsectionRule} />
+        <AccountNotificationRules
+          style={{ marginTop: 16 }}
+          mailbox={mailbox}
+          service={service}
+          showSounds={os.notificationsProvider === NOTIFICATION_PROVIDERS.ENHANCED && Object.keys(NOTIFICATION_SOUNDS).length !== 0} />
       </Paper>
     )
   }
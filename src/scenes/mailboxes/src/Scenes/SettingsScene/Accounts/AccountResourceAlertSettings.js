@@ -0,0 +1,165 @@
+import PropTypes from 'prop-types'
+import React from 'react'
+import { Paper, SelectField, MenuItem, TextField, FlatButton } from 'material-ui'
+import { mailboxActions, MailboxReducer } from 'stores/mailbox'
+import { resourceAlertStore, resourceAlertActions } from 'stores/resourceAlert'
+import CoreMailbox from 'shared/Models/Accounts/CoreMailbox'
+import styles from '../CommonSettingStyles'
+import shallowCompare from 'react-addons-shallow-compare'
+
+const MAX_VISIBLE_ENTRIES = 5
+const DURATIONS = [
+  { value: 1000 * 60, label: '1 minute' },
+  { value: 1000 * 60 * 5, label: '5 minutes' },
+  { value: 1000 * 60 * 15, label: '15 minutes' },
+  { value: 1000 * 60 * 30, label: '30 minutes' }
+]
+const humanizedActions = {
+  [CoreMailbox.RESOURCE_ALERT_ACTIONS.NONE]: 'Only show a notification',
+  [CoreMailbox.RESOURCE_ALERT_ACTIONS.RELOAD]: 'Reload the service',
+  [CoreMailbox.RESOURCE_ALERT_ACTIONS.SLEEP]: 'Put the service to sleep'
+}
+const logStyles = {
+  entry: {
+    fontSize: 13,
+    marginTop: 8
+  },
+  entryMeta: {
+    fontSize: 12,
+    color: 'rgba(0, 0, 0, 0.4)'
+  }
+}
+
+export default class AccountResourceAlertSettings extends React.Component {
+  /* **************************************************************************/
+  // Class
+  /* **************************************************************************/
+
+  static propTypes = {
+    mailbox: PropTypes.object.isRequired
+  }
+
+  /* **************************************************************************/
+  // Component Lifecycle
+  /* **************************************************************************/
+
+  componentDidMount () {
+    resourceAlertStore.listen(this.resourceAlertsChanged)
+  }
+
+  componentWillUnmount () {
+    resourceAlertStore.unlisten(this.resourceAlertsChanged)
+  }
+
+  componentWillReceiveProps (nextProps) {
+    if (this.props.mailbox.id !== nextProps.mailbox.id) {
+      this.setState({
+        entries: resourceAlertStore.getState().entriesForMailbox(nextProps.mailbox.id)
+      })
+    }
+  }
+
+  /* **************************************************************************/
+  // Data lifecycle
+  /* **************************************************************************/
+
+  state = (() => {
+    return {
+      entries: resourceAlertStore.getState().entriesForMailbox(this.props.mailbox.id)
+    }
+  })()
+
+  resourceAlertsChanged = (resourceAlertState) => {
+    this.setState({
+      entries: resourceAlertState.entriesForMailbox(this.props.mailbox.id)
+    })
+  }
+
+  /* **************************************************************************/
+  // Rendering
+  /* **************************************************************************/
+
+  shouldComponentUpdate (nextProps, nextState) {
+    return shallowCompare(this, nextProps, nextState)
+  }
+
+  /**
+  * Renders a log entry
+  * @param entry: the entry to render
+  * @return jsx
+  */
+  renderEntry (entry) {
+    return (
+      <div key={entry.id} style={logStyles.entry}>
+        <div>{entry.description}</div>
+        <div style={logStyles.entryMeta}>
+          {[entry.serviceName, new Date(entry.timestamp).toLocaleString()].filter((s) => !!s).join(' · ')}
+        </div>
+      </div>
+    )
+  }
+
+  render () {
+    const { mailbox, ...passProps } = this.props
+    const { entries } = this.state
+
+    return (
+      <Paper zDepth={1} style={styles.paper} {...passProps}>
+        <h1 style={styles.subheading}>Resource Alerts</h1>
+        <TextField
+          key={`memory_${mailbox.id}_${mailbox.resourceAlertMemoryThreshold}`}
+          type='number'
+          fullWidth
+          floatingLabelFixed
+          floatingLabelText='Alert when memory is over (MB, 0 to disable)'
+          defaultValue={mailbox.resourceAlertMemoryThreshold}
+          onBlur={(evt) => {
+            mailboxActions.reduce(mailbox.id, MailboxReducer.setResourceAlertMemoryThreshold, evt.target.value)
+          }} />
+        <TextField
+          key={`cpu_${mailbox.id}_${mailbox.resourceAlertCPUThreshold}`}
+          type='number'
+          fullWidth
+          floatingLabelFixed
+          floatingLabelText='Alert when CPU is over (%, 0 to disable)'
+          defaultValue={mailbox.resourceAlertCPUThreshold}
+          onBlur={(evt) => {
+            mailboxActions.reduce(mailbox.id, MailboxReducer.setResourceAlertCPUThreshold, evt.target.value)
+          }} />
+        <SelectField
+          floatingLabelText='For at least'
+          value={mailbox.resourceAlertDuration}
+          fullWidth
+          disabled={!mailbox.hasResourceAlerts}
+          onChange={(evt, index, value) => {
+            mailboxActions.reduce(mailbox.id, MailboxReducer.setResourceAlertDuration, value)
+          }}>
+          {DURATIONS.map(({ value, label }) => {
+            return (<MenuItem key={value} value={value} primaryText={label} />)
+          })}
+        </SelectField>
+        <SelectField
+          floatingLabelText='When an alert is raised'
+          value={mailbox.resourceAlertAction}
+          fullWidth
+          disabled={!mailbox.hasResourceAlerts}
+          onChange={(evt, index, value) => {
+            mailboxActions.reduce(mailbox.id, MailboxReducer.setResourceAlertAction, value)
+          }}>
+          {Object.keys(CoreMailbox.RESOURCE_ALERT_ACTIONS).map((action) => {
+            return (<MenuItem key={action} value={action} primaryText={humanizedActions[action]} />)
+          })}
+        </SelectField>
+        {entries.length ? (
+          <div>
+            <h1 style={styles.subheading}>Recent alerts</h1>
+            {entries.slice(0, MAX_VISIBLE_ENTRIES).map((entry) => this.renderEntry(entry))}
+            <FlatButton
+              label='Clear alerts'
+              onClick={() => resourceAlertActions.clearMailbox(mailbox.id)} />
+          </div>
+        ) : undefined}
+      </Paper>
+    )
+  }
+}
@@ -0,0 +1,74 @@
+import PropTypes from 'prop-types'
+import React from 'react'
+import { Paper, SelectField, MenuItem, FlatButton } from 'material-ui'
+import { mailboxActions, MailboxReducer } from 'stores/mailbox'
+import WebPermissions from 'shared/Models/Accounts/WebPermissions'
+import styles from '../CommonSettingStyles'
+import shallowCompare from 'react-addons-shallow-compare'
+
+const humanizedStates = {
+  [WebPermissions.PERMISSION_STATES.ASK]: 'Ask',
+  [WebPermissions.PERMISSION_STATES.ALLOW]: 'Allow',
+  [WebPermissions.PERMISSION_STATES.DENY]: 'Block'
+}
+
+export default class AccountWebPermissionSettings extends React.Component {
+  /* **************************************************************************/
+  // Class
+  /* **************************************************************************/
+
+  static propTypes = {
+    mailbox: PropTypes.object.isRequired
+  }
+
+  /* **************************************************************************/
+  // Rendering
+  /* **************************************************************************/
+
+  shouldComponentUpdate (nextProps, nextState) {
+    return shallowCompare(this, nextProps, nextState)
+  }
+
+  /**
+  * Renders the picker for a permission
+  * @param mailbox: the mailbox
+  * @param type: the type of permission
+  * @return jsx
+  */
+  renderPermission (mailbox, type) {
+    return (
+      <SelectField
+        key={type}
+        fullWidth
+        floatingLabelText={WebPermissions.humanizeType(type)}
+        value={mailbox.getWebPermissionState(type)}
+        onChange={(evt, index, value) => {
+          mailboxActions.reduce(mailbox.id, MailboxReducer.setWebPermissionState, type, value)
+        }}>
+        {Object.keys(WebPermissions.PERMISSION_STATES).map((state) => {
+          return (<MenuItem key={state} value={state} primaryText={humanizedStates[state]} />)
+        })}
+      </SelectField>
+    )
+  }
+
+  render () {
+    const { mailbox, ...passProps } = this.props
+    const knownTypes = Object.keys(WebPermissions.PERMISSION_TYPES).map((k) => WebPermissions.PERMISSION_TYPES[k])
+    const types = knownTypes.concat(Object.keys(mailbox.webPermissions).filter((type) => knownTypes.indexOf(type) === -1))
+
+    return (
+      <Paper zDepth={1} style={styles.paper} {...passProps}>
+        <h1 style={styles.subheading}>Site Permissions</h1>
+        {types.map((type) => this.renderPermission(mailbox, type))}
+        <FlatButton
+          label='Reset permissions'
+          disabled={Object.keys(mailbox.webPermissions).length === 0}
+          onClick={() => mailboxActions.reduce(mailbox.id, MailboxReducer.resetWebPermissions)} />
+        <div style={styles.extraInfo}>
+          When set to ask you'll be prompted the first time a page in this account wants to use the permission
+        </div>
+      </Paper>
+    )
+  }
+}
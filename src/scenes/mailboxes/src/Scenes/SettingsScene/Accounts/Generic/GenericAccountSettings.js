@@ -5,12 +5,18 @@ import { Paper, TextField, Toggle } from 'material-ui'
 import { Row, Col } from 'Components/Grid'
 import AccountAppearanceSettings from '../AccountAppearanceSettings'
 import AccountAdvancedSettings from '../AccountAdvancedSettings'
+import AccountDndSettings from '../AccountDndSettings'
+import AccountLinkRoutingSettings from '../AccountLinkRoutingSettings'
+import AccountDownloadSettings from '../AccountDownloadSettings'
+import AccountWebPermissionSettings from '../AccountWebPermissionSettings'
+import AccountResourceAlertSettings from '../AccountResourceAlertSettings'
 import styles from '../../CommonSettingStyles'
 import CoreMailbox from 'shared/Models/Accounts/CoreMailbox'
 import AccountCustomCodeSettings from '../AccountCustomCodeSettings'
 import AccountBadgeSettings from '../AccountBadgeSettings'
 import AccountNotificationSettings from '../AccountNotificationSettings'
 import AccountBehaviourSettings from '../AccountBehaviourSettings'
+import GenericUnreadCountSettings from './GenericUnreadCountSettings'
 import { mailboxActions, GenericMailboxReducer, GenericDefaultServiceReducer } from 'stores/mailbox'
 import validUrl from 'valid-url'
 
@@ -153,6 +159,7 @@ export default class GenericAccountSettings extends React.Component {
                 }} />
             </Paper>
             <AccountAppearanceSettings mailbox={mailbox} />
+            <GenericUnreadCountSettings mailbox={mailbox} service={service} />
             <AccountBadgeSettings mailbox={mailbox} service={service} />
             <AccountNotificationSettings mailbox={mailbox} service={service} />
             <AccountBehaviourSettings mailbox={mailbox} service={service} />
@@ -177,6 +184,11 @@ export default class GenericAccountSettings extends React.Component {
                 defaultValue={mailbox.customUserAgentString}
                 onBlur={this.handleChangeCustomUserAgent} />
             </AccountAdvancedSettings>
+            <AccountDndSettings mailbox={mailbox} />
+            <AccountLinkRoutingSettings mailbox={mailbox} />
+            <AccountDownloadSettings mailbox={mailbox} />
+            <AccountWebPermissionSettings mailbox={mailbox} />
+            <AccountResourceAlertSettings mailbox={mailbox} />
           </Col>
         </Row>
       </div>
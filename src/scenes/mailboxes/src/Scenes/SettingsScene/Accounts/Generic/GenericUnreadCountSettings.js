@@ -0,0 +1,125 @@
+import PropTypes from 'prop-types'
+import React from 'react'
+import shallowCompare from 'react-addons-shallow-compare'
+import { Paper, SelectField, MenuItem, TextField } from 'material-ui'
+import GenericDefaultService from 'shared/Models/Accounts/Generic/GenericDefaultService'
+import { mailboxActions, GenericDefaultServiceReducer } from 'stores/mailbox'
+import styles from '../../CommonSettingStyles'
+
+const { UNREAD_COUNT_SOURCES, DEFAULT_UNREAD_COUNT_PATTERNS } = GenericDefaultService
+const humanizedSources = {
+  [UNREAD_COUNT_SOURCES.NONE]: 'Don\'t show an unread count',
+  [UNREAD_COUNT_SOURCES.TITLE]: 'Read from the page title',
+  [UNREAD_COUNT_SOURCES.FAVICON]: 'Read from the page favicon',
+  [UNREAD_COUNT_SOURCES.SELECTOR]: 'Read from an element on the page'
+}
+
+export default class GenericUnreadCountSettings extends React.Component {
+  /* **************************************************************************/
+  // Class
+  /* **************************************************************************/
+
+  static propTypes = {
+    mailbox: PropTypes.object.isRequired,
+    service: PropTypes.object.isRequired
+  }
+
+  /* **************************************************************************/
+  // Component Lifecycle
+  /* **************************************************************************/
+
+  componentWillReceiveProps (nextProps) {
+    if (this.props.mailbox.id !== nextProps.mailbox.id) {
+      this.setState(this.generateState(nextProps))
+    }
+  }
+
+  /* **************************************************************************/
+  // Data lifecycle
+  /* **************************************************************************/
+
+  state = this.generateState(this.props)
+
+  /**
+  * Generates the state from the given props
+  * @param props: the props to use
+  * @return state object
+  */
+  generateState (props) {
+    const { service } = props
+    return {
+      pattern: service.customUnreadCountPattern,
+      selector: service.unreadCountSelector
+    }
+  }
+
+  /* **************************************************************************/
+  // Rendering
+  /* **************************************************************************/
+
+  shouldComponentUpdate (nextProps, nextState) {
+    return shallowCompare(this, nextProps, nextState)
+  }
+
+  render () {
+    const { mailbox, service, ...passProps } = this.props
+    const { pattern, selector } = this.state
+    const source = service.unreadCountSource
+    const usesPattern = source === UNREAD_COUNT_SOURCES.TITLE || source === UNREAD_COUNT_SOURCES.FAVICON
+
+    return (
+      <Paper zDepth={1} style={styles.paper} {...passProps}>
+        <h1 style={styles.subheading}>Unread Count</h1>
+        <SelectField
+          fullWidth
+          floatingLabelText='Unread count source'
+          value={source}
+          onChange={(evt, index, value) => {
+            mailboxActions.reduceService(mailbox.id, service.type, GenericDefaultServiceReducer.setUnreadCountSource, value)
+          }}>
+          {Object.keys(UNREAD_COUNT_SOURCES).map((s) => {
+            return (<MenuItem key={s} value={s} primaryText={humanizedSources[s]} />)
+          })}
+        </SelectField>
+        {usesPattern ? (
+          <div>
+            <TextField
+              fullWidth
+              floatingLabelText='Pattern (Regular expression)'
+              hintText={DEFAULT_UNREAD_COUNT_PATTERNS[source]}
+              value={pattern}
+              onChange={(evt) => this.setState({ pattern: evt.target.value })}
+              onBlur={() => {
+                mailboxActions.reduceService(mailbox.id, service.type, GenericDefaultServiceReducer.setUnreadCountPattern, pattern)
+              }} />
+            <p style={styles.extraInfo}>
+              {source === UNREAD_COUNT_SOURCES.TITLE
+                ? 'The first group in the pattern is used as the count. Leave blank to match titles like "(3) Inbox"'
+                : 'The first group in the pattern is matched against the favicon url. Leave blank to match favicons like "favicon-3.png". Sites that draw their count into the favicon image aren\'t supported, try the page title instead'}
+            </p>
+          </div>
+        ) : undefined}
+        {source === UNREAD_COUNT_SOURCES.SELECTOR ? (
+          <div>
+            <TextField
+              fullWidth
+              floatingLabelText='CSS Selector'
+              hintText='.unread-badge'
+              value={selector}
+              onChange={(evt) => this.setState({ selector: evt.target.value })}
+              onBlur={() => {
+                mailboxActions.reduceService(mailbox.id, service.type, GenericDefaultServiceReducer.setUnreadCountSelector, selector)
+              }} />
+            <p style={styles.extraInfo}>
+              The number in the first matching element is used as the count. If the element is on the page but
+              doesn't contain a number it counts as one unread item
+            </p>
+          </div>
+        ) : undefined}
+        {source !== UNREAD_COUNT_SOURCES.NONE ? (
+          <p style={styles.extraInfo}>{`Current unread count: ${service.unreadCount}`}</p>
+        ) : undefined}
+      </Paper>
+    )
+  }
+}
@@ -11,6 +11,7 @@ import AccountBehaviourSettings from '../AccountBehaviourSettings'
 import styles from '../../CommonSettingStyles'
 import AccountBadgeSettings from '../AccountBadgeSettings'
 import AccountNotificationSettings from '../AccountNotificationSettings'
+import GoogleUnreadViewSettings from './GoogleUnreadViewSettings'
 
 export default class GoogleDefaultServiceSettings extends React.Component {
   /* **************************************************************************/
@@ -172,6 +173,7 @@ export default class GoogleDefaultServiceSettings extends React.Component {
             <AccountNotificationSettings mailbox={mailbox} service={service} />
           </Col>
           <Col md={6}>
+            <GoogleUnreadViewSettings mailbox={mailbox} service={service} />
             <AccountBehaviourSettings mailbox={mailbox} service={service} />
             <AccountCustomCodeSettings
               mailbox={mailbox}
@@ -0,0 +1,170 @@
+import PropTypes from 'prop-types'
+import React from 'react'
+import shallowCompare from 'react-addons-shallow-compare'
+import { Paper, TextField, FlatButton, IconButton, Toggle, FontIcon } from 'material-ui'
+import * as Colors from 'material-ui/styles/colors'
+import { mailboxActions, GoogleDefaultServiceReducer } from 'stores/mailbox'
+import styles from '../../CommonSettingStyles'
+
+const viewStyles = {
+  view: {
+    display: 'flex',
+    alignItems: 'center',
+    borderBottom: `1px solid ${Colors.grey200}`,
+    paddingTop: 4,
+    paddingBottom: 4
+  },
+  viewInfo: {
+    flex: 1,
+    overflow: 'hidden'
+  },
+  viewQuery: {
+    fontSize: '12px',
+    color: Colors.grey600,
+    overflow: 'hidden',
+    textOverflow: 'ellipsis',
+    whiteSpace: 'nowrap'
+  },
+  viewToggles: {
+    width: 150
+  },
+  viewToggle: {
+    marginTop: 2,
+    marginBottom: 2
+  }
+}
+
+export default class GoogleUnreadViewSettings extends React.Component {
+  /* **************************************************************************/
+  // Class
+  /* **************************************************************************/
+
+  static propTypes = {
+    mailbox: PropTypes.object.isRequired,
+    service: PropTypes.object.isRequired
+  }
+
+  /* **************************************************************************/
+  // Data lifecycle
+  /* **************************************************************************/
+
+  state = {
+    addName: '',
+    addQuery: '',
+    addLabelWatchString: ''
+  }
+
+  /* **************************************************************************/
+  // UI Events
+  /* **************************************************************************/
+
+  /**
+  * Adds the view the user has entered
+  */
+  handleAdd = () => {
+    const { mailbox, service } = this.props
+    const { addName, addQuery, addLabelWatchString } = this.state
+    if (!addName.trim() || !addQuery.trim()) { return }
+
+    mailboxActions.reduceService(mailbox.id, service.type, GoogleDefaultServiceReducer.addUnreadView, addName, addQuery, addLabelWatchString)
+    this.setState({ addName: '', addQuery: '', addLabelWatchString: '' })
+  }
+
+  /* **************************************************************************/
+  // Rendering
+  /* **************************************************************************/
+
+  shouldComponentUpdate (nextProps, nextState) {
+    return shallowCompare(this, nextProps, nextState)
+  }
+
+  /**
+  * Renders a view
+  * @param mailbox: the mailbox
+  * @param service: the service
+  * @param view: the view to render
+  * @return jsx
+  */
+  renderView (mailbox, service, view) {
+    const info = service.getUnreadViewInfo(view.id)
+
+    return (
+      <div key={view.id} style={viewStyles.view}>
+        <div style={viewStyles.viewInfo}>
+          <div>{`${view.name} (${info.unreadCount})`}</div>
+          <div style={viewStyles.viewQuery}>{view.query}</div>
+          {view.labelWatchString ? (
+            <div style={viewStyles.viewQuery}>{`Watching: ${view.labelWatchString}`}</div>
+          ) : undefined}
+        </div>
+        <div style={viewStyles.viewToggles}>
+          <Toggle
+            style={viewStyles.viewToggle}
+            label='Notifications'
+            labelPosition='right'
+            toggled={view.showNotifications}
+            onToggle={(evt, toggled) => {
+              mailboxActions.reduceService(mailbox.id, service.type, GoogleDefaultServiceReducer.updateUnreadView, view.id, { showNotifications: toggled })
+            }} />
+          <Toggle
+            style={viewStyles.viewToggle}
+            label='App badge'
+            labelPosition='right'
+            toggled={view.countsTowardsAppBadge}
+            onToggle={(evt, toggled) => {
+              mailboxActions.reduceService(mailbox.id, service.type, GoogleDefaultServiceReducer.updateUnreadView, view.id, { countsTowardsAppBadge: toggled })
+            }} />
+        </div>
+        <IconButton
+          onClick={() => mailboxActions.reduceService(mailbox.id, service.type, GoogleDefaultServiceReducer.removeUnreadView, view.id)}>
+          <FontIcon className='material-icons'>delete</FontIcon>
+        </IconButton>
+      </div>
+    )
+  }
+
+  render () {
+    const { mailbox, service, ...passProps } = this.props
+    const { addName, addQuery, addLabelWatchString } = this.state
+
+    return (
+      <Paper zDepth={1} style={styles.paper} {...passProps}>
+        <h1 style={styles.subheading}>Unread Views</h1>
+        <p style={styles.subheadingInfo}>
+          Each view is shown with its own badge in the sidebar and its own section in the tray
+        </p>
+        {service.unreadViews.map((view) => this.renderView(mailbox, service, view))}
+        <TextField
+          fullWidth
+          floatingLabelText='Name'
+          hintText='VIP'
+          value={addName}
+          onChange={(evt) => this.setState({ addName: evt.target.value })} />
+        <TextField
+          fullWidth
+          floatingLabelText='Query'
+          hintText='label:vip label:unread'
+          value={addQuery}
+          onChange={(evt) => this.setState({ addQuery: evt.target.value })} />
+        <TextField
+          fullWidth
+          floatingLabelText='Watch Labels (Comma seperated)'
+          hintText='Label_123, UNREAD'
+          value={addLabelWatchString}
+          onChange={(evt) => this.setState({ addLabelWatchString: evt.target.value })}
+          onKeyDown={(evt) => {
+            if (evt.keyCode === 13) { this.handleAdd() }
+          }} />
+        <FlatButton
+          label='Add View'
+          disabled={!addName.trim() || !addQuery.trim()}
+          onClick={this.handleAdd} />
+        <p style={styles.extraInfo}>
+          Views are only re-synced when a message with one of the watch labels changes. If you don't provide
+          any labels the view is re-synced whenever anything in your account changes. Notifications for a view
+          are only shown when notifications are enabled for the account
+        </p>
+      </Paper>
+    )
+  }
+}
@@ -4,6 +4,11 @@ import shallowCompare from 'react-addons-shallow-compare'
 import { Row, Col } from 'Components/Grid'
 import AccountAppearanceSettings from '../AccountAppearanceSettings'
 import AccountAdvancedSettings from '../AccountAdvancedSettings'
+import AccountDndSettings from '../AccountDndSettings'
+import AccountLinkRoutingSettings from '../AccountLinkRoutingSettings'
+import AccountDownloadSettings from '../AccountDownloadSettings'
+import AccountWebPermissionSettings from '../AccountWebPermissionSettings'
+import AccountResourceAlertSettings from '../AccountResourceAlertSettings'
 import AccountServicesHeading from '../AccountServicesHeading'
 import AccountServicesSettings from '../AccountServicesSettings'
 import MicrosoftServiceSettings from './MicrosoftServiceSettings'
@@ -95,6 +100,11 @@ export default class MicrosoftAccountSettings extends React.Component {
           </Col>
           <Col md={6}>
             <AccountAdvancedSettings mailbox={mailbox} showRestart={showRestart} />
+            <AccountDndSettings mailbox={mailbox} />
+            <AccountLinkRoutingSettings mailbox={mailbox} />
+            <AccountDownloadSettings mailbox={mailbox} />
+            <AccountWebPermissionSettings mailbox={mailbox} />
+            <AccountResourceAlertSettings mailbox={mailbox} />
           </Col>
         </Row>
         <Row>
@@ -10,6 +10,7 @@ import AccountCustomCodeSettings from '../AccountCustomCodeSettings'
 import AccountBehaviourSettings from '../AccountBehaviourSettings'
 import AccountBadgeSettings from '../AccountBadgeSettings'
 import AccountNotificationSettings from '../AccountNotificationSettings'
+import MicrosoftExtraUnreadSettings from './MicrosoftExtraUnreadSettings'
 
 export default class MicrosoftDefaultServiceSettings extends React.Component {
   /* **************************************************************************/
@@ -72,6 +73,7 @@ export default class MicrosoftDefaultServiceSettings extends React.Component {
             <AccountNotificationSettings mailbox={mailbox} service={service} />
           </Col>
           <Col md={6}>
+            <MicrosoftExtraUnreadSettings mailbox={mailbox} service={service} />
             <AccountBehaviourSettings mailbox={mailbox} service={service} />
             <AccountCustomCodeSettings
               mailbox={mailbox}
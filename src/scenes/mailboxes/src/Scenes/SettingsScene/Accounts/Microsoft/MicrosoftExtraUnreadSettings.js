@@ -0,0 +1,189 @@
+import PropTypes from 'prop-types'
+import React from 'react'
+import shallowCompare from 'react-addons-shallow-compare'
+import { Paper, SelectField, MenuItem, TextField, FlatButton, IconButton, Toggle, FontIcon } from 'material-ui'
+import * as Colors from 'material-ui/styles/colors'
+import MicrosoftDefaultService from 'shared/Models/Accounts/Microsoft/MicrosoftDefaultService'
+import { mailboxActions, MicrosoftDefaultServiceReducer } from 'stores/mailbox'
+import styles from '../../CommonSettingStyles'
+
+const { EXTRA_UNREAD_SOURCE_TYPES } = MicrosoftDefaultService
+const SOURCE_TYPE_NAMES = {
+  [EXTRA_UNREAD_SOURCE_TYPES.FOLDER]: 'Folder',
+  [EXTRA_UNREAD_SOURCE_TYPES.SHARED_MAILBOX]: 'Shared mailbox'
+}
+const SOURCE_TYPE_HINTS = {
+  [EXTRA_UNREAD_SOURCE_TYPES.FOLDER]: 'Support Queue',
+  [EXTRA_UNREAD_SOURCE_TYPES.SHARED_MAILBOX]: 'team@example.com'
+}
+const SOURCE_TYPE_ICONS = {
+  [EXTRA_UNREAD_SOURCE_TYPES.FOLDER]: 'folder',
+  [EXTRA_UNREAD_SOURCE_TYPES.SHARED_MAILBOX]: 'group'
+}
+
+const sourceStyles = {
+  source: {
+    display: 'flex',
+    alignItems: 'center',
+    borderBottom: `1px solid ${Colors.grey200}`
+  },
+  sourceIcon: {
+    marginRight: 8
+  },
+  sourceName: {
+    flex: 1,
+    overflow: 'hidden',
+    textOverflow: 'ellipsis'
+  },
+  sourceError: {
+    fontSize: '12px',
+    color: Colors.red600
+  },
+  sourceToggle: {
+    width: 'auto',
+    marginLeft: 8
+  },
+  add: {
+    display: 'flex',
+    alignItems: 'flex-end'
+  },
+  addType: {
+    width: 160,
+    marginRight: 8
+  },
+  addValue: {
+    flex: 1
+  }
+}
+
+export default class MicrosoftExtraUnreadSettings extends React.Component {
+  /* **************************************************************************/
+  // Class
+  /* **************************************************************************/
+
+  static propTypes = {
+    mailbox: PropTypes.object.isRequired,
+    service: PropTypes.object.isRequired
+  }
+
+  /* **************************************************************************/
+  // Data lifecycle
+  /* **************************************************************************/
+
+  state = {
+    addType: EXTRA_UNREAD_SOURCE_TYPES.FOLDER,
+    addValue: ''
+  }
+
+  /* **************************************************************************/
+  // UI Events
+  /* **************************************************************************/
+
+  /**
+  * Adds the source the user has entered
+  */
+  handleAdd = () => {
+    const { mailbox, service } = this.props
+    const { addType, addValue } = this.state
+    if (!addValue.trim()) { return }
+
+    mailboxActions.reduceService(mailbox.id, service.type, MicrosoftDefaultServiceReducer.addExtraUnreadSource, addType, addValue)
+    this.setState({ addValue: '' })
+  }
+
+  /* **************************************************************************/
+  // Rendering
+  /* **************************************************************************/
+
+  shouldComponentUpdate (nextProps, nextState) {
+    return shallowCompare(this, nextProps, nextState)
+  }
+
+  /**
+  * Renders a source
+  * @param mailbox: the mailbox
+  * @param service: the service
+  * @param source: the source to render
+  * @return jsx
+  */
+  renderSource (mailbox, service, source) {
+    const info = service.getExtraUnreadInfo(source.id)
+
+    return (
+      <div key={source.id} style={sourceStyles.source}>
+        <FontIcon className='material-icons' color={Colors.grey600} style={sourceStyles.sourceIcon}>
+          {SOURCE_TYPE_ICONS[source.type]}
+        </FontIcon>
+        <div style={sourceStyles.sourceName}>
+          <div>{`${source.value} (${info.unreadCount})`}</div>
+          {info.error ? (
+            <div style={sourceStyles.sourceError}>Unable to sync. Check the name and your permissions</div>
+          ) : undefined}
+        </div>
+        <Toggle
+          style={sourceStyles.sourceToggle}
+          label='App badge'
+          labelPosition='right'
+          toggled={source.countsTowardsAppBadge}
+          onToggle={(evt, toggled) => {
+            mailboxActions.reduceService(mailbox.id, service.type, MicrosoftDefaultServiceReducer.setExtraUnreadSourceCountsTowardsAppBadge, source.id, toggled)
+          }} />
+        <IconButton
+          onClick={() => mailboxActions.reduceService(mailbox.id, service.type, MicrosoftDefaultServiceReducer.removeExtraUnreadSource, source.id)}>
+          <FontIcon className='material-icons'>delete</FontIcon>
+        </IconButton>
+      </div>
+    )
+  }
+
+  render () {
+    const { mailbox, service, ...passProps } = this.props
+    const { addType, addValue } = this.state
+
+    return (
+      <Paper zDepth={1} style={styles.paper} {...passProps}>
+        <h1 style={styles.subheading}>Folders & Shared Mailboxes</h1>
+        <p style={styles.subheadingInfo}>
+          Unread messages in these are added to the account badge
+        </p>
+        {service.extraUnreadSources.map((source) => this.renderSource(mailbox, service, source))}
+        <div style={sourceStyles.add}>
+          <SelectField
+            style={sourceStyles.addType}
+            floatingLabelText='Type'
+            value={addType}
+            onChange={(evt, index, value) => this.setState({ addType: value })}>
+            {Object.keys(EXTRA_UNREAD_SOURCE_TYPES).map((type) => {
+              return (<MenuItem key={type} value={type} primaryText={SOURCE_TYPE_NAMES[type]} />)
+            })}
+          </SelectField>
+          <TextField
+            style={sourceStyles.addValue}
+            floatingLabelText={addType === EXTRA_UNREAD_SOURCE_TYPES.FOLDER ? 'Folder name' : 'Mailbox address'}
+            hintText={SOURCE_TYPE_HINTS[addType]}
+            value={addValue}
+            onChange={(evt) => this.setState({ addValue: evt.target.value })}
+            onKeyDown={(evt) => {
+              if (evt.keyCode === 13) { this.handleAdd() }
+            }} />
+          <FlatButton
+            label='Add'
+            disabled={!addValue.trim()}
+            onClick={this.handleAdd} />
+        </div>
+        {service.hasSharedMailboxSources ? (
+          <div>
+            <p style={styles.extraInfo}>
+              Shared mailboxes need extra permission to read. If they fail to sync, reauthenticate your account to grant it
+            </p>
+            <FlatButton
+              style={styles.button}
+              label='Reauthenticate'
+              icon={<FontIcon className='material-icons'>lock_open</FontIcon>}
+              onClick={() => mailboxActions.reauthenticateMailbox(mailbox.id)} />
+          </div>
+        ) : undefined}
+      </Paper>
+    )
+  }
+}
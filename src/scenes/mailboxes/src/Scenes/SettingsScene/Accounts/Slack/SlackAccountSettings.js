@@ -4,11 +4,17 @@ import shallowCompare from 'react-addons-shallow-compare'
 import { Row, Col } from 'Components/Grid'
 import AccountAppearanceSettings from '../AccountAppearanceSettings'
 import AccountAdvancedSettings from '../AccountAdvancedSettings'
+import AccountDndSettings from '../AccountDndSettings'
+import AccountLinkRoutingSettings from '../AccountLinkRoutingSettings'
+import AccountDownloadSettings from '../AccountDownloadSettings'
+import AccountWebPermissionSettings from '../AccountWebPermissionSettings'
+import AccountResourceAlertSettings from '../AccountResourceAlertSettings'
 import AccountBadgeSettings from '../AccountBadgeSettings'
 import AccountNotificationSettings from '../AccountNotificationSettings'
 import CoreMailbox from 'shared/Models/Accounts/CoreMailbox'
 import AccountCustomCodeSettings from '../AccountCustomCodeSettings'
 import AccountBehaviourSettings from '../AccountBehaviourSettings'
+import SlackNotificationFilterSettings from './SlackNotificationFilterSettings'
 
 export default class SlackAccountSettings extends React.Component {
   /* **************************************************************************/
@@ -40,6 +46,7 @@ export default class SlackAccountSettings extends React.Component {
             <AccountAppearanceSettings mailbox={mailbox} />
             <AccountBadgeSettings mailbox={mailbox} service={service} />
             <AccountNotificationSettings mailbox={mailbox} service={service} />
+            <SlackNotificationFilterSettings mailbox={mailbox} service={service} />
             <AccountBehaviourSettings mailbox={mailbox} service={service} />
           </Col>
           <Col md={6}>
@@ -48,6 +55,11 @@ export default class SlackAccountSettings extends React.Component {
               service={service}
               onRequestEditCustomCode={onRequestEditCustomCode} />
             <AccountAdvancedSettings mailbox={mailbox} showRestart={showRestart} />
+            <AccountDndSettings mailbox={mailbox} />
+            <AccountLinkRoutingSettings mailbox={mailbox} />
+            <AccountDownloadSettings mailbox={mailbox} />
+            <AccountWebPermissionSettings mailbox={mailbox} />
+            <AccountResourceAlertSettings mailbox={mailbox} />
           </Col>
         </Row>
       </div>
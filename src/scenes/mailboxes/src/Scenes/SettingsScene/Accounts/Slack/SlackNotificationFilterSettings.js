@@ -0,0 +1,103 @@
+import PropTypes from 'prop-types'
+import React from 'react'
+import { Paper, TextField } from 'material-ui'
+import { mailboxActions, SlackDefaultServiceReducer } from 'stores/mailbox'
+import styles from '../../CommonSettingStyles'
+import shallowCompare from 'react-addons-shallow-compare'
+
+export default class SlackNotificationFilterSettings extends React.Component {
+  /* **************************************************************************/
+  // Class
+  /* **************************************************************************/
+
+  static propTypes = {
+    mailbox: PropTypes.object.isRequired,
+    service: PropTypes.object.isRequired
+  }
+
+  /* **************************************************************************/
+  // Component Lifecycle
+  /* **************************************************************************/
+
+  componentWillReceiveProps (nextProps) {
+    if (this.props.mailbox.id !== nextProps.mailbox.id) {
+      this.setState(this.generateState(nextProps))
+    }
+  }
+
+  /* **************************************************************************/
+  // Data lifecycle
+  /* **************************************************************************/
+
+  state = this.generateState(this.props)
+
+  /**
+  * Generates the state from the given props
+  * @param props: the props to use
+  * @return state object
+  */
+  generateState (props) {
+    const { service } = props
+    return {
+      alwaysChannels: service.notificationAlwaysChannelsString,
+      neverChannels: service.notificationNeverChannelsString,
+      highlightWords: service.notificationHighlightWordsString
+    }
+  }
+
+  /* **************************************************************************/
+  // Rendering
+  /* **************************************************************************/
+
+  shouldComponentUpdate (nextProps, nextState) {
+    return shallowCompare(this, nextProps, nextState)
+  }
+
+  render () {
+    const { mailbox, service, ...passProps } = this.props
+    const { alwaysChannels, neverChannels, highlightWords } = this.state
+
+    return (
+      <Paper zDepth={1} style={styles.paper} {...passProps}>
+        <h1 style={styles.subheading}>Channel Notifications</h1>
+        <p style={styles.subheadingInfo}>
+          Pick out the channels and words that matter to you, independently of your Slack preferences
+        </p>
+        <TextField
+          fullWidth
+          disabled={!service.showNotifications}
+          value={alwaysChannels}
+          floatingLabelText='Always notify for these channels (Comma seperated)'
+          hintText='#general, #announcements'
+          onChange={(evt) => this.setState({ alwaysChannels: evt.target.value })}
+          onBlur={() => {
+            mailboxActions.reduceService(mailbox.id, service.type, SlackDefaultServiceReducer.setNotificationAlwaysChannelsString, alwaysChannels)
+          }} />
+        <TextField
+          fullWidth
+          disabled={!service.showNotifications}
+          value={neverChannels}
+          floatingLabelText='Never notify for these channels (Comma seperated)'
+          hintText='#random, #social'
+          onChange={(evt) => this.setState({ neverChannels: evt.target.value })}
+          onBlur={() => {
+            mailboxActions.reduceService(mailbox.id, service.type, SlackDefaultServiceReducer.setNotificationNeverChannelsString, neverChannels)
+          }} />
+        <TextField
+          fullWidth
+          disabled={!service.showNotifications}
+          value={highlightWords}
+          floatingLabelText='Highlight words (Comma seperated)'
+          hintText='release, outage'
+          onChange={(evt) => this.setState({ highlightWords: evt.target.value })}
+          onBlur={() => {
+            mailboxActions.reduceService(mailbox.id, service.type, SlackDefaultServiceReducer.setNotificationHighlightWordsString, highlightWords)
+          }} />
+        <p style={styles.extraInfo}>
+          Highlight words send a notification even in channels you've muted in Slack. Channels you never
+          want to be notified about take priority over everything else
+        </p>
+      </Paper>
+    )
+  }
+}
@@ -5,6 +5,11 @@ import { Paper, SelectField, MenuItem } from 'material-ui'
 import { Row, Col } from 'Components/Grid'
 import AccountAppearanceSettings from '../AccountAppearanceSettings'
 import AccountAdvancedSettings from '../AccountAdvancedSettings'
+import AccountDndSettings from '../AccountDndSettings'
+import AccountLinkRoutingSettings from '../AccountLinkRoutingSettings'
+import AccountDownloadSettings from '../AccountDownloadSettings'
+import AccountWebPermissionSettings from '../AccountWebPermissionSettings'
+import AccountResourceAlertSettings from '../AccountResourceAlertSettings'
 import AccountBadgeSettings from '../AccountBadgeSettings'
 import AccountNotificationSettings from '../AccountNotificationSettings'
 import styles from '../../CommonSettingStyles'
@@ -71,6 +76,11 @@ export default class TrelloAccountSettings extends React.Component {
               service={service}
               onRequestEditCustomCode={onRequestEditCustomCode} />
             <AccountAdvancedSettings mailbox={mailbox} showRestart={showRestart} />
+            <AccountDndSettings mailbox={mailbox} />
+            <AccountLinkRoutingSettings mailbox={mailbox} />
+            <AccountDownloadSettings mailbox={mailbox} />
+            <AccountWebPermissionSettings mailbox={mailbox} />
+            <AccountResourceAlertSettings mailbox={mailbox} />
           </Col>
         </Row>
       </div>
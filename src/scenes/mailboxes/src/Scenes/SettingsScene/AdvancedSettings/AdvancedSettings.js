@@ -8,6 +8,7 @@ import AppSettings from 'shared/Models/Settings/AppSettings'
 import styles from '../CommonSettingStyles'
 import shallowCompare from 'react-addons-shallow-compare'
 import AcceleratorSettings from './AcceleratorSettings'
+import StorageBackupSettings from './StorageBackupSettings'
 import { Row, Col } from 'Components/Grid'
 import { ConfirmFlatButton } from 'Components/Buttons'
 
@@ -165,6 +166,7 @@ export default class AdvancedSettings extends React.Component {
                 })}
               </SelectField>
             </Paper>
+            <StorageBackupSettings />
           </Col>
         </Row>
         <Row>
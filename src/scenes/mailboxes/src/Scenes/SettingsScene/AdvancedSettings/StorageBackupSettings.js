@@ -0,0 +1,198 @@
+import React from 'react'
+import { Paper, SelectField, MenuItem, FontIcon } from 'material-ui'
+import mailboxPersistence from 'stores/mailbox/mailboxPersistence'
+import avatarPersistence from 'stores/mailbox/avatarPersistence'
+import settingsPersistence from 'stores/settings/settingsPersistence'
+import extensionPersistence from 'stores/extension/extensionPersistence'
+import userPersistence from 'stores/user/userPersistence'
+import notificationHistoryPersistence from 'stores/notificationHistory/notificationHistoryPersistence'
+import downloadPersistence from 'stores/download/downloadPersistence'
+import resourceAlertPersistence from 'stores/resourceAlert/resourceAlertPersistence'
+import { mailboxStore } from 'stores/mailbox'
+import { ConfirmFlatButton } from 'Components/Buttons'
+import { PERSISTENCE_INDEX_KEY } from 'shared/constants'
+import { WB_RELAUNCH_APP } from 'shared/ipcEvents'
+import { ipcRenderer } from 'electron'
+import styles from '../CommonSettingStyles'
+import shallowCompare from 'react-addons-shallow-compare'
+
+const BUCKETS = {
+  mailboxes: { name: 'Accounts', persistence: mailboxPersistence },
+  settings: { name: 'Settings', persistence: settingsPersistence },
+  avatar: { name: 'Account Avatars', persistence: avatarPersistence },
+  extensions: { name: 'Extensions', persistence: extensionPersistence },
+  user: { name: 'User', persistence: userPersistence },
+  notificationHistory: { name: 'Notification History', persistence: notificationHistoryPersistence },
+  download: { name: 'Download History', persistence: downloadPersistence },
+  resourceAlert: { name: 'Resource Alert Log', persistence: resourceAlertPersistence }
+}
+const MAX_PREVIEW_KEYS = 10
+
+export default class StorageBackupSettings extends React.Component {
+  /* **************************************************************************/
+  // Component Lifecycle
+  /* **************************************************************************/
+
+  componentDidMount () {
+    this.loadBackups(this.state.bucket)
+  }
+
+  /* **************************************************************************/
+  // Data lifecycle
+  /* **************************************************************************/
+
+  state = {
+    bucket: 'mailboxes',
+    backups: null,
+    timestamp: null,
+    preview: null,
+    restoreError: false
+  }
+
+  /**
+  * Loads the backups for a bucket
+  * @param bucket: the name of the bucket
+  */
+  loadBackups (bucket) {
+    this.setState({ bucket: bucket, backups: null, timestamp: null, preview: null, restoreError: false })
+    BUCKETS[bucket].persistence.listBackups().then((backups) => {
+      if (this.state.bucket !== bucket) { return }
+      this.setState({ backups: backups })
+    })
+  }
+
+  /**
+  * Loads the preview for a backup
+  * @param timestamp: the timestamp of the backup
+  */
+  loadPreview (timestamp) {
+    const { bucket } = this.state
+    this.setState({ timestamp: timestamp, preview: null, restoreError: false })
+    BUCKETS[bucket].persistence.previewBackup(timestamp).then((preview) => {
+      if (this.state.bucket !== bucket || this.state.timestamp !== timestamp) { return }
+      this.setState({ preview: preview })
+    })
+  }
+
+  /* **************************************************************************/
+  // UI Events
+  /* **************************************************************************/
+
+  /**
+  * Restores the selected backup and relaunches
+  */
+  handleRestore = () => {
+    const { bucket, timestamp } = this.state
+    BUCKETS[bucket].persistence.restoreBackup(timestamp)
+      .then(() => {
+        ipcRenderer.send(WB_RELAUNCH_APP, { })
+      })
+      .catch(() => {
+        this.setState({ restoreError: true })
+      })
+  }
+
+  /* **************************************************************************/
+  // Rendering
+  /* **************************************************************************/
+
+  shouldComponentUpdate (nextProps, nextState) {
+    return shallowCompare(this, nextProps, nextState)
+  }
+
+  /**
+  * Humanizes a storage key
+  * @param bucket: the bucket the key is in
+  * @param key: the key
+  * @return a humanized version of the key
+  */
+  humanizeKey (bucket, key) {
+    if (bucket === 'mailboxes') {
+      if (key === PERSISTENCE_INDEX_KEY) { return 'Account order' }
+      const mailbox = mailboxStore.getState().getMailbox(key)
+      return mailbox ? mailbox.displayName : key
+    } else {
+      return key
+    }
+  }
+
+  /**
+  * Renders a list of changed keys
+  * @param bucket: the bucket the keys are in
+  * @param label: the label for the list
+  * @param keys: the keys
+  * @return jsx
+  */
+  renderKeyList (bucket, label, keys) {
+    if (!keys.length) { return undefined }
+    const names = keys.slice(0, MAX_PREVIEW_KEYS).map((k) => this.humanizeKey(bucket, k))
+    const more = keys.length - names.length
+    return (
+      <div style={styles.extraInfo}>
+        {`${label} (${keys.length}): ${names.join(', ')}${more > 0 ? ` and ${more} more` : ''}`}
+      </div>
+    )
+  }
+
+  render () {
+    const { bucket, backups, timestamp, preview, restoreError } = this.state
+
+    return (
+      <Paper zDepth={1} style={styles.paper} {...this.props}>
+        <h1 style={styles.subheading}>Backups</h1>
+        <p style={styles.subheadingInfo}>
+          Wavebox keeps regular backups of its databases. Restoring a backup requires a restart
+        </p>
+        <SelectField
+          fullWidth
+          floatingLabelText='Database'
+          value={bucket}
+          onChange={(evt, index, value) => this.loadBackups(value)}>
+          {Object.keys(BUCKETS).map((name) => {
+            return (<MenuItem key={name} value={name} primaryText={BUCKETS[name].name} />)
+          })}
+        </SelectField>
+        <SelectField
+          fullWidth
+          floatingLabelText='Backup'
+          disabled={!backups || !backups.length}
+          hintText={backups && !backups.length ? 'No backups available' : undefined}
+          value={timestamp}
+          onChange={(evt, index, value) => this.loadPreview(value)}>
+          {(backups || []).map((backup) => {
+            const date = new Date(backup.timestamp).toLocaleString()
+            const info = backup.readable ? `${backup.keyCount} items` : 'Unreadable'
+            return (
+              <MenuItem
+                key={backup.timestamp}
+                value={backup.timestamp}
+                disabled={!backup.readable}
+                primaryText={`${date} (${info})`} />
+            )
+          })}
+        </SelectField>
+        {preview ? (
+          <div>
+            {!preview.added.length && !preview.removed.length && !preview.changed.length ? (
+              <div style={styles.extraInfo}>This backup is the same as the current data</div>
+            ) : undefined}
+            {this.renderKeyList(bucket, 'Restored', preview.added)}
+            {this.renderKeyList(bucket, 'Removed', preview.removed)}
+            {this.renderKeyList(bucket, 'Changed', preview.changed)}
+            <ConfirmFlatButton
+              style={styles.button}
+              label='Restore backup & restart'
+              confirmLabel='Click again to confirm'
+              confirmWaitMs={4000}
+              icon={<FontIcon className='material-icons'>restore</FontIcon>}
+              confirmIcon={<FontIcon className='material-icons'>help_outline</FontIcon>}
+              onConfirmedClick={this.handleRestore} />
+            {restoreError ? (
+              <div style={styles.warningText}>Unable to restore this backup</div>
+            ) : undefined}
+          </div>
+        ) : undefined}
+      </Paper>
+    )
+  }
+}
@@ -0,0 +1,264 @@
+import PropTypes from 'prop-types'
+import React from 'react'
+import { TextField, Toggle, FlatButton, IconButton, FontIcon } from 'material-ui'
+import * as Colors from 'material-ui/styles/colors'
+import DndSchedules from 'shared/Models/Settings/DndSchedules'
+import styles from './CommonSettingStyles'
+import shallowCompare from 'react-addons-shallow-compare'
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+const CALENDAR_ORDER = [1, 2, 3, 4, 5, 6, 0]
+
+const editorStyles = {
+  calendar: {
+    marginTop: 8,
+    marginBottom: 8
+  },
+  calendarRow: {
+    display: 'flex',
+    alignItems: 'center',
+    height: 16,
+    marginBottom: 2
+  },
+  calendarDay: {
+    width: 40,
+    fontSize: 12,
+    color: Colors.grey600
+  },
+  calendarTrack: {
+    position: 'relative',
+    flex: 1,
+    height: 12,
+    backgroundColor: Colors.grey200,
+    borderRadius: 2
+  },
+  calendarRange: {
+    position: 'absolute',
+    top: 0,
+    bottom: 0,
+    backgroundColor: Colors.indigo300,
+    borderRadius: 2
+  },
+  calendarLegend: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    marginLeft: 40,
+    fontSize: 11,
+    color: Colors.grey500
+  },
+  schedule: {
+    display: 'flex',
+    alignItems: 'center',
+    flexWrap: 'wrap',
+    borderTop: `1px solid ${Colors.grey200}`,
+    paddingTop: 4
+  },
+  dayButton: {
+    minWidth: 40,
+    margin: 1
+  },
+  time: {
+    width: 100,
+    marginLeft: 8
+  },
+  toggle: {
+    width: 'auto'
+  }
+}
+
+export default class DndScheduleEditor extends React.Component {
+  /* **************************************************************************/
+  // Class
+  /* **************************************************************************/
+
+  static propTypes = {
+    schedules: PropTypes.array.isRequired,
+    onChange: PropTypes.func.isRequired,
+    disabled: PropTypes.bool
+  }
+
+  /* **************************************************************************/
+  // UI Events
+  /* **************************************************************************/
+
+  /**
+  * Adds a schedule
+  * @param days: the days the schedule runs on
+  * @param start: the start time in minutes
+  * @param end: the end time in minutes
+  */
+  handleAddSchedule = (days, start, end) => {
+    this.props.onChange(this.props.schedules.concat([DndSchedules.createSchedule(days, start, end)]))
+  }
+
+  /**
+  * Updates a schedule
+  * @param id: the id of the schedule
+  * @param changes: the changes to apply
+  */
+  handleUpdateSchedule = (id, changes) => {
+    this.props.onChange(this.props.schedules.map((s) => s.id === id ? { ...s, ...changes } : s))
+  }
+
+  /**
+  * Removes a schedule
+  * @param id: the id of the schedule
+  */
+  handleRemoveSchedule = (id) => {
+    this.props.onChange(this.props.schedules.filter((s) => s.id !== id))
+  }
+
+  /**
+  * Toggles a day on a schedule
+  * @param schedule: the schedule to update
+  * @param day: the day to toggle
+  */
+  handleToggleDay = (schedule, day) => {
+    const days = schedule.days.indexOf(day) === -1
+      ? schedule.days.concat([day])
+      : schedule.days.filter((d) => d !== day)
+    this.handleUpdateSchedule(schedule.id, { days: days })
+  }
+
+  /**
+  * Updates a time on a schedule
+  * @param schedule: the schedule to update
+  * @param key: the key to update, start or end
+  * @param value: the new string value
+  */
+  handleChangeTime = (schedule, key, value) => {
+    const minutes = DndSchedules.timeStringToMinutes(value)
+    if (minutes === undefined) { return }
+    this.handleUpdateSchedule(schedule.id, { [key]: minutes })
+  }
+
+  /* **************************************************************************/
+  // Rendering
+  /* **************************************************************************/
+
+  shouldComponentUpdate (nextProps, nextState) {
+    return shallowCompare(this, nextProps, nextState)
+  }
+
+  /**
+  * Renders the weekly calendar overview
+  * @param schedules: the schedules to render
+  * @return jsx
+  */
+  renderCalendar (schedules) {
+    return (
+      <div style={editorStyles.calendar}>
+        {CALENDAR_ORDER.map((day) => {
+          const ranges = schedules.reduce((acc, schedule) => {
+            return acc.concat(DndSchedules.rangesForDay(schedule, day))
+          }, [])
+          return (
+            <div key={day} style={editorStyles.calendarRow}>
+              <div style={editorStyles.calendarDay}>{DAY_NAMES[day]}</div>
+              <div style={editorStyles.calendarTrack}>
+                {ranges.map(([start, end], index) => {
+                  return (
+                    <div
+                      key={index}
+                      style={{
+                        ...editorStyles.calendarRange,
+                        left: `${(start / DndSchedules.MINUTES_IN_DAY) * 100}%`,
+                        width: `${((end - start) / DndSchedules.MINUTES_IN_DAY) * 100}%`
+                      }} />
+                  )
+                })}
+              </div>
+            </div>
+          )
+        })}
+        <div style={editorStyles.calendarLegend}>
+          <span>00:00</span>
+          <span>06:00</span>
+          <span>12:00</span>
+          <span>18:00</span>
+          <span>24:00</span>
+        </div>
+      </div>
+    )
+  }
+
+  /**
+  * Renders a single schedule
+  * @param schedule: the schedule to render
+  * @param disabled: true if editing is disabled
+  * @return jsx
+  */
+  renderSchedule (schedule, disabled) {
+    return (
+      <div key={schedule.id} style={editorStyles.schedule}>
+        <div>
+          {CALENDAR_ORDER.map((day) => {
+            const active = schedule.days.indexOf(day) !== -1
+            return (
+              <FlatButton
+                key={day}
+                style={editorStyles.dayButton}
+                disabled={disabled}
+                primary={active}
+                backgroundColor={active ? Colors.indigo50 : undefined}
+                label={DAY_NAMES[day]}
+                onClick={() => this.handleToggleDay(schedule, day)} />
+            )
+          })}
+        </div>
+        <TextField
+          key={`${schedule.id}:start:${schedule.start}`}
+          type='time'
+          style={editorStyles.time}
+          floatingLabelText='From'
+          disabled={disabled}
+          defaultValue={DndSchedules.minutesToTimeString(schedule.start)}
+          onBlur={(evt) => this.handleChangeTime(schedule, 'start', evt.target.value)} />
+        <TextField
+          key={`${schedule.id}:end:${schedule.end}`}
+          type='time'
+          style={editorStyles.time}
+          floatingLabelText='Until'
+          disabled={disabled}
+          defaultValue={DndSchedules.minutesToTimeString(schedule.end)}
+          onBlur={(evt) => this.handleChangeTime(schedule, 'end', evt.target.value)} />
+        <Toggle
+          style={editorStyles.toggle}
+          toggled={schedule.enabled}
+          disabled={disabled}
+          onToggle={(evt, toggled) => this.handleUpdateSchedule(schedule.id, { enabled: toggled })} />
+        <IconButton disabled={disabled} onClick={() => this.handleRemoveSchedule(schedule.id)}>
+          <FontIcon className='material-icons'>delete</FontIcon>
+        </IconButton>
+      </div>
+    )
+  }
+
+  render () {
+    const { schedules, disabled, onChange, ...passProps } = this.props
+
+    return (
+      <div {...passProps}>
+        {this.renderCalendar(schedules)}
+        {schedules.map((schedule) => this.renderSchedule(schedule, disabled))}
+        <div>
+          <FlatButton
+            style={styles.buttonInline}
+            disabled={disabled}
+            label='Weekday evenings'
+            icon={<FontIcon className='material-icons'>add</FontIcon>}
+            onClick={() => this.handleAddSchedule(DndSchedules.WEEKDAYS, 19 * 60, 8 * 60)} />
+          <FlatButton
+            style={styles.buttonInline}
+            disabled={disabled}
+            label='Weekends'
+            icon={<FontIcon className='material-icons'>add</FontIcon>}
+            onClick={() => this.handleAddSchedule(DndSchedules.WEEKEND, 0, 0)} />
+        </div>
+        <div style={styles.extraInfo}>
+          Schedules that finish earlier than they start run past midnight into the next day
+        </div>
+      </div>
+    )
+  }
+}
@@ -1,10 +1,12 @@
 import PropTypes from 'prop-types'
 import React from 'react'
 import shallowCompare from 'react-addons-shallow-compare'
-import { Paper, RaisedButton, FlatButton, CircularProgress } from 'material-ui'
+import { Paper, RaisedButton, FlatButton, CircularProgress, SelectField, MenuItem } from 'material-ui'
 import * as Colors from 'material-ui/styles/colors'
 import { crextensionStore, crextensionActions } from 'stores/crextension'
 import { userStore } from 'stores/user'
+import { settingsStore, settingsActions } from 'stores/settings'
+import { mailboxStore } from 'stores/mailbox'
 import electron from 'electron'
 
 const styles = {
@@ -91,6 +93,11 @@ const styles = {
   developerAction: {
     color: Colors.grey600,
     textDecoration: 'underline'
+  },
+
+  // Account access
+  accountAccess: {
+    marginTop: 8
   }
 }
 
@@ -112,16 +119,23 @@ export default class ExtensionListItem extends React.Component {
   componentDidMount () {
     crextensionStore.listen(this.extensionUpdated)
     userStore.listen(this.userUpdated)
+    settingsStore.listen(this.settingsUpdated)
+    mailboxStore.listen(this.mailboxesUpdated)
   }
 
   componentWillUnmount () {
     crextensionStore.unlisten(this.extensionUpdated)
     userStore.unlisten(this.userUpdated)
+    settingsStore.unlisten(this.settingsUpdated)
+    mailboxStore.unlisten(this.mailboxesUpdated)
   }
 
   componentWillReceiveProps (nextProps) {
     if (this.props.extensionId !== nextProps.extensionId) {
-      this.setState(this.generateState(nextProps, undefined))
+      this.setState({
+        ...this.generateState(nextProps, undefined, undefined),
+        ...this.generateAccountAccessState(nextProps, undefined, undefined)
+      })
     }
   }
 
@@ -160,13 +174,29 @@ export default class ExtensionListItem extends React.Component {
       isInstalled: crextensionState.isInstalled(props.extensionId),
       isDownloading: crextensionState.isDownloading(props.extensionId),
       hasBackgroundPage: crextensionState.hasBackgroundPage(props.extensionId),
+      hasAccountAccess: manifest ? manifest.permissions.has('cookies') || manifest.permissions.has('webRequest') : false,
       hasOptionsPage: crextensionState.hasOptionsPage(props.extensionId)
     }
   }
 
+  /**
+  * Generates the account access state
+  * @param props: the props to generate from
+  * @param settingsState=autoget: the store state
+  * @param mailboxState=autoget: the store state
+  * @return a state update
+  */
+  generateAccountAccessState (props, settingsState = settingsStore.getState(), mailboxState = mailboxStore.getState()) {
+    return {
+      accountRestriction: settingsState.extension.getAccountRestriction(props.extensionId),
+      mailboxes: mailboxState.allMailboxes()
+    }
+  }
+
   state = (() => {
     return {
-      ...this.generateState(this.props, undefined, undefined)
+      ...this.generateState(this.props, undefined, undefined),
+      ...this.generateAccountAccessState(this.props, undefined, undefined)
     }
   })()
 
@@ -178,6 +208,14 @@ export default class ExtensionListItem extends React.Component {
     this.setState(this.generateState(this.props, undefined, userState))
   }
 
+  settingsUpdated = (settingsState) => {
+    this.setState(this.generateAccountAccessState(this.props, settingsState, undefined))
+  }
+
+  mailboxesUpdated = (mailboxState) => {
+    this.setState(this.generateAccountAccessState(this.props, undefined, mailboxState))
+  }
+
   /* **************************************************************************/
   // UI Events
   /* **************************************************************************/
@@ -226,6 +264,19 @@ export default class ExtensionListItem extends React.Component {
     crextensionActions.inspectBackgroundPage(this.props.extensionId)
   }
 
+  /**
+  * Changes the accounts the extension can access
+  * @param evt: the event that fired
+  * @param index: the index of the changed item
+  * @param mailboxIds: the selected mailbox ids
+  */
+  handleChangeAccountRestriction = (evt, index, mailboxIds) => {
+    settingsActions.setExtensionAccountRestriction(
+      this.props.extensionId,
+      mailboxIds && mailboxIds.length ? mailboxIds : undefined
+    )
+  }
+
   /* **************************************************************************/
   // Rendering
   /* **************************************************************************/
@@ -314,6 +365,39 @@ export default class ExtensionListItem extends React.Component {
     }
   }
 
+  /**
+  * Renders the account access selector
+  * @param state: the state to use to render
+  * @return jsx
+  */
+  renderAccountAccess (state) {
+    const { isInstalled, isWaitingUninstall, hasAccountAccess, accountRestriction, mailboxes } = state
+    if (!isInstalled || isWaitingUninstall || !hasAccountAccess) { return undefined }
+
+    return (
+      <SelectField
+        style={styles.accountAccess}
+        floatingLabelText='Can access cookies and requests in'
+        floatingLabelFixed
+        hintText='All accounts'
+        multiple
+        fullWidth
+        value={accountRestriction || []}
+        onChange={this.handleChangeAccountRestriction}>
+        {mailboxes.map((mailbox) => {
+          return (
+            <MenuItem
+              key={mailbox.id}
+              value={mailbox.id}
+              insetChildren
+              checked={(accountRestriction || []).indexOf(mailbox.id) !== -1}
+              primaryText={mailbox.displayName} />
+          )
+        })}
+      </SelectField>
+    )
+  }
+
   render () {
     const {
       showRestart,
@@ -361,6 +445,7 @@ export default class ExtensionListItem extends React.Component {
               </div>
             </div>
             {this.renderActions(this.state)}
+            {this.renderAccountAccess(this.state)}
           </div>
         </div>
       </Paper>
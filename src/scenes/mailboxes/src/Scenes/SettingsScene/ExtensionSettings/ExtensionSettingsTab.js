@@ -7,6 +7,8 @@ import styles from '../CommonSettingStyles'
 import { Container, Row, Col } from 'Components/Grid'
 import { ExtensionSettings } from 'shared/Models/Settings'
 import ExtensionList from './ExtensionList'
+import ExtensionSyncSettingsSection from './ExtensionSyncSettingsSection'
+import WaveboxExtensionList from './WaveboxExtensionList'
 
 const EXTENSION_LAYOUT_MODE_LABELS = {
   [ExtensionSettings.TOOLBAR_BROWSER_ACTION_LAYOUT.ALIGN_LEFT]: 'Left',
@@ -93,8 +95,16 @@ export default class ExtensionSettingsTab extends React.Component {
                 </SelectField>
               </Paper>
             </Col>
+            <Col md={6}>
+              <ExtensionSyncSettingsSection extension={extension} />
+            </Col>
           </Row>
           <ExtensionList showRestart={showRestart} />
+          <Row>
+            <Col md={12}>
+              <WaveboxExtensionList />
+            </Col>
+          </Row>
         </Container>
       </div>
     )
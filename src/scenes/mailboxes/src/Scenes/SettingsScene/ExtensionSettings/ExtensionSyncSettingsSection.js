@@ -0,0 +1,150 @@
+import PropTypes from 'prop-types'
+import React from 'react'
+import ReactDOM from 'react-dom'
+import { Paper, RaisedButton, FlatButton, FontIcon, SelectField, MenuItem, TextField } from 'material-ui'
+import settingsActions from 'stores/settings/settingsActions'
+import { ExtensionSettings } from 'shared/Models/Settings'
+import styles from '../CommonSettingStyles'
+import shallowCompare from 'react-addons-shallow-compare'
+
+const SYNC_TARGET_TYPE_LABELS = {
+  [ExtensionSettings.SYNC_TARGET_TYPES.NONE]: 'Don\'t sync',
+  [ExtensionSettings.SYNC_TARGET_TYPES.FOLDER]: 'A folder',
+  [ExtensionSettings.SYNC_TARGET_TYPES.WEBDAV]: 'A WebDAV server'
+}
+
+export default class ExtensionSyncSettingsSection extends React.Component {
+  /* **************************************************************************/
+  // Class
+  /* **************************************************************************/
+
+  static propTypes = {
+    extension: PropTypes.object.isRequired
+  }
+
+  /* **************************************************************************/
+  // Component Lifecycle
+  /* **************************************************************************/
+
+  componentDidMount () {
+    this.updateFolderInput()
+  }
+
+  componentDidUpdate () {
+    this.updateFolderInput()
+  }
+
+  /**
+  * Marks the folder input as a directory picker
+  */
+  updateFolderInput () {
+    if (this.refs.syncFolderInput) {
+      ReactDOM.findDOMNode(this.refs.syncFolderInput).setAttribute('webkitdirectory', 'webkitdirectory')
+    }
+  }
+
+  /* **************************************************************************/
+  // Rendering
+  /* **************************************************************************/
+
+  shouldComponentUpdate (nextProps, nextState) {
+    return shallowCompare(this, nextProps, nextState)
+  }
+
+  /**
+  * Renders the folder target settings
+  * @param extension: the extension settings
+  * @return jsx
+  */
+  renderFolderTarget (extension) {
+    return (
+      <div style={Object.assign({}, styles.button, { display: 'flex', alignItems: 'center' })}>
+        <RaisedButton
+          label='Select folder'
+          icon={<FontIcon className='material-icons'>folder</FontIcon>}
+          containerElement='label'
+          style={styles.fileInputButton}>
+          <input
+            type='file'
+            style={styles.fileInput}
+            ref='syncFolderInput'
+            onChange={(evt) => settingsActions.setExtensionSyncFolderPath(evt.target.files[0].path)} />
+        </RaisedButton>
+        <small>{extension.syncFolderPath}</small>
+      </div>
+    )
+  }
+
+  /**
+  * Renders the webdav target settings
+  * @param extension: the extension settings
+  * @return jsx
+  */
+  renderWebDAVTarget (extension) {
+    return (
+      <div>
+        <TextField
+          key={`url_${extension.syncWebDAVUrl}`}
+          floatingLabelText='WebDAV folder url'
+          hintText='https://example.com/remote.php/webdav/wavebox'
+          fullWidth
+          defaultValue={extension.syncWebDAVUrl}
+          onBlur={(evt) => settingsActions.setExtensionSyncWebDAVUrl(evt.target.value.trim())} />
+        <TextField
+          key={`username_${extension.syncWebDAVUsername}`}
+          floatingLabelText='Username'
+          fullWidth
+          defaultValue={extension.syncWebDAVUsername}
+          onBlur={(evt) => settingsActions.setExtensionSyncWebDAVUsername(evt.target.value)} />
+        <TextField
+          key={`password_${extension.hasSyncWebDAVPassword}`}
+          floatingLabelText='Password'
+          floatingLabelFixed={extension.hasSyncWebDAVPassword}
+          hintText={extension.hasSyncWebDAVPassword ? 'Saved. Type a new password to change it' : undefined}
+          type='password'
+          fullWidth
+          onBlur={(evt) => {
+            if (evt.target.value) { settingsActions.setExtensionSyncWebDAVPassword(evt.target.value) }
+          }} />
+        {extension.hasSyncWebDAVPassword ? (
+          <FlatButton
+            label='Forget password'
+            onClick={() => settingsActions.setExtensionSyncWebDAVPassword('')} />
+        ) : undefined}
+      </div>
+    )
+  }
+
+  render () {
+    const { extension, ...passProps } = this.props
+
+    return (
+      <Paper zDepth={1} style={styles.paper} {...passProps}>
+        <h1 style={styles.subheading}>Extension Sync</h1>
+        <p style={styles.subheadingInfo}>
+          Mirror the sync storage of your extensions so their settings follow you between machines
+        </p>
+        <SelectField
+          floatingLabelText='Sync extension settings to'
+          value={extension.syncTargetType}
+          fullWidth
+          onChange={(evt, index, value) => { settingsActions.setExtensionSyncTargetType(value) }}>
+          {Object.keys(ExtensionSettings.SYNC_TARGET_TYPES).map((value) => {
+            return (
+              <MenuItem
+                key={value}
+                value={value}
+                primaryText={SYNC_TARGET_TYPE_LABELS[value]} />
+            )
+          })}
+        </SelectField>
+        {extension.syncTargetType === ExtensionSettings.SYNC_TARGET_TYPES.FOLDER ? (
+          this.renderFolderTarget(extension)
+        ) : undefined}
+        {extension.syncTargetType === ExtensionSettings.SYNC_TARGET_TYPES.WEBDAV ? (
+          this.renderWebDAVTarget(extension)
+        ) : undefined}
+      </Paper>
+    )
+  }
+}
@@ -0,0 +1,267 @@
+import React from 'react'
+import ReactDOM from 'react-dom'
+import shallowCompare from 'react-addons-shallow-compare'
+import { Paper, RaisedButton, FlatButton, FontIcon, Toggle, CircularProgress } from 'material-ui'
+import * as Colors from 'material-ui/styles/colors'
+import { extensionStore, extensionActions } from 'stores/extension'
+import styles from '../CommonSettingStyles'
+
+const listStyles = {
+  // Actions
+  installActions: {
+    display: 'flex',
+    alignItems: 'center',
+    flexWrap: 'wrap'
+  },
+
+  // Result
+  result: {
+    marginTop: 8,
+    fontSize: 14
+  },
+  resultOk: {
+    color: Colors.green700
+  },
+  resultFailed: {
+    color: Colors.red600
+  },
+  resultWarning: {
+    color: Colors.amber700,
+    fontSize: 13,
+    marginTop: 2
+  },
+
+  // Extension
+  extension: {
+    display: 'flex',
+    alignItems: 'center',
+    padding: '8px 0px',
+    borderTop: `1px solid ${Colors.grey200}`
+  },
+  extensionInfo: {
+    flexGrow: 1,
+    overflow: 'hidden'
+  },
+  extensionName: {
+    fontSize: 14,
+    fontWeight: 500,
+    margin: 0
+  },
+  extensionMeta: {
+    fontSize: 12,
+    color: Colors.grey500,
+    margin: 0,
+    overflow: 'hidden',
+    textOverflow: 'ellipsis',
+    whiteSpace: 'nowrap'
+  },
+  extensionToggle: {
+    width: 'auto'
+  }
+}
+
+export default class WaveboxExtensionList extends React.Component {
+  /* **************************************************************************/
+  // Component lifecycle
+  /* **************************************************************************/
+
+  componentDidMount () {
+    extensionStore.listen(this.extensionUpdated)
+    this.updateFolderInputs()
+  }
+
+  componentWillUnmount () {
+    extensionStore.unlisten(this.extensionUpdated)
+  }
+
+  componentDidUpdate () {
+    this.updateFolderInputs()
+  }
+
+  /**
+  * Marks the folder inputs as directory pickers
+  */
+  updateFolderInputs () {
+    ['installFolderInput', 'developmentFolderInput'].forEach((ref) => {
+      if (this.refs[ref]) {
+        ReactDOM.findDOMNode(this.refs[ref]).setAttribute('webkitdirectory', 'webkitdirectory')
+      }
+    })
+  }
+
+  /* **************************************************************************/
+  // Data lifecycle
+  /* **************************************************************************/
+
+  state = (() => {
+    const extensionState = extensionStore.getState()
+    return {
+      extensions: extensionState.allInstalled(),
+      isInstalling: extensionState.isInstalling,
+      lastResult: extensionState.lastResult
+    }
+  })()
+
+  extensionUpdated = (extensionState) => {
+    this.setState({
+      extensions: extensionState.allInstalled(),
+      isInstalling: extensionState.isInstalling,
+      lastResult: extensionState.lastResult
+    })
+  }
+
+  /* **************************************************************************/
+  // UI Events
+  /* **************************************************************************/
+
+  /**
+  * Handles a file being picked, resetting the input so the same path can be picked again
+  * @param evt: the event that fired
+  * @param fn: the function to call with the picked path
+  */
+  handleFilePicked = (evt, fn) => {
+    const file = evt.target.files[0]
+    evt.target.value = ''
+    if (file) { fn(file.path) }
+  }
+
+  /* **************************************************************************/
+  // Rendering
+  /* **************************************************************************/
+
+  shouldComponentUpdate (nextProps, nextState) {
+    return shallowCompare(this, nextProps, nextState)
+  }
+
+  /**
+  * Renders the install buttons
+  * @param isInstalling: true if an install is in progress
+  * @return jsx
+  */
+  renderInstallActions (isInstalling) {
+    return (
+      <div style={listStyles.installActions}>
+        <RaisedButton
+          label='Install from folder'
+          icon={<FontIcon className='material-icons'>folder</FontIcon>}
+          containerElement='label'
+          disabled={isInstalling}
+          style={{...styles.fileInputButton, ...styles.buttonInline}}>
+          <input
+            type='file'
+            style={styles.fileInput}
+            ref='installFolderInput'
+            onChange={(evt) => this.handleFilePicked(evt, (p) => extensionActions.installFromFolder(p))} />
+        </RaisedButton>
+        <RaisedButton
+          label='Install from zip'
+          icon={<FontIcon className='material-icons'>archive</FontIcon>}
+          containerElement='label'
+          disabled={isInstalling}
+          style={{...styles.fileInputButton, ...styles.buttonInline}}>
+          <input
+            type='file'
+            accept='.zip'
+            style={styles.fileInput}
+            onChange={(evt) => this.handleFilePicked(evt, (p) => extensionActions.installFromZip(p))} />
+        </RaisedButton>
+        <RaisedButton
+          label='Load for development'
+          icon={<FontIcon className='material-icons'>code</FontIcon>}
+          containerElement='label'
+          disabled={isInstalling}
+          style={{...styles.fileInputButton, ...styles.buttonInline}}>
+          <input
+            type='file'
+            style={styles.fileInput}
+            ref='developmentFolderInput'
+            onChange={(evt) => this.handleFilePicked(evt, (p) => extensionActions.installFromFolder(p, true))} />
+        </RaisedButton>
+        {isInstalling ? (<CircularProgress size={24} thickness={3} />) : undefined}
+      </div>
+    )
+  }
+
+  /**
+  * Renders the result of the last install
+  * @param lastResult: the result to render
+  * @return jsx
+  */
+  renderLastResult (lastResult) {
+    if (!lastResult) { return undefined }
+
+    return (
+      <div style={listStyles.result}>
+        <div style={lastResult.ok ? listStyles.resultOk : listStyles.resultFailed}>
+          {lastResult.message}
+        </div>
+        {lastResult.warnings.map((warning, index) => {
+          return (
+            <div key={index} style={listStyles.resultWarning}>
+              <FontIcon className='material-icons' style={styles.warningTextIcon}>warning</FontIcon>
+              {warning}
+            </div>
+          )
+        })}
+        <FlatButton label='Dismiss' onClick={() => extensionActions.clearLastResult()} />
+      </div>
+    )
+  }
+
+  /**
+  * Renders an installed extension
+  * @param extension: the extension to render
+  * @return jsx
+  */
+  renderExtension (extension) {
+    const meta = [`${extension.extensionId}@${extension.version}`]
+    if (extension.isDevelopment) { meta.push(`Development: ${extension.developmentPath}`) }
+
+    return (
+      <div key={extension.installId} style={listStyles.extension}>
+        <div style={listStyles.extensionInfo}>
+          <h2 style={listStyles.extensionName}>{extension.name}</h2>
+          <p style={listStyles.extensionMeta} title={meta.join(' · ')}>{meta.join(' · ')}</p>
+        </div>
+        <Toggle
+          toggled={extension.enabled}
+          style={listStyles.extensionToggle}
+          onToggle={(evt, toggled) => extensionActions.setEnabled(extension.installId, toggled)} />
+        {extension.isDevelopment ? (
+          <FlatButton
+            label='Reload'
+            onClick={() => extensionActions.reloadDevelopment(extension.installId)} />
+        ) : undefined}
+        <FlatButton
+          label='DevTools'
+          disabled={!extension.enabled || !extension.manifest.hasToolwindow}
+          onClick={() => extensionActions.openToolwindowDevTools(extension.installId)} />
+        <FlatButton
+          label='Uninstall'
+          onClick={() => extensionActions.uninstall(extension.installId)} />
+      </div>
+    )
+  }
+
+  render () {
+    const { extensions, isInstalling, lastResult } = this.state
+
+    return (
+      <div {...this.props}>
+        <h1 style={styles.heading}>Wavebox Extensions</h1>
+        <p style={styles.headingInfo}>
+          Extensions loaded for development are reloaded whenever their files change
+        </p>
+        <Paper zDepth={1} style={styles.paper}>
+          {this.renderInstallActions(isInstalling)}
+          {this.renderLastResult(lastResult)}
+          {extensions.length ? (
+            <div style={{ marginTop: 8 }}>
+              {extensions.map((extension) => this.renderExtension(extension))}
+            </div>
+          ) : undefined}
+        </Paper>
+      </div>
+    )
+  }
+}
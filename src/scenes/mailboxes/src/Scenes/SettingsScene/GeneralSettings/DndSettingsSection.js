@@ -0,0 +1,83 @@
+import PropTypes from 'prop-types'
+import React from 'react'
+import { Paper, FlatButton, FontIcon } from 'material-ui'
+import settingsActions from 'stores/settings/settingsActions'
+import DndSchedules from 'shared/Models/Settings/DndSchedules'
+import DndScheduleEditor from '../DndScheduleEditor'
+import styles from '../CommonSettingStyles'
+import shallowCompare from 'react-addons-shallow-compare'
+
+export default class DndSettingsSection extends React.Component {
+  /* **************************************************************************/
+  // Class
+  /* **************************************************************************/
+
+  static propTypes = {
+    os: PropTypes.object.isRequired
+  }
+
+  /* **************************************************************************/
+  // Rendering
+  /* **************************************************************************/
+
+  shouldComponentUpdate (nextProps, nextState) {
+    return shallowCompare(this, nextProps, nextState)
+  }
+
+  /**
+  * Renders the snooze controls
+  * @param os: the os settings
+  * @return jsx
+  */
+  renderSnooze (os) {
+    if (os.isNotificationsSnoozed()) {
+      return (
+        <div>
+          <p style={styles.warningText}>
+            {`Notifications are snoozed until ${new Date(os.notificationsSnoozeUntil).toLocaleString()}`}
+          </p>
+          <FlatButton
+            style={styles.button}
+            label='Resume notifications'
+            icon={<FontIcon className='material-icons'>notifications_active</FontIcon>}
+            onClick={() => settingsActions.clearNotificationsSnooze()} />
+        </div>
+      )
+    } else {
+      return (
+        <div>
+          <FlatButton
+            style={styles.buttonInline}
+            disabled={!os.notificationsEnabled}
+            label='Snooze for 1 hour'
+            icon={<FontIcon className='material-icons'>snooze</FontIcon>}
+            onClick={() => settingsActions.snoozeNotifications(DndSchedules.SNOOZE_MODES.ONE_HOUR)} />
+          <FlatButton
+            style={styles.buttonInline}
+            disabled={!os.notificationsEnabled}
+            label='Snooze until tomorrow'
+            icon={<FontIcon className='material-icons'>snooze</FontIcon>}
+            onClick={() => settingsActions.snoozeNotifications(DndSchedules.SNOOZE_MODES.UNTIL_TOMORROW)} />
+        </div>
+      )
+    }
+  }
+
+  render () {
+    const { os, ...passProps } = this.props
+
+    return (
+      <Paper zDepth={1} style={styles.paper} {...passProps}>
+        <h1 style={styles.subheading}>Do Not Disturb</h1>
+        <p style={styles.subheadingInfo}>
+          Notifications that arrive during Do Not Disturb are held back and shown as a digest when it ends
+        </p>
+        {this.renderSnooze(os)}
+        <DndScheduleEditor
+          schedules={os.notificationsDndSchedules}
+          disabled={!os.notificationsEnabled}
+          onChange={(schedules) => settingsActions.setNotificationsDndSchedules(schedules)} />
+      </Paper>
+    )
+  }
+}
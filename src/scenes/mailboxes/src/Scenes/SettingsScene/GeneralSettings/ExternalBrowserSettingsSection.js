@@ -0,0 +1,137 @@
+import PropTypes from 'prop-types'
+import React from 'react'
+import { Paper, SelectField, MenuItem, TextField, FlatButton, IconButton, FontIcon } from 'material-ui'
+import settingsActions from 'stores/settings/settingsActions'
+import ExternalBrowsers from 'shared/Models/Settings/ExternalBrowsers'
+import styles from '../CommonSettingStyles'
+import shallowCompare from 'react-addons-shallow-compare'
+
+const browserStyles = {
+  browser: {
+    display: 'flex',
+    alignItems: 'flex-end'
+  },
+  field: {
+    flex: 1,
+    marginRight: 8
+  }
+}
+
+export default class ExternalBrowserSettingsSection extends React.Component {
+  /* **************************************************************************/
+  // Class
+  /* **************************************************************************/
+
+  static propTypes = {
+    os: PropTypes.object.isRequired
+  }
+
+  /* **************************************************************************/
+  // UI Events
+  /* **************************************************************************/
+
+  /**
+  * Adds a new browser
+  */
+  handleAddBrowser = () => {
+    settingsActions.setExternalBrowsers(this.props.os.externalBrowsers.concat(ExternalBrowsers.createBrowser()))
+  }
+
+  /**
+  * Updates a browser
+  * @param browserId: the id of the browser
+  * @param changes: the changes to make
+  */
+  handleUpdateBrowser = (browserId, changes) => {
+    settingsActions.setExternalBrowsers(this.props.os.externalBrowsers.map((browser) => {
+      return browser.id === browserId ? Object.assign({}, browser, changes) : browser
+    }))
+  }
+
+  /**
+  * Removes a browser, resetting the default if it was in use
+  * @param browserId: the id of the browser
+  */
+  handleRemoveBrowser = (browserId) => {
+    const { os } = this.props
+    settingsActions.setExternalBrowsers(os.externalBrowsers.filter((browser) => browser.id !== browserId))
+    if (os.defaultExternalBrowserId === browserId) {
+      settingsActions.setDefaultExternalBrowserId(ExternalBrowsers.SYSTEM_BROWSER_ID)
+    }
+  }
+
+  /* **************************************************************************/
+  // Rendering
+  /* **************************************************************************/
+
+  shouldComponentUpdate (nextProps, nextState) {
+    return shallowCompare(this, nextProps, nextState)
+  }
+
+  /**
+  * Renders a single browser
+  * @param browser: the browser to render
+  * @return jsx
+  */
+  renderBrowser (browser) {
+    return (
+      <div key={browser.id} style={browserStyles.browser}>
+        <TextField
+          key={`${browser.id}:name:${browser.name}`}
+          style={browserStyles.field}
+          floatingLabelText='Name'
+          hintText='Chrome (Work)'
+          defaultValue={browser.name}
+          onBlur={(evt) => this.handleUpdateBrowser(browser.id, { name: evt.target.value })} />
+        <TextField
+          key={`${browser.id}:executablePath:${browser.executablePath}`}
+          style={browserStyles.field}
+          floatingLabelText='Executable path'
+          hintText='/usr/bin/google-chrome'
+          defaultValue={browser.executablePath}
+          errorText={!ExternalBrowsers.isValid(browser) ? 'Enter the path to the browser' : undefined}
+          onBlur={(evt) => this.handleUpdateBrowser(browser.id, { executablePath: evt.target.value })} />
+        <TextField
+          key={`${browser.id}:args:${browser.args}`}
+          style={browserStyles.field}
+          floatingLabelText='Arguments'
+          hintText='--profile-directory="Profile 1"'
+          defaultValue={browser.args}
+          onBlur={(evt) => this.handleUpdateBrowser(browser.id, { args: evt.target.value })} />
+        <IconButton onClick={() => this.handleRemoveBrowser(browser.id)}>
+          <FontIcon className='material-icons'>delete</FontIcon>
+        </IconButton>
+      </div>
+    )
+  }
+
+  render () {
+    const {os, ...passProps} = this.props
+    const browsers = os.externalBrowsers
+
+    return (
+      <Paper zDepth={1} style={styles.paper} {...passProps}>
+        <h1 style={styles.subheading}>External Browsers</h1>
+        <SelectField
+          fullWidth
+          floatingLabelText='Open links in'
+          value={os.getExternalBrowser(os.defaultExternalBrowserId) ? os.defaultExternalBrowserId : ExternalBrowsers.SYSTEM_BROWSER_ID}
+          onChange={(evt, index, value) => settingsActions.setDefaultExternalBrowserId(value)}>
+          <MenuItem value={ExternalBrowsers.SYSTEM_BROWSER_ID} primaryText='System default browser' />
+          {browsers.map((browser) => {
+            return (<MenuItem key={browser.id} value={browser.id} primaryText={browser.name || 'Untitled browser'} />)
+          })}
+        </SelectField>
+        {browsers.map((browser) => this.renderBrowser(browser))}
+        <FlatButton
+          style={styles.button}
+          onClick={this.handleAddBrowser}
+          label='Add Browser'
+          icon={<FontIcon style={{ marginLeft: 0 }} className='material-icons'>add</FontIcon>} />
+        <p style={styles.extraInfo}>
+          {`Use ${ExternalBrowsers.URL_PLACEHOLDER} in the arguments to choose where the link goes, otherwise it's added at the end. On macOS you can use the path to the .app. Each account can override the browser in its own settings`}
+        </p>
+      </Paper>
+    )
+  }
+}
@@ -3,12 +3,15 @@ import React from 'react'
 import settingsStore from 'stores/settings/settingsStore'
 import platformStore from 'stores/platform/platformStore'
 import DownloadSettingsSection from './DownloadSettingsSection'
+import ExternalBrowserSettingsSection from './ExternalBrowserSettingsSection'
 import LanguageSettingsSection from './LanguageSettingsSection'
 import NotificationSettingsSection from './NotificationSettingsSection'
+import DndSettingsSection from './DndSettingsSection'
 import TraySettingsSection from './TraySettingsSection'
 import UISettingsSection from './UISettingsSection'
 import InfoSettingsSection from './InfoSettingsSection'
 import PlatformSettingsSection from './PlatformSettingsSection'
+import SleepSettingsSection from './SleepSettingsSection'
 import shallowCompare from 'react-addons-shallow-compare'
 import { Container, Row, Col } from 'Components/Grid'
 
@@ -46,6 +49,7 @@ export default class GeneralSettings extends React.Component {
   generateSettingsState (store = settingsStore.getState()) {
     return {
       ui: store.ui,
+      app: store.app,
       os: store.os,
       extension: store.extension,
       language: store.language,
@@ -89,6 +93,7 @@ export default class GeneralSettings extends React.Component {
   render () {
     const {
       ui,
+      app,
       os,
       language,
       extension,
@@ -107,7 +112,9 @@ export default class GeneralSettings extends React.Component {
             <Col md={6}>
               <UISettingsSection ui={ui} os={os} accelerators={accelerators} extension={extension} showRestart={showRestart} />
               <NotificationSettingsSection os={os} />
+              <DndSettingsSection os={os} />
               <DownloadSettingsSection os={os} />
+              <ExternalBrowserSettingsSection os={os} />
               <LanguageSettingsSection language={language} showRestart={showRestart} />
             </Col>
             <Col md={6}>
@@ -116,6 +123,7 @@ export default class GeneralSettings extends React.Component {
                 isMailtoLinkHandler={isMailtoLinkHandler}
                 openAtLoginSupported={openAtLoginSupported} />
               <TraySettingsSection tray={tray} showRestart={showRestart} />
+              <SleepSettingsSection app={app} />
               <InfoSettingsSection />
             </Col>
           </Row>
@@ -10,25 +10,6 @@ import { ipcRenderer } from 'electron'
 import pkg from 'package.json'
 
 export default class InfoSettingsSection extends React.Component {
-  /* **************************************************************************/
-  // UI Event
-  /* **************************************************************************/
-
-  /**
-  * Starts the data import process
-  */
-  handleImportData = () => {
-    const shouldImport = window.confirm([
-      'Importing accounts and settings will remove any configuration you have done on this machine.',
-      '',
-      'Are you sure you want to do this?'
-    ].join('\n'))
-
-    if (shouldImport) {
-      takeoutActions.importDataFromDisk()
-    }
-  }
-
   /* **************************************************************************/
   // Rendering
   /* **************************************************************************/
@@ -58,12 +39,12 @@ export default class InfoSettingsSection extends React.Component {
         <FlatButton
           label='Export Data'
           icon={<FontIcon className='material-icons'>import_export</FontIcon>}
-          onClick={() => takeoutActions.exportDataToDisk()} />
+          onClick={() => { window.location.hash = '/takeout/export' }} />
         <br />
         <FlatButton
           label='Import Data'
           icon={<FontIcon className='material-icons'>import_export</FontIcon>}
-          onClick={this.handleImportData} />
+          onClick={() => takeoutActions.importDataFromDisk()} />
       </Paper>
     )
   }
@@ -0,0 +1,84 @@
+import PropTypes from 'prop-types'
+import React from 'react'
+import { Toggle, Paper, TextField } from 'material-ui'
+import settingsActions from 'stores/settings/settingsActions'
+import styles from '../CommonSettingStyles'
+import shallowCompare from 'react-addons-shallow-compare'
+
+export default class SleepSettingsSection extends React.Component {
+  /* **************************************************************************/
+  // Class
+  /* **************************************************************************/
+
+  static propTypes = {
+    app: PropTypes.object.isRequired
+  }
+
+  /* **************************************************************************/
+  // UI Events
+  /* **************************************************************************/
+
+  /**
+  * Handles the memory budget changing
+  * @param evt: the event that fired
+  */
+  handleChangeMemoryBudget = (evt) => {
+    const value = parseInt(evt.target.value)
+    if (!isNaN(value) && value > 0) {
+      settingsActions.setSleepMemoryBudget(value)
+    }
+  }
+
+  /**
+  * Handles the max awake services changing
+  * @param evt: the event that fired
+  */
+  handleChangeMaxAwakeServices = (evt) => {
+    const value = parseInt(evt.target.value)
+    settingsActions.setSleepMaxAwakeServices(isNaN(value) || value < 0 ? 0 : value)
+  }
+
+  /* **************************************************************************/
+  // Rendering
+  /* **************************************************************************/
+
+  shouldComponentUpdate (nextProps, nextState) {
+    return shallowCompare(this, nextProps, nextState)
+  }
+
+  render () {
+    const { app, ...passProps } = this.props
+
+    return (
+      <Paper zDepth={1} style={styles.paper} {...passProps}>
+        <h1 style={styles.subheading}>Sleep</h1>
+        <Toggle
+          toggled={app.sleepPolicyEnabled}
+          label='Sleep the least recently used accounts when memory is low'
+          labelPosition='right'
+          onToggle={(evt, toggled) => settingsActions.setSleepPolicyEnabled(toggled)} />
+        <TextField
+          key={`budget_${app.sleepMemoryBudget}`}
+          type='number'
+          fullWidth
+          floatingLabelFixed
+          floatingLabelText='Memory budget (MB)'
+          disabled={!app.sleepPolicyEnabled}
+          defaultValue={app.sleepMemoryBudget}
+          onBlur={this.handleChangeMemoryBudget} />
+        <TextField
+          key={`awake_${app.sleepMaxAwakeServices}`}
+          type='number'
+          fullWidth
+          floatingLabelFixed
+          floatingLabelText='Maximum awake services (0 for no limit)'
+          disabled={!app.sleepPolicyEnabled}
+          defaultValue={app.sleepMaxAwakeServices}
+          onBlur={this.handleChangeMaxAwakeServices} />
+        <div style={styles.extraInfo}>
+          Only services that have sleep enabled are put to sleep. Services with open windows stay awake
+        </div>
+      </Paper>
+    )
+  }
+}
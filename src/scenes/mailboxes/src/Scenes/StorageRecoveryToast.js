@@ -0,0 +1,133 @@
+import React from 'react'
+import { Snackbar } from 'material-ui'
+import * as Colors from 'material-ui/styles/colors'
+import { WB_MAILBOXES_WINDOW_STORAGE_RECOVERED } from 'shared/ipcEvents'
+import { ipcRenderer } from 'electron'
+
+const BUCKET_NAMES = {
+  mailboxes: 'Accounts',
+  settings: 'Settings',
+  avatar: 'Account Avatars',
+  credential: 'Saved Passwords',
+  extensions: 'Extensions',
+  user: 'User',
+  notificationHistory: 'Notification History',
+  download: 'Download History',
+  resourceAlert: 'Resource Alert Log',
+  app: 'App'
+}
+
+const styles = {
+  body: {
+    height: 'auto',
+    lineHeight: '28px',
+    padding: 16,
+    whiteSpace: 'pre-line'
+  },
+  warning: {
+    color: Colors.amber300
+  }
+}
+
+export default class StorageRecoveryToast extends React.Component {
+  /* **************************************************************************/
+  // Component Lifecycle
+  /* **************************************************************************/
+
+  componentDidMount () {
+    ipcRenderer.on(WB_MAILBOXES_WINDOW_STORAGE_RECOVERED, this.handleStorageRecovered)
+  }
+
+  componentWillUnmount () {
+    ipcRenderer.removeListener(WB_MAILBOXES_WINDOW_STORAGE_RECOVERED, this.handleStorageRecovered)
+  }
+
+  /* **************************************************************************/
+  // State
+  /* **************************************************************************/
+
+  state = {
+    open: false,
+    recoveries: []
+  }
+
+  /* **************************************************************************/
+  // IPC Events
+  /* **************************************************************************/
+
+  /**
+  * Handles the main thread reporting recovered databases
+  * @param evt: the event that fired
+  * @param req: the request that came through
+  */
+  handleStorageRecovered = (evt, req) => {
+    this.setState({ open: true, recoveries: req.recoveries })
+  }
+
+  /* **************************************************************************/
+  // Events
+  /* **************************************************************************/
+
+  /**
+  * Handles the user touching the view button
+  */
+  handleActionTouchTap = () => {
+    this.setState({ open: false })
+    window.location.hash = '/settings/advanced'
+  }
+
+  /**
+  * Handles the user requesting to close the popup
+  */
+  handleRequestClose = (reason) => {
+    if (reason === 'clickaway') { return }
+    this.setState({ open: false })
+  }
+
+  /* **************************************************************************/
+  // Rendering
+  /* **************************************************************************/
+
+  /**
+  * Renders the description of a single recovery
+  * @param recovery: the recovery to describe
+  * @return jsx
+  */
+  renderRecovery (recovery) {
+    const name = BUCKET_NAMES[recovery.bucketName] || recovery.bucketName
+    if (recovery.backupTimestamp) {
+      const date = new Date(recovery.backupTimestamp).toLocaleString()
+      return (
+        <div key={recovery.bucketName}>
+          {`${name} restored from the backup taken ${date} (${recovery.keyCount} items)`}
+        </div>
+      )
+    } else {
+      return (
+        <div key={recovery.bucketName} style={styles.warning}>
+          {`${name} could not be restored as no readable backup was found`}
+        </div>
+      )
+    }
+  }
+
+  render () {
+    const { open, recoveries } = this.state
+
+    return (
+      <Snackbar
+        open={open}
+        message={(
+          <div>
+            <div>Some of your data was damaged and has been recovered</div>
+            {recoveries.map((recovery) => this.renderRecovery(recovery))}
+          </div>
+        )}
+        action='Backups'
+        bodyStyle={styles.body}
+        autoHideDuration={-1}
+        onRequestClose={this.handleRequestClose}
+        onActionTouchTap={this.handleActionTouchTap} />
+    )
+  }
+}
@@ -0,0 +1,157 @@
+import React from 'react'
+import { Dialog, RaisedButton, FlatButton, Toggle, TextField } from 'material-ui'
+import { mailboxStore } from 'stores/mailbox'
+import { takeoutActions } from 'stores/takeout'
+import { SEGMENTS } from 'shared/Models/Settings/SettingsIdent'
+import shallowCompare from 'react-addons-shallow-compare'
+import TakeoutMailboxPicker from './TakeoutMailboxPicker'
+import TakeoutSettingsPicker from './TakeoutSettingsPicker'
+
+const ALL_SEGMENTS = Object.keys(SEGMENTS).map((k) => SEGMENTS[k])
+
+export default class TakeoutExportScene extends React.Component {
+  /* **************************************************************************/
+  // Component Lifecycle
+  /* **************************************************************************/
+
+  componentDidMount () {
+    mailboxStore.listen(this.mailboxChanged)
+  }
+
+  componentWillUnmount () {
+    mailboxStore.unlisten(this.mailboxChanged)
+  }
+
+  /* **************************************************************************/
+  // Data lifecycle
+  /* **************************************************************************/
+
+  state = (() => {
+    const mailboxes = mailboxStore.getState().allMailboxes()
+    return {
+      open: true,
+      mailboxes: mailboxes,
+      mailboxSelection: mailboxes.reduce((acc, mailbox) => {
+        acc[mailbox.id] = mailbox.additionalServiceTypes
+        return acc
+      }, {}),
+      settingsSelection: ALL_SEGMENTS,
+      encrypt: false,
+      passphrase: '',
+      passphraseConfirm: ''
+    }
+  })()
+
+  mailboxChanged = (mailboxState) => {
+    this.setState({ mailboxes: mailboxState.allMailboxes() })
+  }
+
+  /* **************************************************************************/
+  // UI Events
+  /* **************************************************************************/
+
+  /**
+  * Closes the modal
+  */
+  handleClose = () => {
+    this.setState({ open: false })
+    setTimeout(() => {
+      window.location.hash = '/settings'
+    }, 250)
+  }
+
+  /**
+  * Runs the export
+  */
+  handleExport = () => {
+    const { mailboxSelection, settingsSelection, encrypt, passphrase } = this.state
+    takeoutActions.exportDataToDisk({
+      mailboxes: mailboxSelection,
+      settings: settingsSelection
+    }, encrypt ? passphrase : undefined)
+    this.handleClose()
+  }
+
+  /* **************************************************************************/
+  // Rendering
+  /* **************************************************************************/
+
+  shouldComponentUpdate (nextProps, nextState) {
+    return shallowCompare(this, nextProps, nextState)
+  }
+
+  render () {
+    const {
+      open,
+      mailboxes,
+      mailboxSelection,
+      settingsSelection,
+      encrypt,
+      passphrase,
+      passphraseConfirm
+    } = this.state
+    const hasSelection = Object.keys(mailboxSelection).length || settingsSelection.length
+    const passphraseMismatch = encrypt && passphraseConfirm.length && passphrase !== passphraseConfirm
+    const passphraseValid = !encrypt || (passphrase.length && passphrase === passphraseConfirm)
+
+    const actions = [
+      (<FlatButton
+        key='cancel'
+        label='Cancel'
+        style={{ marginRight: 8 }}
+        onClick={this.handleClose} />),
+      (<RaisedButton
+        key='export'
+        primary
+        label='Export'
+        disabled={!hasSelection || !passphraseValid}
+        onClick={this.handleExport} />)
+    ]
+
+    return (
+      <Dialog
+        modal={false}
+        title='Export Data'
+        actions={actions}
+        open={open}
+        autoScrollBodyContent
+        onRequestClose={this.handleClose}>
+        <p>
+          Pick the accounts, services and settings to export. Some accounts
+          include sign-in details in the export, so consider protecting it
+          with a passphrase if you are going to share it.
+        </p>
+        <TakeoutMailboxPicker
+          mailboxes={mailboxes}
+          selection={mailboxSelection}
+          onChange={(selection) => this.setState({ mailboxSelection: selection })} />
+        <TakeoutSettingsPicker
+          segments={ALL_SEGMENTS}
+          selection={settingsSelection}
+          onChange={(selection) => this.setState({ settingsSelection: selection })} />
+        <Toggle
+          toggled={encrypt}
+          label='Protect the export with a passphrase'
+          labelPosition='right'
+          onToggle={(evt, toggled) => this.setState({ encrypt: toggled })} />
+        {encrypt ? (
+          <div>
+            <TextField
+              fullWidth
+              type='password'
+              floatingLabelText='Passphrase'
+              value={passphrase}
+              onChange={(evt) => this.setState({ passphrase: evt.target.value })} />
+            <TextField
+              fullWidth
+              type='password'
+              floatingLabelText='Confirm passphrase'
+              errorText={passphraseMismatch ? 'Passphrases do not match' : undefined}
+              value={passphraseConfirm}
+              onChange={(evt) => this.setState({ passphraseConfirm: evt.target.value })} />
+          </div>
+        ) : undefined}
+      </Dialog>
+    )
+  }
+}
@@ -0,0 +1,180 @@
+import React from 'react'
+import { Dialog, RaisedButton, FlatButton, RadioButtonGroup, RadioButton } from 'material-ui'
+import { takeoutStore, takeoutActions, Takeout } from 'stores/takeout'
+import TakeoutMigrations from 'stores/takeout/TakeoutMigrations'
+import MailboxFactory from 'shared/Models/Accounts/MailboxFactory'
+import { PERSISTENCE_INDEX_KEY } from 'shared/constants'
+import shallowCompare from 'react-addons-shallow-compare'
+import TakeoutMailboxPicker from './TakeoutMailboxPicker'
+import TakeoutSettingsPicker from './TakeoutSettingsPicker'
+import * as Colors from 'material-ui/styles/colors'
+
+const { IMPORT_MODES } = Takeout
+
+export default class TakeoutImportScene extends React.Component {
+  /* **************************************************************************/
+  // Component Lifecycle
+  /* **************************************************************************/
+
+  componentDidMount () {
+    takeoutStore.listen(this.takeoutChanged)
+  }
+
+  componentWillUnmount () {
+    takeoutStore.unlisten(this.takeoutChanged)
+  }
+
+  /* **************************************************************************/
+  // Data lifecycle
+  /* **************************************************************************/
+
+  /**
+  * Generates the import state from the pending import
+  * @param takeoutState=autoget: the current takeout state
+  * @return the import portion of the state
+  */
+  generateImportState (takeoutState = takeoutStore.getState()) {
+    const pendingImport = takeoutState.pendingImport
+    if (!pendingImport) {
+      return {
+        version: undefined,
+        mailboxes: [],
+        mailboxSelection: {},
+        segments: [],
+        settingsSelection: []
+      }
+    }
+
+    const stores = pendingImport.data.stores
+    const rawMailboxes = stores[TakeoutMigrations.MAILBOXES_DB]
+    const mailboxes = JSON.parse(rawMailboxes[PERSISTENCE_INDEX_KEY])
+      .map((id) => MailboxFactory.modelize(id, JSON.parse(rawMailboxes[id])))
+      .filter((mailbox) => !!mailbox)
+    const segments = Object.keys(stores[TakeoutMigrations.SETTINGS_DB])
+
+    return {
+      version: pendingImport.version,
+      mailboxes: mailboxes,
+      mailboxSelection: mailboxes.reduce((acc, mailbox) => {
+        acc[mailbox.id] = mailbox.additionalServiceTypes
+        return acc
+      }, {}),
+      segments: segments,
+      settingsSelection: segments
+    }
+  }
+
+  state = (() => {
+    return {
+      open: true,
+      mode: IMPORT_MODES.MERGE,
+      ...this.generateImportState()
+    }
+  })()
+
+  takeoutChanged = (takeoutState) => {
+    this.setState(this.generateImportState(takeoutState))
+  }
+
+  /* **************************************************************************/
+  // UI Events
+  /* **************************************************************************/
+
+  /**
+  * Closes the modal and cancels the import
+  */
+  handleCancel = () => {
+    this.setState({ open: false })
+    setTimeout(() => {
+      takeoutActions.cancelPendingImport()
+      window.location.hash = '/settings'
+    }, 250)
+  }
+
+  /**
+  * Runs the import
+  */
+  handleImport = () => {
+    const { mode, mailboxSelection, settingsSelection } = this.state
+    if (mode === IMPORT_MODES.REPLACE) {
+      const confirmed = window.confirm([
+        'Replacing will remove all the accounts you have on this machine.',
+        '',
+        'Are you sure you want to do this?'
+      ].join('\n'))
+      if (!confirmed) { return }
+    }
+
+    takeoutActions.applyPendingImport(mode, {
+      mailboxes: mailboxSelection,
+      settings: settingsSelection
+    })
+  }
+
+  /* **************************************************************************/
+  // Rendering
+  /* **************************************************************************/
+
+  shouldComponentUpdate (nextProps, nextState) {
+    return shallowCompare(this, nextProps, nextState)
+  }
+
+  render () {
+    const { open, mode, version, mailboxes, mailboxSelection, segments, settingsSelection } = this.state
+    const hasSelection = Object.keys(mailboxSelection).length || settingsSelection.length
+
+    const actions = [
+      (<FlatButton
+        key='cancel'
+        label='Cancel'
+        style={{ marginRight: 8 }}
+        onClick={this.handleCancel} />),
+      (<RaisedButton
+        key='import'
+        primary
+        label='Import & Restart'
+        disabled={!version || !hasSelection}
+        onClick={this.handleImport} />)
+    ]
+
+    return (
+      <Dialog
+        modal={false}
+        title='Import Data'
+        actions={actions}
+        open={open}
+        autoScrollBodyContent
+        onRequestClose={this.handleCancel}>
+        {version ? (
+          <div>
+            <p style={{ color: Colors.grey500, fontSize: '85%' }}>
+              {`Exported from Wavebox ${version}`}
+            </p>
+            <RadioButtonGroup
+              name='mode'
+              valueSelected={mode}
+              onChange={(evt, value) => this.setState({ mode: value })}>
+              <RadioButton
+                value={IMPORT_MODES.MERGE}
+                style={{ marginBottom: 8 }}
+                label='Merge - add the accounts alongside the ones you already have' />
+              <RadioButton
+                value={IMPORT_MODES.REPLACE}
+                label='Replace - remove the accounts you already have' />
+            </RadioButtonGroup>
+            <TakeoutMailboxPicker
+              mailboxes={mailboxes}
+              selection={mailboxSelection}
+              onChange={(selection) => this.setState({ mailboxSelection: selection })} />
+            <TakeoutSettingsPicker
+              segments={segments}
+              selection={settingsSelection}
+              onChange={(selection) => this.setState({ settingsSelection: selection })} />
+          </div>
+        ) : (
+          <p>There is no data waiting to be imported</p>
+        )}
+      </Dialog>
+    )
+  }
+}
@@ -0,0 +1,99 @@
+import PropTypes from 'prop-types'
+import React from 'react'
+import { List, ListItem, Checkbox, Subheader } from 'material-ui'
+import shallowCompare from 'react-addons-shallow-compare'
+
+export default class TakeoutMailboxPicker extends React.Component {
+  /* **************************************************************************/
+  // Class
+  /* **************************************************************************/
+
+  static propTypes = {
+    mailboxes: PropTypes.array.isRequired,
+    selection: PropTypes.object.isRequired,
+    onChange: PropTypes.func.isRequired
+  }
+
+  /* **************************************************************************/
+  // UI Events
+  /* **************************************************************************/
+
+  /**
+  * Toggles a mailbox in the selection
+  * @param mailbox: the mailbox to toggle
+  * @param toggled: true if the mailbox is now selected
+  */
+  handleToggleMailbox = (mailbox, toggled) => {
+    const { selection, onChange } = this.props
+    const next = { ...selection }
+    if (toggled) {
+      next[mailbox.id] = mailbox.additionalServiceTypes
+    } else {
+      delete next[mailbox.id]
+    }
+    onChange(next)
+  }
+
+  /**
+  * Toggles a service in the selection
+  * @param mailbox: the parent mailbox
+  * @param service: the service to toggle
+  * @param toggled: true if the service is now selected
+  */
+  handleToggleService = (mailbox, service, toggled) => {
+    const { selection, onChange } = this.props
+    const serviceTypes = (selection[mailbox.id] || []).filter((t) => t !== service.type)
+    onChange({
+      ...selection,
+      [mailbox.id]: toggled ? serviceTypes.concat(service.type) : serviceTypes
+    })
+  }
+
+  /* **************************************************************************/
+  // Rendering
+  /* **************************************************************************/
+
+  shouldComponentUpdate (nextProps, nextState) {
+    return shallowCompare(this, nextProps, nextState)
+  }
+
+  render () {
+    const { mailboxes, selection, onChange, ...passProps } = this.props
+
+    return (
+      <List {...passProps}>
+        <Subheader>Accounts</Subheader>
+        {mailboxes.map((mailbox) => {
+          const mailboxSelected = selection[mailbox.id] !== undefined
+          const selectedServices = new Set(selection[mailbox.id] || [])
+          return (
+            <ListItem
+              key={mailbox.id}
+              primaryText={mailbox.displayName}
+              secondaryText={mailbox.humanizedType}
+              initiallyOpen={mailbox.hasAdditionalServices}
+              leftCheckbox={(
+                <Checkbox
+                  checked={mailboxSelected}
+                  onCheck={(evt, toggled) => this.handleToggleMailbox(mailbox, toggled)} />
+              )}
+              nestedItems={mailbox.enabledServices.filter((s) => s.type !== mailbox.defaultService.type).map((service) => {
+                return (
+                  <ListItem
+                    key={service.type}
+                    primaryText={service.humanizedType}
+                    disabled={!mailboxSelected}
+                    leftCheckbox={(
+                      <Checkbox
+                        disabled={!mailboxSelected}
+                        checked={mailboxSelected && selectedServices.has(service.type)}
+                        onCheck={(evt, toggled) => this.handleToggleService(mailbox, service, toggled)} />
+                    )} />
+                )
+              })} />
+          )
+        })}
+      </List>
+    )
+  }
+}
@@ -0,0 +1,74 @@
+import PropTypes from 'prop-types'
+import React from 'react'
+import { List, ListItem, Checkbox, Subheader } from 'material-ui'
+import shallowCompare from 'react-addons-shallow-compare'
+import { SEGMENTS } from 'shared/Models/Settings/SettingsIdent'
+
+const SEGMENT_NAMES = {
+  [SEGMENTS.ACCELERATORS]: 'Keyboard Shortcuts',
+  [SEGMENTS.APP]: 'App & Updates',
+  [SEGMENTS.EXTENSION]: 'Extensions',
+  [SEGMENTS.LANGUAGE]: 'Language & Spellchecker',
+  [SEGMENTS.NEWS]: 'News',
+  [SEGMENTS.OS]: 'Notifications & Downloads',
+  [SEGMENTS.TRAY]: 'Tray',
+  [SEGMENTS.UI]: 'User Interface'
+}
+
+export default class TakeoutSettingsPicker extends React.Component {
+  /* **************************************************************************/
+  // Class
+  /* **************************************************************************/
+
+  static propTypes = {
+    segments: PropTypes.array.isRequired,
+    selection: PropTypes.array.isRequired,
+    onChange: PropTypes.func.isRequired
+  }
+
+  /* **************************************************************************/
+  // UI Events
+  /* **************************************************************************/
+
+  /**
+  * Toggles a segment in the selection
+  * @param segment: the segment to toggle
+  * @param toggled: true if the segment is now selected
+  */
+  handleToggleSegment = (segment, toggled) => {
+    const { selection, onChange } = this.props
+    const next = selection.filter((s) => s !== segment)
+    onChange(toggled ? next.concat(segment) : next)
+  }
+
+  /* **************************************************************************/
+  // Rendering
+  /* **************************************************************************/
+
+  shouldComponentUpdate (nextProps, nextState) {
+    return shallowCompare(this, nextProps, nextState)
+  }
+
+  render () {
+    const { segments, selection, onChange, ...passProps } = this.props
+    const selected = new Set(selection)
+
+    return (
+      <List {...passProps}>
+        <Subheader>Settings</Subheader>
+        {segments.map((segment) => {
+          return (
+            <ListItem
+              key={segment}
+              primaryText={SEGMENT_NAMES[segment] || segment}
+              leftCheckbox={(
+                <Checkbox
+                  checked={selected.has(segment)}
+                  onCheck={(evt, toggled) => this.handleToggleSegment(segment, toggled)} />
+              )} />
+          )
+        })}
+      </List>
+    )
+  }
+}
@@ -0,0 +1,128 @@
+import React from 'react'
+import { Dialog, RaisedButton, FlatButton, TextField } from 'material-ui'
+import { takeoutStore, takeoutActions } from 'stores/takeout'
+import shallowCompare from 'react-addons-shallow-compare'
+
+export default class TakeoutUnlockScene extends React.Component {
+  /* **************************************************************************/
+  // Component Lifecycle
+  /* **************************************************************************/
+
+  componentDidMount () {
+    takeoutStore.listen(this.takeoutChanged)
+  }
+
+  componentWillUnmount () {
+    takeoutStore.unlisten(this.takeoutChanged)
+  }
+
+  /* **************************************************************************/
+  // Data lifecycle
+  /* **************************************************************************/
+
+  /**
+  * Generates the unlock state from the pending unlock
+  * @param takeoutState=autoget: the current takeout state
+  * @return the unlock portion of the state
+  */
+  generateUnlockState (takeoutState = takeoutStore.getState()) {
+    const pendingUnlock = takeoutState.pendingUnlock
+    return {
+      hasPendingUnlock: !!pendingUnlock,
+      inflight: pendingUnlock ? pendingUnlock.inflight : false,
+      error: pendingUnlock ? pendingUnlock.error : null
+    }
+  }
+
+  state = (() => {
+    return {
+      open: true,
+      passphrase: '',
+      ...this.generateUnlockState()
+    }
+  })()
+
+  takeoutChanged = (takeoutState) => {
+    this.setState(this.generateUnlockState(takeoutState))
+  }
+
+  /* **************************************************************************/
+  // UI Events
+  /* **************************************************************************/
+
+  /**
+  * Closes the modal and cancels the import
+  */
+  handleCancel = () => {
+    this.setState({ open: false })
+    setTimeout(() => {
+      takeoutActions.cancelPendingImport()
+      window.location.hash = '/settings'
+    }, 250)
+  }
+
+  /**
+  * Unlocks the import
+  */
+  handleUnlock = () => {
+    const { passphrase, inflight } = this.state
+    if (!passphrase.length || inflight) { return }
+    takeoutActions.unlockPendingImport(passphrase)
+  }
+
+  /* **************************************************************************/
+  // Rendering
+  /* **************************************************************************/
+
+  shouldComponentUpdate (nextProps, nextState) {
+    return shallowCompare(this, nextProps, nextState)
+  }
+
+  render () {
+    const { open, passphrase, hasPendingUnlock, inflight, error } = this.state
+
+    const actions = [
+      (<FlatButton
+        key='cancel'
+        label='Cancel'
+        style={{ marginRight: 8 }}
+        onClick={this.handleCancel} />),
+      (<RaisedButton
+        key='unlock'
+        primary
+        label={inflight ? 'Unlocking...' : 'Unlock'}
+        disabled={!hasPendingUnlock || !passphrase.length || inflight}
+        onClick={this.handleUnlock} />)
+    ]
+
+    return (
+      <Dialog
+        modal={false}
+        title='Unlock Import'
+        actions={actions}
+        open={open}
+        contentStyle={{ maxWidth: 400 }}
+        onRequestClose={this.handleCancel}>
+        {hasPendingUnlock ? (
+          <div>
+            <p>This file is protected with a passphrase. Enter it to continue.</p>
+            <TextField
+              fullWidth
+              autoFocus
+              type='password'
+              floatingLabelText='Passphrase'
+              errorText={error || undefined}
+              disabled={inflight}
+              value={passphrase}
+              onChange={(evt) => this.setState({ passphrase: evt.target.value })}
+              onKeyDown={(evt) => {
+                if (evt.keyCode === 13) { this.handleUnlock() }
+              }} />
+          </div>
+        ) : (
+          <p>There is no data waiting to be unlocked</p>
+        )}
+      </Dialog>
+    )
+  }
+}
@@ -0,0 +1,9 @@
+import TakeoutExportScene from './TakeoutExportScene'
+import TakeoutImportScene from './TakeoutImportScene'
+import TakeoutUnlockScene from './TakeoutUnlockScene'
+
+export {
+  TakeoutExportScene,
+  TakeoutImportScene,
+  TakeoutUnlockScene
+}
@@ -6,11 +6,15 @@ import DictionaryInstallerScene from './DictionaryInstallerScene'
 import ComposePickerScene from './ComposePickerScene'
 import ProScene from './ProScene'
 import EarlyBuildToast from './EarlyBuildToast'
+import StorageRecoveryToast from './StorageRecoveryToast'
+import WebPermissionPrompt from './WebPermissionPrompt'
 import MailboxWizardScene from './MailboxWizardScene'
 import MailboxWizardAddScene from './MailboxWizardAddScene'
 import MailboxReauthenticatingScene from './MailboxReauthenticatingScene'
 import AppWizardScene from './AppWizardScene'
 import NewsScene from './NewsScene'
+import NotificationHistoryScene from './NotificationHistoryScene'
+import DownloadManagerScene from './DownloadManagerScene'
 import {
   CheckingUpdatesScene,
   UpdateAvailableScene,
@@ -24,6 +28,7 @@ import {
   AccountStandaloneScene
 } from './AccountScene'
 import SnapSetupScene from './SnapSetupScene'
+import { TakeoutExportScene, TakeoutImportScene, TakeoutUnlockScene } from './TakeoutScene'
 
 export default class WaveboxRouter extends React.Component {
   /* **************************************************************************/
@@ -38,6 +43,8 @@ export default class WaveboxRouter extends React.Component {
         <div>
           <AppScene />
           <EarlyBuildToast />
+          <StorageRecoveryToast />
+          <WebPermissionPrompt />
 
           <Route path='/settings/:tab?/:tabArg?' component={SettingsScene} />
 
@@ -59,6 +66,8 @@ export default class WaveboxRouter extends React.Component {
 
           <Route path='/pro' component={ProScene} />
           <Route path='/news' component={NewsScene} />
+          <Route path='/notification_history' component={NotificationHistoryScene} />
+          <Route path='/downloads' component={DownloadManagerScene} />
 
           <Route path='/account/message' component={AccountMessageScene} />
           <Route path='/account/auth/:mode?' component={AccountAuthScene} />
@@ -66,6 +75,10 @@ export default class WaveboxRouter extends React.Component {
           <Route path='/account/view' component={AccountStandaloneScene} />
 
           <Route path='/snap/setup' component={SnapSetupScene} />
+
+          <Route path='/takeout/export' component={TakeoutExportScene} />
+          <Route path='/takeout/import' component={TakeoutImportScene} />
+          <Route path='/takeout/unlock' component={TakeoutUnlockScene} />
         </div>
       </HashRouter>
     )
@@ -0,0 +1,150 @@
+import React from 'react'
+import { Dialog, RaisedButton, FlatButton, Checkbox } from 'material-ui'
+import { mailboxStore, mailboxActions, MailboxReducer } from 'stores/mailbox'
+import { MailboxAvatar } from 'Components/Mailbox'
+import WebPermissions from 'shared/Models/Accounts/WebPermissions'
+import {
+  WB_MAILBOXES_WINDOW_REQUEST_WEB_PERMISSION,
+  WB_MAILBOXES_WINDOW_RESPOND_WEB_PERMISSION,
+  WB_MAILBOXES_WINDOW_CANCEL_WEB_PERMISSION
+} from 'shared/ipcEvents'
+import { ipcRenderer } from 'electron'
+import url from 'url'
+
+const styles = {
+  request: {
+    display: 'flex',
+    alignItems: 'center'
+  },
+  avatar: {
+    marginRight: 16,
+    flexShrink: 0
+  },
+  remember: {
+    marginTop: 16
+  }
+}
+
+export default class WebPermissionPrompt extends React.Component {
+  /* **************************************************************************/
+  // Component Lifecycle
+  /* **************************************************************************/
+
+  componentDidMount () {
+    ipcRenderer.on(WB_MAILBOXES_WINDOW_REQUEST_WEB_PERMISSION, this.handleRequestWebPermission)
+    ipcRenderer.on(WB_MAILBOXES_WINDOW_CANCEL_WEB_PERMISSION, this.handleCancelWebPermission)
+  }
+
+  componentWillUnmount () {
+    ipcRenderer.removeListener(WB_MAILBOXES_WINDOW_REQUEST_WEB_PERMISSION, this.handleRequestWebPermission)
+    ipcRenderer.removeListener(WB_MAILBOXES_WINDOW_CANCEL_WEB_PERMISSION, this.handleCancelWebPermission)
+  }
+
+  /* **************************************************************************/
+  // State
+  /* **************************************************************************/
+
+  state = {
+    requests: [],
+    remember: true
+  }
+
+  /* **************************************************************************/
+  // IPC Events
+  /* **************************************************************************/
+
+  /**
+  * Handles the main thread asking for a permission
+  * @param evt: the event that fired
+  * @param req: the request in the format { requestId, mailboxId, permission, url }
+  */
+  handleRequestWebPermission = (evt, req) => {
+    this.setState((prevState) => {
+      return { requests: prevState.requests.concat(req) }
+    })
+  }
+
+  /**
+  * Handles the main thread giving up on a permission request
+  * @param evt: the event that fired
+  * @param req: the request in the format { requestId }
+  */
+  handleCancelWebPermission = (evt, req) => {
+    this.setState((prevState) => {
+      return { requests: prevState.requests.filter((r) => r.requestId !== req.requestId) }
+    })
+  }
+
+  /* **************************************************************************/
+  // UI Events
+  /* **************************************************************************/
+
+  /**
+  * Responds to the current request
+  * @param granted: true if the permission was granted
+  */
+  handleRespond = (granted) => {
+    const { requests, remember } = this.state
+    const request = requests[0]
+    if (!request) { return }
+
+    ipcRenderer.send(WB_MAILBOXES_WINDOW_RESPOND_WEB_PERMISSION, {
+      requestId: request.requestId,
+      granted: granted
+    })
+    if (remember) {
+      const state = granted ? WebPermissions.PERMISSION_STATES.ALLOW : WebPermissions.PERMISSION_STATES.DENY
+      mailboxActions.reduce(request.mailboxId, MailboxReducer.setWebPermissionState, request.permission, state)
+    }
+    this.setState({ requests: requests.slice(1), remember: true })
+  }
+
+  /* **************************************************************************/
+  // Rendering
+  /* **************************************************************************/
+
+  render () {
+    const { requests, remember } = this.state
+    const request = requests[0]
+    const mailbox = request ? mailboxStore.getState().getMailbox(request.mailboxId) : undefined
+
+    const actions = [
+      (<FlatButton
+        key='deny'
+        label='Block'
+        style={{ marginRight: 8 }}
+        onClick={() => this.handleRespond(false)} />),
+      (<RaisedButton
+        key='allow'
+        primary
+        label='Allow'
+        onClick={() => this.handleRespond(true)} />)
+    ]
+
+    return (
+      <Dialog
+        modal
+        title='Permission request'
+        actions={actions}
+        open={!!request}>
+        {request ? (
+          <div>
+            <div style={styles.request}>
+              {mailbox ? (<MailboxAvatar mailbox={mailbox} size={40} style={styles.avatar} />) : undefined}
+              <div>
+                {`${url.parse(request.url || '').hostname || 'This page'} wants to use `}
+                <strong>{WebPermissions.humanizeType(request.permission)}</strong>
+                {mailbox ? ` in ${mailbox.displayName}` : undefined}
+              </div>
+            </div>
+            <Checkbox
+              style={styles.remember}
+              label='Remember this decision for this account'
+              checked={remember}
+              onCheck={(evt, checked) => this.setState({ remember: checked })} />
+          </div>
+        ) : undefined}
+      </Dialog>
+    )
+  }
+}
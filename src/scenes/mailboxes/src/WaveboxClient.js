@@ -9,6 +9,9 @@ import {updaterStore, updaterActions} from 'stores/updater'
 import {userStore, userActions} from 'stores/user'
 import {extensionStore, extensionActions} from 'stores/extension'
 import {crextensionStore, crextensionActions} from 'stores/crextension'
+import {notificationHistoryStore, notificationHistoryActions} from 'stores/notificationHistory'
+import {downloadStore, downloadActions} from 'stores/download'
+import {resourceAlertStore, resourceAlertActions} from 'stores/resourceAlert'
 import Debug from 'Debug'
 import MouseNavigationDarwin from 'sharedui/Navigators/MouseNavigationDarwin'
 import ResourceMonitorResponder from './ResourceMonitorResponder'
@@ -69,6 +72,12 @@ extensionStore.getState()
 extensionActions.load()
 crextensionStore.getState()
 crextensionActions.load()
+notificationHistoryStore.getState()
+notificationHistoryActions.load()
+downloadStore.getState()
+downloadActions.load()
+resourceAlertStore.getState()
+resourceAlertActions.load()
 Debug.load()
 
 // Remove loading
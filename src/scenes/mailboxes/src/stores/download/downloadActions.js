@@ -0,0 +1,112 @@
+import alt from '../alt'
+import { ipcRenderer } from 'electron'
+import {
+  WB_DOWNLOAD_UPDATED,
+  WB_DOWNLOAD_REMOVED
+} from 'shared/ipcEvents'
+
+class DownloadActions {
+  /* **************************************************************************/
+  // Loading
+  /* **************************************************************************/
+
+  /**
+  * Indicates the store to drop all data and load from disk
+  */
+  load () { return {} }
+
+  /* **************************************************************************/
+  // Updates from main
+  /* **************************************************************************/
+
+  /**
+  * Indicates a download entry has been added or updated
+  * @param entry: the entry in the format
+  *   { id, mailboxId, url, filename, savePath, mimeType, totalBytes, receivedBytes, state, paused, startTime, endTime }
+  */
+  entryUpdated (entry) {
+    return { entry: entry }
+  }
+
+  /**
+  * Indicates a download entry has been removed
+  * @param id: the id of the entry
+  */
+  entryRemoved (id) {
+    return { id: id }
+  }
+
+  /* **************************************************************************/
+  // Downloads
+  /* **************************************************************************/
+
+  /**
+  * Pauses a download
+  * @param id: the id of the download
+  */
+  pause (id) {
+    return { id: id }
+  }
+
+  /**
+  * Resumes a paused download
+  * @param id: the id of the download
+  */
+  resume (id) {
+    return { id: id }
+  }
+
+  /**
+  * Cancels a download
+  * @param id: the id of the download
+  */
+  cancel (id) {
+    return { id: id }
+  }
+
+  /**
+  * Retries a cancelled or interrupted download
+  * @param id: the id of the download
+  */
+  retry (id) {
+    return { id: id }
+  }
+
+  /**
+  * Opens a downloaded file
+  * @param id: the id of the download
+  */
+  open (id) {
+    return { id: id }
+  }
+
+  /**
+  * Shows a downloaded file in the folder it was saved to
+  * @param id: the id of the download
+  */
+  showInFolder (id) {
+    return { id: id }
+  }
+
+  /* **************************************************************************/
+  // History
+  /* **************************************************************************/
+
+  /**
+  * Removes a finished download from the history
+  * @param id: the id of the download
+  */
+  remove (id) {
+    return { id: id }
+  }
+
+  /**
+  * Removes all the finished downloads from the history
+  */
+  clearHistory () { return {} }
+}
+
+const actions = alt.createActions(DownloadActions)
+ipcRenderer.on(WB_DOWNLOAD_UPDATED, (evt, entry) => actions.entryUpdated(entry))
+ipcRenderer.on(WB_DOWNLOAD_REMOVED, (evt, id) => actions.entryRemoved(id))
+export default actions
@@ -0,0 +1,167 @@
+import alt from '../alt'
+import actions from './downloadActions'
+import persistence from './downloadPersistence'
+import { DOWNLOAD_STATES } from 'shared/constants'
+import {
+  WB_DOWNLOAD_PAUSE,
+  WB_DOWNLOAD_RESUME,
+  WB_DOWNLOAD_CANCEL,
+  WB_DOWNLOAD_RETRY,
+  WB_DOWNLOAD_OPEN,
+  WB_DOWNLOAD_SHOW_IN_FOLDER,
+  WB_DOWNLOAD_REMOVE,
+  WB_DOWNLOAD_CLEAR_HISTORY
+} from 'shared/ipcEvents'
+import { ipcRenderer } from 'electron'
+
+class DownloadStore {
+  /* **************************************************************************/
+  // Lifecycle
+  /* **************************************************************************/
+
+  constructor () {
+    this.entries = []
+
+    /* ****************************************/
+    // Entries
+    /* ****************************************/
+
+    /**
+    * @return all the entries, newest first
+    */
+    this.allEntries = () => this.entries
+
+    /**
+    * @param id: the id of the entry
+    * @return the entry or null
+    */
+    this.getEntry = (id) => {
+      return this.entries.find((entry) => entry.id === id) || null
+    }
+
+    /**
+    * @param mailboxId=undefined: the id of the mailbox to limit to
+    * @return the entries for the mailbox, newest first
+    */
+    this.entriesForMailbox = (mailboxId = undefined) => {
+      if (!mailboxId) { return this.entries }
+      return this.entries.filter((entry) => entry.mailboxId === mailboxId)
+    }
+
+    /**
+    * @return the downloads that are in progress
+    */
+    this.activeEntries = () => {
+      return this.entries.filter((entry) => entry.state === DOWNLOAD_STATES.PROGRESSING)
+    }
+
+    /**
+    * @return true if there are finished downloads in the history
+    */
+    this.hasFinishedEntries = () => {
+      return !!this.entries.find((entry) => entry.state !== DOWNLOAD_STATES.PROGRESSING)
+    }
+
+    /* ****************************************/
+    // Listeners
+    /* ****************************************/
+
+    this.bindListeners({
+      handleLoad: actions.LOAD,
+      handleEntryUpdated: actions.ENTRY_UPDATED,
+      handleEntryRemoved: actions.ENTRY_REMOVED,
+      handlePause: actions.PAUSE,
+      handleResume: actions.RESUME,
+      handleCancel: actions.CANCEL,
+      handleRetry: actions.RETRY,
+      handleOpen: actions.OPEN,
+      handleShowInFolder: actions.SHOW_IN_FOLDER,
+      handleRemove: actions.REMOVE,
+      handleClearHistory: actions.CLEAR_HISTORY
+    })
+  }
+
+  /* **************************************************************************/
+  // Utils
+  /* **************************************************************************/
+
+  /**
+  * Sorts the entries newest first
+  */
+  _sortEntries () {
+    this.entries = this.entries.sort((a, b) => b.startTime - a.startTime)
+  }
+
+  /* **************************************************************************/
+  // Handlers: Loading
+  /* **************************************************************************/
+
+  handleLoad () {
+    const allEntries = persistence.allJSONItemsSync()
+    this.entries = Object.keys(allEntries).map((id) => allEntries[id])
+    this._sortEntries()
+  }
+
+  /* **************************************************************************/
+  // Handlers: Updates from main
+  /* **************************************************************************/
+
+  handleEntryUpdated ({ entry }) {
+    this.entries = this.entries.filter((e) => e.id !== entry.id).concat(entry)
+    this._sortEntries()
+  }
+
+  handleEntryRemoved ({ id }) {
+    this.entries = this.entries.filter((entry) => entry.id !== id)
+  }
+
+  /* **************************************************************************/
+  // Handlers: Downloads
+  /* **************************************************************************/
+
+  handlePause ({ id }) {
+    ipcRenderer.send(WB_DOWNLOAD_PAUSE, id)
+    this.preventDefault()
+  }
+
+  handleResume ({ id }) {
+    ipcRenderer.send(WB_DOWNLOAD_RESUME, id)
+    this.preventDefault()
+  }
+
+  handleCancel ({ id }) {
+    ipcRenderer.send(WB_DOWNLOAD_CANCEL, id)
+    this.preventDefault()
+  }
+
+  handleRetry ({ id }) {
+    ipcRenderer.send(WB_DOWNLOAD_RETRY, id)
+    this.preventDefault()
+  }
+
+  handleOpen ({ id }) {
+    ipcRenderer.send(WB_DOWNLOAD_OPEN, id)
+    this.preventDefault()
+  }
+
+  handleShowInFolder ({ id }) {
+    ipcRenderer.send(WB_DOWNLOAD_SHOW_IN_FOLDER, id)
+    this.preventDefault()
+  }
+
+  /* **************************************************************************/
+  // Handlers: History
+  /* **************************************************************************/
+
+  handleRemove ({ id }) {
+    ipcRenderer.send(WB_DOWNLOAD_REMOVE, id)
+    this.preventDefault()
+  }
+
+  handleClearHistory () {
+    ipcRenderer.send(WB_DOWNLOAD_CLEAR_HISTORY)
+    this.preventDefault()
+  }
+}
+
+export default alt.createStore(DownloadStore, 'DownloadStore')
@@ -0,0 +1,7 @@
+import downloadActions from './downloadActions'
+import downloadStore from './downloadStore'
+
+export {
+  downloadActions,
+  downloadStore
+}
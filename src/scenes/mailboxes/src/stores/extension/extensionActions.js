@@ -10,6 +10,73 @@ class ExtensionActions {
   */
   load () { return {} }
 
+  /* **************************************************************************/
+  // Installing
+  /* **************************************************************************/
+
+  /**
+  * Installs an extension from a folder, updating it if it's already installed
+  * @param extensionPath: the path of the extension folder
+  * @param development=false: true to install for development, watching the folder for changes
+  */
+  installFromFolder (extensionPath, development = false) {
+    return { extensionPath: extensionPath, development: development }
+  }
+
+  /**
+  * Installs an extension from a zip, updating it if it's already installed
+  * @param zipPath: the path of the zip
+  */
+  installFromZip (zipPath) {
+    return { zipPath: zipPath }
+  }
+
+  /**
+  * Uninstalls an extension
+  * @param installId: the install id of the extension
+  */
+  uninstall (installId) {
+    return { installId: installId }
+  }
+
+  /**
+  * Clears the result of the last install
+  */
+  clearLastResult () { return {} }
+
+  /* **************************************************************************/
+  // Managing
+  /* **************************************************************************/
+
+  /**
+  * Enables or disables an extension
+  * @param installId: the install id of the extension
+  * @param enabled: true to enable, false to disable
+  */
+  setEnabled (installId, enabled) {
+    return { installId: installId, enabled: enabled }
+  }
+
+  /* **************************************************************************/
+  // Development
+  /* **************************************************************************/
+
+  /**
+  * Reloads a development extension from its folder
+  * @param installId: the install id of the extension
+  */
+  reloadDevelopment (installId) {
+    return { installId: installId }
+  }
+
+  /**
+  * Opens the devtools for the toolwindow of an extension
+  * @param installId: the install id of the extension
+  */
+  openToolwindowDevTools (installId) {
+    return { installId: installId }
+  }
+
   /* **************************************************************************/
   // Console operations
   /* **************************************************************************/
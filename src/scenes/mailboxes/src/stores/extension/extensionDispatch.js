@@ -0,0 +1,17 @@
+import { EventEmitter } from 'events'
+
+class ExtensionDispatch extends EventEmitter {
+  /* **************************************************************************/
+  // Event Fires : Dev
+  /* **************************************************************************/
+
+  /**
+  * Emits a open dev tools command
+  * @param installId: the install id of the extension
+  */
+  openDevTools (installId) {
+    this.emit('devtools', { installId: installId })
+  }
+}
+
+export default new ExtensionDispatch()
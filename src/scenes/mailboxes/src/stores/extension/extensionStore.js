@@ -2,15 +2,19 @@ import alt from '../alt'
 import actions from './extensionActions'
 import persistence from './extensionPersistence'
 import { CoreExtension, CoreExtensionManifest } from 'shared/Models/Extensions'
+import extensionDispatch from './extensionDispatch'
 import {
-  WB_PREPARE_EXTENSION_SESSION
+  WB_PREPARE_EXTENSION_SESSION,
+  WB_UNPACK_EXTENSION_ZIP
 } from 'shared/ipcEvents'
 import { ipcRenderer } from 'electron'
 import path from 'path'
 import RuntimePaths from 'Runtime/RuntimePaths'
 import fs from 'fs-extra'
+import uuid from 'uuid'
 
 const LOG_PREFIX = '[WB_EXTN]'
+const DEVELOPMENT_RELOAD_DELAY = 500
 
 class ExtensionStore {
   /* **************************************************************************/
@@ -19,6 +23,9 @@ class ExtensionStore {
 
   constructor () {
     this.installed = new Map()
+    this.isInstalling = false
+    this.lastResult = null
+    this.developmentWatchers = new Map()
 
     /* ****************************************/
     // Installed
@@ -58,7 +65,7 @@ class ExtensionStore {
     */
     this.getInstalledWithToolwindows = (position = undefined) => {
       return this.allInstalled()
-        .filter((e) => e.manifest.hasToolwindow && (!position || e.manifest.toolwindowPosition === position))
+        .filter((e) => e.enabled && e.manifest.hasToolwindow && (!position || e.manifest.toolwindowPosition === position))
     }
 
     /* ****************************************/
@@ -66,6 +73,17 @@ class ExtensionStore {
     /* ****************************************/
     this.bindListeners({
       handleLoad: actions.LOAD,
+
+      handleInstallFromFolder: actions.INSTALL_FROM_FOLDER,
+      handleInstallFromZip: actions.INSTALL_FROM_ZIP,
+      handleUninstall: actions.UNINSTALL,
+      handleClearLastResult: actions.CLEAR_LAST_RESULT,
+
+      handleSetEnabled: actions.SET_ENABLED,
+
+      handleReloadDevelopment: actions.RELOAD_DEVELOPMENT,
+      handleOpenToolwindowDevTools: actions.OPEN_TOOLWINDOW_DEV_TOOLS,
+
       handleConsoleInstall: actions.CONSOLE_INSTALL,
       handleConsoleUpdate: actions.CONSOLE_UPDATE,
       handleConsoleUninstall: actions.CONSOLE_UNINSTALL,
@@ -80,6 +98,9 @@ class ExtensionStore {
   handleLoad () {
     const allExtensions = persistence.allJSONItemsSync()
     this.installed = new Map()
+    Array.from(this.developmentWatchers.keys()).forEach((installId) => {
+      this._stopDevelopmentWatcher(installId)
+    })
 
     Object.keys(allExtensions).forEach((id) => {
       const extension = new CoreExtension(allExtensions[id])
@@ -90,6 +111,7 @@ class ExtensionStore {
           partition: 'persist:' + extension.installId
         })
       }
+      this._updateDevelopmentWatcher(extension)
     })
   }
 
@@ -113,6 +135,51 @@ class ExtensionStore {
     return path.join(RuntimePaths.USER_EXTENSION_INSTALL_PATH, extension.installId)
   }
 
+  /* **************************************************************************/
+  // Development watchers
+  /* **************************************************************************/
+
+  /**
+  * Starts or stops watching the development folder of an extension depending on its state
+  * @param extension: the extension
+  */
+  _updateDevelopmentWatcher (extension) {
+    this._stopDevelopmentWatcher(extension.installId)
+    if (!extension.isDevelopment || !extension.enabled) { return }
+
+    const installId = extension.installId
+    const entry = { watcher: null, timeout: null }
+    try {
+      // Recursive isn't supported on linux, so only top level changes get picked up there
+      entry.watcher = fs.watch(extension.developmentPath, { recursive: true }, () => {
+        clearTimeout(entry.timeout)
+        entry.timeout = setTimeout(() => {
+          actions.reloadDevelopment(installId)
+        }, DEVELOPMENT_RELOAD_DELAY)
+      })
+      entry.watcher.on('error', (err) => {
+        console.warn(`${LOG_PREFIX} Stopped watching ${extension.developmentPath}`, err)
+        this._stopDevelopmentWatcher(installId)
+      })
+    } catch (ex) {
+      console.warn(`${LOG_PREFIX} Unable to watch ${extension.developmentPath}`, ex)
+      return
+    }
+    this.developmentWatchers.set(installId, entry)
+  }
+
+  /**
+  * Stops watching the development folder of an extension
+  * @param installId: the install id of the extension
+  */
+  _stopDevelopmentWatcher (installId) {
+    const entry = this.developmentWatchers.get(installId)
+    if (!entry) { return }
+    clearTimeout(entry.timeout)
+    entry.watcher.close()
+    this.developmentWatchers.delete(installId)
+  }
+
   /* **************************************************************************/
   // Install utils
   /* **************************************************************************/
@@ -141,13 +208,14 @@ class ExtensionStore {
   /**
   * Installs an extension
   * @param extensionPath: the path to the extension
+  * @param changes={}: additional data to store with the extension
   * @return promise
   */
-  _install (extensionPath) {
+  _install (extensionPath, changes = {}) {
     return Promise.resolve()
       .then(() => this._loadManifest(extensionPath))
       .then(({manifest, warnings}) => {
-        const extensionJS = CoreExtension.createJS(manifest)
+        const extensionJS = Object.assign(CoreExtension.createJS(manifest), changes)
         const extension = new CoreExtension(extensionJS)
         const installDir = this._extensionInstallPath(extension)
 
@@ -189,9 +257,10 @@ class ExtensionStore {
   /**
   * Updates an extension
   * @param extensionPath: the path to the extension
+  * @param changes={}: additional data to store with the extension
   * @return promsie
   */
-  _update (extensionPath) {
+  _update (extensionPath, changes = {}) {
     return Promise.resolve()
       .then(() => this._loadManifest(extensionPath))
       .then(({manifest, warnings}) => {
@@ -202,10 +271,10 @@ class ExtensionStore {
           return Promise.reject(new Error('Cannot update an extension that is not installed'))
         }
 
-        const extensionJS = prevExtension.changeData({
+        const extensionJS = prevExtension.changeData(Object.assign({
           manifest: manifest,
           installTime: new Date().getTime()
-        })
+        }, changes))
         const extension = new CoreExtension(extensionJS)
         const installDir = this._extensionInstallPath(extension)
 
@@ -221,6 +290,30 @@ class ExtensionStore {
       })
   }
 
+  /**
+  * Installs an extension, or updates it if it's already installed
+  * @param extensionPath: the path to the extension
+  * @param developmentPath: the folder to watch for development or undefined
+  * @return promise
+  */
+  _installOrUpdate (extensionPath, developmentPath) {
+    return Promise.resolve()
+      .then(() => this._loadManifest(extensionPath))
+      .then(({manifest}) => {
+        const extensionId = CoreExtensionManifest.getExtensionId(manifest)
+        const changes = { developmentPath: developmentPath }
+        if (this.getInstalledWithExtensionId(extensionId)) {
+          return this._update(extensionPath, changes)
+        } else {
+          return this._install(extensionPath, changes)
+        }
+      })
+      .then((res) => {
+        this._updateDevelopmentWatcher(res.extension)
+        return Promise.resolve(res)
+      })
+  }
+
   /**
   * Uninstalls an extension
   * @param extensionId: the extensionId of the extension
@@ -238,6 +331,7 @@ class ExtensionStore {
     return Promise.resolve()
       .then(() => fs.remove(this._extensionRootPath(extension)))
       .then(() => {
+        this._stopDevelopmentWatcher(extension.installId)
         this.installed.delete(extension.id)
         persistence.removeItem(extension.id)
         this.emitChange()
@@ -245,6 +339,129 @@ class ExtensionStore {
       })
   }
 
+  /* **************************************************************************/
+  // Result utils
+  /* **************************************************************************/
+
+  /**
+  * Records a successful install or update
+  * @param res: the result from the install or update
+  */
+  _recordSuccess ({ prevExtension, extension, warnings }) {
+    this.isInstalling = false
+    this.lastResult = {
+      ok: true,
+      message: prevExtension
+        ? `Updated ${extension.humanizedIdentifier}. ${prevExtension.version} -> ${extension.version}`
+        : `Installed ${extension.humanizedIdentifier}`,
+      warnings: warnings
+    }
+    this.emitChange()
+  }
+
+  /**
+  * Records a failed install or update
+  * @param err: the error that was thrown
+  */
+  _recordFailure (err) {
+    console.log(`${LOG_PREFIX} Install failed: ${err}`, err)
+    this.isInstalling = false
+    this.lastResult = {
+      ok: false,
+      message: err.message,
+      warnings: Array.isArray(err.info) ? err.info : []
+    }
+    this.emitChange()
+  }
+
+  /* **************************************************************************/
+  // Handlers: Installing
+  /* **************************************************************************/
+
+  handleInstallFromFolder ({ extensionPath, development }) {
+    this.isInstalling = true
+    this.lastResult = null
+
+    Promise.resolve()
+      .then(() => this._installOrUpdate(extensionPath, development ? extensionPath : undefined))
+      .then((res) => this._recordSuccess(res))
+      .catch((err) => this._recordFailure(err))
+  }
+
+  handleInstallFromZip ({ zipPath }) {
+    this.isInstalling = true
+    this.lastResult = null
+
+    const responseId = uuid.v4()
+    ipcRenderer.once(responseId, (evt, { extensionPath, unpackPath, error }) => {
+      Promise.resolve()
+        .then(() => error ? Promise.reject(new Error(error)) : Promise.resolve())
+        .then(() => this._installOrUpdate(extensionPath, undefined))
+        .then((res) => this._recordSuccess(res))
+        .catch((err) => this._recordFailure(err))
+        .then(() => unpackPath ? fs.remove(unpackPath) : Promise.resolve())
+        .catch((err) => {
+          console.log(`${LOG_PREFIX} Unable to remove unpacked zip: ${err}`, err)
+        })
+    })
+    ipcRenderer.send(WB_UNPACK_EXTENSION_ZIP, {
+      zipPath: zipPath,
+      response: responseId
+    })
+  }
+
+  handleUninstall ({ installId }) {
+    this.preventDefault()
+    const extension = this.getInstalled(installId)
+    if (!extension) { return }
+
+    Promise.resolve()
+      .then(() => this._uninstall(extension.extensionId))
+      .catch((err) => {
+        console.log(`${LOG_PREFIX} Uninstall failed: ${err}`, err)
+      })
+  }
+
+  handleClearLastResult () {
+    this.lastResult = null
+  }
+
+  /* **************************************************************************/
+  // Handlers: Managing
+  /* **************************************************************************/
+
+  handleSetEnabled ({ installId, enabled }) {
+    const prevExtension = this.getInstalled(installId)
+    if (!prevExtension) { this.preventDefault(); return }
+
+    const extensionJS = prevExtension.changeData({ enabled: enabled })
+    const extension = new CoreExtension(extensionJS)
+    this.installed.set(extension.id, extension)
+    persistence.setJSONItem(extension.id, extensionJS)
+    this._updateDevelopmentWatcher(extension)
+  }
+
+  /* **************************************************************************/
+  // Handlers: Development
+  /* **************************************************************************/
+
+  handleReloadDevelopment ({ installId }) {
+    this.preventDefault()
+    const extension = this.getInstalled(installId)
+    if (!extension || !extension.isDevelopment) { return }
+
+    console.log(`${LOG_PREFIX} Reloading ${extension.humanizedIdentifier} from ${extension.developmentPath}...`)
+    Promise.resolve()
+      .then(() => this._update(extension.developmentPath, { developmentPath: extension.developmentPath }))
+      .then((res) => this._recordSuccess(res))
+      .catch((err) => this._recordFailure(err))
+  }
+
+  handleOpenToolwindowDevTools ({ installId }) {
+    this.preventDefault()
+    extensionDispatch.openDevTools(installId)
+  }
+
   /* **************************************************************************/
   // Console manipulators
   /* **************************************************************************/
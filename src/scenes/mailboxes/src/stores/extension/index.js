@@ -1,7 +1,9 @@
 import extensionActions from './extensionActions'
 import extensionStore from './extensionStore'
+import extensionDispatch from './extensionDispatch'
 
 export {
   extensionActions,
-  extensionStore
+  extensionStore,
+  extensionDispatch
 }
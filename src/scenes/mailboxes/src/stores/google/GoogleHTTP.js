@@ -189,6 +189,24 @@ class GoogleHTTP {
     })
   }
 
+  /**
+  * Fetches all the labels for a mailbox
+  * @param auth: the auth to access google with
+  * @return promise
+  */
+  static fetchGmailLabelList (auth) {
+    if (!auth) { return this._rejectWithNoAuth() }
+
+    return new Promise((resolve, reject) => {
+      gmail.users.labels.list({
+        userId: 'me',
+        auth: auth
+      }, (err, response) => {
+        err ? reject(err) : resolve(response)
+      })
+    })
+  }
+
   /* **************************************************************************/
   // Gmail: Threads
   /* **************************************************************************/
@@ -463,6 +463,7 @@ class GoogleStore {
             .then(({ historyId, history }) => {
               return {
                 historyId: isNaN(parseInt(historyId)) ? undefined : parseInt(historyId),
+                history: history || [],
                 hasContentChanged: forceSync || this.hasMailUnreadChangedFromHistory(labelIds, history || [])
               }
             })
@@ -517,8 +518,35 @@ class GoogleStore {
             }
           })
       })
+      .then((data) => {
+        // STEP 2.3 [LABELS]: Label rules are written with names but messages only come with ids
+        if (!data.hasContentChanged) { return data }
+        if (!service.hasLabelNotificationRules) { return data }
+
+        return Promise.resolve()
+          .then(() => GoogleHTTP.fetchGmailLabelList(auth))
+          .then(({ labels = [] }) => {
+            const labelNames = labels.reduce((acc, label) => {
+              acc[label.id] = label.name
+              return acc
+            }, {})
+            return Object.assign({}, data, { labelNames: labelNames })
+          })
+          .catch((err) => {
+            console.warn(`${LOG_PFX} Failed to sync label names`, err)
+            return data
+          })
+      })
       .then((data) => {
         // STEP 3 [STORE]: Update the mailbox service with the new data
+        if (data.labelNames) {
+          mailboxActions.reduceService.defer(
+            mailbox.id,
+            GoogleDefaultService.type,
+            GoogleDefaultServiceReducer.setLabelNames,
+            data.labelNames
+          )
+        }
         if (data.hasContentChanged) {
           if (Debug.flags.googleLogUnreadMessages) {
             console.log(`[GOOGLE:UNREAD]: ${mailboxId}`, [
@@ -547,6 +575,10 @@ class GoogleStore {
         }
         return data
       })
+      .then((data) => {
+        // STEP 4 [VIEWS]: Sync any additional unread views
+        return this.syncUnreadViews(mailboxId, service, auth, data.history, forceSync)
+      })
       .then(() => {
         this.trackCloseRequest(REQUEST_TYPES.MAIL, mailboxId, requestId)
         mailboxActions.reduce.defer(mailboxId, GoogleMailboxReducer.revalidateAuth)
@@ -563,6 +595,49 @@ class GoogleStore {
       })
   }
 
+  /**
+  * Syncs the unread info for the additional unread views. Each view uses the same
+  * history records as the main sync to decide if it needs to re-query and is synced
+  * independently so one failing doesn't affect the others
+  * @param mailboxId: the id of the mailbox
+  * @param service: the default service
+  * @param auth: the auth to use
+  * @param history=undefined: the history records since the last sync. If undefined all views are synced
+  * @param forceSync=false: set to true to sync all views regardless of the history
+  * @return promise
+  */
+  syncUnreadViews (mailboxId, service, auth, history = undefined, forceSync = false) {
+    return Promise.all(service.unreadViews.map((view) => {
+      if (!forceSync && history !== undefined && service.unreadViewInfo[view.id]) {
+        const labelIds = GoogleDefaultService.unreadViewLabelWatchArray(view)
+        const hasChanged = labelIds.length
+          ? this.hasMailUnreadChangedFromHistory(labelIds, history)
+          : history.length !== 0
+        if (!hasChanged) { return Promise.resolve() }
+      }
+
+      return Promise.resolve()
+        .then(() => GoogleHTTP.fetchGmailThreadHeadersList(auth, view.query, undefined, 10))
+        .then(({resultSizeEstimate, threads = []}) => {
+          return GoogleHTTP
+            .fullyResolveGmailThreadHeaders(auth, service.getUnreadViewThreadsIndexed(view.id), threads, this.trimMailThread)
+            .then((fullThreads) => {
+              mailboxActions.reduceService.defer(
+                mailboxId,
+                GoogleDefaultService.type,
+                GoogleDefaultServiceReducer.setUnreadViewInfo,
+                view.id,
+                resultSizeEstimate,
+                fullThreads
+              )
+            })
+        })
+        .catch((err) => {
+          console.warn(`${LOG_PFX} Failed to sync unread view "${view.name}"`, err)
+        })
+    }))
+  }
+
   /* **************************************************************************/
   // Handlers: Mail change indicators
   /* **************************************************************************/
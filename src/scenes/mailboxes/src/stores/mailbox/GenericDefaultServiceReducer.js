@@ -25,6 +25,94 @@ class GenericDefaultServiceReducer extends ServiceReducer {
     return service.changeData({ hasNavigationToolbar: has })
   }
 
+  /* **************************************************************************/
+  // Unread count
+  /* **************************************************************************/
+
+  /**
+  * Applies changes to the unread count config and re-reads the unread count from
+  * the last known page title so the user sees the change immediately
+  * @param mailbox: the mailbox that contains the service
+  * @param service: the service to update
+  * @param changes: the config changes to apply
+  * @return the changed service data
+  */
+  static _changeUnreadCountConfig (mailbox, service, changes) {
+    const data = service.changeData(changes)
+    const updated = new service.constructor(service.parentId, data)
+    const count = updated.getUnreadCountFromTitle(mailbox.pageTitle)
+    if (count !== undefined) {
+      data.unreadCount = count
+    }
+    return data
+  }
+
+  /**
+  * Sets where the unread count is read from
+  * @param mailbox: the mailbox that contains the service
+  * @param service: the service to update
+  * @param source: the source, one of UNREAD_COUNT_SOURCES
+  */
+  static setUnreadCountSource (mailbox, service, source) {
+    if (service.unreadCountSource === source) { return undefined }
+    return GenericDefaultServiceReducer._changeUnreadCountConfig(mailbox, service, { unreadCountSource: source, unreadCount: 0 })
+  }
+
+  /**
+  * Sets the pattern used to read the unread count from the title or favicon
+  * @param mailbox: the mailbox that contains the service
+  * @param service: the service to update
+  * @param pattern: the regular expression pattern
+  */
+  static setUnreadCountPattern (mailbox, service, pattern) {
+    return GenericDefaultServiceReducer._changeUnreadCountConfig(mailbox, service, { unreadCountPattern: pattern })
+  }
+
+  /**
+  * Sets the css selector used to read the unread count
+  * @param mailbox: the mailbox that contains the service
+  * @param service: the service to update
+  * @param selector: the css selector
+  */
+  static setUnreadCountSelector (mailbox, service, selector) {
+    return service.changeData({ unreadCountSelector: selector })
+  }
+
+  /**
+  * Sets the unread count
+  * @param mailbox: the mailbox that contains the service
+  * @param service: the service to update
+  * @param count: the new unread count
+  */
+  static setUnreadCount (mailbox, service, count) {
+    if (!service.supportsUnreadCount || service.unreadCount === count) { return undefined }
+    return service.changeData({ unreadCount: count })
+  }
+
+  /**
+  * Sets the unread count from the page title, if the title is the source
+  * @param mailbox: the mailbox that contains the service
+  * @param service: the service to update
+  * @param title: the new page title
+  */
+  static setUnreadCountFromTitle (mailbox, service, title) {
+    const count = service.getUnreadCountFromTitle(title)
+    if (count === undefined) { return undefined }
+    return GenericDefaultServiceReducer.setUnreadCount(mailbox, service, count)
+  }
+
+  /**
+  * Sets the unread count from the page favicons, if the favicon is the source
+  * @param mailbox: the mailbox that contains the service
+  * @param service: the service to update
+  * @param favicons: the new page favicons
+  */
+  static setUnreadCountFromFavicons (mailbox, service, favicons) {
+    const count = service.getUnreadCountFromFavicons(favicons)
+    if (count === undefined) { return undefined }
+    return GenericDefaultServiceReducer.setUnreadCount(mailbox, service, count)
+  }
+
   /* **************************************************************************/
   // Notifications
   /* **************************************************************************/
@@ -1,5 +1,6 @@
 import googleActions from '../google/googleActions'
 import ServiceReducer from './ServiceReducer'
+import GoogleDefaultService from 'shared/Models/Accounts/Google/GoogleDefaultService'
 
 class GoogleDefaultServiceReducer extends ServiceReducer {
   /**
@@ -69,6 +70,96 @@ class GoogleDefaultServiceReducer extends ServiceReducer {
       return service.changeData({ customUnreadLabelWatchString: str })
     }
   }
+
+  /**
+  * Adds an unread view
+  * @param mailbox: the mailbox that contains the service
+  * @param service: the service to update
+  * @param name: the name of the view
+  * @param query: the gmail query for the view
+  * @param labelWatchString: the comma seperated labels to watch
+  */
+  static addUnreadView (mailbox, service, name, query, labelWatchString) {
+    const trimmedName = (name || '').trim()
+    const trimmedQuery = (query || '').trim()
+    if (!trimmedName || !trimmedQuery) { return undefined }
+
+    googleActions.syncMailboxMessages.defer(mailbox.id, true)
+    return service.changeData({
+      unreadViews: service.unreadViews.concat([
+        GoogleDefaultService.createUnreadView(trimmedName, trimmedQuery, (labelWatchString || '').trim())
+      ])
+    })
+  }
+
+  /**
+  * Removes an unread view
+  * @param mailbox: the mailbox that contains the service
+  * @param service: the service to update
+  * @param viewId: the id of the view to remove
+  */
+  static removeUnreadView (mailbox, service, viewId) {
+    const unreadViewInfo = { ...service.unreadViewInfo }
+    delete unreadViewInfo[viewId]
+    return service.changeData({
+      unreadViews: service.unreadViews.filter((view) => view.id !== viewId),
+      unreadViewInfo: unreadViewInfo
+    })
+  }
+
+  /**
+  * Updates an unread view
+  * @param mailbox: the mailbox that contains the service
+  * @param service: the service to update
+  * @param viewId: the id of the view to update
+  * @param changes: the changes to merge into the view
+  */
+  static updateUnreadView (mailbox, service, viewId, changes) {
+    const view = service.getUnreadView(viewId)
+    if (!view) { return undefined }
+
+    if ((changes.query !== undefined && changes.query !== view.query) || (changes.labelWatchString !== undefined && changes.labelWatchString !== view.labelWatchString)) {
+      googleActions.syncMailboxMessages.defer(mailbox.id, true)
+    }
+    return service.changeData({
+      unreadViews: service.unreadViews.map((v) => {
+        return v.id === viewId ? { ...v, ...changes } : v
+      })
+    })
+  }
+
+  /**
+  * Sets the names of the labels
+  * @param mailbox: the mailbox that contains the service
+  * @param service: the service to update
+  * @param labelNames: the label names keyed by label id
+  */
+  static setLabelNames (mailbox, service, labelNames) {
+    if (JSON.stringify(service.labelNames) !== JSON.stringify(labelNames)) {
+      return service.changeData({ labelNames: labelNames })
+    }
+  }
+
+  /**
+  * Updates the unread info for a view
+  * @param mailbox: the mailbox that contains the service
+  * @param service: the service to update
+  * @param viewId: the id of the view
+  * @param unreadCount: the unread count for the view
+  * @param unreadThreads: an array of full thread infos that have not been read
+  */
+  static setUnreadViewInfo (mailbox, service, viewId, unreadCount, unreadThreads) {
+    if (!service.getUnreadView(viewId)) { return undefined }
+    return service.changeData({
+      unreadViewInfo: {
+        ...service.unreadViewInfo,
+        [viewId]: {
+          unreadCount: unreadCount,
+          unreadThreads: unreadThreads
+        }
+      }
+    })
+  }
 }
 
 export default GoogleDefaultServiceReducer
@@ -104,6 +104,199 @@ class MailboxReducer {
     })
   }
 
+  /* **************************************************************************/
+  // Do not disturb
+  /* **************************************************************************/
+
+  /**
+  * Sets how do not disturb applies to the mailbox
+  * @param mailbox: the mailbox to update
+  * @param mode: the new mode, one of CoreMailbox.DND_MODES
+  */
+  static setDndMode (mailbox, mode) {
+    return mailbox.changeData({ dndMode: mode })
+  }
+
+  /**
+  * Sets the custom do not disturb schedules for the mailbox
+  * @param mailbox: the mailbox to update
+  * @param schedules: the new list of schedules
+  */
+  static setDndSchedules (mailbox, schedules) {
+    return mailbox.changeData({ dndSchedules: schedules })
+  }
+
+  /* **************************************************************************/
+  // Link routing
+  /* **************************************************************************/
+
+  /**
+  * Sets the external browser that links from the mailbox open in
+  * @param mailbox: the mailbox to update
+  * @param browserId: the id of the browser or undefined to use the default
+  */
+  static setExternalBrowserId (mailbox, browserId) {
+    return mailbox.changeData({ externalBrowserId: browserId })
+  }
+
+  /**
+  * Adds a link routing rule to the end of the list
+  * @param mailbox: the mailbox to update
+  * @param rule: the rule to add, created with LinkRoutingRules.createRule
+  */
+  static addLinkRoutingRule (mailbox, rule) {
+    return mailbox.changeData({
+      linkRoutingRules: mailbox.linkRoutingRules.concat([rule])
+    })
+  }
+
+  /**
+  * Updates a link routing rule
+  * @param mailbox: the mailbox to update
+  * @param ruleId: the id of the rule to update
+  * @param changes: the changes to merge into the rule
+  */
+  static updateLinkRoutingRule (mailbox, ruleId, changes) {
+    const rules = mailbox.linkRoutingRules
+    const index = rules.findIndex((r) => r.id === ruleId)
+    if (index === -1) { return undefined }
+
+    return mailbox.changeData({
+      linkRoutingRules: rules.map((r, i) => i === index ? { ...r, ...changes } : r)
+    })
+  }
+
+  /**
+  * Removes a link routing rule
+  * @param mailbox: the mailbox to update
+  * @param ruleId: the id of the rule to remove
+  */
+  static removeLinkRoutingRule (mailbox, ruleId) {
+    const rules = mailbox.linkRoutingRules
+    if (rules.findIndex((r) => r.id === ruleId) === -1) { return undefined }
+
+    return mailbox.changeData({
+      linkRoutingRules: rules.filter((r) => r.id !== ruleId)
+    })
+  }
+
+  /**
+  * Moves a link routing rule up or down in the list. Rules are evaluated in order
+  * @param mailbox: the mailbox to update
+  * @param ruleId: the id of the rule to move
+  * @param offset: the amount to move the rule by, negative to move up
+  */
+  static moveLinkRoutingRule (mailbox, ruleId, offset) {
+    const rules = Array.from(mailbox.linkRoutingRules)
+    const index = rules.findIndex((r) => r.id === ruleId)
+    const nextIndex = index + offset
+    if (index === -1 || nextIndex < 0 || nextIndex >= rules.length) { return undefined }
+
+    rules.splice(nextIndex, 0, rules.splice(index, 1)[0])
+    return mailbox.changeData({ linkRoutingRules: rules })
+  }
+
+  /* **************************************************************************/
+  // Downloads
+  /* **************************************************************************/
+
+  /**
+  * Sets the folder downloads from the mailbox are saved to
+  * @param mailbox: the mailbox to update
+  * @param location: the path to the folder or undefined to use the global setting
+  */
+  static setDownloadLocation (mailbox, location) {
+    return mailbox.changeData({ downloadLocation: location })
+  }
+
+  /**
+  * Sets how downloads from the mailbox are split into subfolders
+  * @param mailbox: the mailbox to update
+  * @param mode: the new mode, one of CoreMailbox.DOWNLOAD_SUBFOLDER_MODES
+  */
+  static setDownloadSubfolderMode (mailbox, mode) {
+    return mailbox.changeData({ downloadSubfolderMode: mode })
+  }
+
+  /**
+  * Sets what happens when a download from the mailbox has the same name as an existing file
+  * @param mailbox: the mailbox to update
+  * @param policy: the new policy, one of CoreMailbox.DOWNLOAD_CONFLICT_POLICIES
+  */
+  static setDownloadConflictPolicy (mailbox, policy) {
+    return mailbox.changeData({ downloadConflictPolicy: policy })
+  }
+
+  /* **************************************************************************/
+  // Web permissions
+  /* **************************************************************************/
+
+  /**
+  * Sets the state of a web permission
+  * @param mailbox: the mailbox to update
+  * @param type: the type of permission, one of WebPermissions.PERMISSION_TYPES
+  * @param state: the new state, one of WebPermissions.PERMISSION_STATES or undefined to reset it
+  */
+  static setWebPermissionState (mailbox, type, state) {
+    const permissions = Object.assign({}, mailbox.webPermissions)
+    if (state === undefined) {
+      delete permissions[type]
+    } else {
+      permissions[type] = state
+    }
+    return mailbox.changeData({ webPermissions: permissions })
+  }
+
+  /**
+  * Resets all the web permissions to their defaults
+  * @param mailbox: the mailbox to update
+  */
+  static resetWebPermissions (mailbox) {
+    return mailbox.changeData({ webPermissions: {} })
+  }
+
+  /* **************************************************************************/
+  // Resource alerts
+  /* **************************************************************************/
+
+  /**
+  * Sets the memory usage that raises an alert
+  * @param mailbox: the mailbox to update
+  * @param threshold: the threshold in MB or 0 to disable
+  */
+  static setResourceAlertMemoryThreshold (mailbox, threshold) {
+    const value = parseInt(threshold)
+    return mailbox.changeData({ resourceAlertMemoryThreshold: isNaN(value) || value < 0 ? 0 : value })
+  }
+
+  /**
+  * Sets the cpu usage that raises an alert
+  * @param mailbox: the mailbox to update
+  * @param threshold: the threshold as a percentage or 0 to disable
+  */
+  static setResourceAlertCPUThreshold (mailbox, threshold) {
+    const value = parseInt(threshold)
+    return mailbox.changeData({ resourceAlertCPUThreshold: isNaN(value) || value < 0 ? 0 : value })
+  }
+
+  /**
+  * Sets how long a threshold has to be crossed before raising an alert
+  * @param mailbox: the mailbox to update
+  * @param duration: the duration in millis
+  */
+  static setResourceAlertDuration (mailbox, duration) {
+    return mailbox.changeData({ resourceAlertDuration: duration })
+  }
+
+  /**
+  * Sets what to do when an alert is raised
+  * @param mailbox: the mailbox to update
+  * @param action: the action, one of CoreMailbox.RESOURCE_ALERT_ACTIONS
+  */
+  static setResourceAlertAction (mailbox, action) {
+    return mailbox.changeData({ resourceAlertAction: action })
+  }
+
   /* **************************************************************************/
   // Lifecycle & Ordering
   /* **************************************************************************/
@@ -1,5 +1,6 @@
 import ServiceReducer from './ServiceReducer'
 import microsoftActions from '../microsoft/microsoftActions'
+import MicrosoftDefaultService from 'shared/Models/Accounts/Microsoft/MicrosoftDefaultService'
 
 class MicrosoftDefaultServiceReducer extends ServiceReducer {
   /**
@@ -28,6 +29,100 @@ class MicrosoftDefaultServiceReducer extends ServiceReducer {
       return service.changeData({ unreadMode: unreadMode })
     }
   }
+
+  /* **************************************************************************/
+  // Extra folders & shared mailboxes
+  /* **************************************************************************/
+
+  /**
+  * Adds an extra folder or shared mailbox to take unread counts from
+  * @param mailbox: the mailbox that contains the service
+  * @param service: the service to update
+  * @param type: the type of source, one of MicrosoftDefaultService.EXTRA_UNREAD_SOURCE_TYPES
+  * @param value: the folder name or shared mailbox address
+  */
+  static addExtraUnreadSource (mailbox, service, type, value) {
+    const trimmed = (value || '').trim()
+    if (!trimmed) { return undefined }
+    if (service.extraUnreadSources.find((s) => s.type === type && s.value.toLowerCase() === trimmed.toLowerCase())) {
+      return undefined
+    }
+
+    microsoftActions.syncMailboxMail.defer(mailbox.id)
+    return service.changeData({
+      extraUnreadSources: service.extraUnreadSources.concat([
+        MicrosoftDefaultService.createExtraUnreadSource(type, trimmed)
+      ])
+    })
+  }
+
+  /**
+  * Removes an extra source
+  * @param mailbox: the mailbox that contains the service
+  * @param service: the service to update
+  * @param sourceId: the id of the source to remove
+  */
+  static removeExtraUnreadSource (mailbox, service, sourceId) {
+    const extraUnreadInfo = { ...service.extraUnreadInfo }
+    delete extraUnreadInfo[sourceId]
+    return service.changeData({
+      extraUnreadSources: service.extraUnreadSources.filter((s) => s.id !== sourceId),
+      extraUnreadInfo: extraUnreadInfo
+    })
+  }
+
+  /**
+  * Sets if an extra source counts towards the app badge
+  * @param mailbox: the mailbox that contains the service
+  * @param service: the service to update
+  * @param sourceId: the id of the source
+  * @param counts: true if the source counts towards the app badge
+  */
+  static setExtraUnreadSourceCountsTowardsAppBadge (mailbox, service, sourceId, counts) {
+    return service.changeData({
+      extraUnreadSources: service.extraUnreadSources.map((s) => {
+        return s.id === sourceId ? { ...s, countsTowardsAppBadge: counts } : s
+      })
+    })
+  }
+
+  /**
+  * Updates the unread info for an extra source
+  * @param mailbox: the mailbox that contains the service
+  * @param service: the service to update
+  * @param sourceId: the id of the source
+  * @param unreadCount: the unread count for the source
+  * @param unreadMessages: the current set of unread messages
+  */
+  static setExtraUnreadInfo (mailbox, service, sourceId, unreadCount, unreadMessages) {
+    if (!service.extraUnreadSources.find((s) => s.id === sourceId)) { return undefined }
+    return service.changeData({
+      extraUnreadInfo: {
+        ...service.extraUnreadInfo,
+        [sourceId]: {
+          unreadCount: unreadCount,
+          unreadMessages: unreadMessages.slice(0, 10), // There's no point storing all of them
+          error: false
+        }
+      }
+    })
+  }
+
+  /**
+  * Marks an extra source as failing to sync, keeping the last known info
+  * @param mailbox: the mailbox that contains the service
+  * @param service: the service to update
+  * @param sourceId: the id of the source
+  */
+  static setExtraUnreadError (mailbox, service, sourceId) {
+    if (!service.extraUnreadSources.find((s) => s.id === sourceId)) { return undefined }
+    return service.changeData({
+      extraUnreadInfo: {
+        ...service.extraUnreadInfo,
+        [sourceId]: { ...service.getExtraUnreadInfo(sourceId), error: true }
+      }
+    })
+  }
 }
 
 export default MicrosoftDefaultServiceReducer
@@ -31,6 +31,17 @@ class ServiceReducer {
     return service.changeData({ sleepableTimeout: value })
   }
 
+  /**
+  * Sets how often the service wakes from sleep to sync
+  * @param mailbox: the mailbox that contains the service
+  * @param service: the service to update
+  * @param interval: the interval in millis or 0 to never wake
+  */
+  static setSleepWakeInterval (mailbox, service, interval) {
+    const value = parseInt(interval)
+    return service.changeData({ sleepWakeInterval: isNaN(value) || value < 0 ? 0 : value })
+  }
+
   /* **************************************************************************/
   // Behaviour
   /* **************************************************************************/
@@ -109,6 +120,71 @@ class ServiceReducer {
     })
   }
 
+  /* **************************************************************************/
+  // Notification rules
+  /* **************************************************************************/
+
+  /**
+  * Adds a notification rule to the end of the list
+  * @param mailbox: the mailbox that contains the service
+  * @param service: the service to update
+  * @param rule: the rule to add, created with NotificationRules.createRule
+  */
+  static addNotificationRule (mailbox, service, rule) {
+    return service.changeData({
+      notificationRules: service.notificationRules.concat([rule])
+    })
+  }
+
+  /**
+  * Updates a notification rule
+  * @param mailbox: the mailbox that contains the service
+  * @param service: the service to update
+  * @param ruleId: the id of the rule to update
+  * @param changes: the changes to merge into the rule
+  */
+  static updateNotificationRule (mailbox, service, ruleId, changes) {
+    const rules = service.notificationRules
+    const index = rules.findIndex((r) => r.id === ruleId)
+    if (index === -1) { return undefined }
+
+    return service.changeData({
+      notificationRules: rules.map((r, i) => i === index ? { ...r, ...changes } : r)
+    })
+  }
+
+  /**
+  * Removes a notification rule
+  * @param mailbox: the mailbox that contains the service
+  * @param service: the service to update
+  * @param ruleId: the id of the rule to remove
+  */
+  static removeNotificationRule (mailbox, service, ruleId) {
+    const rules = service.notificationRules
+    if (rules.findIndex((r) => r.id === ruleId) === -1) { return undefined }
+
+    return service.changeData({
+      notificationRules: rules.filter((r) => r.id !== ruleId)
+    })
+  }
+
+  /**
+  * Moves a notification rule up or down in the list. Rules are evaluated in order
+  * @param mailbox: the mailbox that contains the service
+  * @param service: the service to update
+  * @param ruleId: the id of the rule to move
+  * @param offset: the amount to move the rule by, negative to move up
+  */
+  static moveNotificationRule (mailbox, service, ruleId, offset) {
+    const rules = Array.from(service.notificationRules)
+    const index = rules.findIndex((r) => r.id === ruleId)
+    const nextIndex = index + offset
+    if (index === -1 || nextIndex < 0 || nextIndex >= rules.length) { return undefined }
+
+    rules.splice(nextIndex, 0, rules.splice(index, 1)[0])
+    return service.changeData({ notificationRules: rules })
+  }
+
   /* **************************************************************************/
   // Zoom
   /* **************************************************************************/
@@ -59,6 +59,40 @@ class SlackDefaultServiceReducer extends ServiceReducer {
     })
   }
 
+  /* **************************************************************************/
+  // Notification filters
+  /* **************************************************************************/
+
+  /**
+  * Sets the channels that should always notify
+  * @param mailbox: the mailbox that contains the service
+  * @param service: the service to update
+  * @param str: the comma seperated list of channels
+  */
+  static setNotificationAlwaysChannelsString (mailbox, service, str) {
+    return service.changeData({ notificationAlwaysChannelsString: str })
+  }
+
+  /**
+  * Sets the channels that should never notify
+  * @param mailbox: the mailbox that contains the service
+  * @param service: the service to update
+  * @param str: the comma seperated list of channels
+  */
+  static setNotificationNeverChannelsString (mailbox, service, str) {
+    return service.changeData({ notificationNeverChannelsString: str })
+  }
+
+  /**
+  * Sets the words that force a notification
+  * @param mailbox: the mailbox that contains the service
+  * @param service: the service to update
+  * @param str: the comma seperated list of words
+  */
+  static setNotificationHighlightWordsString (mailbox, service, str) {
+    return service.changeData({ notificationHighlightWordsString: str })
+  }
+
   /* **************************************************************************/
   // Unread: marked
   /* **************************************************************************/
@@ -28,6 +28,7 @@ import {
 
   WB_MAILBOXES_WINDOW_SWITCH_MAILBOX,
   WB_MAILBOXES_WINDOW_SWITCH_SERVICE,
+  WB_MAILBOXES_WINDOW_SERVICE_MEMORY_USAGE,
 
   WB_PING_RESOURCE_USAGE
 } from 'shared/ipcEvents'
@@ -588,6 +589,15 @@ class MailboxActions {
     return { id: id, service: service }
   }
 
+  /**
+  * Indicates the memory usage of the app and its services has been measured
+  * @param totalMemory: the total memory used by the app in MB
+  * @param services: a list of { mailboxId, serviceType, memory } with memory in MB
+  */
+  serviceMemoryUsage (totalMemory, services) {
+    return { totalMemory: totalMemory, services: services }
+  }
+
   /* **************************************************************************/
   // Active
   /* **************************************************************************/
@@ -805,6 +815,11 @@ ipcRenderer.on(WB_MAILBOXES_WINDOW_SWITCH_SERVICE, (evt, req) => {
   }
 })
 
+// Sleeping
+ipcRenderer.on(WB_MAILBOXES_WINDOW_SERVICE_MEMORY_USAGE, (evt, req) => {
+  actions.serviceMemoryUsage(req.totalMemory, req.services)
+})
+
 // Misc
 ipcRenderer.on(WB_PING_RESOURCE_USAGE, actions.pingResourceUsage)
 ipcRenderer.on(WB_WINDOW_RELOAD_WEBVIEW, actions.reloadActiveMailbox)
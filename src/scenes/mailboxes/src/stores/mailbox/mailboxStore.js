@@ -6,7 +6,13 @@ import mailboxPersistence from './mailboxPersistence'
 import avatarPersistence from './avatarPersistence'
 import userStore from '../user/userStore'
 import settingsActions from '../settings/settingsActions'
-import { PERSISTENCE_INDEX_KEY, SERVICE_LOCAL_AVATAR_PREFIX, MAILBOX_SLEEP_EXTEND } from 'shared/constants'
+import settingsStore from '../settings/settingsStore'
+import {
+  PERSISTENCE_INDEX_KEY,
+  SERVICE_LOCAL_AVATAR_PREFIX,
+  MAILBOX_SLEEP_EXTEND,
+  MAILBOX_SLEEP_WAKE_DURATION
+} from 'shared/constants'
 import { BLANK_PNG } from 'shared/b64Assets'
 import uuid from 'uuid'
 import googleActions from '../google/googleActions'
@@ -50,6 +56,7 @@ class MailboxStore {
     this.mailboxes = new Map()
     this.webcontentTabIds = new Map()
     this.sleepingQueue = new Map()
+    this.lastActiveTimes = new Map()
     this.avatars = new Map()
     this.snapshots = new Map()
     this.active = null
@@ -553,6 +560,7 @@ class MailboxStore {
       // Sleeping
       handleAwakenService: actions.AWAKEN_SERVICE,
       handleSleepService: actions.SLEEP_SERVICE,
+      handleServiceMemoryUsage: actions.SERVICE_MEMORY_USAGE,
 
       // Search
       handleStartSearchingMailbox: actions.START_SEARCHING_MAILBOX,
@@ -599,6 +607,15 @@ class MailboxStore {
     this.active = this.index[0] || null
     this.sendActiveStateToMainThread()
 
+    // Sleep wake-ups
+    this.mailboxes.forEach((mailbox) => {
+      mailbox.enabledServiceTypes.forEach((serviceType) => {
+        if (!this.isActive(mailbox.id, serviceType)) {
+          this.scheduleWake(mailbox.id, serviceType)
+        }
+      })
+    })
+
     // Avatars
     Object.keys(allAvatars).forEach((id) => {
       this.avatars.set(id, allAvatars[id])
@@ -765,14 +782,17 @@ class MailboxStore {
 
   handleReauthenticateMicrosoftMailbox ({ mailboxId }) {
     this.preventDefault()
-    if (!this.mailboxes.get(mailboxId)) { return }
+    const mailbox = this.mailboxes.get(mailboxId)
+    if (!mailbox) { return }
+    const service = mailbox.defaultService
 
     window.location.hash = '/mailbox/reauthenticating'
     ipcRenderer.send(WB_AUTH_MICROSOFT, {
       credentials: Bootstrap.credentials,
       id: mailboxId,
       authMode: AUTH_MODES.REAUTHENTICATE,
-      provisional: null
+      provisional: null,
+      additionalPermissions: service && service.hasSharedMailboxSources ? ['Mail.Read.Shared'] : []
     })
   }
 
@@ -1208,7 +1228,10 @@ class MailboxStore {
               }
             })
           })
-          this.saveMailbox(id, updatedMailboxJS)
+          const updatedService = this.saveMailbox(id, updatedMailboxJS).serviceForType(serviceType)
+          if (updatedService && updatedService.sleepWakeInterval !== service.sleepWakeInterval && this.isSleeping(id, serviceType)) {
+            this.scheduleWake(id, serviceType)
+          }
           return
         }
       }
@@ -1254,6 +1277,7 @@ class MailboxStore {
       }
 
       // Clear sleep
+      this.lastActiveTimes.set(`${this.active}:${this.activeService}`, new Date().getTime())
       this.scheduleSleep(this.active, this.activeService)
       this.clearSleep(nextMailbox, nextService)
 
@@ -1373,12 +1397,59 @@ class MailboxStore {
     this.clearSleep(id, service)
     const key = `${id}:${service}`
     this.sleepingQueue.set(key, { sleeping: false, timer: null })
+    this.lastActiveTimes.set(key, new Date().getTime())
   }
 
   handleSleepService ({ id, service }) {
     this._sendMailboxToSleep(id, service)
   }
 
+  /**
+  * Applies the sleep policy by sleeping the least recently used services until
+  * we're within the awake service limit and memory budget
+  * @param totalMemory: the total memory used by the app in MB
+  * @param services: a list of { mailboxId, serviceType, memory } with memory in MB
+  */
+  handleServiceMemoryUsage ({ totalMemory, services }) {
+    this.preventDefault()
+    const settings = settingsStore.getState().app
+    if (!settings.sleepPolicyEnabled) { return }
+    if (!userStore.getState().user.hasSleepable) { return }
+
+    const serviceMemory = services.reduce((acc, { mailboxId, serviceType, memory }) => {
+      acc.set(`${mailboxId}:${serviceType}`, memory)
+      return acc
+    }, new Map())
+
+    // Find everything that's awake and could be slept, least recently used first
+    const candidates = Array.from(this.sleepingQueue.keys())
+      .filter((key) => this.sleepingQueue.get(key).sleeping === false)
+      .map((key) => {
+        const [mailboxId, serviceType] = key.split(':')
+        return { key: key, mailboxId: mailboxId, serviceType: serviceType }
+      })
+      .filter(({ mailboxId, serviceType }) => {
+        if (this.isActive(mailboxId, serviceType)) { return false }
+        const mailbox = this.getMailbox(mailboxId)
+        const service = mailbox ? mailbox.serviceForType(serviceType) : undefined
+        return service && service.sleepable
+      })
+      .sort((a, b) => (this.lastActiveTimes.get(a.key) || 0) - (this.lastActiveTimes.get(b.key) || 0))
+
+    // Sleep services until we're within the limits. The active service counts towards the awake total
+    let awakeCount = candidates.length + 1
+    let memoryUsage = totalMemory
+    candidates.forEach(({ key, mailboxId, serviceType }) => {
+      const overAwakeLimit = settings.hasSleepMaxAwakeServices && awakeCount > settings.sleepMaxAwakeServices
+      const overMemoryBudget = memoryUsage > settings.sleepMemoryBudget
+      if (!overAwakeLimit && !overMemoryBudget) { return }
+
+      this._sendMailboxToSleep(mailboxId, serviceType)
+      awakeCount--
+      memoryUsage -= serviceMemory.get(key) || 0
+    })
+  }
+
   /**
   * Clears sleep for a mailbox and service
   * @param mailboxId: the id of the mailbox
@@ -1417,6 +1488,48 @@ class MailboxStore {
     }
   }
 
+  /**
+  * Schedules a sleeping service to periodically wake up so it can sync. Services
+  * that don't wake up are left sleeping
+  * @param mailboxId: the id of the mailbox
+  * @param serviceType: the type of service
+  */
+  scheduleWake (mailboxId, serviceType) {
+    this.clearSleep(mailboxId, serviceType)
+
+    const mailbox = this.getMailbox(mailboxId)
+    const service = mailbox ? mailbox.serviceForType(serviceType) : undefined
+    if (!service || !service.hasSleepWakeInterval) { return }
+
+    const key = `${mailboxId}:${serviceType}`
+    this.sleepingQueue.set(key, {
+      sleeping: true,
+      timer: setTimeout(() => {
+        this._wakeMailboxToSync(mailboxId, serviceType)
+      }, service.sleepWakeInterval)
+    })
+  }
+
+  /**
+  * Wakes a sleeping service for long enough for it to settle and capture its
+  * unread state, then sends it back to sleep
+  * @param mailboxId: the id of the mailbox
+  * @param serviceType: the type of service
+  */
+  _wakeMailboxToSync (mailboxId, serviceType) {
+    if (!this.isSleeping(mailboxId, serviceType)) { return }
+
+    const key = `${mailboxId}:${serviceType}`
+    this.clearSleep(mailboxId, serviceType)
+    this.sleepingQueue.set(key, {
+      sleeping: false,
+      timer: setTimeout(() => {
+        this._sendMailboxToSleep(mailboxId, serviceType)
+      }, MAILBOX_SLEEP_WAKE_DURATION)
+    })
+    this.emitChange()
+  }
+
   /**
   * Runs the process of sending a webview to sleep whilst also checking if it owns any other windows
   * @param mailboxId: the id of the mailbox
@@ -1431,6 +1544,7 @@ class MailboxStore {
       if (count === 0) {
         this.clearSleep(mailboxId, serviceType)
         this.sleepingQueue.set(key, { sleeping: true, timer: null })
+        this.scheduleWake(mailboxId, serviceType)
         this.emitChange()
       } else {
         this.clearSleep(mailboxId, serviceType)
@@ -21,6 +21,15 @@ class MicrosoftHTTP {
     return Promise.reject(new Error('Mailbox missing authentication information'))
   }
 
+  /**
+  * Gets the api path for a mailbox
+  * @param user=undefined: the address of the shared mailbox or undefined for the users own mailbox
+  * @return the path component to use in the url
+  */
+  static _mailboxPath (user = undefined) {
+    return user ? `users/${encodeURIComponent(user)}` : 'me'
+  }
+
   /* **************************************************************************/
   // Auth
   /* **************************************************************************/
@@ -160,15 +169,16 @@ class MicrosoftHTTP {
   * @param auth: the auth to access microsoft
   * @param folder = 'inbox': the folder to fetch
   * @param limit = 1000: the maximum amount of messages to fetch
+  * @param user = undefined: the address of the shared mailbox or undefined for the users own mailbox
   * @return promise with { mailfolder, messages }
   */
-  static fetchMailfolderAndUnreadMessages (auth, folder = 'inbox', limit = 1000) {
+  static fetchMailfolderAndUnreadMessages (auth, folder = 'inbox', limit = 1000, user = undefined) {
     let mailfolder
     let messages
     return Promise.resolve()
-      .then(() => this.fetchMailfolder(auth, folder))
+      .then(() => this.fetchMailfolder(auth, folder, user))
       .then((res) => { mailfolder = res; return Promise.resolve() })
-      .then(() => this.fetchUnreadMessages(auth, folder, limit))
+      .then(() => this.fetchUnreadMessages(auth, folder, limit, user))
       .then((res) => { messages = res; return Promise.resolve() })
       .then(() => {
         return Promise.resolve({ mailfolder: mailfolder, messages: messages })
@@ -179,13 +189,14 @@ class MicrosoftHTTP {
   * Fetches the mail folder from the server
   * @param auth: the auth to access microsoft
   * @param folder = 'inbox': the folder to fetch
+  * @param user = undefined: the address of the shared mailbox or undefined for the users own mailbox
   * @return promise
   */
-  static fetchMailfolder (auth, folder = 'inbox') {
+  static fetchMailfolder (auth, folder = 'inbox', user = undefined) {
     if (!auth) { return this._rejectWithNoAuth() }
 
     return Promise.resolve()
-      .then(() => window.fetch(`https://graph.microsoft.com/beta/me/mailFolders/${folder}`, {
+      .then(() => window.fetch(`https://graph.microsoft.com/beta/${this._mailboxPath(user)}/mailFolders/${encodeURIComponent(folder)}`, {
         method: 'get',
         headers: {
           'Accept': 'application/json',
@@ -202,9 +213,10 @@ class MicrosoftHTTP {
   * @param auth: the auth to access microsoft
   * @param folder = 'inbox': the folder to get messages from
   * @param limit = 1000: the limit of messages to fetch
+  * @param user = undefined: the address of the shared mailbox or undefined for the users own mailbox
   * @return promise
   */
-  static fetchUnreadMessages (auth, folder = 'inbox', limit = 1000) {
+  static fetchUnreadMessages (auth, folder = 'inbox', limit = 1000, user = undefined) {
     if (!auth) { return this._rejectWithNoAuth() }
 
     const query = querystring.stringify({
@@ -215,7 +227,7 @@ class MicrosoftHTTP {
     })
 
     return Promise.resolve()
-      .then(() => window.fetch(`https://graph.microsoft.com/beta/me/mailFolders/${folder}/messages?${query}`, {
+      .then(() => window.fetch(`https://graph.microsoft.com/beta/${this._mailboxPath(user)}/mailFolders/${encodeURIComponent(folder)}/messages?${query}`, {
         method: 'get',
         headers: {
           'Accept': 'application/json',
@@ -228,6 +240,66 @@ class MicrosoftHTTP {
       .then((res) => res.value)
   }
 
+  /**
+  * Looks for a top level mail folder by its display name
+  * @param auth: the auth to access microsoft
+  * @param name: the display name of the folder
+  * @param user = undefined: the address of the shared mailbox or undefined for the users own mailbox
+  * @return promise with the mail folder or undefined if it wasn't found
+  */
+  static findMailfolderByName (auth, name, user = undefined) {
+    if (!auth) { return this._rejectWithNoAuth() }
+
+    const query = querystring.stringify({
+      '$filter': `displayName eq '${name.replace(/'/g, "''")}'`,
+      '$top': 1
+    })
+
+    return Promise.resolve()
+      .then(() => window.fetch(`https://graph.microsoft.com/beta/${this._mailboxPath(user)}/mailFolders?${query}`, {
+        method: 'get',
+        headers: {
+          'Accept': 'application/json',
+          'User-Agent': 'wavebox',
+          'Authorization': `Bearer ${auth}`
+        }
+      }))
+      .then((res) => res.ok ? Promise.resolve(res) : Promise.reject(res))
+      .then((res) => res.json())
+      .then((res) => res.value[0])
+  }
+
+  /**
+  * Fetches the unread count and messages for an additional folder
+  * @param auth: the auth to access microsoft
+  * @param folder: the display name, id or well known name of the folder
+  * @param limit = 1000: the maximum amount of messages to fetch
+  * @return promise with { unreadCount, messages }
+  */
+  static fetchFolderUnreadCountAndUnreadMessages (auth, folder, limit = 1000) {
+    return Promise.resolve()
+      .then(() => this.findMailfolderByName(auth, folder))
+      .then((mailfolder) => this.fetchMailfolderAndUnreadMessages(auth, mailfolder ? mailfolder.id : folder, limit))
+      .then(({ mailfolder, messages }) => {
+        return Promise.resolve({ unreadCount: mailfolder.unreadItemCount, messages: messages })
+      })
+  }
+
+  /**
+  * Fetches the inbox unread count and messages for a shared mailbox
+  * @param auth: the auth to access microsoft
+  * @param address: the address of the shared mailbox
+  * @param limit = 1000: the maximum amount of messages to fetch
+  * @return promise with { unreadCount, messages }
+  */
+  static fetchSharedMailboxUnreadCountAndUnreadMessages (auth, address, limit = 1000) {
+    return Promise.resolve()
+      .then(() => this.fetchMailfolderAndUnreadMessages(auth, 'inbox', limit, address))
+      .then(({ mailfolder, messages }) => {
+        return Promise.resolve({ unreadCount: mailfolder.unreadItemCount, messages: messages })
+      })
+  }
+
   /**
   * Fetches the focused mail folder unread count and messages from the server
   * @param auth: the auth to access microsoft
@@ -269,9 +269,11 @@ class MicrosoftStore {
     }
 
     const requestId = this.trackOpenRequest(REQUEST_TYPES.MAIL, mailboxId)
+    let accessToken
     Promise.resolve()
       .then(() => this.getAPIAuth(mailbox))
-      .then((accessToken) => {
+      .then((token) => {
+        accessToken = token
         switch (service.unreadMode) {
           case MicrosoftDefaultService.UNREAD_MODES.INBOX_FOCUSED_UNREAD:
             return MicrosoftHTTP.fetchFocusedUnreadCountAndUnreadMessages(accessToken, 10)
@@ -281,7 +283,6 @@ class MicrosoftStore {
         }
       })
       .then(({ unreadCount, messages }) => {
-        this.trackCloseRequest(REQUEST_TYPES.MAIL, mailboxId, requestId)
         mailboxActions.reduceService(
           mailboxId,
           MicrosoftDefaultService.type,
@@ -289,6 +290,10 @@ class MicrosoftStore {
           unreadCount,
           messages
         )
+      })
+      .then(() => this.syncExtraUnreadSources(mailboxId, service, accessToken))
+      .then(() => {
+        this.trackCloseRequest(REQUEST_TYPES.MAIL, mailboxId, requestId)
         this.emitChange()
       })
       .catch((err) => {
@@ -298,6 +303,46 @@ class MicrosoftStore {
       })
   }
 
+  /**
+  * Syncs the unread info for the extra folders and shared mailboxes. Each source
+  * is synced independently so one failing doesn't affect the others
+  * @param mailboxId: the id of the mailbox
+  * @param service: the default service
+  * @param accessToken: the access token to use
+  * @return promise
+  */
+  syncExtraUnreadSources (mailboxId, service, accessToken) {
+    return Promise.all(service.extraUnreadSources.map((source) => {
+      return Promise.resolve()
+        .then(() => {
+          if (source.type === MicrosoftDefaultService.EXTRA_UNREAD_SOURCE_TYPES.SHARED_MAILBOX) {
+            return MicrosoftHTTP.fetchSharedMailboxUnreadCountAndUnreadMessages(accessToken, source.value, 10)
+          } else {
+            return MicrosoftHTTP.fetchFolderUnreadCountAndUnreadMessages(accessToken, source.value, 10)
+          }
+        })
+        .then(({ unreadCount, messages }) => {
+          mailboxActions.reduceService(
+            mailboxId,
+            MicrosoftDefaultService.type,
+            MicrosoftDefaultServiceReducer.setExtraUnreadInfo,
+            source.id,
+            unreadCount,
+            messages
+          )
+        })
+        .catch((err) => {
+          console.warn(`Failed to sync unread info for "${source.value}"`, err)
+          mailboxActions.reduceService(
+            mailboxId,
+            MicrosoftDefaultService.type,
+            MicrosoftDefaultServiceReducer.setExtraUnreadError,
+            source.id
+          )
+        })
+    }))
+  }
+
   handleSyncMailboxMailAfter ({ mailboxId, wait }) {
     setTimeout(() => {
       actions.syncMailboxMail.defer(mailboxId)
@@ -0,0 +1,7 @@
+import notificationHistoryActions from './notificationHistoryActions'
+import notificationHistoryStore from './notificationHistoryStore'
+
+export {
+  notificationHistoryActions,
+  notificationHistoryStore
+}
@@ -0,0 +1,42 @@
+import alt from '../alt'
+
+class NotificationHistoryActions {
+  /* **************************************************************************/
+  // Loading
+  /* **************************************************************************/
+
+  /**
+  * Indicates the store to drop all data and load from disk
+  */
+  load () { return {} }
+
+  /* **************************************************************************/
+  // Entries
+  /* **************************************************************************/
+
+  /**
+  * Records a notification that has been delivered
+  * @param entry: the history entry in the format
+  *   { id, mailboxId, serviceType, title, body, timestamp, data }
+  *   where data is the click target that can be used to re-open the item
+  */
+  record (entry) {
+    return { entry: entry }
+  }
+
+  /**
+  * Removes an entry from the history
+  * @param id: the id of the entry
+  */
+  removeEntry (id) {
+    return { id: id }
+  }
+
+  /**
+  * Removes all the entries from the history
+  */
+  clear () { return {} }
+}
+
+const actions = alt.createActions(NotificationHistoryActions)
+export default actions
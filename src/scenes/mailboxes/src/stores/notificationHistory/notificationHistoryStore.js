@@ -0,0 +1,115 @@
+import alt from '../alt'
+import actions from './notificationHistoryActions'
+import persistence from './notificationHistoryPersistence'
+import {
+  NOTIFICATION_HISTORY_MAX_ENTRIES,
+  NOTIFICATION_HISTORY_MAX_AGE
+} from 'shared/constants'
+
+class NotificationHistoryStore {
+  /* **************************************************************************/
+  // Lifecycle
+  /* **************************************************************************/
+
+  constructor () {
+    this.entries = []
+
+    /* ****************************************/
+    // Entries
+    /* ****************************************/
+
+    /**
+    * @return all the entries, newest first
+    */
+    this.allEntries = () => this.entries
+
+    /**
+    * @param id: the id of the entry
+    * @return the entry or null
+    */
+    this.getEntry = (id) => {
+      return this.entries.find((entry) => entry.id === id) || null
+    }
+
+    /**
+    * Searches the entries
+    * @param query: the text to look for in the title and body
+    * @param mailboxId=undefined: the id of the mailbox to limit to
+    * @return the matching entries, newest first
+    */
+    this.searchEntries = (query, mailboxId = undefined) => {
+      const term = (query || '').trim().toLowerCase()
+      return this.entries.filter((entry) => {
+        if (mailboxId && entry.mailboxId !== mailboxId) { return false }
+        if (!term) { return true }
+        return (entry.title || '').toLowerCase().indexOf(term) !== -1 ||
+          (entry.body || '').toLowerCase().indexOf(term) !== -1
+      })
+    }
+
+    /* ****************************************/
+    // Listeners
+    /* ****************************************/
+
+    this.bindListeners({
+      handleLoad: actions.LOAD,
+      handleRecord: actions.RECORD,
+      handleRemoveEntry: actions.REMOVE_ENTRY,
+      handleClear: actions.CLEAR
+    })
+  }
+
+  /* **************************************************************************/
+  // Utils
+  /* **************************************************************************/
+
+  /**
+  * Drops entries that are too old or over the limit, removing them from disk
+  */
+  _pruneEntries () {
+    const oldest = new Date().getTime() - NOTIFICATION_HISTORY_MAX_AGE
+    const keep = []
+    this.entries.forEach((entry, index) => {
+      if (index < NOTIFICATION_HISTORY_MAX_ENTRIES && entry.timestamp >= oldest) {
+        keep.push(entry)
+      } else {
+        persistence.removeItem(entry.id)
+      }
+    })
+    this.entries = keep
+  }
+
+  /* **************************************************************************/
+  // Handlers: Loading
+  /* **************************************************************************/
+
+  handleLoad () {
+    const allEntries = persistence.allJSONItemsSync()
+    this.entries = Object.keys(allEntries)
+      .map((id) => allEntries[id])
+      .sort((a, b) => b.timestamp - a.timestamp)
+    this._pruneEntries()
+  }
+
+  /* **************************************************************************/
+  // Handlers: Entries
+  /* **************************************************************************/
+
+  handleRecord ({ entry }) {
+    this.entries = [entry].concat(this.entries)
+    persistence.setJSONItem(entry.id, entry)
+    this._pruneEntries()
+  }
+
+  handleRemoveEntry ({ id }) {
+    this.entries = this.entries.filter((entry) => entry.id !== id)
+    persistence.removeItem(id)
+  }
+
+  handleClear () {
+    this.entries.forEach((entry) => persistence.removeItem(entry.id))
+    this.entries = []
+  }
+}
+
+export default alt.createStore(NotificationHistoryStore, 'NotificationHistoryStore')
@@ -0,0 +1,7 @@
+import resourceAlertActions from './resourceAlertActions'
+import resourceAlertStore from './resourceAlertStore'
+
+export {
+  resourceAlertActions,
+  resourceAlertStore
+}
@@ -0,0 +1,51 @@
+import alt from '../alt'
+import { ipcRenderer } from 'electron'
+import { WB_MAILBOXES_WINDOW_RESOURCE_ALERT } from 'shared/ipcEvents'
+
+class ResourceAlertActions {
+  /* **************************************************************************/
+  // Loading
+  /* **************************************************************************/
+
+  /**
+  * Indicates the store to drop all data and load from disk
+  */
+  load () { return {} }
+
+  /* **************************************************************************/
+  // Alerts
+  /* **************************************************************************/
+
+  /**
+  * Indicates a service has crossed one of its resource thresholds
+  * @param alert: the alert in the format
+  *   { mailboxId, serviceType, memory, cpu, overMemory, overCPU, action }
+  */
+  alertRaised (alert) {
+    return { alert: alert }
+  }
+
+  /* **************************************************************************/
+  // Log
+  /* **************************************************************************/
+
+  /**
+  * Removes an entry from the log
+  * @param id: the id of the entry
+  */
+  removeEntry (id) {
+    return { id: id }
+  }
+
+  /**
+  * Removes all the entries for a mailbox from the log
+  * @param mailboxId: the id of the mailbox
+  */
+  clearMailbox (mailboxId) {
+    return { mailboxId: mailboxId }
+  }
+}
+
+const actions = alt.createActions(ResourceAlertActions)
+ipcRenderer.on(WB_MAILBOXES_WINDOW_RESOURCE_ALERT, (evt, alert) => actions.alertRaised(alert))
+export default actions
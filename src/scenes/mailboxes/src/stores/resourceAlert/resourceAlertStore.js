@@ -0,0 +1,158 @@
+import alt from '../alt'
+import actions from './resourceAlertActions'
+import persistence from './resourceAlertPersistence'
+import mailboxStore from '../mailbox/mailboxStore'
+import mailboxActions from '../mailbox/mailboxActions'
+import mailboxDispatch from '../mailbox/mailboxDispatch'
+import CoreMailbox from 'shared/Models/Accounts/CoreMailbox'
+import { NotificationService } from 'Notifications'
+import { RESOURCE_ALERT_LOG_MAX_ENTRIES } from 'shared/constants'
+import uuid from 'uuid'
+
+class ResourceAlertStore {
+  /* **************************************************************************/
+  // Lifecycle
+  /* **************************************************************************/
+
+  constructor () {
+    this.entries = []
+
+    /* ****************************************/
+    // Entries
+    /* ****************************************/
+
+    /**
+    * @return all the entries, newest first
+    */
+    this.allEntries = () => this.entries
+
+    /**
+    * @param mailboxId: the id of the mailbox
+    * @return the entries for the mailbox, newest first
+    */
+    this.entriesForMailbox = (mailboxId) => {
+      return this.entries.filter((entry) => entry.mailboxId === mailboxId)
+    }
+
+    /* ****************************************/
+    // Listeners
+    /* ****************************************/
+
+    this.bindListeners({
+      handleLoad: actions.LOAD,
+      handleAlertRaised: actions.ALERT_RAISED,
+      handleRemoveEntry: actions.REMOVE_ENTRY,
+      handleClearMailbox: actions.CLEAR_MAILBOX
+    })
+  }
+
+  /* **************************************************************************/
+  // Utils
+  /* **************************************************************************/
+
+  /**
+  * Drops entries that are over the limit, removing them from disk
+  */
+  _pruneEntries () {
+    this.entries.slice(RESOURCE_ALERT_LOG_MAX_ENTRIES).forEach((entry) => {
+      persistence.removeItem(entry.id)
+    })
+    this.entries = this.entries.slice(0, RESOURCE_ALERT_LOG_MAX_ENTRIES)
+  }
+
+  /**
+  * Generates a human readable description of why the alert was raised
+  * @param entry: the log entry
+  * @return a description of the alert
+  */
+  _describeEntry (entry) {
+    const reasons = []
+    if (entry.overMemory) { reasons.push(`${entry.memory} MB of memory`) }
+    if (entry.overCPU) { reasons.push(`${entry.cpu}% CPU`) }
+
+    if (entry.action === CoreMailbox.RESOURCE_ALERT_ACTIONS.RELOAD) {
+      return `Using ${reasons.join(' and ')}. It has been reloaded`
+    } else if (entry.action === CoreMailbox.RESOURCE_ALERT_ACTIONS.SLEEP) {
+      return `Using ${reasons.join(' and ')}. It has been put to sleep`
+    } else {
+      return `Using ${reasons.join(' and ')}`
+    }
+  }
+
+  /* **************************************************************************/
+  // Handlers: Loading
+  /* **************************************************************************/
+
+  handleLoad () {
+    const allEntries = persistence.allJSONItemsSync()
+    this.entries = Object.keys(allEntries)
+      .map((id) => allEntries[id])
+      .sort((a, b) => b.timestamp - a.timestamp)
+    this._pruneEntries()
+  }
+
+  /* **************************************************************************/
+  // Handlers: Alerts
+  /* **************************************************************************/
+
+  handleAlertRaised ({ alert }) {
+    const mailbox = mailboxStore.getState().getMailbox(alert.mailboxId)
+    const service = mailbox ? mailbox.serviceForType(alert.serviceType) : undefined
+    const entry = {
+      id: uuid.v4(),
+      timestamp: new Date().getTime(),
+      mailboxId: alert.mailboxId,
+      serviceType: alert.serviceType,
+      accountName: mailbox ? mailbox.displayName : alert.mailboxId,
+      serviceName: service ? service.humanizedType : undefined,
+      memory: alert.memory,
+      cpu: alert.cpu,
+      overMemory: alert.overMemory,
+      overCPU: alert.overCPU,
+      action: alert.action
+    }
+    entry.description = this._describeEntry(entry)
+
+    // Log
+    this.entries = [entry].concat(this.entries)
+    persistence.setJSONItem(entry.id, entry)
+    this._pruneEntries()
+
+    // Notify
+    if (mailbox) {
+      const name = entry.serviceName && mailbox.hasAdditionalServices
+        ? `${entry.accountName} (${entry.serviceName})`
+        : entry.accountName
+      NotificationService.processResourceAlertNotification(mailbox, entry.serviceType, `${name} is using a lot of resources`, entry.description)
+    }
+
+    // Act
+    if (entry.action === CoreMailbox.RESOURCE_ALERT_ACTIONS.RELOAD) {
+      mailboxDispatch.reload(entry.mailboxId, entry.serviceType)
+    } else if (entry.action === CoreMailbox.RESOURCE_ALERT_ACTIONS.SLEEP) {
+      mailboxActions.sleepService.defer(entry.mailboxId, entry.serviceType)
+    }
+  }
+
+  /* **************************************************************************/
+  // Handlers: Log
+  /* **************************************************************************/
+
+  handleRemoveEntry ({ id }) {
+    this.entries = this.entries.filter((entry) => entry.id !== id)
+    persistence.removeItem(id)
+  }
+
+  handleClearMailbox ({ mailboxId }) {
+    this.entries = this.entries.filter((entry) => {
+      if (entry.mailboxId === mailboxId) {
+        persistence.removeItem(entry.id)
+        return false
+      } else {
+        return true
+      }
+    })
+  }
+}
+
+export default alt.createStore(ResourceAlertStore, 'ResourceAlertStore')
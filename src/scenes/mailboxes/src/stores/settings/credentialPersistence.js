@@ -0,0 +1,2 @@
+import StorageBucket from 'shared/AltStores/StorageBucket'
+export default new StorageBucket('credential')
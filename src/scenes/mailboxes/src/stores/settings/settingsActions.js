@@ -1,5 +1,6 @@
 import alt from '../alt'
 import { SEGMENTS } from 'shared/Models/Settings/SettingsIdent'
+import DndSchedules from 'shared/Models/Settings/DndSchedules'
 import {
   WB_MAILBOXES_WINDOW_TOGGLE_SIDEBAR,
   WB_MAILBOXES_WINDOW_TOGGLE_APP_MENU,
@@ -172,6 +173,28 @@ class SettingsActions {
     return this.update(SEGMENTS.OS, 'notificationsSilent', silent)
   }
 
+  /**
+  * @param schedules: the new list of do not disturb schedules
+  */
+  setNotificationsDndSchedules (schedules) {
+    return this.update(SEGMENTS.OS, 'notificationsDndSchedules', schedules)
+  }
+
+  /**
+  * Snoozes notifications
+  * @param mode: the snooze mode, one of DndSchedules.SNOOZE_MODES
+  */
+  snoozeNotifications (mode) {
+    return this.update(SEGMENTS.OS, 'notificationsSnoozeUntil', DndSchedules.snoozeUntil(mode))
+  }
+
+  /**
+  * Ends any notification snooze
+  */
+  clearNotificationsSnooze () {
+    return this.update(SEGMENTS.OS, 'notificationsSnoozeUntil', 0)
+  }
+
   /**
   * @param provider: the new provider to use
   */
@@ -193,6 +216,20 @@ class SettingsActions {
     return this.update(SEGMENTS.OS, 'openLinksInBackground', background)
   }
 
+  /**
+  * @param browsers: the new list of external browser profiles
+  */
+  setExternalBrowsers (browsers) {
+    return this.update(SEGMENTS.OS, 'externalBrowsers', browsers)
+  }
+
+  /**
+  * @param browserId: the id of the browser to open links with by default
+  */
+  setDefaultExternalBrowserId (browserId) {
+    return this.update(SEGMENTS.OS, 'defaultExternalBrowserId', browserId)
+  }
+
   /**
   * @param mode: the login open mode
   */
@@ -372,6 +409,27 @@ class SettingsActions {
     return this.update(SEGMENTS.APP, 'hasSeenSnapSetupMessage', seen)
   }
 
+  /**
+  * @param enabled: true to put services to sleep when memory usage is high
+  */
+  setSleepPolicyEnabled (enabled) {
+    return this.update(SEGMENTS.APP, 'sleepPolicyEnabled', enabled)
+  }
+
+  /**
+  * @param budget: the total memory budget in megabytes
+  */
+  setSleepMemoryBudget (budget) {
+    return this.update(SEGMENTS.APP, 'sleepMemoryBudget', budget)
+  }
+
+  /**
+  * @param count: the max number of services that can be awake at once or 0 for no limit
+  */
+  setSleepMaxAwakeServices (count) {
+    return this.update(SEGMENTS.APP, 'sleepMaxAwakeServices', count)
+  }
+
   /* **************************************************************************/
   // Tray
   /* **************************************************************************/
@@ -513,6 +571,50 @@ class SettingsActions {
   setExtensionToolbarBrowserActionLayout (layout) {
     return this.update(SEGMENTS.EXTENSION, 'toolbarBrowserActionLayout', layout)
   }
+
+  /**
+  * @param extensionId: the id of the extension
+  * @param mailboxIds: the ids of the mailboxes the extension can access or undefined to allow all
+  */
+  setExtensionAccountRestriction (extensionId, mailboxIds) {
+    return { extensionId: extensionId, mailboxIds: mailboxIds }
+  }
+
+  /**
+  * @param type: the type of target to sync extension storage to
+  */
+  setExtensionSyncTargetType (type) {
+    return this.update(SEGMENTS.EXTENSION, 'syncTargetType', type)
+  }
+
+  /**
+  * @param folderPath: the folder to sync extension storage to
+  */
+  setExtensionSyncFolderPath (folderPath) {
+    return this.update(SEGMENTS.EXTENSION, 'syncFolderPath', folderPath)
+  }
+
+  /**
+  * @param url: the url of the webdav folder to sync extension storage to
+  */
+  setExtensionSyncWebDAVUrl (url) {
+    return this.update(SEGMENTS.EXTENSION, 'syncWebDAVUrl', url)
+  }
+
+  /**
+  * @param username: the username for the webdav server
+  */
+  setExtensionSyncWebDAVUsername (username) {
+    return this.update(SEGMENTS.EXTENSION, 'syncWebDAVUsername', username)
+  }
+
+  /**
+  * Sets the webdav password. This is kept outside of the settings
+  * @param password: the password for the webdav server or an empty string to forget it
+  */
+  setExtensionSyncWebDAVPassword (password) {
+    return { password: password }
+  }
 }
 
 const actions = alt.createActions(SettingsActions)
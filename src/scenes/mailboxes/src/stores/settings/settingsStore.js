@@ -1,6 +1,7 @@
 import alt from '../alt'
 import actions from './settingsActions'
 import persistence from './settingsPersistence'
+import credentialPersistence from './credentialPersistence'
 import dictionaries from 'shared/dictionaries.js'
 import fs from 'fs'
 import {
@@ -14,7 +15,7 @@ import {
   UISettings,
   SettingsIdent
 } from 'shared/Models/Settings'
-import { NEWS_SYNC_PERIOD } from 'shared/constants'
+import { NEWS_SYNC_PERIOD, CREDENTIAL_KEYS } from 'shared/constants'
 import { TOUR_STEPS, TOUR_STEPS_ORDER } from './Tour'
 import WaveboxHTTP from 'Server/WaveboxHTTP'
 import { remote } from 'electron'
@@ -157,7 +158,10 @@ class SettingsStore {
 
       handleSetHasSeenAppWizard: actions.SET_HAS_SEEN_APP_WIZARD,
       handleSetSpellcheckerLanguage: actions.SET_SPELLCHECKER_LANGUAGE,
-      handleSetSecondarySpellcheckerLanguage: actions.SET_SECONDARY_SPELLCHECKER_LANGUAGE
+      handleSetSecondarySpellcheckerLanguage: actions.SET_SECONDARY_SPELLCHECKER_LANGUAGE,
+
+      handleSetExtensionAccountRestriction: actions.SET_EXTENSION_ACCOUNT_RESTRICTION,
+      handleSetExtensionSyncWebDAVPassword: actions.SET_EXTENSION_SYNC_WEB_DAVPASSWORD
     })
   }
 
@@ -358,6 +362,35 @@ class SettingsStore {
     }
   }
 
+  /* **************************************************************************/
+  // Changing : Extensions
+  /* **************************************************************************/
+
+  handleSetExtensionAccountRestriction ({ extensionId, mailboxIds }) {
+    const restrictions = Object.assign({}, this.extension.accountRestrictions)
+    if (mailboxIds) {
+      restrictions[extensionId] = mailboxIds
+    } else {
+      delete restrictions[extensionId]
+    }
+    this.handleUpdate({
+      segment: SettingsIdent.SEGMENTS.EXTENSION,
+      updates: { accountRestrictions: restrictions }
+    })
+  }
+
+  handleSetExtensionSyncWebDAVPassword ({ password }) {
+    if (password) {
+      credentialPersistence.setItem(CREDENTIAL_KEYS.EXTENSION_SYNC_WEBDAV_PASSWORD, password)
+    } else {
+      credentialPersistence.removeItem(CREDENTIAL_KEYS.EXTENSION_SYNC_WEBDAV_PASSWORD)
+    }
+    this.handleUpdate({
+      segment: SettingsIdent.SEGMENTS.EXTENSION,
+      updates: { hasSyncWebDAVPassword: !!password }
+    })
+  }
+
   /* **************************************************************************/
   // Changing : Spellchecker
   /* **************************************************************************/
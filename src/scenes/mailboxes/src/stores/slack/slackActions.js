@@ -77,6 +77,19 @@ class SlackActions {
     }
   }
 
+  /**
+  * Checks a message that came off the RTM against the notification filters and
+  * sends a notification if one is forced
+  * @param mailboxId: the id of the mailbox
+  * @param message: the message that came off slack
+  */
+  scheduleMessageNotification (mailboxId, message) {
+    return {
+      mailboxId: mailboxId,
+      message: message
+    }
+  }
+
   /**
   * Schedules a html5 notification
   * @param mailboxId: the id of the mailbox
@@ -115,6 +115,7 @@ class SlackStore {
       handleUpdateUnreadCounts: actions.UPDATE_UNREAD_COUNTS,
 
       handleScheduleNotification: actions.SCHEDULE_NOTIFICATION,
+      handleScheduleMessageNotification: actions.SCHEDULE_MESSAGE_NOTIFICATION,
       handleScheduleHTML5Notification: actions.SCHEDULE_HTML5NOTIFICATION
     })
   }
@@ -263,6 +264,7 @@ class SlackStore {
         })
         rtm.on('message:message', (data) => {
           mailboxActions.reduceService(mailboxId, SlackDefaultService.type, SlackDefaultServiceReducer.rtmMessage, data)
+          actions.scheduleMessageNotification.defer(mailboxId, data)
         })
 
         // Save the connection
@@ -451,18 +453,38 @@ class SlackStore {
   * Checks if the mailbox has its notifications enabled
   * @param mailboxId: the id of the mailbox
   * @param mailboxState=autoget: the mailbox state
-  * @return true if notifications are enabled, false otherwise
+  * @return true if notifications are enabled or may be enabled by the notification rules, false otherwise
   */
   _mailboxHasNotificationsEnabled (mailboxId, mailboxState = mailboxStore.getState()) {
     const mailbox = mailboxState.getMailbox(mailboxId)
     if (!mailbox) { return false }
     const service = mailbox.defaultService
     if (!service) { return false }
-    if (!service.showNotifications) { return false }
+    if (!service.showNotifications && !service.hasNotificationRules) { return false }
 
     return true
   }
 
+  /**
+  * Checks if the user is currently looking at a channel
+  * @param mailboxId: the id of the mailbox
+  * @param channelId: the id of the channel
+  * @param dmName: the name of the user for direct messages
+  * @param mailboxState=autoget: the mailbox state
+  * @return true if the channel is on screen
+  */
+  _isViewingChannel (mailboxId, channelId, dmName, mailboxState = mailboxStore.getState()) {
+    if (!remote.getCurrentWindow().isFocused()) { return false }
+    if (mailboxState.activeMailboxId() !== mailboxId) { return false }
+
+    const currentUrl = mailboxDispatch.getCurrentUrl(mailboxId, SlackDefaultService.type) || ''
+    if (currentUrl.indexOf(channelId) !== -1) { return true }
+    if (channelId.indexOf('D') === 0 && dmName) { // Handle DMs differently
+      if (currentUrl.indexOf('@' + dmName.toLowerCase()) !== -1) { return true }
+    }
+    return false
+  }
+
   handleScheduleNotification ({ mailboxId, message }) {
     this.preventDefault() // no change in this store
 
@@ -474,20 +496,21 @@ class SlackStore {
     if (this._hasPublishedNotification(slackNotificationId)) { return }
     this._markNotificationPublished(slackNotificationId)
 
-    // Check to see if we're active and in the channel
-    if (remote.getCurrentWindow().isFocused()) {
-      if (mailboxState.activeMailboxId() === mailboxId) {
-        const currentUrl = mailboxDispatch.getCurrentUrl(mailboxId, SlackDefaultService.type) || ''
-        if (currentUrl.indexOf(message.channel) !== -1) { return }
-        if (message.channel.indexOf('D') === 0) { // Handle DMs differently
-          if (currentUrl.indexOf('@' + message.subtitle.toLowerCase()) !== -1) { return }
-        }
-      }
+    // Check the user filters
+    const service = mailboxState.getMailbox(mailboxId).defaultService
+    const channelName = service.channelName(message.channel) || message.subtitle
+    if (service.evaluateNotificationFilters(message.channel, message.content, channelName) === SlackDefaultService.NOTIFICATION_FILTER_RESULTS.SUPPRESS) {
+      return
     }
 
+    // Check to see if we're active and in the channel
+    if (this._isViewingChannel(mailboxId, message.channel, message.subtitle, mailboxState)) { return }
+
     NotificationService.processPushedMailboxNotification(mailboxId, SlackDefaultService.type, {
       title: `${message.title} ${message.subtitle}`,
       body: [{ content: message.content }],
+      sender: message.channel.indexOf('D') === 0 ? message.subtitle : undefined,
+      channels: [message.channel, message.subtitle],
       data: {
         mailboxId: mailboxId,
         serviceType: SlackDefaultService.type,
@@ -497,6 +520,49 @@ class SlackStore {
     })
   }
 
+  handleScheduleMessageNotification ({ mailboxId, message }) {
+    this.preventDefault() // no change in this store
+
+    const mailboxState = mailboxStore.getState()
+    if (!this._mailboxHasNotificationsEnabled(mailboxId, mailboxState)) { return }
+    const mailbox = mailboxState.getMailbox(mailboxId)
+    const service = mailbox.defaultService
+    if (!service.hasNotificationForceFilters) { return }
+
+    // Only look at new messages from other people
+    if (!message.channel || !message.ts || message.hidden) { return }
+    if (message.subtype && message.subtype !== 'bot_message') { return }
+    if (mailbox.hasSelfOverview && mailbox.selfOverview.id === message.user) { return }
+
+    const channelName = service.channelName(message.channel)
+    if (service.evaluateNotificationFilters(message.channel, message.text, channelName) !== SlackDefaultService.NOTIFICATION_FILTER_RESULTS.NOTIFY) {
+      return
+    }
+    if (this._hasPublishedNotification(message.ts)) { return }
+
+    // Slack will send a richer desktop notification for channels that aren't muted, so hold out to see if that comes
+    const delay = service.isChannelMuted(message.channel) ? 0 : HTML5_NOTIFICATION_DELAY
+    setTimeout(() => {
+      if (this._hasPublishedNotification(message.ts, false)) { return }
+      this._markNotificationPublished(message.ts)
+      if (this._isViewingChannel(mailboxId, message.channel, channelName)) { return }
+
+      const isDM = message.channel.indexOf('D') === 0
+      const displayName = channelName ? (isDM ? `@${channelName}` : `#${channelName}`) : 'Slack'
+      NotificationService.processPushedMailboxNotification(mailboxId, SlackDefaultService.type, {
+        title: `New message in ${displayName}`,
+        body: [{ content: message.text || '' }],
+        sender: isDM ? channelName : undefined,
+        channels: [message.channel, channelName].filter((c) => !!c),
+        data: {
+          mailboxId: mailboxId,
+          serviceType: SlackDefaultService.type,
+          channelId: message.channel
+        }
+      })
+    }, delay)
+  }
+
   handleScheduleHTML5Notification ({ mailboxId, notificationId, notification, clickHandler }) {
     this.preventDefault() // no change in this store
     if (!this._mailboxHasNotificationsEnabled(mailboxId)) { return }
@@ -0,0 +1,8 @@
+const IMPORT_MODES = Object.freeze({
+  REPLACE: 'REPLACE',
+  MERGE: 'MERGE'
+})
+
+module.exports = {
+  IMPORT_MODES
+}
@@ -0,0 +1,116 @@
+import crypto from 'crypto'
+
+const FORMAT = 'wavebox-encrypted-takeout'
+const KDF_DIGEST = 'sha512'
+const KDF_ITERATIONS = 200000
+const KDF_SALT_BYTES = 32
+const KEY_BYTES = 32
+const CIPHER = 'aes-256-gcm'
+const IV_BYTES = 12
+
+class TakeoutEncryption {
+  /* **************************************************************************/
+  // Utils
+  /* **************************************************************************/
+
+  /**
+  * Checks if some parsed takeout data is an encrypted bundle
+  * @param data: the parsed data
+  * @return true if the data is encrypted
+  */
+  static isEncrypted (data) {
+    return !!data && data.format === FORMAT
+  }
+
+  /**
+  * Derives a key from a passphrase
+  * @param passphrase: the passphrase to derive from
+  * @param salt: the salt buffer
+  * @param iterations: the number of iterations
+  * @param digest: the digest to use
+  * @return promise with the key buffer
+  */
+  static _deriveKey (passphrase, salt, iterations, digest) {
+    return new Promise((resolve, reject) => {
+      crypto.pbkdf2(passphrase, salt, iterations, KEY_BYTES, digest, (err, key) => {
+        if (err) {
+          reject(err)
+        } else {
+          resolve(key)
+        }
+      })
+    })
+  }
+
+  /* **************************************************************************/
+  // Encryption
+  /* **************************************************************************/
+
+  /**
+  * Encrypts a plaintext string into a bundle
+  * @param plaintext: the string to encrypt
+  * @param passphrase: the passphrase to encrypt with
+  * @param version: the app version that created the bundle
+  * @return promise with the json-able bundle
+  */
+  static encrypt (plaintext, passphrase, version) {
+    const salt = crypto.randomBytes(KDF_SALT_BYTES)
+    const iv = crypto.randomBytes(IV_BYTES)
+
+    return Promise.resolve()
+      .then(() => this._deriveKey(passphrase, salt, KDF_ITERATIONS, KDF_DIGEST))
+      .then((key) => {
+        const cipher = crypto.createCipheriv(CIPHER, key, iv)
+        const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()])
+        return {
+          format: FORMAT,
+          version: version,
+          kdf: {
+            name: 'pbkdf2',
+            digest: KDF_DIGEST,
+            iterations: KDF_ITERATIONS,
+            salt: salt.toString('base64')
+          },
+          cipher: {
+            name: CIPHER,
+            iv: iv.toString('base64'),
+            tag: cipher.getAuthTag().toString('base64')
+          },
+          data: data.toString('base64')
+        }
+      })
+  }
+
+  /**
+  * Decrypts a bundle
+  * @param bundle: the encrypted bundle
+  * @param passphrase: the passphrase to decrypt with
+  * @return promise with the plaintext string. Rejects if the passphrase is
+  * wrong or the bundle has been tampered with
+  */
+  static decrypt (bundle, passphrase) {
+    return Promise.resolve()
+      .then(() => {
+        if (!bundle.kdf || bundle.kdf.name !== 'pbkdf2' || !bundle.cipher || bundle.cipher.name !== CIPHER) {
+          return Promise.reject(new Error('Unsupported encryption format'))
+        }
+        const salt = Buffer.from(bundle.kdf.salt, 'base64')
+        return this._deriveKey(passphrase, salt, bundle.kdf.iterations, bundle.kdf.digest)
+      })
+      .then((key) => {
+        try {
+          const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(bundle.cipher.iv, 'base64'))
+          decipher.setAuthTag(Buffer.from(bundle.cipher.tag, 'base64'))
+          const plaintext = Buffer.concat([
+            decipher.update(Buffer.from(bundle.data, 'base64')),
+            decipher.final()
+          ])
+          return Promise.resolve(plaintext.toString('utf8'))
+        } catch (ex) {
+          return Promise.reject(new Error('Incorrect passphrase'))
+        }
+      })
+  }
+}
+
+export default TakeoutEncryption
@@ -0,0 +1,168 @@
+import MailboxFactory from 'shared/Models/Accounts/MailboxFactory'
+import { SEGMENTS } from 'shared/Models/Settings/SettingsIdent'
+import { PERSISTENCE_INDEX_KEY } from 'shared/constants'
+import semver from 'semver'
+import pkg from 'package.json'
+
+const TAKEOUT_VERSION = 2
+const MAILBOXES_DB = 'mailboxes_db.json'
+const AVATAR_DB = 'avatar_db.json'
+const SETTINGS_DB = 'settings_db.json'
+
+class TakeoutMigrations {
+  /* **************************************************************************/
+  // Class
+  /* **************************************************************************/
+
+  static get TAKEOUT_VERSION () { return TAKEOUT_VERSION }
+  static get MAILBOXES_DB () { return MAILBOXES_DB }
+  static get AVATAR_DB () { return AVATAR_DB }
+  static get SETTINGS_DB () { return SETTINGS_DB }
+
+  /* **************************************************************************/
+  // Validation
+  /* **************************************************************************/
+
+  /**
+  * Checks that the takeout data can be imported into this version of the app
+  * @param data: the parsed takeout data
+  * @return an error message if the data can't be imported or undefined if it can
+  */
+  static validate (data) {
+    if (!data || typeof (data) !== 'object' || !data.stores || typeof (data.stores) !== 'object') {
+      return 'Invalid file format'
+    }
+    if (!data.version || !semver.valid(data.version)) {
+      return 'This file does not contain a valid Wavebox version'
+    }
+    if (semver.gt(data.version, pkg.version)) {
+      return `This file was exported from Wavebox ${data.version}. Update Wavebox to at least this version to import it`
+    }
+    if ((data.takeoutVersion || 1) > TAKEOUT_VERSION) {
+      return 'This file was exported using a newer format. Update Wavebox to import it'
+    }
+    return undefined
+  }
+
+  /* **************************************************************************/
+  // Migration
+  /* **************************************************************************/
+
+  /**
+  * Migrates takeout data to the current format version and sanitizes it
+  * against the models. The data should be validated first
+  * @param data: the parsed takeout data
+  * @return a new copy of the data in the current format
+  */
+  static migrate (data) {
+    let migrated = JSON.parse(JSON.stringify(data))
+    let version = migrated.takeoutVersion || 1
+
+    if (version < 2) {
+      migrated = this._migrateV1toV2(migrated)
+      version = 2
+    }
+
+    migrated.takeoutVersion = version
+    return this._sanitize(migrated)
+  }
+
+  /**
+  * Migrates v1 data. v1 stored badge & notification settings on the mailbox
+  * rather than the service, so push these down into each service
+  * @param data: the v1 data
+  * @return the v2 data
+  */
+  static _migrateV1toV2 (data) {
+    const mailboxes = data.stores[MAILBOXES_DB] || {}
+    Object.keys(mailboxes).forEach((id) => {
+      if (id === PERSISTENCE_INDEX_KEY) { return }
+
+      let mailboxJS
+      try {
+        mailboxJS = JSON.parse(mailboxes[id])
+      } catch (ex) {
+        return
+      }
+      const mailbox = MailboxFactory.modelize(id, mailboxJS)
+      if (!mailbox) { return }
+
+      mailboxJS.services = mailbox.enabledServices.map((service) => {
+        const serviceJS = service.cloneData()
+        const migrationData = mailbox.buildMailboxToServiceMigrationData(service.type)
+        Object.keys(migrationData).forEach((k) => {
+          if (serviceJS[k] === undefined && migrationData[k] !== undefined) {
+            serviceJS[k] = migrationData[k]
+          }
+        })
+        return serviceJS
+      })
+      mailboxes[id] = JSON.stringify(mailboxJS)
+    })
+
+    return Object.assign(data, { takeoutVersion: 2 })
+  }
+
+  /**
+  * Sanitizes the data by removing anything that the models can't load
+  * @param data: the data to sanitize
+  * @return the sanitized data
+  */
+  static _sanitize (data) {
+    const stores = data.stores
+
+    // Mailboxes
+    const rawMailboxes = stores[MAILBOXES_DB] || {}
+    const mailboxes = Object.keys(rawMailboxes).reduce((acc, id) => {
+      if (id === PERSISTENCE_INDEX_KEY) { return acc }
+      try {
+        const mailboxJS = JSON.parse(rawMailboxes[id])
+        const mailbox = MailboxFactory.modelize(id, mailboxJS)
+        if (mailbox) {
+          const supported = new Set(mailbox.supportedServiceTypes)
+          mailboxJS.id = id
+          mailboxJS.services = (mailboxJS.services || []).filter((s) => supported.has(s.type))
+          acc[id] = JSON.stringify(mailboxJS)
+        }
+      } catch (ex) { }
+      return acc
+    }, {})
+    let index
+    try {
+      index = JSON.parse(rawMailboxes[PERSISTENCE_INDEX_KEY])
+    } catch (ex) { }
+    index = (Array.isArray(index) ? index : Object.keys(mailboxes)).filter((id) => !!mailboxes[id])
+    mailboxes[PERSISTENCE_INDEX_KEY] = JSON.stringify(index)
+
+    // Avatars
+    const rawAvatars = stores[AVATAR_DB] || {}
+    const avatars = Object.keys(rawAvatars).reduce((acc, id) => {
+      if (typeof (rawAvatars[id]) === 'string') {
+        acc[id] = rawAvatars[id]
+      }
+      return acc
+    }, {})
+
+    // Settings
+    const rawSettings = stores[SETTINGS_DB] || {}
+    const validSegments = new Set(Object.keys(SEGMENTS).map((k) => SEGMENTS[k]))
+    const settings = Object.keys(rawSettings).reduce((acc, segment) => {
+      if (!validSegments.has(segment)) { return acc }
+      try {
+        JSON.parse(rawSettings[segment])
+        acc[segment] = rawSettings[segment]
+      } catch (ex) { }
+      return acc
+    }, {})
+
+    return Object.assign({}, data, {
+      stores: {
+        [MAILBOXES_DB]: mailboxes,
+        [AVATAR_DB]: avatars,
+        [SETTINGS_DB]: settings
+      }
+    })
+  }
+}
+
+export default TakeoutMigrations
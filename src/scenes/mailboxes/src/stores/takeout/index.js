@@ -1,7 +1,9 @@
 import takeoutActions from './takeoutActions'
 import takeoutStore from './takeoutStore'
+import Takeout from './Takeout'
 
 export {
   takeoutActions,
-  takeoutStore
+  takeoutStore,
+  Takeout
 }
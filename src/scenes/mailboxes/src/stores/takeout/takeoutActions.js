@@ -1,19 +1,57 @@
 import alt from '../alt'
 
 class TakeoutActions {
+  /* **************************************************************************/
+  // Export
+  /* **************************************************************************/
+
   /**
   * Exports the data to disk with a file picker dialog etc
+  * @param selection=undefined: the data to export in the format
+  *   { mailboxes: { mailboxId: [serviceTypes] }, settings: [segments] }.
+  *   If undefined everything is exported
+  * @param passphrase=undefined: the passphrase to encrypt the export with. If
+  *   undefined the export is written unencrypted
   */
-  exportDataToDisk () {
-    return {}
+  exportDataToDisk (selection = undefined, passphrase = undefined) {
+    return { selection: selection, passphrase: passphrase }
   }
 
+  /* **************************************************************************/
+  // Import
+  /* **************************************************************************/
+
   /**
   * Imports the data from disk with a file picker dialog etc
   */
   importDataFromDisk () {
     return {}
   }
+
+  /**
+  * Unlocks an encrypted import that is waiting for a passphrase
+  * @param passphrase: the passphrase to unlock with
+  */
+  unlockPendingImport (passphrase) {
+    return { passphrase: passphrase }
+  }
+
+  /**
+  * Applies the pending import and relaunches the app
+  * @param mode: the import mode, one of Takeout.IMPORT_MODES
+  * @param selection: the data to import in the format
+  *   { mailboxes: { mailboxId: [serviceTypes] }, settings: [segments] }
+  */
+  applyPendingImport (mode, selection) {
+    return { mode: mode, selection: selection }
+  }
+
+  /**
+  * Cancels the pending import, including any import waiting to be unlocked
+  */
+  cancelPendingImport () {
+    return {}
+  }
 }
 
 const actions = alt.createActions(TakeoutActions)
@@ -4,12 +4,19 @@ import fs from 'fs'
 import path from 'path'
 import settingsStore from 'stores/settings/settingsStore'
 import mailboxStore from 'stores/mailbox/mailboxStore'
+import TakeoutMigrations from './TakeoutMigrations'
+import TakeoutEncryption from './TakeoutEncryption'
+import { IMPORT_MODES } from './Takeout'
+import { PERSISTENCE_INDEX_KEY, SERVICE_LOCAL_AVATAR_PREFIX } from 'shared/constants'
+import CoreMailbox from 'shared/Models/Accounts/CoreMailbox'
 import { WB_RELAUNCH_APP } from 'shared/ipcEvents'
 import { remote, ipcRenderer } from 'electron'
 import pkg from 'package.json'
 import RuntimePaths from 'Runtime/RuntimePaths'
+import uuid from 'uuid'
 
 const { dialog } = remote
+const { MAILBOXES_DB, AVATAR_DB, SETTINGS_DB } = TakeoutMigrations
 
 class TakeoutStore {
   /* **************************************************************************/
@@ -17,35 +24,187 @@ class TakeoutStore {
   /* **************************************************************************/
 
   constructor () {
+    this.pendingImport = null
+    this.pendingUnlock = null
+
+    /* ****************************************/
+    // Export
+    /* ****************************************/
+
     /**
     * Exports the data
+    * @param selection=undefined: the selection to export or undefined to export everything
     * @return a plain json-able object that can be re-imported
     */
-    this.exportData = () => {
+    this.exportData = (selection = undefined) => {
+      const stores = {
+        [MAILBOXES_DB]: mailboxStore.getState().exportMailboxDataSync(),
+        [AVATAR_DB]: mailboxStore.getState().exportAvatarDataSync(),
+        [SETTINGS_DB]: settingsStore.getState().exportDataSync()
+      }
+
       return {
         version: pkg.version,
-        stores: {
-          'mailboxes_db.json': mailboxStore.getState().exportMailboxDataSync(),
-          'avatar_db.json': mailboxStore.getState().exportAvatarDataSync(),
-          'settings_db.json': settingsStore.getState().exportDataSync()
-        }
+        takeoutVersion: TakeoutMigrations.TAKEOUT_VERSION,
+        stores: selection ? TakeoutStore.filterStores(stores, selection) : stores
       }
     }
 
+    /* ****************************************/
+    // Import
+    /* ****************************************/
+
+    /**
+    * @return true if there is an import waiting to be applied
+    */
+    this.hasPendingImport = () => { return this.pendingImport !== null }
+
+    /**
+    * @return true if there is an encrypted import waiting to be unlocked
+    */
+    this.hasPendingUnlock = () => { return this.pendingUnlock !== null }
+
     /* ****************************************/
     // Listeners
     /* ****************************************/
+
     this.bindListeners({
       handleExportDataToDisk: actions.EXPORT_DATA_TO_DISK,
-      handleImportDataFromDisk: actions.IMPORT_DATA_FROM_DISK
+      handleImportDataFromDisk: actions.IMPORT_DATA_FROM_DISK,
+      handleUnlockPendingImport: actions.UNLOCK_PENDING_IMPORT,
+      handleApplyPendingImport: actions.APPLY_PENDING_IMPORT,
+      handleCancelPendingImport: actions.CANCEL_PENDING_IMPORT
+    })
+  }
+
+  /* **************************************************************************/
+  // Utils
+  /* **************************************************************************/
+
+  /**
+  * Filters a set of stores down to the given selection
+  * @param stores: the stores to filter
+  * @param selection: the selection in the format
+  *   { mailboxes: { mailboxId: [serviceTypes] }, settings: [segments] }
+  * @return a new set of stores with only the selected data
+  */
+  static filterStores (stores, selection) {
+    const mailboxSelection = selection.mailboxes || {}
+    const rawMailboxes = stores[MAILBOXES_DB] || {}
+    const rawAvatars = stores[AVATAR_DB] || {}
+    const rawSettings = stores[SETTINGS_DB] || {}
+
+    // Mailboxes
+    const avatarIds = new Set()
+    const mailboxes = Object.keys(mailboxSelection).reduce((acc, id) => {
+      if (!rawMailboxes[id]) { return acc }
+      const mailboxJS = JSON.parse(rawMailboxes[id])
+      const serviceTypes = new Set([CoreMailbox.SERVICE_TYPES.DEFAULT].concat(mailboxSelection[id]))
+      mailboxJS.services = (mailboxJS.services || []).filter((s) => serviceTypes.has(s.type))
+      if (mailboxJS.customAvatar) { avatarIds.add(mailboxJS.customAvatar) }
+      if (mailboxJS.serviceLocalAvatar) { avatarIds.add(mailboxJS.serviceLocalAvatar) }
+      acc[id] = JSON.stringify(mailboxJS)
+      return acc
+    }, {})
+    let index = []
+    try {
+      index = JSON.parse(rawMailboxes[PERSISTENCE_INDEX_KEY]) || []
+    } catch (ex) { }
+    mailboxes[PERSISTENCE_INDEX_KEY] = JSON.stringify(index.filter((id) => !!mailboxes[id]))
+
+    // Avatars
+    const avatars = Array.from(avatarIds).reduce((acc, id) => {
+      if (rawAvatars[id]) { acc[id] = rawAvatars[id] }
+      return acc
+    }, {})
+
+    // Settings
+    const settings = (selection.settings || []).reduce((acc, segment) => {
+      if (rawSettings[segment]) { acc[segment] = rawSettings[segment] }
+      return acc
+    }, {})
+
+    return {
+      [MAILBOXES_DB]: mailboxes,
+      [AVATAR_DB]: avatars,
+      [SETTINGS_DB]: settings
+    }
+  }
+
+  /**
+  * Re-ids any mailboxes that conflict with the mailboxes we already have. The avatars
+  * of re-ided mailboxes are also given new ids so they don't overwrite the originals
+  * @param stores: the stores to re-id
+  * @return a new set of stores with conflicting ids changed
+  */
+  static reidConflictingMailboxes (stores) {
+    const existingIds = new Set(mailboxStore.getState().mailboxIds())
+    const rawMailboxes = stores[MAILBOXES_DB]
+    const idMap = Object.keys(rawMailboxes).reduce((acc, id) => {
+      if (id === PERSISTENCE_INDEX_KEY) { return acc }
+      acc[id] = existingIds.has(id) ? CoreMailbox.provisionId() : id
+      return acc
+    }, {})
+
+    const avatarIdMap = {}
+    const mailboxes = Object.keys(idMap).reduce((acc, id) => {
+      const mailboxJS = JSON.parse(rawMailboxes[id])
+      if (idMap[id] !== id) {
+        if (mailboxJS.customAvatar) {
+          avatarIdMap[mailboxJS.customAvatar] = uuid.v4()
+          mailboxJS.customAvatar = avatarIdMap[mailboxJS.customAvatar]
+        }
+        if (mailboxJS.serviceLocalAvatar) {
+          avatarIdMap[mailboxJS.serviceLocalAvatar] = SERVICE_LOCAL_AVATAR_PREFIX + uuid.v4()
+          mailboxJS.serviceLocalAvatar = avatarIdMap[mailboxJS.serviceLocalAvatar]
+        }
+      }
+      mailboxJS.id = idMap[id]
+      acc[idMap[id]] = JSON.stringify(mailboxJS)
+      return acc
+    }, {})
+    const index = JSON.parse(rawMailboxes[PERSISTENCE_INDEX_KEY])
+    mailboxes[PERSISTENCE_INDEX_KEY] = JSON.stringify(index.map((id) => idMap[id]))
+
+    const rawAvatars = stores[AVATAR_DB] || {}
+    const avatars = Object.keys(rawAvatars).reduce((acc, id) => {
+      acc[avatarIdMap[id] || id] = rawAvatars[id]
+      return acc
+    }, {})
+
+    return Object.assign({}, stores, {
+      [MAILBOXES_DB]: mailboxes,
+      [AVATAR_DB]: avatars
     })
   }
 
+  /**
+  * Validates and migrates some plain takeout data ready for the user to pick what to import
+  * @param filename: the filename the data came from
+  * @param data: the parsed takeout data
+  * @return true if the data is ready to import, false otherwise
+  */
+  preparePendingImport (filename, data) {
+    const validationError = TakeoutMigrations.validate(data)
+    if (validationError) {
+      window.alert(validationError)
+      return false
+    }
+
+    this.pendingImport = {
+      filename: filename,
+      version: data.version,
+      data: TakeoutMigrations.migrate(data)
+    }
+    return true
+  }
+
   /* **************************************************************************/
   // Handlers: Export
   /* **************************************************************************/
 
-  handleExportDataToDisk () {
+  handleExportDataToDisk ({ selection, passphrase }) {
+    this.preventDefault()
     const now = new Date()
     dialog.showSaveDialog(remote.getCurrentWindow(), {
       title: 'Wavebox Export',
@@ -53,12 +212,28 @@ class TakeoutStore {
       buttonLabel: 'Export'
     }, (filename) => {
       if (!filename) { return }
-      const data = JSON.stringify(this.exportData())
-      fs.writeFile(filename, data, () => { /* no-op */ })
+      const data = JSON.stringify(this.exportData(selection))
+      if (passphrase) {
+        TakeoutEncryption.encrypt(data, passphrase, pkg.version)
+          .then((bundle) => {
+            fs.writeFile(filename, JSON.stringify(bundle), () => { /* no-op */ })
+          })
+          .catch((err) => {
+            console.error('[TAKEOUT ERR]', err)
+            window.alert('Unable to encrypt export')
+          })
+      } else {
+        fs.writeFile(filename, data, () => { /* no-op */ })
+      }
     })
   }
 
+  /* **************************************************************************/
+  // Handlers: Import
+  /* **************************************************************************/
+
   handleImportDataFromDisk () {
+    this.preventDefault()
     dialog.showOpenDialog(remote.getCurrentWindow(), {
       title: 'Wavebox Import',
       buttonLabel: 'Import',
@@ -82,17 +257,92 @@ class TakeoutStore {
           return
         }
 
-        Object.keys(data.stores).forEach((name) => {
-          // Skip filenames with \ or / in the name
-          if (name.indexOf('/') !== -1 || name.indexOf('\\') !== -1) { return }
-          const writePath = path.join(RuntimePaths.DB_DIR_PATH, `${name}.import`)
-          const writeData = JSON.stringify(data.stores[name])
-          fs.writeFileSync(writePath, writeData)
-        })
+        if (TakeoutEncryption.isEncrypted(data)) {
+          this.pendingUnlock = {
+            filename: filename,
+            bundle: data,
+            inflight: false,
+            error: null
+          }
+          this.emitChange()
+          window.location.hash = '/takeout/unlock'
+        } else if (this.preparePendingImport(filename, data)) {
+          this.emitChange()
+          window.location.hash = '/takeout/import'
+        }
+      })
+    })
+  }
+
+  handleUnlockPendingImport ({ passphrase }) {
+    if (!this.pendingUnlock || this.pendingUnlock.inflight) {
+      this.preventDefault()
+      return
+    }
+
+    const { filename, bundle } = this.pendingUnlock
+    this.pendingUnlock = { ...this.pendingUnlock, inflight: true, error: null }
 
-        ipcRenderer.send(WB_RELAUNCH_APP, { })
+    Promise.resolve()
+      .then(() => TakeoutEncryption.decrypt(bundle, passphrase))
+      .then((plaintext) => {
+        let data
+        try {
+          data = JSON.parse(plaintext)
+        } catch (ex) {
+          return Promise.reject(new Error('Invalid file format'))
+        }
+
+        this.pendingUnlock = null
+        if (this.preparePendingImport(filename, data)) {
+          window.location.hash = '/takeout/import'
+        } else {
+          window.location.hash = '/settings'
+        }
+        this.emitChange()
       })
+      .catch((err) => {
+        if (!this.pendingUnlock) { return }
+        this.pendingUnlock = { ...this.pendingUnlock, inflight: false, error: err.message }
+        this.emitChange()
+      })
+  }
+
+  handleApplyPendingImport ({ mode, selection }) {
+    if (!this.pendingImport) {
+      this.preventDefault()
+      return
+    }
+
+    const selected = TakeoutStore.filterStores(this.pendingImport.data.stores, selection)
+    let writes
+    if (mode === IMPORT_MODES.MERGE) {
+      const stores = TakeoutStore.reidConflictingMailboxes(selected)
+      writes = [
+        { name: MAILBOXES_DB, ext: 'merge', data: stores[MAILBOXES_DB] },
+        { name: AVATAR_DB, ext: 'merge', data: stores[AVATAR_DB] },
+        { name: SETTINGS_DB, ext: 'merge', data: stores[SETTINGS_DB] }
+      ]
+    } else {
+      writes = [
+        { name: MAILBOXES_DB, ext: 'import', data: selected[MAILBOXES_DB] },
+        { name: AVATAR_DB, ext: 'import', data: selected[AVATAR_DB] },
+        { name: SETTINGS_DB, ext: 'import', data: selected[SETTINGS_DB] }
+      ]
+    }
+
+    writes.forEach(({ name, ext, data }) => {
+      const writePath = path.join(RuntimePaths.DB_DIR_PATH, `${name}.${ext}`)
+      fs.writeFileSync(writePath, JSON.stringify(data))
     })
+
+    this.pendingImport = null
+    ipcRenderer.send(WB_RELAUNCH_APP, { })
+  }
+
+  handleCancelPendingImport () {
+    this.pendingImport = null
+    this.pendingUnlock = null
   }
 }
 
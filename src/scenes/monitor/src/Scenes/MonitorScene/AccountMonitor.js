@@ -0,0 +1,176 @@
+import React from 'react'
+import shallowCompare from 'react-addons-shallow-compare'
+import { monitorStore, monitorActions } from 'stores/monitor'
+import Sparkline from './Sparkline'
+import { Table, TableHeader, TableRow, TableHeaderColumn, TableBody, TableRowColumn, FlatButton } from 'material-ui'
+import * as Colors from 'material-ui/styles/colors'
+
+const styles = {
+  subtitle: {
+    fontWeight: 300,
+    fontSize: 14,
+    marginLeft: 8,
+    color: 'rgba(0, 0, 0, 0.6)'
+  },
+  actions: {
+    display: 'flex',
+    justifyContent: 'flex-end'
+  },
+  empty: {
+    margin: 8,
+    fontSize: 14,
+    color: 'rgba(0, 0, 0, 0.4)'
+  }
+}
+
+export default class AccountMonitor extends React.Component {
+  /* **************************************************************************/
+  // Component Lifecycle
+  /* **************************************************************************/
+
+  componentDidMount () {
+    monitorStore.listen(this.monitorUpdated)
+  }
+
+  componentWillUnmount () {
+    monitorStore.unlisten(this.monitorUpdated)
+  }
+
+  /* **************************************************************************/
+  // Data lifecycle
+  /* **************************************************************************/
+
+  state = (() => {
+    const monitorState = monitorStore.getState()
+    return {
+      accountHistory: monitorState.accountHistory,
+      accountHistoryArray: monitorState.accountHistoryArray(),
+      topOffenders: monitorState.topOffenders()
+    }
+  })()
+
+  monitorUpdated = (monitorState) => {
+    // Only update when the history changes, the process sync happens far more often
+    if (monitorState.accountHistory === this.state.accountHistory) { return }
+    this.setState({
+      accountHistory: monitorState.accountHistory,
+      accountHistoryArray: monitorState.accountHistoryArray(),
+      topOffenders: monitorState.topOffenders()
+    })
+  }
+
+  /* **************************************************************************/
+  // Rendering
+  /* **************************************************************************/
+
+  shouldComponentUpdate (nextProps, nextState) {
+    return shallowCompare(this, nextProps, nextState)
+  }
+
+  /**
+  * Renders a history row
+  * @param history: the history of the account
+  * @return jsx
+  */
+  renderHistoryRow (history) {
+    const latest = history.samples[history.samples.length - 1]
+    return (
+      <TableRow key={history.mailboxId}>
+        <TableRowColumn>
+          {history.accountName}
+        </TableRowColumn>
+        <TableRowColumn style={{width: 170}}>
+          <Sparkline values={history.samples.map((s) => s.memory)} />
+        </TableRowColumn>
+        <TableRowColumn style={{width: 70}}>
+          {latest ? `${latest.memory} MB` : '-'}
+        </TableRowColumn>
+        <TableRowColumn style={{width: 170}}>
+          <Sparkline values={history.samples.map((s) => s.cpu)} color={Colors.amber700} />
+        </TableRowColumn>
+        <TableRowColumn style={{width: 70}}>
+          {latest ? `${latest.cpu}%` : '-'}
+        </TableRowColumn>
+      </TableRow>
+    )
+  }
+
+  /**
+  * Renders an offender row
+  * @param offender: the offender info
+  * @param index: the position of the offender
+  * @return jsx
+  */
+  renderOffenderRow (offender, index) {
+    const growth = offender.memoryGrowth
+    return (
+      <TableRow key={offender.mailboxId}>
+        <TableRowColumn style={{width: 30}}>
+          {index + 1}
+        </TableRowColumn>
+        <TableRowColumn>
+          {offender.accountName}
+        </TableRowColumn>
+        <TableRowColumn style={{width: 100}}>
+          {`${offender.memory} MB`}
+        </TableRowColumn>
+        <TableRowColumn style={{width: 100, color: growth > 0 ? Colors.red600 : undefined}}>
+          {`${growth > 0 ? '+' : ''}${growth} MB`}
+        </TableRowColumn>
+        <TableRowColumn style={{width: 100}}>
+          {`${Math.round(offender.averageCPU * 100) / 100}%`}
+        </TableRowColumn>
+      </TableRow>
+    )
+  }
+
+  render () {
+    const { accountHistoryArray, topOffenders } = this.state
+
+    if (!accountHistoryArray.length) {
+      return (
+        <div style={styles.empty}>
+          Account usage is sampled every 15 seconds whilst Wavebox is running
+        </div>
+      )
+    }
+
+    return (
+      <div>
+        <h3 style={styles.subtitle}>Top offenders</h3>
+        <Table selectable={false}>
+          <TableHeader displaySelectAll={false} adjustForCheckbox={false}>
+            <TableRow>
+              <TableHeaderColumn style={{width: 30}}>#</TableHeaderColumn>
+              <TableHeaderColumn>Account</TableHeaderColumn>
+              <TableHeaderColumn style={{width: 100}}>Memory</TableHeaderColumn>
+              <TableHeaderColumn style={{width: 100}}>Growth</TableHeaderColumn>
+              <TableHeaderColumn style={{width: 100}}>Avg CPU</TableHeaderColumn>
+            </TableRow>
+          </TableHeader>
+          <TableBody displayRowCheckbox={false} stripedRows>
+            {topOffenders.map((offender, i) => this.renderOffenderRow(offender, i))}
+          </TableBody>
+        </Table>
+        <h3 style={styles.subtitle}>History</h3>
+        <Table selectable={false}>
+          <TableHeader displaySelectAll={false} adjustForCheckbox={false}>
+            <TableRow>
+              <TableHeaderColumn>Account</TableHeaderColumn>
+              <TableHeaderColumn style={{width: 170}}>Memory</TableHeaderColumn>
+              <TableHeaderColumn style={{width: 70}} />
+              <TableHeaderColumn style={{width: 170}}>CPU</TableHeaderColumn>
+              <TableHeaderColumn style={{width: 70}} />
+            </TableRow>
+          </TableHeader>
+          <TableBody displayRowCheckbox={false} stripedRows>
+            {accountHistoryArray.map((history) => this.renderHistoryRow(history))}
+          </TableBody>
+        </Table>
+        <div style={styles.actions}>
+          <FlatButton label='Export CSV' onClick={() => monitorActions.exportAccountHistoryCSV()} />
+        </div>
+      </div>
+    )
+  }
+}
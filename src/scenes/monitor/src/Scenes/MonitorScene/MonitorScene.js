@@ -2,6 +2,7 @@ import React from 'react'
 import shallowCompare from 'react-addons-shallow-compare'
 import ProcessMonitor from './ProcessMonitor'
 import ConnectionMonitor from './ConnectionMonitor'
+import AccountMonitor from './AccountMonitor'
 import { Paper } from 'material-ui'
 
 const styles = {
@@ -34,6 +35,10 @@ export default class MonitorScene extends React.Component {
           <h2 style={styles.title}>Processes</h2>
           <ProcessMonitor style={styles.section} />
         </Paper>
+        <Paper style={styles.section}>
+          <h2 style={styles.title}>Accounts</h2>
+          <AccountMonitor style={styles.section} />
+        </Paper>
         <Paper style={styles.section}>
           <h2 style={styles.title}>Sync Channels</h2>
           <ConnectionMonitor style={styles.section} />
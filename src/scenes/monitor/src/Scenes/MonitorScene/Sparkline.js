@@ -0,0 +1,67 @@
+import PropTypes from 'prop-types'
+import React from 'react'
+import shallowCompare from 'react-addons-shallow-compare'
+import * as Colors from 'material-ui/styles/colors'
+
+export default class Sparkline extends React.Component {
+  /* **************************************************************************/
+  // Class
+  /* **************************************************************************/
+
+  static propTypes = {
+    values: PropTypes.arrayOf(PropTypes.number).isRequired,
+    width: PropTypes.number.isRequired,
+    height: PropTypes.number.isRequired,
+    color: PropTypes.string.isRequired
+  }
+
+  static defaultProps = {
+    width: 150,
+    height: 24,
+    color: Colors.lightBlue600
+  }
+
+  /* **************************************************************************/
+  // Rendering
+  /* **************************************************************************/
+
+  shouldComponentUpdate (nextProps, nextState) {
+    return shallowCompare(this, nextProps, nextState)
+  }
+
+  /**
+  * Generates the points for the line
+  * @param values: the values to plot
+  * @param width: the width of the chart
+  * @param height: the height of the chart
+  * @return the points in svg format
+  */
+  generatePoints (values, width, height) {
+    const max = Math.max.apply(Math, values)
+    const min = Math.min.apply(Math, values)
+    const range = max - min || 1
+    const step = values.length > 1 ? width / (values.length - 1) : 0
+
+    return values.map((value, index) => {
+      const x = Math.round(index * step * 100) / 100
+      const y = Math.round((height - 1 - (((value - min) / range) * (height - 2))) * 100) / 100
+      return `${x},${y}`
+    }).join(' ')
+  }
+
+  render () {
+    const { values, width, height, color, ...passProps } = this.props
+
+    return (
+      <svg width={width} height={height} {...passProps}>
+        {values.length ? (
+          <polyline
+            fill='none'
+            stroke={color}
+            strokeWidth={1.5}
+            points={this.generatePoints(values, width, height)} />
+        ) : undefined}
+      </svg>
+    )
+  }
+}
@@ -1,5 +1,9 @@
 import alt from '../alt'
-import { WB_SUBMIT_PROCESS_RESOURCE_USAGE } from 'shared/ipcEvents'
+import {
+  WB_SUBMIT_PROCESS_RESOURCE_USAGE,
+  WB_FETCH_ACCOUNT_RESOURCE_HISTORY,
+  WB_SUBMIT_ACCOUNT_RESOURCE_HISTORY
+} from 'shared/ipcEvents'
 import { ipcRenderer } from 'electron'
 
 class MonitorActions {
@@ -26,8 +30,32 @@ class MonitorActions {
   * @param info: the info to submit
   */
   submitProcessResourceUsage (info) { return { info: info } }
+
+  /* **************************************************************************/
+  // History
+  /* **************************************************************************/
+
+  /**
+  * Fetches the per-account resource history from the main process
+  */
+  fetchAccountHistory () {
+    ipcRenderer.send(WB_FETCH_ACCOUNT_RESOURCE_HISTORY, {})
+    return {}
+  }
+
+  /**
+  * Sets the per-account resource history
+  * @param history: the history for each account in the format { mailboxId, accountName, samples }
+  */
+  setAccountHistory (history) { return { history: history } }
+
+  /**
+  * Asks the user where to save the account history and writes it out as csv
+  */
+  exportAccountHistoryCSV () { return {} }
 }
 
 const actions = alt.createActions(MonitorActions)
 ipcRenderer.on(WB_SUBMIT_PROCESS_RESOURCE_USAGE, (evt, body) => actions.submitProcessResourceUsage(body))
+ipcRenderer.on(WB_SUBMIT_ACCOUNT_RESOURCE_HISTORY, (evt, body) => actions.setAccountHistory(body.history))
 export default actions
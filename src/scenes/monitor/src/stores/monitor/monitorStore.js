@@ -1,6 +1,22 @@
 import alt from '../alt'
 import actions from './monitorActions'
+import { MONITOR_HISTORY_SAMPLE_INTERVAL } from 'shared/constants'
 import { remote } from 'electron'
+import fs from 'fs'
+
+/**
+* Escapes a value so it can be placed in a csv cell. Strings that a spreadsheet
+* would treat as a formula are prefixed so they're read as text
+* @param value: the value to escape
+* @return the escaped value
+*/
+const escapeCSV = function (value) {
+  let str = value === undefined || value === null ? '' : `${value}`
+  if (typeof (value) === 'string' && /^[=+\-@\t\r]/.test(str)) {
+    str = `'${str}`
+  }
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str
+}
 
 class MonitorStore {
   /* **************************************************************************/
@@ -9,8 +25,10 @@ class MonitorStore {
 
   constructor () {
     this.syncInterval = null
+    this.historyInterval = null
     this.processInfo = new Map()
     this.connectionInfo = new Map()
+    this.accountHistory = new Map()
 
     /**
     * @return the process info as an array
@@ -34,13 +52,50 @@ class MonitorStore {
       return arr
     }
 
+    /* ****************************************/
+    // History
+    /* ****************************************/
+
+    /**
+    * @return the history for each account as an array in the format { mailboxId, accountName, samples }
+    */
+    this.accountHistoryArray = () => {
+      return Array.from(this.accountHistory.values())
+    }
+
+    /**
+    * @param count=5: the maximum number of accounts to return
+    * @return the accounts using the most memory, with the latest memory, the
+    * memory growth since the first sample and the average cpu usage
+    */
+    this.topOffenders = (count = 5) => {
+      return this.accountHistoryArray()
+        .filter((history) => history.samples.length)
+        .map((history) => {
+          const first = history.samples[0]
+          const latest = history.samples[history.samples.length - 1]
+          return {
+            mailboxId: history.mailboxId,
+            accountName: history.accountName,
+            memory: latest.memory,
+            memoryGrowth: latest.memory - first.memory,
+            averageCPU: history.samples.reduce((acc, sample) => acc + sample.cpu, 0) / history.samples.length
+          }
+        })
+        .sort((a, b) => b.memory - a.memory)
+        .slice(0, count)
+    }
+
     /* ****************************************/
     // Listeners
     /* ****************************************/
     this.bindListeners({
       handleLoad: actions.LOAD,
       handleResyncProcesses: actions.RESYNC_PROCESSES,
-      handleSubmitProcessResourceUsage: actions.SUBMIT_PROCESS_RESOURCE_USAGE
+      handleSubmitProcessResourceUsage: actions.SUBMIT_PROCESS_RESOURCE_USAGE,
+      handleFetchAccountHistory: actions.FETCH_ACCOUNT_HISTORY,
+      handleSetAccountHistory: actions.SET_ACCOUNT_HISTORY,
+      handleExportAccountHistoryCSV: actions.EXPORT_ACCOUNT_HISTORY_CSV
     })
   }
 
@@ -54,6 +109,12 @@ class MonitorStore {
       actions.resyncProcesses()
     }, 2000)
     actions.resyncProcesses.defer()
+
+    clearInterval(this.historyInterval)
+    this.historyInterval = setInterval(() => {
+      actions.fetchAccountHistory()
+    }, MONITOR_HISTORY_SAMPLE_INTERVAL)
+    actions.fetchAccountHistory.defer()
   }
 
   handleResyncProcesses () {
@@ -93,6 +154,56 @@ class MonitorStore {
       this.connectionInfo.set(info.pid, info.connections)
     }
   }
+
+  /* **************************************************************************/
+  // Handlers: History
+  /* **************************************************************************/
+
+  handleFetchAccountHistory () {
+    this.preventDefault()
+  }
+
+  handleSetAccountHistory ({ history }) {
+    this.accountHistory = history.reduce((acc, account) => {
+      acc.set(account.mailboxId, account)
+      return acc
+    }, new Map())
+  }
+
+  handleExportAccountHistoryCSV () {
+    this.preventDefault()
+    const now = new Date()
+    remote.dialog.showSaveDialog(remote.getCurrentWindow(), {
+      title: 'Export resource history',
+      defaultPath: `wavebox_resources_${now.getDate()}_${now.getMonth() + 1}_${now.getFullYear()}_${now.getHours()}_${now.getMinutes()}.csv`,
+      buttonLabel: 'Export'
+    }, (filename) => {
+      if (!filename) { return }
+      const rows = [['Time', 'Account', 'Account Id', 'Memory (MB)', 'CPU (%)']]
+      this.accountHistory.forEach((history) => {
+        history.samples.forEach((sample) => {
+          rows.push([
+            new Date(sample.timestamp).toISOString(),
+            history.accountName,
+            history.mailboxId,
+            sample.memory,
+            sample.cpu
+          ])
+        })
+      })
+      const csv = rows.map((row) => row.map(escapeCSV).join(',')).join('\n')
+      fs.writeFile(filename, csv, (err) => {
+        if (!err) { return }
+        remote.dialog.showMessageBox(remote.getCurrentWindow(), {
+          type: 'error',
+          title: 'Export failed',
+          message: 'Unable to export resource history',
+          detail: err.message,
+          buttons: ['OK']
+        })
+      })
+    })
+  }
 }
 
 export default alt.createStore(MonitorStore, 'MonitorStore')
@@ -191,6 +191,59 @@ class StorageBucket {
     })
   }
 
+  /* ****************************************************************************/
+  // Backups
+  /* ****************************************************************************/
+
+  /**
+  * @return promise with the list of backups, newest first
+  */
+  listBackups () {
+    return new Promise((resolve) => {
+      const id = this._nextCallId()
+      this.__responseHandlers__.set(id, (body) => {
+        resolve(body.response)
+      })
+
+      ipcRenderer.send(`storageBucket:${this.__bucketName__}:listBackups`, { id: id })
+    })
+  }
+
+  /**
+  * @param timestamp: the timestamp of the backup
+  * @return promise with the added, removed and changed keys or null if the backup is unreadable
+  */
+  previewBackup (timestamp) {
+    return new Promise((resolve) => {
+      const id = this._nextCallId()
+      this.__responseHandlers__.set(id, (body) => {
+        resolve(body.response)
+      })
+
+      ipcRenderer.send(`storageBucket:${this.__bucketName__}:previewBackup`, { id: id, timestamp: timestamp })
+    })
+  }
+
+  /**
+  * Queues a backup to be restored on the next launch
+  * @param timestamp: the timestamp of the backup
+  * @return promise, rejected if the backup could not be queued
+  */
+  restoreBackup (timestamp) {
+    return new Promise((resolve, reject) => {
+      const id = this._nextCallId()
+      this.__responseHandlers__.set(id, (body) => {
+        if (body.response) {
+          resolve()
+        } else {
+          reject(new Error('Unable to restore backup'))
+        }
+      })
+
+      ipcRenderer.send(`storageBucket:${this.__bucketName__}:restoreBackup`, { id: id, timestamp: timestamp })
+    })
+  }
+
   /* ****************************************************************************/
   // Modifiers
   /* ****************************************************************************/
@@ -0,0 +1,50 @@
+const { spawn } = require('child_process')
+const ExternalBrowsers = require('../Models/Settings/ExternalBrowsers')
+
+/**
+* Launches a browser profile with a url
+* @param browser: the browser to launch
+* @param targetUrl: the url to open
+* @return a promise that rejects if the browser could not be started
+*/
+const launchBrowser = function (browser, targetUrl) {
+  return new Promise((resolve, reject) => {
+    let command = browser.executablePath.trim()
+    let args = ExternalBrowsers.generateLaunchArgs(browser, targetUrl)
+
+    // macOS app bundles can't be executed directly
+    if (process.platform === 'darwin' && command.endsWith('.app')) {
+      args = ['-a', command, '--args'].concat(args)
+      command = 'open'
+    }
+
+    const child = spawn(command, args, { detached: true, stdio: 'ignore' })
+    child.once('error', reject)
+    child.once('spawn', resolve)
+    setTimeout(resolve, 500) // Older versions of node don't emit spawn
+    child.unref()
+  })
+}
+
+/**
+* Opens a url externally, either in the given browser or the system default
+* @param shell: the electron shell to fallback to
+* @param targetUrl: the url to open
+* @param browser=undefined: the browser to launch or undefined to use the system default
+* @param options={}: the options to pass to shell.openExternal
+*/
+const openExternal = function (shell, targetUrl, browser = undefined, options = {}) {
+  if (ExternalBrowsers.isValid(browser)) {
+    launchBrowser(browser, targetUrl).catch((err) => {
+      console.warn(`Failed to launch "${browser.name}", falling back to the default browser`, err)
+      shell.openExternal(targetUrl, options)
+    })
+  } else {
+    shell.openExternal(targetUrl, options)
+  }
+}
+
+module.exports = {
+  launchBrowser: launchBrowser,
+  openExternal: openExternal
+}
@@ -3,6 +3,10 @@ const SERVICE_TYPES = require('./ServiceTypes')
 const MAILBOX_TYPES = require('./MailboxTypes')
 const ServiceFactory = require('./ServiceFactory')
 const uuid = require('uuid')
+const DndSchedules = require('../Settings/DndSchedules')
+const LinkRoutingRules = require('./LinkRoutingRules')
+const WebPermissions = require('./WebPermissions')
+const { RESOURCE_ALERT_DEFAULT_DURATION } = require('../../constants')
 
 const SERVICE_DISPLAY_MODES = Object.freeze({
   SIDEBAR: 'SIDEBAR',
@@ -18,6 +22,30 @@ const DEFAULT_WINDOW_OPEN_MODES = Object.freeze({
   WAVEBOX: 'WAVEBOX'
 })
 
+const DND_MODES = Object.freeze({
+  DEFAULT: 'DEFAULT',
+  CUSTOM: 'CUSTOM',
+  NEVER: 'NEVER'
+})
+
+const DOWNLOAD_SUBFOLDER_MODES = Object.freeze({
+  NONE: 'NONE',
+  DATE: 'DATE',
+  FILE_TYPE: 'FILE_TYPE'
+})
+
+const DOWNLOAD_CONFLICT_POLICIES = Object.freeze({
+  RENAME: 'RENAME',
+  OVERWRITE: 'OVERWRITE',
+  ASK: 'ASK'
+})
+
+const RESOURCE_ALERT_ACTIONS = Object.freeze({
+  NONE: 'NONE',
+  RELOAD: 'RELOAD',
+  SLEEP: 'SLEEP'
+})
+
 const LOGO_NAME_RE = new RegExp(/^(.*?)([0-9]+)(px)(.*)$/)
 
 class CoreMailbox extends Model {
@@ -30,6 +58,10 @@ class CoreMailbox extends Model {
   static get SERVICE_DISPLAY_MODES () { return SERVICE_DISPLAY_MODES }
   static get SERVICE_TOOLBAR_ICON_LAYOUTS () { return SERVICE_TOOLBAR_ICON_LAYOUTS }
   static get DEFAULT_WINDOW_OPEN_MODES () { return DEFAULT_WINDOW_OPEN_MODES }
+  static get DND_MODES () { return DND_MODES }
+  static get DOWNLOAD_SUBFOLDER_MODES () { return DOWNLOAD_SUBFOLDER_MODES }
+  static get DOWNLOAD_CONFLICT_POLICIES () { return DOWNLOAD_CONFLICT_POLICIES }
+  static get RESOURCE_ALERT_ACTIONS () { return RESOURCE_ALERT_ACTIONS }
   static get type () { return MAILBOX_TYPES.UNKNOWN }
   static get supportedServiceTypes () { return [SERVICE_TYPES.DEFAULT] }
   static get defaultServiceTypes () { return [SERVICE_TYPES.DEFAULT] }
@@ -193,6 +225,18 @@ class CoreMailbox extends Model {
   /* **************************************************************************/
 
   get defaultWindowOpenMode () { return this._value_('defaultWindowOpenMode', DEFAULT_WINDOW_OPEN_MODES.BROWSER) }
+  get externalBrowserId () { return this._value_('externalBrowserId', undefined) }
+  get linkRoutingRules () { return this._value_('linkRoutingRules', []) }
+  get hasLinkRoutingRules () { return this.linkRoutingRules.length !== 0 }
+
+  /**
+  * Finds the link routing rule that applies to a url
+  * @param targetUrl: the url that's being opened
+  * @return the first matching rule or undefined
+  */
+  getLinkRoutingRuleForUrl (targetUrl) {
+    return LinkRoutingRules.findMatchingRule(this.linkRoutingRules, targetUrl)
+  }
 
   /* **************************************************************************/
   // Properties: Wavebox
@@ -266,6 +310,60 @@ class CoreMailbox extends Model {
     return this._value_('cumulativeSidebarUnreadBadgeColor', this._value_('unreadBadgeColor', 'rgba(238, 54, 55, 0.95)'))
   }
 
+  /* **************************************************************************/
+  // Properties : Do not disturb
+  /* **************************************************************************/
+
+  get dndMode () { return this._value_('dndMode', DND_MODES.DEFAULT) }
+  get dndSchedules () { return this._value_('dndSchedules', []) }
+
+  /**
+  * Checks if do not disturb is active for this mailbox
+  * @param osSettings: the current os settings that hold the global schedules and snooze
+  * @param now=new Date(): the time to check at
+  * @return true if notifications for this mailbox should be held back
+  */
+  isDndActive (osSettings, now = new Date()) {
+    switch (this.dndMode) {
+      case DND_MODES.NEVER: return false
+      case DND_MODES.CUSTOM: return osSettings.isNotificationsSnoozed(now) || DndSchedules.isActive(this.dndSchedules, now)
+      default: return osSettings.isNotificationsSnoozed(now) || osSettings.isNotificationsDndScheduled(now)
+    }
+  }
+
+  /* **************************************************************************/
+  // Properties : Downloads
+  /* **************************************************************************/
+
+  get downloadLocation () { return this._value_('downloadLocation', undefined) }
+  get hasDownloadLocation () { return !!this.downloadLocation }
+  get downloadSubfolderMode () { return this._value_('downloadSubfolderMode', DOWNLOAD_SUBFOLDER_MODES.NONE) }
+  get downloadConflictPolicy () { return this._value_('downloadConflictPolicy', DOWNLOAD_CONFLICT_POLICIES.RENAME) }
+
+  /* **************************************************************************/
+  // Properties : Web permissions
+  /* **************************************************************************/
+
+  get webPermissions () { return this._value_('webPermissions', {}) }
+
+  /**
+  * @param type: the type of permission, one of WebPermissions.PERMISSION_TYPES
+  * @return the state of the permission, one of WebPermissions.PERMISSION_STATES
+  */
+  getWebPermissionState (type) {
+    return this.webPermissions[type] || WebPermissions.getDefaultState(type)
+  }
+
+  /* **************************************************************************/
+  // Properties : Resource alerts
+  /* **************************************************************************/
+
+  get resourceAlertMemoryThreshold () { return this._value_('resourceAlertMemoryThreshold', 0) }
+  get resourceAlertCPUThreshold () { return this._value_('resourceAlertCPUThreshold', 0) }
+  get resourceAlertDuration () { return this._value_('resourceAlertDuration', RESOURCE_ALERT_DEFAULT_DURATION) }
+  get resourceAlertAction () { return this._value_('resourceAlertAction', RESOURCE_ALERT_ACTIONS.NONE) }
+  get hasResourceAlerts () { return this.resourceAlertMemoryThreshold > 0 || this.resourceAlertCPUThreshold > 0 }
+
   /* **************************************************************************/
   // Properties : Authentication
   /* **************************************************************************/
@@ -304,7 +402,7 @@ class CoreMailbox extends Model {
     const services = defaultServiceOnly ? [this.defaultService] : this.enabledServices
     return services.reduce((acc, service) => {
       if (service.supportsUnreadCount && service.unreadCountsTowardsAppUnread) {
-        return acc + service.unreadCount
+        return acc + service.unreadCountForAppBadge
       } else {
         return acc
       }
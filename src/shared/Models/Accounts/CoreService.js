@@ -1,6 +1,7 @@
 const Model = require('../Model')
 const SERVICE_TYPES = require('./ServiceTypes')
 const PROTOCOL_TYPES = require('./ProtocolTypes')
+const NotificationRules = require('./NotificationRules')
 const { MAILBOX_SLEEP_WAIT } = require('../../constants')
 
 const WINDOW_OPEN_MODES = Object.freeze({
@@ -50,6 +51,10 @@ class CoreService extends Model {
   static get supportsNativeNotifications () { return false }
   static get supportsGuestNotifications () { return false }
   static get supportsSyncWhenSleeping () { return false }
+  static get supportedNotificationRuleFields () {
+    const { SENDER, SUBJECT, KEYWORD } = NotificationRules.FIELDS
+    return this.supportsNativeNotifications ? [SENDER, SUBJECT, KEYWORD] : [SUBJECT, KEYWORD]
+  }
   static get supportsSync () {
     return [
       this.supportsUnreadActivity,
@@ -108,6 +113,8 @@ class CoreService extends Model {
   get url () { return undefined }
   get sleepable () { return this._value_('sleepable', true) }
   get sleepableTimeout () { return this._value_('sleepableTimeout', MAILBOX_SLEEP_WAIT) }
+  get sleepWakeInterval () { return this.supportsSyncWhenSleeping ? 0 : this._value_('sleepWakeInterval', 0) }
+  get hasSleepWakeInterval () { return this.sleepWakeInterval > 0 }
   get hasNavigationToolbar () { return false }
   get reloadBehaviour () { return RELOAD_BEHAVIOURS.RESET_URL }
 
@@ -122,6 +129,7 @@ class CoreService extends Model {
   get supportsNativeNotifications () { return this.constructor.supportsNativeNotifications }
   get supportsGuestNotifications () { return this.constructor.supportsGuestNotifications }
   get supportsSyncWhenSleeping () { return this.constructor.supportsSyncWhenSleeping }
+  get supportedNotificationRuleFields () { return this.constructor.supportedNotificationRuleFields }
   get supportsSync () { return this.constructor.supportsSync }
   get mergeChangesetOnActive () { return this.constructor.mergeChangesetOnActive }
 
@@ -165,12 +173,15 @@ class CoreService extends Model {
   get showNotifications () { return this._migrationValue_('showNotifications', true) }
   get showAvatarInNotifications () { return this._migrationValue_('showAvatarInNotifications', true) }
   get notificationsSound () { return this._migrationValue_('notificationsSound', undefined) }
+  get notificationRules () { return this._value_('notificationRules', []) }
+  get hasNotificationRules () { return this.notificationRules.length !== 0 }
 
   /* **************************************************************************/
   // Properties : Provider Details & counts etc
   /* **************************************************************************/
 
   get unreadCount () { return 0 }
+  get unreadCountForAppBadge () { return this.unreadCount }
   get hasUnreadActivity () { return false }
   get trayMessages () { return [] }
   get notifications () { return [] }
@@ -188,6 +199,31 @@ class CoreService extends Model {
   // Behaviour
   /* **************************************************************************/
 
+  /**
+  * Runs a notification through the notification rules
+  * @param notification=undefined: the notification in the format { title, body, sender, channels, labels }
+  * @return { show, silent, sound, rule } where show indicates if the notification
+  * should be shown, silent if no sound should play and sound the sound to play
+  */
+  evaluateNotificationRules (notification = undefined) {
+    const rule = NotificationRules.findMatchingRule(this.notificationRules, notification)
+    const result = {
+      show: this.showNotifications,
+      silent: false,
+      sound: this.notificationsSound,
+      rule: rule
+    }
+    if (!rule) { return result }
+
+    switch (rule.action) {
+      case NotificationRules.ACTIONS.ALLOW: return Object.assign({}, result, { show: true })
+      case NotificationRules.ACTIONS.SUPPRESS: return Object.assign({}, result, { show: false })
+      case NotificationRules.ACTIONS.SOUND: return Object.assign({}, result, { sound: rule.sound || result.sound })
+      case NotificationRules.ACTIONS.SILENT: return Object.assign({}, result, { silent: true, sound: undefined })
+      default: return result
+    }
+  }
+
   /**
   * Gets the window open mode for a given url
   * @param url: the url to open with
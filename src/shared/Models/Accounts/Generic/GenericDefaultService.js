@@ -1,11 +1,24 @@
 const CoreService = require('../CoreService')
 
+const UNREAD_COUNT_SOURCES = Object.freeze({
+  NONE: 'NONE',
+  TITLE: 'TITLE',
+  FAVICON: 'FAVICON',
+  SELECTOR: 'SELECTOR'
+})
+const DEFAULT_UNREAD_COUNT_PATTERNS = Object.freeze({
+  [UNREAD_COUNT_SOURCES.TITLE]: '\\((\\d+)\\)',
+  [UNREAD_COUNT_SOURCES.FAVICON]: '[-_](\\d+)\\.(?:png|ico)$'
+})
+
 class GenericDefaultService extends CoreService {
   /* **************************************************************************/
   // Class
   /* **************************************************************************/
 
   static get type () { return CoreService.SERVICE_TYPES.DEFAULT }
+  static get UNREAD_COUNT_SOURCES () { return UNREAD_COUNT_SOURCES }
+  static get DEFAULT_UNREAD_COUNT_PATTERNS () { return DEFAULT_UNREAD_COUNT_PATTERNS }
   get reloadBehaviour () { return this.RELOAD_BEHAVIOURS.RELOAD }
 
   /* **************************************************************************/
@@ -56,6 +69,67 @@ class GenericDefaultService extends CoreService {
   /* **************************************************************************/
 
   get hasUnreadActivity () { return !!this._value_('lastUnseenNotificationTime', undefined) }
+  get supportsUnreadCount () { return this.unreadCountSource !== UNREAD_COUNT_SOURCES.NONE }
+  get unreadCount () { return this.supportsUnreadCount ? this._value_('unreadCount', 0) : 0 }
+
+  /* **************************************************************************/
+  // Properties : Unread count source
+  /* **************************************************************************/
+
+  get unreadCountSource () { return this._value_('unreadCountSource', UNREAD_COUNT_SOURCES.NONE) }
+  get customUnreadCountPattern () { return this._value_('unreadCountPattern', '').trim() }
+  get unreadCountPattern () {
+    return this.customUnreadCountPattern || DEFAULT_UNREAD_COUNT_PATTERNS[this.unreadCountSource] || ''
+  }
+  get unreadCountSelector () { return this._value_('unreadCountSelector', '').trim() }
+  get hasUnreadCountSelector () {
+    return this.unreadCountSource === UNREAD_COUNT_SOURCES.SELECTOR && !!this.unreadCountSelector
+  }
+
+  /**
+  * Runs the unread count pattern against a string
+  * @param str: the string to run against
+  * @return the unread count or 0 if the pattern doesn't match
+  */
+  _parseUnreadCountWithPattern (str) {
+    if (!str || !this.unreadCountPattern) { return 0 }
+
+    let match
+    try {
+      match = new RegExp(this.unreadCountPattern).exec(str)
+    } catch (ex) {
+      return 0
+    }
+    if (!match) { return 0 }
+
+    const count = parseInt(match[1] !== undefined ? match[1] : match[0])
+    return isNaN(count) ? 0 : count
+  }
+
+  /**
+  * Gets the unread count from the page title
+  * @param title: the title of the page
+  * @return the unread count or undefined if the title isn't used as the source
+  */
+  getUnreadCountFromTitle (title) {
+    if (this.unreadCountSource !== UNREAD_COUNT_SOURCES.TITLE) { return undefined }
+    return this._parseUnreadCountWithPattern(title)
+  }
+
+  /**
+  * Gets the unread count from the page favicons. This works for pages that swap
+  * their favicon for a numbered variant, e.g. favicon-3.png. Favicons that are
+  * drawn into data urls are ignored as the count can't be read from the url
+  * @param favicons: the list of favicon urls
+  * @return the unread count or undefined if the favicon isn't used as the source
+  */
+  getUnreadCountFromFavicons (favicons) {
+    if (this.unreadCountSource !== UNREAD_COUNT_SOURCES.FAVICON) { return undefined }
+    return (favicons || []).reduce((acc, favicon) => {
+      if (!favicon || favicon.indexOf('data:') === 0) { return acc }
+      return Math.max(acc, this._parseUnreadCountWithPattern(favicon))
+    }, 0)
+  }
 
   /* **************************************************************************/
   // Behaviour
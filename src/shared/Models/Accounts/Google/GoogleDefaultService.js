@@ -1,5 +1,7 @@
 const GoogleService = require('./GoogleService')
 const addressparser = require('addressparser')
+const NotificationRules = require('../NotificationRules')
+const uuid = require('uuid')
 
 const ACCESS_MODES = Object.freeze({
   GINBOX: 'GINBOX',
@@ -31,6 +33,42 @@ class GoogleDefaultService extends GoogleService {
   static get supportsSyncedDiffNotifications () { return true }
   static get supportsNativeNotifications () { return true }
   static get supportsSyncWhenSleeping () { return true }
+  static get supportedNotificationRuleFields () {
+    return super.supportedNotificationRuleFields.concat([NotificationRules.FIELDS.LABEL])
+  }
+
+  /* **************************************************************************/
+  // Class: Unread views
+  /* **************************************************************************/
+
+  /**
+  * Creates a new unread view
+  * @param name: the name of the view
+  * @param query: the gmail query to run for the view
+  * @param labelWatchString: the comma seperated labels to watch for changes
+  * @return a new plain view object
+  */
+  static createUnreadView (name, query, labelWatchString) {
+    return {
+      id: uuid.v4(),
+      name: name,
+      query: query,
+      labelWatchString: labelWatchString,
+      showNotifications: true,
+      countsTowardsAppBadge: false
+    }
+  }
+
+  /**
+  * @param view: the view to get the labels for
+  * @return the labels that the view watches as an array
+  */
+  static unreadViewLabelWatchArray (view) {
+    return (view.labelWatchString || '')
+      .split(',')
+      .map((l) => l.trim().toUpperCase())
+      .filter((l) => !!l)
+  }
 
   /* **************************************************************************/
   // Properties
@@ -90,6 +128,69 @@ class GoogleDefaultService extends GoogleService {
   }
   get hasCustomUnreadLabelWatch () { return !!this.customUnreadLabelWatchString }
 
+  /* **************************************************************************/
+  // Properties: Labels
+  /* **************************************************************************/
+
+  get labelNames () { return this._value_('labelNames', {}) }
+  get hasLabelNotificationRules () {
+    return !!this.notificationRules.find((rule) => rule.field === NotificationRules.FIELDS.LABEL)
+  }
+
+  /**
+  * @param labelIds: the label ids to resolve
+  * @return the label ids along with the names of any labels we know about
+  */
+  resolveLabelNames (labelIds) {
+    const labelNames = this.labelNames
+    return labelIds.reduce((acc, labelId) => {
+      acc.push(labelId)
+      if (labelNames[labelId] && labelNames[labelId] !== labelId) {
+        acc.push(labelNames[labelId])
+      }
+      return acc
+    }, [])
+  }
+
+  /* **************************************************************************/
+  // Properties: Unread views
+  /* **************************************************************************/
+
+  get unreadViews () { return this._value_('unreadViews', []) }
+  get hasUnreadViews () { return this.unreadViews.length !== 0 }
+  get unreadViewInfo () { return this._value_('unreadViewInfo', {}) }
+
+  /**
+  * @param id: the id of the view
+  * @return the view or undefined
+  */
+  getUnreadView (id) {
+    return this.unreadViews.find((view) => view.id === id)
+  }
+
+  /**
+  * @param id: the id of the view
+  * @return the synced info for the view
+  */
+  getUnreadViewInfo (id) {
+    const info = this.unreadViewInfo[id] || {}
+    return {
+      unreadCount: info.unreadCount || 0,
+      unreadThreads: info.unreadThreads || []
+    }
+  }
+
+  /**
+  * @param id: the id of the view
+  * @return the unread threads for the view indexed by id
+  */
+  getUnreadViewThreadsIndexed (id) {
+    return this.getUnreadViewInfo(id).unreadThreads.reduce((acc, thread) => {
+      acc[thread.id] = thread
+      return acc
+    }, {})
+  }
+
   /* **************************************************************************/
   // Properties: Humanized
   /* **************************************************************************/
@@ -138,6 +239,11 @@ class GoogleDefaultService extends GoogleService {
   get historyId () { return this._value_('historyId') }
   get hasHistoryId () { return !!this.historyId }
   get unreadCount () { return this._value_('unreadCount', 0) }
+  get unreadCountForAppBadge () {
+    return this.unreadViews.reduce((acc, view) => {
+      return view.countsTowardsAppBadge ? acc + this.getUnreadViewInfo(view.id).unreadCount : acc
+    }, this.unreadCount)
+  }
   get unreadThreads () { return this._value_('unreadThreads', []) }
   get unreadThreadsIndexed () {
     return this.unreadThreads.reduce((acc, thread) => {
@@ -182,41 +288,75 @@ class GoogleDefaultService extends GoogleService {
     return data
   }
 
-  get trayMessages () {
-    return this.unreadThreads.map((thread) => {
-      const message = thread.latestMessage
-      let fromName = ''
-      if (message.from) {
-        try {
-          fromName = addressparser(message.from)[0].name || message.from
-        } catch (ex) {
-          fromName = message.from
-        }
+  /**
+  * Generates a tray message for a thread
+  * @param thread: the thread to generate for
+  * @param section=undefined: the section the message should be shown under
+  * @return the tray message
+  */
+  _generateTrayMessage (thread, section = undefined) {
+    const message = thread.latestMessage
+    let fromName = ''
+    if (message.from) {
+      try {
+        fromName = addressparser(message.from)[0].name || message.from
+      } catch (ex) {
+        fromName = message.from
       }
+    }
 
-      return {
-        id: `${thread.id}:${thread.historyId}`,
-        text: `${fromName} : ${message.subject || 'No Subject'}`,
-        date: parseInt(message.internalDate),
-        data: this._generateMessageOpenData(thread, message)
-      }
-    })
+    return {
+      id: section ? `${section}:${thread.id}:${thread.historyId}` : `${thread.id}:${thread.historyId}`,
+      text: `${fromName} : ${message.subject || 'No Subject'}`,
+      date: parseInt(message.internalDate),
+      section: section,
+      data: this._generateMessageOpenData(thread, message)
+    }
+  }
+
+  /**
+  * Generates a notification for a thread
+  * @param thread: the thread to generate for
+  * @param viewName=undefined: the name of the view the thread was found in
+  * @return the notification
+  */
+  _generateNotification (thread, viewName = undefined) {
+    const message = thread.latestMessage
+    const subject = message.subject || 'No Subject'
+    return {
+      id: `${thread.id}:${message.internalDate}`,
+      title: viewName ? `[${viewName}] ${subject}` : subject,
+      titleFormat: 'text',
+      body: [
+        { content: message.from, format: 'text' },
+        { content: message.snippet, format: 'html' }
+      ],
+      sender: message.from,
+      labels: this.resolveLabelNames(message.labelIds || []),
+      timestamp: parseInt(message.internalDate),
+      data: this._generateMessageOpenData(thread, message)
+    }
+  }
+
+  get trayMessages () {
+    return this.unreadViews.reduce((acc, view) => {
+      return acc.concat(this.getUnreadViewInfo(view.id).unreadThreads.map((thread) => {
+        return this._generateTrayMessage(thread, view.name)
+      }))
+    }, this.unreadThreads.map((thread) => this._generateTrayMessage(thread)))
   }
   get notifications () {
-    return this.unreadThreads.map((thread) => {
-      const message = thread.latestMessage
-      return {
-        id: `${thread.id}:${message.internalDate}`,
-        title: message.subject || 'No Subject',
-        titleFormat: 'text',
-        body: [
-          { content: message.from, format: 'text' },
-          { content: message.snippet, format: 'html' }
-        ],
-        timestamp: parseInt(message.internalDate),
-        data: this._generateMessageOpenData(thread, message)
-      }
-    })
+    const seen = new Set(this.unreadThreads.map((thread) => thread.id))
+    return this.unreadViews.reduce((acc, view) => {
+      if (!view.showNotifications) { return acc }
+      return acc.concat(this.getUnreadViewInfo(view.id).unreadThreads
+        .filter((thread) => {
+          if (seen.has(thread.id)) { return false }
+          seen.add(thread.id)
+          return true
+        })
+        .map((thread) => this._generateNotification(thread, view.name)))
+    }, this.unreadThreads.map((thread) => this._generateNotification(thread)))
   }
 
   /* **************************************************************************/
@@ -0,0 +1,129 @@
+const uuid = require('uuid')
+
+const MATCH_TYPES = Object.freeze({
+  GLOB: 'GLOB',
+  REGEX: 'REGEX'
+})
+
+const ACTIONS = Object.freeze({
+  WAVEBOX: 'WAVEBOX',
+  BROWSER: 'BROWSER',
+  ACCOUNT: 'ACCOUNT',
+  SUPPRESS: 'SUPPRESS'
+})
+
+class LinkRoutingRules {
+  /* **************************************************************************/
+  // Class: Types
+  /* **************************************************************************/
+
+  static get MATCH_TYPES () { return MATCH_TYPES }
+  static get ACTIONS () { return ACTIONS }
+
+  /* **************************************************************************/
+  // Class: Creation
+  /* **************************************************************************/
+
+  /**
+  * Creates a new rule
+  * @param matchType=GLOB: the type of pattern, one of MATCH_TYPES
+  * @param pattern='': the pattern to match urls against
+  * @param action=BROWSER: the action to take, one of ACTIONS
+  * @param targetMailboxId=undefined: the mailbox to open in when the action is ACCOUNT
+  * @return a new plain rule object
+  */
+  static createRule (matchType = MATCH_TYPES.GLOB, pattern = '', action = ACTIONS.BROWSER, targetMailboxId = undefined) {
+    return {
+      id: uuid.v4(),
+      matchType: matchType,
+      pattern: pattern,
+      action: action,
+      targetMailboxId: targetMailboxId
+    }
+  }
+
+  /* **************************************************************************/
+  // Class: Matching
+  /* **************************************************************************/
+
+  /**
+  * Converts a glob to a regular expression. * matches anything and ? matches
+  * a single character. The glob must match the entire url
+  * @param glob: the glob to convert
+  * @return a regular expression
+  */
+  static _globToRegExp (glob) {
+    const source = glob
+      .split('*')
+      .map((part) => {
+        return part
+          .split('?')
+          .map((p) => p.replace(/[.+^${}()|[\]\\/]/g, '\\$&'))
+          .join('.')
+      })
+      .join('.*')
+    return new RegExp(`^${source}$`, 'i')
+  }
+
+  /**
+  * Gets the regular expression for a rule
+  * @param rule: the rule to get the expression for
+  * @return a regular expression or undefined if the pattern is invalid
+  */
+  static _regExpForRule (rule) {
+    const pattern = (rule.pattern || '').trim()
+    if (!pattern) { return undefined }
+
+    try {
+      if (rule.matchType === MATCH_TYPES.REGEX) {
+        return new RegExp(pattern, 'i')
+      } else {
+        return this._globToRegExp(pattern)
+      }
+    } catch (ex) {
+      return undefined
+    }
+  }
+
+  /**
+  * @param rule: the rule to check
+  * @return true if the rule pattern is valid
+  */
+  static isValidPattern (rule) {
+    return !!this._regExpForRule(rule)
+  }
+
+  /**
+  * @param rule: the rule to check
+  * @return true if the rule is fully configured and can be used
+  */
+  static isValid (rule) {
+    if (!this.isValidPattern(rule)) { return false }
+    if (rule.action === ACTIONS.ACCOUNT && !rule.targetMailboxId) { return false }
+    return true
+  }
+
+  /**
+  * Checks if a rule matches a url
+  * @param rule: the rule to check
+  * @param targetUrl: the url to check
+  * @return true if the rule matches
+  */
+  static matches (rule, targetUrl) {
+    if (typeof (targetUrl) !== 'string' || !targetUrl) { return false }
+    const regExp = this._regExpForRule(rule)
+    return regExp ? regExp.test(targetUrl) : false
+  }
+
+  /**
+  * Finds the first rule that matches a url
+  * @param rules: the list of rules to check in order
+  * @param targetUrl: the url to check
+  * @return the matching rule or undefined
+  */
+  static findMatchingRule (rules, targetUrl) {
+    return (rules || []).find((rule) => this.isValid(rule) && this.matches(rule, targetUrl))
+  }
+}
+
+module.exports = LinkRoutingRules
@@ -1,9 +1,14 @@
 const MicrosoftService = require('./MicrosoftService')
+const uuid = require('uuid')
 
 const UNREAD_MODES = Object.freeze({
   INBOX_UNREAD: 'INBOX_UNREAD',
   INBOX_FOCUSED_UNREAD: 'INBOX_FOCUSED_UNREAD'
 })
+const EXTRA_UNREAD_SOURCE_TYPES = Object.freeze({
+  FOLDER: 'FOLDER',
+  SHARED_MAILBOX: 'SHARED_MAILBOX'
+})
 
 class MicrosoftDefaultService extends MicrosoftService {
   /* **************************************************************************/
@@ -12,6 +17,22 @@ class MicrosoftDefaultService extends MicrosoftService {
 
   static get type () { return MicrosoftService.SERVICE_TYPES.DEFAULT }
   static get UNREAD_MODES () { return UNREAD_MODES }
+  static get EXTRA_UNREAD_SOURCE_TYPES () { return EXTRA_UNREAD_SOURCE_TYPES }
+
+  /**
+  * Creates a new extra unread source
+  * @param type: the type of source, one of EXTRA_UNREAD_SOURCE_TYPES
+  * @param value: the folder name or shared mailbox address
+  * @return a new plain source object
+  */
+  static createExtraUnreadSource (type, value) {
+    return {
+      id: uuid.v4(),
+      type: type,
+      value: value,
+      countsTowardsAppBadge: true
+    }
+  }
 
   /* **************************************************************************/
   // Class: Humanized
@@ -55,18 +76,68 @@ class MicrosoftDefaultService extends MicrosoftService {
   /* **************************************************************************/
 
   get unreadMode () { return this._value_('unreadMode', UNREAD_MODES.INBOX_UNREAD) }
-  get unreadCount () { return this._value_('unreadCount', 0) }
+  get inboxUnreadCount () { return this._value_('unreadCount', 0) }
   get unreadMessages () { return this._value_('unreadMessages', []) }
 
+  /* **************************************************************************/
+  // Properties : Extra folders & shared mailboxes
+  /* **************************************************************************/
+
+  get extraUnreadSources () { return this._value_('extraUnreadSources', []) }
+  get hasSharedMailboxSources () {
+    return !!this.extraUnreadSources.find((source) => source.type === EXTRA_UNREAD_SOURCE_TYPES.SHARED_MAILBOX)
+  }
+  get extraUnreadInfo () { return this._value_('extraUnreadInfo', {}) }
+
+  /**
+  * @param sourceId: the id of the source
+  * @return the unread info for the source in the format { unreadCount, unreadMessages, error }
+  */
+  getExtraUnreadInfo (sourceId) {
+    return Object.assign({ unreadCount: 0, unreadMessages: [], error: false }, this.extraUnreadInfo[sourceId])
+  }
+
+  /**
+  * @param onlyAppBadge=false: set to true to only include sources that count towards the app badge
+  * @return the unread count across the extra sources
+  */
+  getExtraUnreadCount (onlyAppBadge = false) {
+    return this.extraUnreadSources.reduce((acc, source) => {
+      if (onlyAppBadge && !source.countsTowardsAppBadge) { return acc }
+      return acc + this.getExtraUnreadInfo(source.id).unreadCount
+    }, 0)
+  }
+
+  /**
+  * @return all the unread messages from the inbox and extra sources, newest first.
+  * Messages from the extra sources are tagged with the source they came from
+  */
+  get allUnreadMessages () {
+    const extraMessages = this.extraUnreadSources.reduce((acc, source) => {
+      return acc.concat(this.getExtraUnreadInfo(source.id).unreadMessages.map((message) => {
+        return Object.assign({}, message, { sourceName: source.value })
+      }))
+    }, [])
+    return this.unreadMessages
+      .concat(extraMessages)
+      .sort((a, b) => new Date(b.receivedDateTime).getTime() - new Date(a.receivedDateTime).getTime())
+  }
+
+  get unreadCount () { return this.inboxUnreadCount + this.getExtraUnreadCount() }
+  get unreadCountForAppBadge () { return this.inboxUnreadCount + this.getExtraUnreadCount(true) }
+
   /* **************************************************************************/
   // Properties : Provider Details & counts etc
   /* **************************************************************************/
 
   get trayMessages () {
-    return this.unreadMessages.map((message) => {
+    return this.allUnreadMessages.map((message) => {
       return {
         id: message.id,
-        text: `${message.from.emailAddress.name} : ${message.subject || 'No Subject'}`,
+        text: [
+          message.sourceName ? `[${message.sourceName}] ` : '',
+          `${message.from.emailAddress.name} : ${message.subject || 'No Subject'}`
+        ].join(''),
         date: new Date(message.receivedDateTime).getTime(),
         data: {
           messageId: message.id,
@@ -78,10 +149,13 @@ class MicrosoftDefaultService extends MicrosoftService {
     })
   }
   get notifications () {
-    return this.unreadMessages.map((message) => {
+    return this.allUnreadMessages.map((message) => {
       return {
         id: message.id,
-        title: message.subject || 'No Subject',
+        title: [
+          message.sourceName ? `[${message.sourceName}] ` : '',
+          message.subject || 'No Subject'
+        ].join(''),
         titleFormat: 'text',
         body: [
           {
@@ -90,6 +164,7 @@ class MicrosoftDefaultService extends MicrosoftService {
           },
           { content: message.bodyPreview, format: 'html' }
         ],
+        sender: `${message.from.emailAddress.name} <${message.from.emailAddress.address}>`,
         timestamp: new Date(message.receivedDateTime).getTime(),
         data: {
           messageId: message.id,
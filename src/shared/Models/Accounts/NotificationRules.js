@@ -0,0 +1,117 @@
+const uuid = require('uuid')
+
+const FIELDS = Object.freeze({
+  SENDER: 'SENDER',
+  SUBJECT: 'SUBJECT',
+  KEYWORD: 'KEYWORD',
+  CHANNEL: 'CHANNEL',
+  LABEL: 'LABEL'
+})
+
+const ACTIONS = Object.freeze({
+  ALLOW: 'ALLOW',
+  SUPPRESS: 'SUPPRESS',
+  SOUND: 'SOUND',
+  SILENT: 'SILENT'
+})
+
+class NotificationRules {
+  /* **************************************************************************/
+  // Class: Types
+  /* **************************************************************************/
+
+  static get FIELDS () { return FIELDS }
+  static get ACTIONS () { return ACTIONS }
+
+  /* **************************************************************************/
+  // Class: Creation
+  /* **************************************************************************/
+
+  /**
+  * Creates a new rule
+  * @param field=SENDER: the field to match on, one of FIELDS
+  * @param match='': the text to match
+  * @param action=SUPPRESS: the action to take, one of ACTIONS
+  * @param sound=undefined: the sound to play when the action is SOUND
+  * @return a new plain rule object
+  */
+  static createRule (field = FIELDS.SENDER, match = '', action = ACTIONS.SUPPRESS, sound = undefined) {
+    return {
+      id: uuid.v4(),
+      field: field,
+      match: match,
+      action: action,
+      sound: sound
+    }
+  }
+
+  /* **************************************************************************/
+  // Class: Matching
+  /* **************************************************************************/
+
+  /**
+  * Strips a notification text block down to plaintext
+  * @param text: the text to strip
+  * @return plaintext
+  */
+  static _plaintext (text) {
+    if (typeof (text) !== 'string') { return '' }
+    return text.replace(/<[^>]*>/g, ' ')
+  }
+
+  /**
+  * Gets the values of a notification that a field can match against
+  * @param field: the field, one of FIELDS
+  * @param notification: the notification
+  * @return an array of strings
+  */
+  static _valuesForField (field, notification) {
+    const title = this._plaintext(notification.title)
+    const body = Array.isArray(notification.body)
+      ? notification.body.map((b) => this._plaintext(b.content)).join(' ')
+      : this._plaintext(notification.body)
+
+    switch (field) {
+      case FIELDS.SENDER: return notification.sender ? [notification.sender] : []
+      case FIELDS.SUBJECT: return [title]
+      case FIELDS.KEYWORD: return [title, body]
+      case FIELDS.CHANNEL: return notification.channels || []
+      case FIELDS.LABEL: return notification.labels || []
+      default: return []
+    }
+  }
+
+  /**
+  * Checks if a rule matches a notification
+  * @param rule: the rule to check
+  * @param notification: the notification in the format { title, body, sender, channels, labels }
+  * @return true if the rule matches
+  */
+  static matches (rule, notification) {
+    const match = (rule.match || '').trim().toLowerCase()
+    if (!match) { return false }
+
+    const values = this._valuesForField(rule.field, notification)
+      .filter((v) => typeof (v) === 'string')
+      .map((v) => v.toLowerCase())
+    if (rule.field === FIELDS.CHANNEL || rule.field === FIELDS.LABEL) {
+      const bareMatch = match.replace(/^#/, '')
+      return !!values.find((v) => v.replace(/^#/, '') === bareMatch)
+    } else {
+      return !!values.find((v) => v.indexOf(match) !== -1)
+    }
+  }
+
+  /**
+  * Finds the first rule that matches a notification
+  * @param rules: the list of rules to check in order
+  * @param notification: the notification to check
+  * @return the matching rule or undefined
+  */
+  static findMatchingRule (rules, notification) {
+    if (!notification) { return undefined }
+    return (rules || []).find((rule) => this.matches(rule, notification))
+  }
+}
+
+module.exports = NotificationRules
@@ -1,4 +1,11 @@
 const CoreService = require('../CoreService')
+const NotificationRules = require('../NotificationRules')
+
+const NOTIFICATION_FILTER_RESULTS = Object.freeze({
+  DEFAULT: 'DEFAULT',
+  NOTIFY: 'NOTIFY',
+  SUPPRESS: 'SUPPRESS'
+})
 
 class SlackDefaultService extends CoreService {
   /* **************************************************************************/
@@ -6,6 +13,7 @@ class SlackDefaultService extends CoreService {
   /* **************************************************************************/
 
   static get type () { return CoreService.SERVICE_TYPES.DEFAULT }
+  static get NOTIFICATION_FILTER_RESULTS () { return NOTIFICATION_FILTER_RESULTS }
 
   /* **************************************************************************/
   // Class: Humanized
@@ -31,6 +39,9 @@ class SlackDefaultService extends CoreService {
   static get supportsTrayMessages () { return true }
   static get supportsNativeNotifications () { return true }
   static get supportsSyncWhenSleeping () { return true }
+  static get supportedNotificationRuleFields () {
+    return super.supportedNotificationRuleFields.concat([NotificationRules.FIELDS.CHANNEL])
+  }
 
   /* **************************************************************************/
   // Properties
@@ -49,6 +60,32 @@ class SlackDefaultService extends CoreService {
   get slackUnreadMPIMInfo () { return this._value_('slackUnreadMPIMInfo', {}) }
   get slackUnreadIMInfo () { return this._value_('slackUnreadIMInfo', {}) }
 
+  /* **************************************************************************/
+  // Properties : Notification filters
+  /* **************************************************************************/
+
+  /**
+  * Splits a comma seperated string into a list of lowercase items
+  * @param str: the string to split
+  * @return an array of items
+  */
+  _splitFilterString (str) {
+    return str
+      .split(',')
+      .map((item) => item.trim().replace(/^[#@]/, '').toLowerCase())
+      .filter((item) => !!item)
+  }
+
+  get notificationAlwaysChannelsString () { return this._value_('notificationAlwaysChannelsString', '').trim() }
+  get notificationAlwaysChannelsArray () { return this._splitFilterString(this.notificationAlwaysChannelsString) }
+  get notificationNeverChannelsString () { return this._value_('notificationNeverChannelsString', '').trim() }
+  get notificationNeverChannelsArray () { return this._splitFilterString(this.notificationNeverChannelsString) }
+  get notificationHighlightWordsString () { return this._value_('notificationHighlightWordsString', '').trim() }
+  get notificationHighlightWordsArray () { return this._splitFilterString(this.notificationHighlightWordsString) }
+  get hasNotificationForceFilters () {
+    return !!this.notificationAlwaysChannelsString || !!this.notificationHighlightWordsString
+  }
+
   /* **************************************************************************/
   // Content utils
   /* **************************************************************************/
@@ -92,6 +129,59 @@ class SlackDefaultService extends CoreService {
     return true
   }
 
+  /**
+  * Looks up the name of a channel, group, mpim or im
+  * @param channelId: the id of the channel
+  * @return the name of the channel or undefined if it's not known
+  */
+  channelName (channelId) {
+    const info = this.slackUnreadChannelInfo[channelId] ||
+      this.slackUnreadGroupInfo[channelId] ||
+      this.slackUnreadMPIMInfo[channelId] ||
+      this.slackUnreadIMInfo[channelId]
+    return info ? info.name : undefined
+  }
+
+  /**
+  * Checks if a channel is muted by the user in slack
+  * @param channelId: the id of the channel
+  * @return true if the channel is muted
+  */
+  isChannelMuted (channelId) {
+    const info = this.slackUnreadChannelInfo[channelId] ||
+      this.slackUnreadGroupInfo[channelId] ||
+      this.slackUnreadMPIMInfo[channelId]
+    return info ? info.is_muted === true : false
+  }
+
+  /**
+  * Runs a message through the notification filters. Channels that should never
+  * notify take priority, followed by channels that should always notify and then
+  * highlight words. Channels can be matched by their name or id
+  * @param channelId: the id of the channel the message was posted in
+  * @param text: the text of the message
+  * @param channelName=autoget: the name of the channel
+  * @return one of NOTIFICATION_FILTER_RESULTS
+  */
+  evaluateNotificationFilters (channelId, text, channelName = this.channelName(channelId)) {
+    const channelKeys = [channelId, channelName]
+      .filter((k) => !!k)
+      .map((k) => k.replace(/^[#@]/, '').toLowerCase())
+    const matchesChannel = (list) => !!list.find((item) => channelKeys.indexOf(item) !== -1)
+
+    if (matchesChannel(this.notificationNeverChannelsArray)) {
+      return NOTIFICATION_FILTER_RESULTS.SUPPRESS
+    }
+    if (matchesChannel(this.notificationAlwaysChannelsArray)) {
+      return NOTIFICATION_FILTER_RESULTS.NOTIFY
+    }
+    const lowerText = (text || '').toLowerCase()
+    if (lowerText && this.notificationHighlightWordsArray.find((word) => lowerText.indexOf(word) !== -1)) {
+      return NOTIFICATION_FILTER_RESULTS.NOTIFY
+    }
+    return NOTIFICATION_FILTER_RESULTS.DEFAULT
+  }
+
   /* **************************************************************************/
   // Properties : Provider Details & counts etc
   /* **************************************************************************/
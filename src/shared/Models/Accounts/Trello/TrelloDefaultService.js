@@ -137,6 +137,7 @@ class TrelloDefaultService extends CoreService {
         body: [
           { content: notif.data.text }
         ],
+        sender: (notif.memberCreator || {}).username,
         timestamp: new Date(notif.date).getTime(),
         data: {
           notificationId: notif.id,
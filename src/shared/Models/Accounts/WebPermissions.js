@@ -0,0 +1,67 @@
+const PERMISSION_STATES = Object.freeze({
+  ASK: 'ASK',
+  ALLOW: 'ALLOW',
+  DENY: 'DENY'
+})
+
+const PERMISSION_TYPES = Object.freeze({
+  MEDIA: 'media',
+  GEOLOCATION: 'geolocation',
+  MIDI_SYSEX: 'midiSysex',
+  POINTER_LOCK: 'pointerLock',
+  FULLSCREEN: 'fullscreen',
+  OPEN_EXTERNAL: 'openExternal',
+  CLIPBOARD_READ: 'clipboard-read'
+})
+
+const DEFAULT_STATES = Object.freeze({
+  [PERMISSION_TYPES.MEDIA]: PERMISSION_STATES.ASK,
+  [PERMISSION_TYPES.GEOLOCATION]: PERMISSION_STATES.ASK,
+  [PERMISSION_TYPES.MIDI_SYSEX]: PERMISSION_STATES.ASK,
+  [PERMISSION_TYPES.POINTER_LOCK]: PERMISSION_STATES.ALLOW,
+  [PERMISSION_TYPES.FULLSCREEN]: PERMISSION_STATES.ALLOW,
+  [PERMISSION_TYPES.OPEN_EXTERNAL]: PERMISSION_STATES.ALLOW,
+  [PERMISSION_TYPES.CLIPBOARD_READ]: PERMISSION_STATES.ASK
+})
+
+const HUMANIZED_TYPES = Object.freeze({
+  [PERMISSION_TYPES.MEDIA]: 'Camera & Microphone',
+  [PERMISSION_TYPES.GEOLOCATION]: 'Location',
+  [PERMISSION_TYPES.MIDI_SYSEX]: 'MIDI devices',
+  [PERMISSION_TYPES.POINTER_LOCK]: 'Mouse pointer lock',
+  [PERMISSION_TYPES.FULLSCREEN]: 'Fullscreen',
+  [PERMISSION_TYPES.OPEN_EXTERNAL]: 'Open external applications',
+  [PERMISSION_TYPES.CLIPBOARD_READ]: 'Read the clipboard'
+})
+
+class WebPermissions {
+  /* **************************************************************************/
+  // Class: Types
+  /* **************************************************************************/
+
+  static get PERMISSION_STATES () { return PERMISSION_STATES }
+  static get PERMISSION_TYPES () { return PERMISSION_TYPES }
+
+  /* **************************************************************************/
+  // Class: Utils
+  /* **************************************************************************/
+
+  /**
+  * @param type: the type of permission
+  * @return the state the permission has when the user hasn't changed it. Types
+  * we don't know about always ask
+  */
+  static getDefaultState (type) {
+    return DEFAULT_STATES[type] || PERMISSION_STATES.ASK
+  }
+
+  /**
+  * @param type: the type of permission
+  * @return a human readable name for the permission
+  */
+  static humanizeType (type) {
+    return HUMANIZED_TYPES[type] || type
+  }
+}
+
+module.exports = WebPermissions
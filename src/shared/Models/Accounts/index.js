@@ -9,5 +9,8 @@ module.exports = {
   CoreService: require('./CoreService'),
   MailboxFactory: require('./MailboxFactory'),
   ServiceFactory: require('./ServiceFactory'),
-  MailboxColors: require('./MailboxColors')
+  MailboxColors: require('./MailboxColors'),
+  NotificationRules: require('./NotificationRules'),
+  LinkRoutingRules: require('./LinkRoutingRules'),
+  WebPermissions: require('./WebPermissions')
 }
@@ -1,4 +1,5 @@
 const path = require('path')
+const url = require('url')
 const Model = require('../Model')
 const CRExtensionManifestBackground = require('./CRExtensionManifestBackground')
 const CRExtensionManifestContentScript = require('./CRExtensionManifestContentScript')
@@ -69,6 +70,24 @@ class CRExtensionManifest extends Model {
   /* **************************************************************************/
 
   get permissions () { return new Set(this._value_('permissions', [])) }
+  get hostPermissions () {
+    return this._value_('permissions', []).filter((permission) => {
+      return permission === '<all_urls>' || permission.indexOf('://') !== -1
+    })
+  }
+  get hasHostPermissions () { return this.hostPermissions.length !== 0 }
+
+  /**
+  * Checks to see if the extension has been granted access to a url by its host permissions
+  * @param targetUrl: the url to check
+  * @return true if the extension has access to the url
+  */
+  hasHostPermission (targetUrl) {
+    const parsedUrl = url.parse(targetUrl || '')
+    return !!this.hostPermissions.find((pattern) => {
+      return CRExtensionMatchPatterns.match(parsedUrl.protocol, parsedUrl.hostname, parsedUrl.pathname, pattern)
+    })
+  }
 
   /* **************************************************************************/
   // Properties: Background
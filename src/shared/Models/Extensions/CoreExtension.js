@@ -55,6 +55,9 @@ class CoreExtension extends Model {
 
   get installId () { return this.__data__.installId }
   get installTime () { return this.__data__.installTime }
+  get enabled () { return this._value_('enabled', true) }
+  get developmentPath () { return this._value_('developmentPath', undefined) }
+  get isDevelopment () { return !!this.developmentPath }
 
   /* **************************************************************************/
   // Humanized
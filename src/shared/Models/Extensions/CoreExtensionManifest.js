@@ -30,6 +30,19 @@ class CoreExtensionManifest extends Model {
     if (!manifest.name) { errors.push('Missing "name" in manifest') }
     if (!manifest.version) { errors.push('Missing "version" in manifest') }
 
+    if (manifest.toolwindow !== undefined) {
+      if (!manifest.toolwindow.index) { warnings.push('Missing "toolwindow.index" in manifest. The toolwindow will not be shown') }
+      if (manifest.toolwindow.position !== undefined && !TOOLWINDOW_POSITIONS[manifest.toolwindow.position]) {
+        warnings.push(`Unknown "toolwindow.position" "${manifest.toolwindow.position}" in manifest. Using ${TOOLWINDOW_POSITIONS.BOTTOM}`)
+      }
+    }
+    if (manifest.contentScripts !== undefined && !Array.isArray(manifest.contentScripts)) {
+      warnings.push('"contentScripts" in manifest should be a list. They will be ignored')
+    }
+    if (!(manifest.toolwindow || {}).index && !(Array.isArray(manifest.contentScripts) && manifest.contentScripts.length)) {
+      warnings.push('The extension has no toolwindow or content scripts so won\'t do anything')
+    }
+
     return { errors: errors, warnings: warnings }
   }
 
@@ -72,7 +85,7 @@ class CoreExtensionManifest extends Model {
   // Content Scripts
   /* **************************************************************************/
 
-  get contentScripts () { return this._value_('contentScripts') }
+  get contentScripts () { return this._valueOfType_('contentScripts', 'array', []) }
   get hasContentScripts () { return !!this.contentScripts.length }
 }
 
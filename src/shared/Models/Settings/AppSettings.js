@@ -37,6 +37,15 @@ class AppSettings extends Model {
   get hasSeenAppTour () { return this._value_('hasSeenAppTour', false) }
   get lastSeenAccountMessageUrl () { return this._value_('lastSeenAccountMessageUrl', undefined) }
   get hasSeenSnapSetupMessage () { return this._value_('hasSeenSnapSetupMessage', false) }
+
+  /* **************************************************************************/
+  // Properties : Sleep
+  /* **************************************************************************/
+
+  get sleepPolicyEnabled () { return this._value_('sleepPolicyEnabled', false) }
+  get sleepMemoryBudget () { return this._value_('sleepMemoryBudget', 4096) }
+  get sleepMaxAwakeServices () { return this._value_('sleepMaxAwakeServices', 0) }
+  get hasSleepMaxAwakeServices () { return this.sleepMaxAwakeServices > 0 }
 }
 
 module.exports = AppSettings
@@ -0,0 +1,132 @@
+const uuid = require('uuid')
+
+const DAYS = Object.freeze([0, 1, 2, 3, 4, 5, 6])
+const WEEKDAYS = Object.freeze([1, 2, 3, 4, 5])
+const WEEKEND = Object.freeze([0, 6])
+const MINUTES_IN_DAY = 24 * 60
+
+const SNOOZE_MODES = Object.freeze({
+  ONE_HOUR: 'ONE_HOUR',
+  UNTIL_TOMORROW: 'UNTIL_TOMORROW'
+})
+
+class DndSchedules {
+  /* **************************************************************************/
+  // Class: Types
+  /* **************************************************************************/
+
+  static get DAYS () { return DAYS }
+  static get WEEKDAYS () { return WEEKDAYS }
+  static get WEEKEND () { return WEEKEND }
+  static get MINUTES_IN_DAY () { return MINUTES_IN_DAY }
+  static get SNOOZE_MODES () { return SNOOZE_MODES }
+
+  /* **************************************************************************/
+  // Class: Creation
+  /* **************************************************************************/
+
+  /**
+  * Creates a new schedule
+  * @param days=WEEKDAYS: the days the schedule starts on where 0 is sunday
+  * @param start=19:00: the start time in minutes from midnight
+  * @param end=08:00: the end time in minutes from midnight. If this is before
+  *     or the same as start the schedule runs over midnight into the next day
+  * @return a new plain schedule object
+  */
+  static createSchedule (days = WEEKDAYS, start = 19 * 60, end = 8 * 60) {
+    return {
+      id: uuid.v4(),
+      enabled: true,
+      days: Array.from(days),
+      start: start,
+      end: end
+    }
+  }
+
+  /* **************************************************************************/
+  // Class: Time utils
+  /* **************************************************************************/
+
+  /**
+  * Converts minutes from midnight to a HH:MM string
+  * @param minutes: the minutes from midnight
+  * @return the string
+  */
+  static minutesToTimeString (minutes) {
+    const h = Math.floor(minutes / 60) % 24
+    const m = minutes % 60
+    return `${h < 10 ? '0' : ''}${h}:${m < 10 ? '0' : ''}${m}`
+  }
+
+  /**
+  * Converts a HH:MM string to minutes from midnight
+  * @param str: the string to convert
+  * @return the minutes from midnight or undefined if the string is invalid
+  */
+  static timeStringToMinutes (str) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec((str || '').trim())
+    if (!match) { return undefined }
+    const h = parseInt(match[1])
+    const m = parseInt(match[2])
+    if (h > 23 || m > 59) { return undefined }
+    return (h * 60) + m
+  }
+
+  /**
+  * Works out when a snooze should end
+  * @param mode: the snooze mode, one of SNOOZE_MODES
+  * @param now=new Date(): the current time
+  * @return the timestamp the snooze should end at
+  */
+  static snoozeUntil (mode, now = new Date()) {
+    if (mode === SNOOZE_MODES.UNTIL_TOMORROW) {
+      // In the early hours "tomorrow morning" is still today
+      const dayOffset = now.getHours() < 8 ? 0 : 1
+      const morning = new Date(now.getFullYear(), now.getMonth(), now.getDate() + dayOffset, 8, 0, 0, 0)
+      return morning.getTime()
+    } else {
+      return now.getTime() + (60 * 60 * 1000)
+    }
+  }
+
+  /* **************************************************************************/
+  // Class: Evaluation
+  /* **************************************************************************/
+
+  /**
+  * Gets the ranges a schedule covers on a given day
+  * @param schedule: the schedule
+  * @param day: the day of the week where 0 is sunday
+  * @return a list of [start, end] minute ranges on that day
+  */
+  static rangesForDay (schedule, day) {
+    if (!schedule.enabled) { return [] }
+    const days = schedule.days || []
+    const prevDay = (day + 6) % 7
+    const ranges = []
+
+    if (schedule.start < schedule.end) {
+      if (days.indexOf(day) !== -1) { ranges.push([schedule.start, schedule.end]) }
+    } else {
+      if (days.indexOf(prevDay) !== -1 && schedule.end > 0) { ranges.push([0, schedule.end]) }
+      if (days.indexOf(day) !== -1) { ranges.push([schedule.start, MINUTES_IN_DAY]) }
+    }
+    return ranges
+  }
+
+  /**
+  * Checks if a set of schedules is active at a given time
+  * @param schedules: the list of schedules
+  * @param date=new Date(): the date to check
+  * @return true if any of the schedules are active
+  */
+  static isActive (schedules, date = new Date()) {
+    const day = date.getDay()
+    const minutes = (date.getHours() * 60) + date.getMinutes()
+    return !!(schedules || []).find((schedule) => {
+      return !!this.rangesForDay(schedule, day).find(([start, end]) => minutes >= start && minutes < end)
+    })
+  }
+}
+
+module.exports = DndSchedules
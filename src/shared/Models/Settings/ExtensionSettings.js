@@ -4,6 +4,11 @@ const TOOLBAR_BROWSER_ACTION_LAYOUT = Object.freeze({
   ALIGN_LEFT: 'ALIGN_LEFT',
   ALIGN_RIGHT: 'ALIGN_RIGHT'
 })
+const SYNC_TARGET_TYPES = Object.freeze({
+  NONE: 'NONE',
+  FOLDER: 'FOLDER',
+  WEBDAV: 'WEBDAV'
+})
 
 class ExtensionSettings extends Model {
   /* **************************************************************************/
@@ -11,6 +16,7 @@ class ExtensionSettings extends Model {
   /* **************************************************************************/
 
   static get TOOLBAR_BROWSER_ACTION_LAYOUT () { return TOOLBAR_BROWSER_ACTION_LAYOUT }
+  static get SYNC_TARGET_TYPES () { return SYNC_TARGET_TYPES }
 
   /* **************************************************************************/
   // Properties
@@ -19,6 +25,48 @@ class ExtensionSettings extends Model {
   get enableChromeExperimental () { return this._value_('enableChromeExperimental', false) }
   get showBrowserActionsInToolbar () { return this._value_('showBrowserActionsInToolbar', true) }
   get toolbarBrowserActionLayout () { return this._value_('toolbarBrowserActionLayout', TOOLBAR_BROWSER_ACTION_LAYOUT.ALIGN_RIGHT) }
+
+  /* **************************************************************************/
+  // Properties: Account restrictions
+  /* **************************************************************************/
+
+  get accountRestrictions () { return this._value_('accountRestrictions', {}) }
+
+  /**
+  * @param extensionId: the id of the extension
+  * @return a list of mailbox ids the extension is restricted to or undefined if it's unrestricted
+  */
+  getAccountRestriction (extensionId) {
+    return this.accountRestrictions[extensionId]
+  }
+
+  /**
+  * @param extensionId: the id of the extension
+  * @param mailboxId: the id of the mailbox
+  * @return true if the extension is allowed to access the mailbox
+  */
+  isAccountAllowedForExtension (extensionId, mailboxId) {
+    const restriction = this.getAccountRestriction(extensionId)
+    if (!restriction) { return true }
+    return restriction.indexOf(mailboxId) !== -1
+  }
+
+  /* **************************************************************************/
+  // Properties: Sync
+  /* **************************************************************************/
+
+  get syncTargetType () { return this._value_('syncTargetType', SYNC_TARGET_TYPES.NONE) }
+  get syncFolderPath () { return this._value_('syncFolderPath', '') }
+  get syncWebDAVUrl () { return this._value_('syncWebDAVUrl', '') }
+  get syncWebDAVUsername () { return this._value_('syncWebDAVUsername', '') }
+  get hasSyncWebDAVPassword () { return this._value_('hasSyncWebDAVPassword', false) }
+  get hasSyncTarget () {
+    switch (this.syncTargetType) {
+      case SYNC_TARGET_TYPES.FOLDER: return !!this.syncFolderPath
+      case SYNC_TARGET_TYPES.WEBDAV: return !!this.syncWebDAVUrl
+      default: return false
+    }
+  }
 }
 
 module.exports = ExtensionSettings
@@ -0,0 +1,96 @@
+const uuid = require('uuid')
+
+const SYSTEM_BROWSER_ID = 'SYSTEM'
+const URL_PLACEHOLDER = '%URL%'
+
+class ExternalBrowsers {
+  /* **************************************************************************/
+  // Class: Types
+  /* **************************************************************************/
+
+  static get SYSTEM_BROWSER_ID () { return SYSTEM_BROWSER_ID }
+  static get URL_PLACEHOLDER () { return URL_PLACEHOLDER }
+
+  /* **************************************************************************/
+  // Class: Creation
+  /* **************************************************************************/
+
+  /**
+  * Creates a new browser profile
+  * @param name='': the name of the profile
+  * @param executablePath='': the path to the browser executable
+  * @param args='': the arguments to launch the browser with
+  * @return a new plain browser object
+  */
+  static createBrowser (name = '', executablePath = '', args = '') {
+    return {
+      id: uuid.v4(),
+      name: name,
+      executablePath: executablePath,
+      args: args
+    }
+  }
+
+  /* **************************************************************************/
+  // Class: Launching
+  /* **************************************************************************/
+
+  /**
+  * Splits an argument string into an array of arguments. Quotes can be used anywhere
+  * in an argument to include spaces, e.g. --profile-directory="Profile 2"
+  * @param args: the argument string
+  * @return an array of arguments
+  */
+  static parseArgs (args) {
+    const parsed = []
+    let current = null
+    let quote = null
+    Array.from(args || '').forEach((char) => {
+      if (quote) {
+        if (char === quote) {
+          quote = null
+        } else {
+          current += char
+        }
+      } else if (char === '"' || char === '\'') {
+        quote = char
+        current = current || ''
+      } else if (/\s/.test(char)) {
+        if (current !== null) {
+          parsed.push(current)
+          current = null
+        }
+      } else {
+        current = (current || '') + char
+      }
+    })
+    if (current !== null) { parsed.push(current) }
+    return parsed
+  }
+
+  /**
+  * Generates the arguments to launch a browser with a url. If the arguments contain
+  * the url placeholder it's replaced, otherwise the url is added at the end
+  * @param browser: the browser to launch
+  * @param targetUrl: the url to open
+  * @return an array of arguments
+  */
+  static generateLaunchArgs (browser, targetUrl) {
+    const args = this.parseArgs(browser.args)
+    if (args.find((arg) => arg.indexOf(URL_PLACEHOLDER) !== -1)) {
+      return args.map((arg) => arg.split(URL_PLACEHOLDER).join(targetUrl))
+    } else {
+      return args.concat(targetUrl)
+    }
+  }
+
+  /**
+  * @param browser: the browser to check
+  * @return true if the browser is configured enough to be launched
+  */
+  static isValid (browser) {
+    return !!(browser && (browser.executablePath || '').trim())
+  }
+}
+
+module.exports = ExternalBrowsers
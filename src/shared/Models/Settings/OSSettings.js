@@ -1,4 +1,6 @@
 const Model = require('../Model')
+const DndSchedules = require('./DndSchedules')
+const ExternalBrowsers = require('./ExternalBrowsers')
 const {
   NOTIFICATION_PROVIDERS,
   DEFAULT_NOTIFICATION_PROVIDER,
@@ -31,11 +33,62 @@ class OSSettings extends Model {
   get notificationsProvider () { return this._value_('notificationsProvider', NOTIFICATION_PROVIDERS.ELECTRON) }
   get notificationsSound () { return this._value_('notificationsSound', DEFAULT_NOTIFICATION_SOUND) }
 
+  /* ****************************************************************************/
+  // Notifications: Do not disturb
+  /* ****************************************************************************/
+
+  get notificationsDndSchedules () { return this._value_('notificationsDndSchedules', []) }
+  get notificationsSnoozeUntil () { return this._value_('notificationsSnoozeUntil', 0) }
+
+  /**
+  * @param now=new Date(): the time to check at
+  * @return true if notifications are snoozed
+  */
+  isNotificationsSnoozed (now = new Date()) {
+    return this.notificationsSnoozeUntil > now.getTime()
+  }
+
+  /**
+  * @param now=new Date(): the time to check at
+  * @return true if one of the do not disturb schedules is active
+  */
+  isNotificationsDndScheduled (now = new Date()) {
+    return DndSchedules.isActive(this.notificationsDndSchedules, now)
+  }
+
   /* ****************************************************************************/
   // Misc
   /* ****************************************************************************/
 
   get openLinksInBackground () { return this._value_('openLinksInBackground', false) }
+
+  /* ****************************************************************************/
+  // External browsers
+  /* ****************************************************************************/
+
+  get externalBrowsers () { return this._value_('externalBrowsers', []) }
+  get defaultExternalBrowserId () { return this._value_('defaultExternalBrowserId', ExternalBrowsers.SYSTEM_BROWSER_ID) }
+
+  /**
+  * @param id: the id of the browser
+  * @return the browser or undefined
+  */
+  getExternalBrowser (id) {
+    return this.externalBrowsers.find((browser) => browser.id === id)
+  }
+
+  /**
+  * Gets the browser that links should be opened with
+  * @param mailbox=undefined: the mailbox that's opening the link, which may override the default
+  * @return the browser to launch or undefined to use the system default browser
+  */
+  getExternalBrowserForMailbox (mailbox = undefined) {
+    const browserId = mailbox && mailbox.externalBrowserId ? mailbox.externalBrowserId : this.defaultExternalBrowserId
+    if (browserId === ExternalBrowsers.SYSTEM_BROWSER_ID) { return undefined }
+
+    const browser = this.getExternalBrowser(browserId)
+    return ExternalBrowsers.isValid(browser) ? browser : undefined
+  }
 }
 
 module.exports = OSSettings
@@ -7,6 +7,8 @@ module.exports = {
   OSSettings: require('./OSSettings'),
   TraySettings: require('./TraySettings'),
   UISettings: require('./UISettings'),
+  DndSchedules: require('./DndSchedules'),
+  ExternalBrowsers: require('./ExternalBrowsers'),
 
   SettingsIdent: require('./SettingsIdent')
 }
@@ -19,6 +19,7 @@ module.exports = function (pkg, path, AppDirectory) {
 
     // Extensions
     USER_EXTENSION_INSTALL_PATH: path.join(appDirectory.userData(), 'user_extensions'),
+    USER_EXTENSION_UNPACK_PATH: path.join(appDirectory.userData(), 'user_extensions_unpack'),
     CHROME_EXTENSION_INSTALL_PATH: path.join(appDirectory.userData(), 'extensions/chrome'),
     CHROME_EXTENSION_DOWNLOAD_PATH: path.join(appDirectory.userData(), 'extensions/chromedownload')
   }
@@ -27,12 +27,25 @@ module.exports = Object.freeze({
   DB_BACKUP_INTERVAL: minutes(15),
   DB_MAX_BACKUPS: 10,
 
+  // Credentials
+  CREDENTIAL_KEYS: Object.freeze({
+    EXTENSION_SYNC_WEBDAV_PASSWORD: 'extensionSyncWebDAVPassword'
+  }),
+
   // Mailboxes
   MAILBOX_SLEEP_WAIT: minutes(5),
   MAILBOX_SLEEP_EXTEND: seconds(30),
+  MAILBOX_SLEEP_WAKE_DURATION: minutes(1),
   REFOCUS_MAILBOX_INTERVAL_MS: 300,
   SERVICE_LOCAL_AVATAR_PREFIX: 'SERVICE_LOCAL:',
 
+  // Monitor
+  MONITOR_HISTORY_SAMPLE_INTERVAL: seconds(30),
+  MONITOR_HISTORY_MAX_SAMPLES: 1920, // 8 hours at the service metrics interval
+  SERVICE_METRICS_INTERVAL: seconds(15),
+  RESOURCE_ALERT_DEFAULT_DURATION: minutes(5),
+  RESOURCE_ALERT_LOG_MAX_ENTRIES: 200,
+
   // Google
   GOOGLE_PROFILE_SYNC_INTERVAL: hours(6),
   GOOGLE_MAILBOX_WATCH_INTERVAL: days(6),
@@ -62,6 +75,10 @@ module.exports = Object.freeze({
   // Notifications
   NOTIFICATION_MAX_AGE: minutes(10),
   NOTIFICATION_FIRST_RUN_GRACE_MS: seconds(30),
+  NOTIFICATION_DND_CHECK_INTERVAL: seconds(30),
+  NOTIFICATION_DIGEST_MAX_LINES: 5,
+  NOTIFICATION_HISTORY_MAX_ENTRIES: 500,
+  NOTIFICATION_HISTORY_MAX_AGE: days(30),
   DISALLOWED_HTML5_NOTIFICATION_HOSTS: [
     'mail.google.com',
     'inbox.google.com',
@@ -73,6 +90,16 @@ module.exports = Object.freeze({
     'allo.google.com'
   ],
 
+  // Downloads
+  DOWNLOAD_HISTORY_MAX_ENTRIES: 250,
+  DOWNLOAD_PROGRESS_THROTTLE: 500,
+  DOWNLOAD_STATES: Object.freeze({
+    PROGRESSING: 'progressing',
+    COMPLETED: 'completed',
+    CANCELLED: 'cancelled',
+    INTERRUPTED: 'interrupted'
+  }),
+
   // Cookies
   ARTIFICIAL_COOKIE_PERSIST_WAIT: seconds(30),
   ARTIFICIAL_COOKIE_PERSIST_PERIOD: days(30),
@@ -6,6 +6,14 @@ module.exports = Object.freeze({
 
   // Tabs
   CRX_TABS_SENDMESSAGE: 'CRX_TABS_SENDMESSAGE',
+  CRX_TABS_GET_: 'CRX_TABS_GET_',
+  CRX_TABS_QUERY_: 'CRX_TABS_QUERY_',
+  CRX_TABS_CREATE_: 'CRX_TABS_CREATE_',
+  CRX_TABS_UPDATE_: 'CRX_TABS_UPDATE_',
+  CRX_TABS_REMOVE_: 'CRX_TABS_REMOVE_',
+  CRX_TABS_UPDATED_: 'CRX_TABS_UPDATED_',
+  CRX_TABS_ACTIVATED_: 'CRX_TABS_ACTIVATED_',
+  CRX_TABS_REMOVED_: 'CRX_TABS_REMOVED_',
 
   // Data
   CRX_GET_MANIFEST_: 'CRX_GET_MANIFEST_',
@@ -32,6 +40,36 @@ module.exports = Object.freeze({
   CRX_STORAGE_CLEAR_: 'CRX_STORAGE_CLEAR_',
   CRX_STORAGE_CHANGED_: 'CRX_STORAGE_CHANGED_',
 
+  // Alarms
+  CRX_ALARMS_CREATE_: 'CRX_ALARMS_CREATE_',
+  CRX_ALARMS_GET_: 'CRX_ALARMS_GET_',
+  CRX_ALARMS_GET_ALL_: 'CRX_ALARMS_GET_ALL_',
+  CRX_ALARMS_CLEAR_: 'CRX_ALARMS_CLEAR_',
+  CRX_ALARMS_CLEAR_ALL_: 'CRX_ALARMS_CLEAR_ALL_',
+  CRX_ALARMS_FIRED_: 'CRX_ALARMS_FIRED_',
+
+  // Notifications
+  CRX_NOTIFICATIONS_CREATE_: 'CRX_NOTIFICATIONS_CREATE_',
+  CRX_NOTIFICATIONS_UPDATE_: 'CRX_NOTIFICATIONS_UPDATE_',
+  CRX_NOTIFICATIONS_CLEAR_: 'CRX_NOTIFICATIONS_CLEAR_',
+  CRX_NOTIFICATIONS_GET_ALL_: 'CRX_NOTIFICATIONS_GET_ALL_',
+  CRX_NOTIFICATIONS_CLICKED_: 'CRX_NOTIFICATIONS_CLICKED_',
+  CRX_NOTIFICATIONS_CLOSED_: 'CRX_NOTIFICATIONS_CLOSED_',
+
+  // Cookies
+  CRX_COOKIES_GET_: 'CRX_COOKIES_GET_',
+  CRX_COOKIES_GET_ALL_: 'CRX_COOKIES_GET_ALL_',
+  CRX_COOKIES_SET_: 'CRX_COOKIES_SET_',
+  CRX_COOKIES_REMOVE_: 'CRX_COOKIES_REMOVE_',
+  CRX_COOKIES_GET_ALL_STORES_: 'CRX_COOKIES_GET_ALL_STORES_',
+  CRX_COOKIES_CHANGED_: 'CRX_COOKIES_CHANGED_',
+
+  // Web Request
+  CRX_WEB_REQUEST_ADD_LISTENER_: 'CRX_WEB_REQUEST_ADD_LISTENER_',
+  CRX_WEB_REQUEST_REMOVE_LISTENER_: 'CRX_WEB_REQUEST_REMOVE_LISTENER_',
+  CRX_WEB_REQUEST_EVENT_: 'CRX_WEB_REQUEST_EVENT_',
+  CRX_WEB_REQUEST_BLOCKING_EVENT_: 'CRX_WEB_REQUEST_BLOCKING_EVENT_',
+
   // Context Menu
   CRX_CONTEXT_MENU_CREATE_: 'CRX_CONTEXT_MENU_CREATE_',
   CRX_CONTEXT_MENU_CLICKED_: 'CRX_CONTEXT_MENU_CLICKED_'
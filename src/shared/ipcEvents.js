@@ -22,6 +22,7 @@ module.exports = Object.freeze({
 
   // Window Management
   WB_NEW_WINDOW: 'WB_NEW_WINDOW',
+  WB_NEW_WINDOW_EXTERNAL: 'WB_NEW_WINDOW_EXTERNAL',
   WB_OPEN_MONITOR_WINDOW: 'WB_OPEN_MONITOR_WINDOW',
   WB_TOGGLE_MAILBOX_WINDOW_FROM_TRAY: 'WB_TOGGLE_MAILBOX_WINDOW_FROM_TRAY',
   WB_SHOW_MAILBOX_WINDOW_FROM_TRAY: 'WB_SHOW_MAILBOX_WINDOW_FROM_TRAY',
@@ -47,14 +48,23 @@ module.exports = Object.freeze({
   WB_MAILBOXES_WINDOW_TOGGLE_SIDEBAR: 'WB_MAILBOXES_WINDOW_TOGGLE_SIDEBAR',
   WB_MAILBOXES_WINDOW_TOGGLE_APP_MENU: 'WB_MAILBOXES_WINDOW_TOGGLE_APP_MENU',
   WB_MAILBOXES_WINDOW_DOWNLOAD_COMPLETE: 'WB_MAILBOXES_WINDOW_DOWNLOAD_COMPLETE',
+  WB_MAILBOXES_WINDOW_STORAGE_RECOVERED: 'WB_MAILBOXES_WINDOW_STORAGE_RECOVERED',
   WB_MAILBOXES_WINDOW_OPEN_MAILTO_LINK: 'WB_MAILBOXES_WINDOW_OPEN_MAILTO_LINK',
   WB_MAILBOXES_WINDOW_SWITCH_MAILBOX: 'WB_MAILBOXES_WINDOW_SWITCH_MAILBOX',
   WB_MAILBOXES_WINDOW_SWITCH_SERVICE: 'WB_MAILBOXES_WINDOW_SWITCH_SERVICE',
   WB_MAILBOXES_WINDOW_WEBVIEW_LIFECYCLE_SLEEP: 'WB_MAILBOXES_WINDOW_WEBVIEW_LIFECYCLE_SLEEP',
   WB_MAILBOXES_WINDOW_WEBVIEW_LIFECYCLE_AWAKEN: 'WB_MAILBOXES_WINDOW_WEBVIEW_LIFECYCLE_AWAKEN',
   WB_MAILBOXES_WINDOW_SHOW_SETTINGS: 'WB_MAILBOXES_WINDOW_SHOW_SETTINGS',
+  WB_MAILBOXES_WINDOW_SNOOZE_NOTIFICATIONS: 'WB_MAILBOXES_WINDOW_SNOOZE_NOTIFICATIONS',
   WB_MAILBOXES_WINDOW_SHOW_SUPPORT_CENTER: 'WB_MAILBOXES_WINDOW_SHOW_SUPPORT_CENTER',
   WB_MAILBOXES_WINDOW_SHOW_NEWS: 'WB_MAILBOXES_WINDOW_SHOW_NEWS',
+  WB_MAILBOXES_WINDOW_SHOW_NOTIFICATION_HISTORY: 'WB_MAILBOXES_WINDOW_SHOW_NOTIFICATION_HISTORY',
+  WB_MAILBOXES_WINDOW_SHOW_DOWNLOADS: 'WB_MAILBOXES_WINDOW_SHOW_DOWNLOADS',
+  WB_MAILBOXES_WINDOW_REQUEST_WEB_PERMISSION: 'WB_MAILBOXES_WINDOW_REQUEST_WEB_PERMISSION',
+  WB_MAILBOXES_WINDOW_RESPOND_WEB_PERMISSION: 'WB_MAILBOXES_WINDOW_RESPOND_WEB_PERMISSION',
+  WB_MAILBOXES_WINDOW_CANCEL_WEB_PERMISSION: 'WB_MAILBOXES_WINDOW_CANCEL_WEB_PERMISSION',
+  WB_MAILBOXES_WINDOW_SERVICE_MEMORY_USAGE: 'WB_MAILBOXES_WINDOW_SERVICE_MEMORY_USAGE',
+  WB_MAILBOXES_WINDOW_RESOURCE_ALERT: 'WB_MAILBOXES_WINDOW_RESOURCE_ALERT',
   WB_MAILBOXES_WINDOW_ADD_ACCOUNT: 'WB_MAILBOXES_WINDOW_ADD_ACCOUNT',
   WB_MAILBOXES_WINDOW_MAILBOX_WEBVIEW_ATTACHED: 'WB_MAILBOXES_WINDOW_MAILBOX_WEBVIEW_ATTACHED',
   WB_MAILBOXES_WINDOW_EXTENSION_WEBVIEW_ATTACHED: 'WB_MAILBOXES_WINDOW_EXTENSION_WEBVIEW_ATTACHED',
@@ -82,6 +92,10 @@ module.exports = Object.freeze({
   WB_BROWSER_GOOGLE_CALENDAR_ALERT_PRESENTED: 'WB_BROWSER_GOOGLE_CALENDAR_ALERT_PRESENTED',
   WB_BROWSER_GOOGLE_MESSENGER_UNREAD_COUNT_CHANGED: 'WB_BROWSER_GOOGLE_MESSENGER_UNREAD_COUNT_CHANGED',
 
+  // Generic
+  WB_BROWSER_GENERIC_CONFIGURE_UNREAD_COUNT: 'WB_BROWSER_GENERIC_CONFIGURE_UNREAD_COUNT',
+  WB_BROWSER_GENERIC_UNREAD_COUNT_CHANGED: 'WB_BROWSER_GENERIC_UNREAD_COUNT_CHANGED',
+
   // Extension
   WBE_PROVISION_EXTENSION: 'WBE_PROVISION_EXTENSION',
   WBE_PROVISION_EXTENSION_REPLY_PFX: 'WBE_PROVISION_EXTENSION_REPLY_PFX',
@@ -99,13 +113,29 @@ module.exports = Object.freeze({
   WBECRX_GET_EXTENSION_INSTALL_META: 'WBECRX_GET_EXTENSION_INSTALL_META',
   WBECRX_EXTENSION_INSTALL_META_CHANGED: 'WBECRX_EXTENSION_INSTALL_META_CHANGED',
   WBECRX_INSPECT_BACKGROUND: 'WBECRX_INSPECT_BACKGROUND',
+  WBECRX_NOTIFICATION_PRESENT: 'WBECRX_NOTIFICATION_PRESENT',
+  WBECRX_NOTIFICATION_CLICKED_: 'WBECRX_NOTIFICATION_CLICKED_',
 
   // Resource usage
   WB_PING_RESOURCE_USAGE: 'WB_PING_RESOURCE_USAGE',
   WB_PONG_RESOURCE_USAGE: 'WB_PONG_RESOURCE_USAGE',
   WB_SUBMIT_PROCESS_RESOURCE_USAGE: 'WB_SUBMIT_PROCESS_RESOURCE_USAGE',
+  WB_FETCH_ACCOUNT_RESOURCE_HISTORY: 'WB_FETCH_ACCOUNT_RESOURCE_HISTORY',
+  WB_SUBMIT_ACCOUNT_RESOURCE_HISTORY: 'WB_SUBMIT_ACCOUNT_RESOURCE_HISTORY',
   WB_SUBMIT_WEBCONTENTS_RESOURCE_DESCRIPTION: 'WB_SUBMIT_WEBCONTENTS_RESOURCE_DESCRIPTION',
 
+  // Downloads
+  WB_DOWNLOAD_UPDATED: 'WB_DOWNLOAD_UPDATED',
+  WB_DOWNLOAD_REMOVED: 'WB_DOWNLOAD_REMOVED',
+  WB_DOWNLOAD_PAUSE: 'WB_DOWNLOAD_PAUSE',
+  WB_DOWNLOAD_RESUME: 'WB_DOWNLOAD_RESUME',
+  WB_DOWNLOAD_CANCEL: 'WB_DOWNLOAD_CANCEL',
+  WB_DOWNLOAD_RETRY: 'WB_DOWNLOAD_RETRY',
+  WB_DOWNLOAD_OPEN: 'WB_DOWNLOAD_OPEN',
+  WB_DOWNLOAD_SHOW_IN_FOLDER: 'WB_DOWNLOAD_SHOW_IN_FOLDER',
+  WB_DOWNLOAD_REMOVE: 'WB_DOWNLOAD_REMOVE',
+  WB_DOWNLOAD_CLEAR_HISTORY: 'WB_DOWNLOAD_CLEAR_HISTORY',
+
   // App lifecycle
   WB_FOCUS_APP: 'WB_FOCUS_APP',
   WB_QUIT_APP: 'WB_QUIT_APP',
@@ -124,5 +154,6 @@ module.exports = Object.freeze({
 
   // Session management
   WB_PREPARE_MAILBOX_SESSION: 'WB_PREPARE_MAILBOX_SESSION',
-  WB_PREPARE_EXTENSION_SESSION: 'WB_PREPARE_EXTENSION_SESSION'
+  WB_PREPARE_EXTENSION_SESSION: 'WB_PREPARE_EXTENSION_SESSION',
+  WB_UNPACK_EXTENSION_ZIP: 'WB_UNPACK_EXTENSION_ZIP'
 })